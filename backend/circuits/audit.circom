@@ -0,0 +1,105 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/babyjub.circom";
+include "../node_modules/circomlib/circuits/escalarmulany.circom";
+
+/**
+ * @title AuditCircuit
+ * @notice Auditor key escrow for compliant private messages
+ * @dev Encrypts a message's amount, recipient and memo to the auditor's Baby Jubjub
+ * public key, and proves the ciphertext holds the values behind the message's
+ * commitment and recipientHash. The encryption is ECDH with a one-time ephemeral key,
+ * each field masked with Poseidon(sharedKey.x, sharedKey.y, index):
+ *
+ *   ephemeralKey = ephemeralSecret * Base8
+ *   sharedKey    = ephemeralSecret * auditorKey  (= auditorSecret * ephemeralKey)
+ *   ciphertext[i] = plaintext[i] + Poseidon(sharedKey.x, sharedKey.y, i)
+ *
+ * The ciphertext carries no MAC of its own; the proof authenticates it.
+ *
+ * Public Inputs:
+ * - commitment: Poseidon(secret, nullifier, amount) of the message
+ * - recipientHash: Poseidon(recipient, recipientSalt) of the message
+ * - auditorKey: Auditor's public key, which RaylsShield requires to be its configured one
+ * - ephemeralKey: Sender's one-time public key
+ * - ciphertext: Encrypted [amount, recipient, memo]
+ *
+ * Private Inputs:
+ * - secret, nullifier, amount: The note behind the commitment
+ * - recipient, recipientSalt: Preimage of recipientHash
+ * - memo: Free-form note for the auditor (a field element; scripts/auditor-escrow.js
+ *   encodes up to 31 bytes of text)
+ * - ephemeralSecret: Sender's one-time secret, never reused
+ */
+
+template AuditCircuit() {
+    // Public inputs
+    signal input commitment;
+    signal input recipientHash;
+    signal input auditorKey[2];
+    signal input ephemeralKey[2];
+    signal input ciphertext[3];
+
+    // Private inputs
+    signal input secret;
+    signal input nullifier;
+    signal input amount;
+    signal input recipient;
+    signal input recipientSalt;
+    signal input memo;
+    signal input ephemeralSecret;
+
+    // The note behind the message: same hashes as compliance.circom
+    component commitmentHasher = Poseidon(3);
+    commitmentHasher.inputs[0] <== secret;
+    commitmentHasher.inputs[1] <== nullifier;
+    commitmentHasher.inputs[2] <== amount;
+    commitment === commitmentHasher.out;
+
+    component recipientHasher = Poseidon(2);
+    recipientHasher.inputs[0] <== recipient;
+    recipientHasher.inputs[1] <== recipientSalt;
+    recipientHash === recipientHasher.out;
+
+    // Ephemeral public key
+    component ephemeral = BabyPbk();
+    ephemeral.in <== ephemeralSecret;
+    ephemeralKey[0] === ephemeral.Ax;
+    ephemeralKey[1] === ephemeral.Ay;
+
+    // Shared key with the auditor
+    component ephemeralBits = Num2Bits(253);
+    ephemeralBits.in <== ephemeralSecret;
+
+    component sharedKey = EscalarMulAny(253);
+    for (var i = 0; i < 253; i++) {
+        sharedKey.e[i] <== ephemeralBits.out[i];
+    }
+    sharedKey.p[0] <== auditorKey[0];
+    sharedKey.p[1] <== auditorKey[1];
+
+    // Mask each field with its own Poseidon keystream element
+    signal plaintext[3];
+    plaintext[0] <== amount;
+    plaintext[1] <== recipient;
+    plaintext[2] <== memo;
+
+    component keystream[3];
+    for (var i = 0; i < 3; i++) {
+        keystream[i] = Poseidon(3);
+        keystream[i].inputs[0] <== sharedKey.out[0];
+        keystream[i].inputs[1] <== sharedKey.out[1];
+        keystream[i].inputs[2] <== i;
+        ciphertext[i] === plaintext[i] + keystream[i].out;
+    }
+}
+
+component main {public [
+    commitment,
+    recipientHash,
+    auditorKey,
+    ephemeralKey,
+    ciphertext
+]} = AuditCircuit();
@@ -12,13 +12,18 @@ include "../node_modules/circomlib/circuits/comparators.circom";
  * Public Inputs:
  * - nullifierHash: Hash of the nullifier (prevents double-spending)
  * - commitment: Commitment to the transaction
- * - recipientHash: Hash of the recipient address
+ * - recipientHash: Salted hash of the recipient, Poseidon(recipient, recipientSalt).
+ *   Without the salt anyone could hash every known address and match it.
  * - amlThreshold: Anti-Money Laundering threshold (e.g., 10,000 USD)
+ * - extDataHash: Hash of the message context (sender, destination chain,
+ *   destination and payload) computed on-chain by RaylsShield, as in privacy.circom
  *
  * Private Inputs:
  * - secret: Secret value known only to sender
  * - nullifier: Unique value to prevent replay
  * - recipient: Actual recipient address
+ * - recipientSalt: Blinding factor the sender and recipient derive from the payload
+ *   envelope's key exchange (scripts/payload-encryption.js), never published
  * - amount: Amount being transferred
  *
  * Constraints:
@@ -32,22 +37,25 @@ template ComplianceCircuit() {
     signal input commitment;
     signal input recipientHash;
     signal input amlThreshold;
+    signal input extDataHash;
 
     // Private inputs
     signal input secret;
     signal input nullifier;
     signal input recipient;
+    signal input recipientSalt;
     signal input amount;
 
     // Internal signals
     signal commitmentHash;
     signal computedNullifierHash;
     signal computedRecipientHash;
+    signal extDataSquare;
 
     // Component declarations
     component poseidon1 = Poseidon(3);
     component poseidon2 = Poseidon(1);
-    component poseidon3 = Poseidon(1);
+    component poseidon3 = Poseidon(2);
 
     // Compute commitment: Poseidon(secret, nullifier, amount)
     poseidon1.inputs[0] <== secret;
@@ -65,8 +73,9 @@ template ComplianceCircuit() {
     // Verify nullifier hash matches public input
     nullifierHash === computedNullifierHash;
 
-    // Compute recipient hash: Poseidon(recipient)
+    // Compute recipient hash: Poseidon(recipient, recipientSalt)
     poseidon3.inputs[0] <== recipient;
+    poseidon3.inputs[1] <== recipientSalt;
     computedRecipientHash <== poseidon3.out;
 
     // Verify recipient hash matches public input
@@ -87,6 +96,10 @@ template ComplianceCircuit() {
     greaterThan.in[0] <== amount;
     greaterThan.in[1] <== 0;
     greaterThan.out === 1;
+
+    // Bind the external data hash to the proof. The signal is not otherwise
+    // used, so add a constraint to keep the compiler from optimizing it away.
+    extDataSquare <== extDataHash * extDataHash;
 }
 
-component main {public [nullifierHash, commitment, recipientHash, amlThreshold]} = ComplianceCircuit();
+component main {public [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]} = ComplianceCircuit();
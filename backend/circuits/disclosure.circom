@@ -0,0 +1,118 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+
+/**
+ * @title DisclosureCircuit
+ * @notice Selective disclosure of a private message for auditors
+ * @dev Proves facts about the note behind an on-chain commitment without revealing
+ * its secret or nullifier. The commitment, nullifierHash and recipientHash are the
+ * public signals of the message's privacy or compliance proof, so an auditor can
+ * find the message on-chain; disclosureMask selects what else is revealed.
+ *
+ * Public Inputs:
+ * - commitment: Poseidon(secret, nullifier, amount) of the message
+ * - nullifierHash: Poseidon(nullifier) of the message
+ * - recipientHash: Poseidon(recipient, recipientSalt) of the message
+ * - disclosureMask: Bit 0 discloses the amount, bit 1 the recipient,
+ *   bit 2 proves minAmount <= amount <= maxAmount
+ * - disclosedAmount: The amount when bit 0 is set, else 0
+ * - disclosedRecipient: The recipient when bit 1 is set, else 0
+ * - minAmount, maxAmount: Range bounds when bit 2 is set, else 0
+ * - context: Binds the statement to one auditor and request (see scripts/disclosure.js)
+ *
+ * Private Inputs:
+ * - secret, nullifier, amount: The note behind the commitment
+ * - recipient, recipientSalt: Preimage of recipientHash
+ */
+
+template DisclosureCircuit() {
+    // Public inputs
+    signal input commitment;
+    signal input nullifierHash;
+    signal input recipientHash;
+    signal input disclosureMask;
+    signal input disclosedAmount;
+    signal input disclosedRecipient;
+    signal input minAmount;
+    signal input maxAmount;
+    signal input context;
+
+    // Private inputs
+    signal input secret;
+    signal input nullifier;
+    signal input amount;
+    signal input recipient;
+    signal input recipientSalt;
+
+    // Internal signals
+    signal contextSquare;
+
+    // The note behind the message: same hashes as privacy.circom
+    component commitmentHasher = Poseidon(3);
+    commitmentHasher.inputs[0] <== secret;
+    commitmentHasher.inputs[1] <== nullifier;
+    commitmentHasher.inputs[2] <== amount;
+    commitment === commitmentHasher.out;
+
+    component nullifierHasher = Poseidon(1);
+    nullifierHasher.inputs[0] <== nullifier;
+    nullifierHash === nullifierHasher.out;
+
+    component recipientHasher = Poseidon(2);
+    recipientHasher.inputs[0] <== recipient;
+    recipientHasher.inputs[1] <== recipientSalt;
+    recipientHash === recipientHasher.out;
+
+    // Disclosure flags
+    component mask = Num2Bits(3);
+    mask.in <== disclosureMask;
+
+    // Bit 0: disclosedAmount is the amount, otherwise 0
+    mask.out[0] * (disclosedAmount - amount) === 0;
+    (1 - mask.out[0]) * disclosedAmount === 0;
+
+    // Bit 1: disclosedRecipient is the recipient, otherwise 0
+    mask.out[1] * (disclosedRecipient - recipient) === 0;
+    (1 - mask.out[1]) * disclosedRecipient === 0;
+
+    // Bit 2: minAmount <= amount <= maxAmount, with every value in 64 bits so the
+    // comparisons cannot wrap around the field
+    component amountBits = Num2Bits(64);
+    amountBits.in <== amount;
+    component minBits = Num2Bits(64);
+    minBits.in <== minAmount;
+    component maxBits = Num2Bits(64);
+    maxBits.in <== maxAmount;
+
+    component aboveMin = LessEqThan(64);
+    aboveMin.in[0] <== minAmount;
+    aboveMin.in[1] <== amount;
+    mask.out[2] * (1 - aboveMin.out) === 0;
+
+    component belowMax = LessEqThan(64);
+    belowMax.in[0] <== amount;
+    belowMax.in[1] <== maxAmount;
+    mask.out[2] * (1 - belowMax.out) === 0;
+
+    (1 - mask.out[2]) * minAmount === 0;
+    (1 - mask.out[2]) * maxAmount === 0;
+
+    // Bind the context to the proof. The signal is not otherwise used, so add a
+    // constraint to keep the compiler from optimizing it away.
+    contextSquare <== context * context;
+}
+
+component main {public [
+    commitment,
+    nullifierHash,
+    recipientHash,
+    disclosureMask,
+    disclosedAmount,
+    disclosedRecipient,
+    minAmount,
+    maxAmount,
+    context
+]} = DisclosureCircuit();
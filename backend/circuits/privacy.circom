@@ -11,12 +11,18 @@ include "../node_modules/circomlib/circuits/bitify.circom";
  * Public Inputs:
  * - nullifierHash: Hash of the nullifier (prevents double-spending)
  * - commitment: Commitment to the message
- * - recipientHash: Hash of the recipient address
+ * - recipientHash: Salted hash of the recipient, Poseidon(recipient, recipientSalt).
+ *   Without the salt anyone could hash every known address and match it.
+ * - extDataHash: Hash of the message context (sender, destination chain,
+ *   destination and payload) computed on-chain by RaylsShield. Binding it to
+ *   the proof stops a copied proof from being replayed in another message.
  *
  * Private Inputs:
  * - secret: Secret value known only to sender
  * - nullifier: Unique value to prevent replay
  * - recipient: Actual recipient address
+ * - recipientSalt: Blinding factor the sender and recipient derive from the payload
+ *   envelope's key exchange (scripts/payload-encryption.js), never published
  * - amount: Amount being transferred (if applicable)
  */
 
@@ -25,22 +31,25 @@ template PrivacyCircuit() {
     signal input nullifierHash;
     signal input commitment;
     signal input recipientHash;
+    signal input extDataHash;
 
     // Private inputs
     signal input secret;
     signal input nullifier;
     signal input recipient;
+    signal input recipientSalt;
     signal input amount;
 
     // Internal signals
     signal commitmentHash;
     signal computedNullifierHash;
     signal computedRecipientHash;
+    signal extDataSquare;
 
     // Component declarations
     component poseidon1 = Poseidon(3);
     component poseidon2 = Poseidon(1);
-    component poseidon3 = Poseidon(1);
+    component poseidon3 = Poseidon(2);
 
     // Compute commitment: Poseidon(secret, nullifier, amount)
     poseidon1.inputs[0] <== secret;
@@ -58,8 +67,9 @@ template PrivacyCircuit() {
     // Verify nullifier hash matches public input
     nullifierHash === computedNullifierHash;
 
-    // Compute recipient hash: Poseidon(recipient)
+    // Compute recipient hash: Poseidon(recipient, recipientSalt)
     poseidon3.inputs[0] <== recipient;
+    poseidon3.inputs[1] <== recipientSalt;
     computedRecipientHash <== poseidon3.out;
 
     // Verify recipient hash matches public input
@@ -68,6 +78,10 @@ template PrivacyCircuit() {
     // Constraint: amount must be non-negative (simplified range check)
     component amountBits = Num2Bits(64);
     amountBits.in <== amount;
+
+    // Bind the external data hash to the proof. The signal is not otherwise
+    // used, so add a constraint to keep the compiler from optimizing it away.
+    extDataSquare <== extDataHash * extDataHash;
 }
 
-component main {public [nullifierHash, commitment, recipientHash]} = PrivacyCircuit();
+component main {public [nullifierHash, commitment, recipientHash, extDataHash]} = PrivacyCircuit();
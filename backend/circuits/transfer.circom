@@ -0,0 +1,106 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "./merkleTree.circom";
+
+/**
+ * @title TransferCircuit
+ * @notice Zero-Knowledge circuit for spending a shielded pool note
+ * @dev Proves ownership of a note in the commitment tree and splits its value
+ * into a public withdrawal and a new (hidden) output note. A private transfer
+ * uses publicAmount = 0; a withdrawal keeps any change in the output note.
+ *
+ * Notes follow the existing circuits: commitment = Poseidon(secret, nullifier, amount).
+ * The tree leaf is Poseidon(commitment, amount) so that RaylsShield.deposit can
+ * bind the leaf to msg.value without learning the note secrets.
+ *
+ * Public Inputs:
+ * - root: Merkle root the note is proven against (must be in the on-chain root history)
+ * - nullifierHash: Hash of the spent note's nullifier (prevents double-spending)
+ * - outLeaf: Leaf of the new output note, inserted into the tree on-chain
+ * - publicAmount: Amount released from the pool (0 for a private transfer)
+ * - extDataHash: Hash of the call context computed on-chain by RaylsShield
+ *
+ * Private Inputs:
+ * - secret, nullifier, amount: The note being spent
+ * - pathElements, pathIndices: Merkle path of the note's leaf
+ * - outSecret, outNullifier, outAmount: The output note
+ *
+ * Constraints:
+ * - amount == publicAmount + outAmount (value is conserved)
+ * - all amounts fit in 128 bits (no field wrap-around)
+ */
+
+template TransferCircuit(levels) {
+    // Public inputs
+    signal input root;
+    signal input nullifierHash;
+    signal input outLeaf;
+    signal input publicAmount;
+    signal input extDataHash;
+
+    // Private inputs
+    signal input secret;
+    signal input nullifier;
+    signal input amount;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+    signal input outSecret;
+    signal input outNullifier;
+    signal input outAmount;
+
+    // Internal signals
+    signal extDataSquare;
+
+    // Compute the spent note's leaf: Poseidon(Poseidon(secret, nullifier, amount), amount)
+    component commitmentHasher = Poseidon(3);
+    commitmentHasher.inputs[0] <== secret;
+    commitmentHasher.inputs[1] <== nullifier;
+    commitmentHasher.inputs[2] <== amount;
+
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== commitmentHasher.out;
+    leafHasher.inputs[1] <== amount;
+
+    // Verify the leaf is in the tree
+    component tree = MerkleTreeChecker(levels);
+    tree.leaf <== leafHasher.out;
+    tree.root <== root;
+    for (var i = 0; i < levels; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+
+    // Verify nullifier hash matches public input
+    component nullifierHasher = Poseidon(1);
+    nullifierHasher.inputs[0] <== nullifier;
+    nullifierHash === nullifierHasher.out;
+
+    // Compute the output note's leaf and verify it matches public input
+    component outCommitmentHasher = Poseidon(3);
+    outCommitmentHasher.inputs[0] <== outSecret;
+    outCommitmentHasher.inputs[1] <== outNullifier;
+    outCommitmentHasher.inputs[2] <== outAmount;
+
+    component outLeafHasher = Poseidon(2);
+    outLeafHasher.inputs[0] <== outCommitmentHasher.out;
+    outLeafHasher.inputs[1] <== outAmount;
+    outLeaf === outLeafHasher.out;
+
+    // Range checks so the balance equation cannot wrap around the field
+    component amountBits = Num2Bits(128);
+    amountBits.in <== amount;
+    component outAmountBits = Num2Bits(128);
+    outAmountBits.in <== outAmount;
+    component publicAmountBits = Num2Bits(128);
+    publicAmountBits.in <== publicAmount;
+
+    // Value conservation
+    amount === publicAmount + outAmount;
+
+    // Bind the external data hash to the proof
+    extDataSquare <== extDataHash * extDataHash;
+}
+
+component main {public [root, nullifierHash, outLeaf, publicAmount, extDataHash]} = TransferCircuit(20);
@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ShieldActionHandler.sol";
+
+/**
+ * @title ActionDispatcher
+ * @notice Executes the typed action a message delivered to a RaylsShield may carry
+ * @dev Each RaylsShield deploys its own dispatcher in its constructor, owned by the
+ * shield's deployer, and hands it every delivered payload. Keeping it a separate
+ * contract keeps RaylsShield under the contract size limit.
+ *
+ * A payload is an action envelope when it starts with ACTION_ENVELOPE_MAGIC:
+ *
+ *   ACTION_ENVELOPE_MAGIC || abi.encode(bytes32 actionType, bytes data, bytes ciphertext)
+ *
+ * The action type and data are public on the destination chain, and the ciphertext is an
+ * optional ECIES envelope for the recipient (scripts/actions.js builds both). Any other
+ * payload is a plain encrypted message and dispatches nothing.
+ *
+ * Each action type runs on the handler the owner allow-listed for it. A failed action
+ * does not revert the delivery: the handler's changes are rolled back, the action is
+ * stored by message ID and anyone can replay it later, e.g. once the owner has set a
+ * handler or funded one. Privacy proofs do not show where the sender's funds came from,
+ * so any sender can trigger any action; handlers must only do what is safe for anyone.
+ */
+contract ActionDispatcher is Ownable, ReentrancyGuard {
+    // Prefix of action envelopes; ECIES envelopes start with their version byte (0x01)
+    bytes4 public constant ACTION_ENVELOPE_MAGIC =
+        bytes4(keccak256("RaylsShieldActionEnvelope(bytes32,bytes,bytes)"));
+
+    // Standard action types
+    bytes32 public constant TOKEN_TRANSFER_ACTION = keccak256("tokenTransfer");
+    bytes32 public constant CONTRACT_CALL_ACTION = keccak256("contractCall");
+    bytes32 public constant ATTESTATION_ACTION = keccak256("attestation");
+
+    // Gas kept back from the handler, so a failure can still be recorded
+    uint256 public constant ACTION_GAS_RESERVE = 60_000;
+
+    // RaylsShield whose deliveries this dispatcher executes
+    address public immutable shield;
+
+    // Allow-listed handler of each action type
+    mapping(bytes32 => address) public actionHandlers;
+
+    // Failed actions by message ID, as keccak256(abi.encode(srcChainId, actionType, data))
+    mapping(bytes32 => bytes32) public failedActions;
+
+    event ActionHandlerUpdated(bytes32 indexed actionType, address indexed oldHandler, address indexed newHandler);
+
+    event ActionExecuted(bytes32 indexed messageId, bytes32 indexed actionType, address indexed handler);
+
+    /**
+     * @notice Emitted when an action cannot run; data is what replayAction needs
+     * @dev reason is the handler's revert data, or an Error(string) from the dispatcher
+     */
+    event ActionFailed(
+        bytes32 indexed messageId,
+        bytes32 indexed actionType,
+        uint256 srcChainId,
+        bytes data,
+        bytes reason
+    );
+
+    /**
+     * @param _shield RaylsShield that hands over delivered payloads
+     * @param _owner Account that allow-lists handlers
+     */
+    constructor(address _shield, address _owner) Ownable(_owner) {
+        require(_shield != address(0), "ActionDispatcher: Invalid shield");
+        shield = _shield;
+    }
+
+    /**
+     * @notice Allow-list a handler for an action type
+     * @param _actionType Action type, e.g. TOKEN_TRANSFER_ACTION
+     * @param _handler IShieldActionHandler contract (address(0) removes the handler)
+     */
+    function setActionHandler(bytes32 _actionType, address _handler) external onlyOwner {
+        require(_actionType != bytes32(0), "ActionDispatcher: Invalid action type");
+        require(_handler == address(0) || _handler.code.length > 0, "ActionDispatcher: Handler has no code");
+
+        address oldHandler = actionHandlers[_actionType];
+        actionHandlers[_actionType] = _handler;
+
+        emit ActionHandlerUpdated(_actionType, oldHandler, _handler);
+    }
+
+    /**
+     * @notice Run a failed action again with the current handler of its type
+     * @param _messageId Message ID the action was delivered in
+     * @param _srcChainId Source chain ID, from ActionFailed
+     * @param _actionType Action type, from ActionFailed
+     * @param _data Action data, from ActionFailed
+     * @dev Reverts with the handler's reason if it fails again; the record is kept
+     */
+    function replayAction(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _actionType,
+        bytes calldata _data
+    ) external nonReentrant {
+        bytes32 record = failedActions[_messageId];
+        require(record != bytes32(0), "ActionDispatcher: No failed action");
+        require(record == _actionHash(_srcChainId, _actionType, _data), "ActionDispatcher: Action mismatch");
+
+        address handler = actionHandlers[_actionType];
+        require(handler != address(0), "ActionDispatcher: No handler for action");
+
+        delete failedActions[_messageId];
+        IShieldActionHandler(handler).executeAction(_messageId, _srcChainId, _actionType, _data);
+
+        emit ActionExecuted(_messageId, _actionType, handler);
+    }
+
+    /**
+     * @notice Decode an action envelope
+     * @param _payload Delivered payload
+     * @return isAction False for payloads without ACTION_ENVELOPE_MAGIC
+     * @return actionType Action type
+     * @return data Action data
+     * @return ciphertext Encrypted part for the recipient (may be empty)
+     * @dev Reverts on an envelope that is not valid ABI
+     */
+    function decodeActionEnvelope(bytes calldata _payload)
+        public
+        pure
+        returns (bool isAction, bytes32 actionType, bytes memory data, bytes memory ciphertext)
+    {
+        if (!_isActionEnvelope(_payload)) {
+            return (false, bytes32(0), "", "");
+        }
+        (actionType, data, ciphertext) = abi.decode(_payload[4:], (bytes32, bytes, bytes));
+        isAction = true;
+    }
+
+    /**
+     * @notice Execute the action of a delivered payload, recording it if it fails
+     * @param _payload Delivered payload
+     * @param _srcChainId Source chain ID
+     * @param _messageId Rayls message ID of the delivery
+     * @dev Only the shield, once it has verified the delivery. Never reverts for a
+     * failing action.
+     */
+    function dispatchAction(bytes calldata _payload, uint256 _srcChainId, bytes32 _messageId) external nonReentrant {
+        require(msg.sender == shield, "ActionDispatcher: Caller is not the shield");
+        if (!_isActionEnvelope(_payload)) {
+            return;
+        }
+
+        bytes32 actionType;
+        bytes memory data;
+        try this.decodeActionEnvelope(_payload) returns (
+            bool,
+            bytes32 decodedType,
+            bytes memory decodedData,
+            bytes memory
+        ) {
+            actionType = decodedType;
+            data = decodedData;
+        } catch {
+            // Can never run, so nothing is stored for replay
+            emit ActionFailed(
+                _messageId,
+                bytes32(0),
+                _srcChainId,
+                "",
+                _errorReason("ActionDispatcher: Malformed envelope")
+            );
+            return;
+        }
+
+        address handler = actionHandlers[actionType];
+        if (handler == address(0)) {
+            _recordFailure(
+                _messageId,
+                _srcChainId,
+                actionType,
+                data,
+                _errorReason("ActionDispatcher: No handler for action")
+            );
+            return;
+        }
+
+        uint256 available = gasleft();
+        uint256 gasLimit = available > ACTION_GAS_RESERVE ? available - ACTION_GAS_RESERVE : 0;
+        try IShieldActionHandler(handler).executeAction{gas: gasLimit}(_messageId, _srcChainId, actionType, data) {
+            emit ActionExecuted(_messageId, actionType, handler);
+        } catch (bytes memory reason) {
+            _recordFailure(_messageId, _srcChainId, actionType, data, reason);
+        }
+    }
+
+    function _recordFailure(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _actionType,
+        bytes memory _data,
+        bytes memory _reason
+    ) private {
+        failedActions[_messageId] = _actionHash(_srcChainId, _actionType, _data);
+        emit ActionFailed(_messageId, _actionType, _srcChainId, _data, _reason);
+    }
+
+    function _actionHash(uint256 _srcChainId, bytes32 _actionType, bytes memory _data) private pure returns (bytes32) {
+        return keccak256(abi.encode(_srcChainId, _actionType, _data));
+    }
+
+    function _isActionEnvelope(bytes calldata _payload) private pure returns (bool) {
+        return _payload.length >= 4 && bytes4(_payload[:4]) == ACTION_ENVELOPE_MAGIC;
+    }
+
+    function _errorReason(string memory _message) private pure returns (bytes memory) {
+        return abi.encodeWithSignature("Error(string)", _message);
+    }
+}
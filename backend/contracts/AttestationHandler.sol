@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ShieldActionHandler.sol";
+
+/**
+ * @title AttestationHandler
+ * @notice Handler for ATTESTATION_ACTION: records a digest about a subject
+ * @dev Action data is abi.encode(bytes32 subject, bytes32 digest). Records are kept per
+ * subject and message, so no sender can claim a subject or overwrite another message's
+ * record. Readers find a subject's records through AttestationRecorded and choose which
+ * messages to trust.
+ */
+contract AttestationHandler is ShieldActionHandler {
+    struct Attestation {
+        bytes32 digest;
+        uint256 srcChainId;
+        uint256 timestamp;
+    }
+
+    // Attestation of each subject, by the message that made it
+    mapping(bytes32 => mapping(bytes32 => Attestation)) public attestations;
+
+    event AttestationRecorded(bytes32 indexed subject, bytes32 digest, uint256 srcChainId, bytes32 indexed messageId);
+
+    constructor(address _dispatcher) ShieldActionHandler(_dispatcher) {}
+
+    function _execute(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32,
+        bytes calldata _data
+    ) internal override {
+        (bytes32 subject, bytes32 digest) = abi.decode(_data, (bytes32, bytes32));
+
+        attestations[subject][_messageId] = Attestation(digest, _srcChainId, block.timestamp);
+
+        emit AttestationRecorded(subject, digest, _srcChainId, _messageId);
+    }
+}
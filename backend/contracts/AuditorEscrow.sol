@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./VerifierRegistry.sol";
+
+/**
+ * @title AuditorEscrow
+ * @notice Owner-managed auditor key that compliant messages are escrowed to
+ * @dev While an auditor key is set, every compliant send carries an audit.circom proof:
+ * a ciphertext of the message's amount, recipient and memo under the auditor's Baby Jubjub
+ * key, proven to match the message's commitment and recipientHash. The ciphertext is
+ * published in AuditRecord, so only the auditor's private key can read it.
+ * Derived contracts register the audit.circom verifier under AUDIT_CIRCUIT, through the
+ * verifier timelock, before a key can be set.
+ */
+abstract contract AuditorEscrow is VerifierRegistry {
+    // Verifier registry ID of audit.circom
+    bytes32 public constant AUDIT_CIRCUIT = keccak256("audit");
+
+    // Public signals of audit.circom
+    uint256 internal constant AUDIT_PUBLIC_SIGNALS = 9;
+
+    // Baby Jubjub in twisted Edwards form (a x^2 + y^2 = 1 + d x^2 y^2), over the BN254 scalar field
+    uint256 private constant BABYJUB_P =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 private constant BABYJUB_A = 168700;
+    uint256 private constant BABYJUB_D = 168696;
+
+    // An audit.circom proof
+    struct AuditProof {
+        uint256[2] pA;
+        uint256[2][2] pB;
+        uint256[2] pC;
+        // [commitment, recipientHash, auditorKey[2], ephemeralKey[2], ciphertext[3]]
+        uint256[9] publicSignals;
+    }
+
+    // Auditor's Baby Jubjub public key; [0, 0] while escrow is off
+    uint256[2] internal auditorPublicKey;
+
+    event AuditorKeyUpdated(uint256[2] oldKey, uint256[2] newKey);
+
+    /**
+     * @notice Escrowed details of a sent message
+     * @param messageHash messageHash of the PrivateMessageSent it belongs to
+     * @param auditorKey Auditor key the ciphertext is for
+     * @param ephemeralKey Sender's one-time public key
+     * @param ciphertext Encrypted [amount, recipient, memo]
+     */
+    event AuditRecord(
+        bytes32 indexed messageHash,
+        uint256[2] auditorKey,
+        uint256[2] ephemeralKey,
+        uint256[3] ciphertext
+    );
+
+    /**
+     * @notice Set the auditor key compliant sends are escrowed to
+     * @param _key Baby Jubjub public key, or [0, 0] to turn escrow off
+     * @dev The key must be on the curve. That it is in the prime-order subgroup is not
+     * checked here; use a key from `npm run auditor -- keygen`, which checks it.
+     * Records already published stay readable only with the old key.
+     */
+    function setAuditorKey(uint256[2] calldata _key) external onlyOwner {
+        if (_key[0] != 0 || _key[1] != 0) {
+            require(verifiers[AUDIT_CIRCUIT].verifier != address(0), "RaylsShield: No audit verifier");
+            require(_key[0] != 0 && _isOnCurve(_key[0], _key[1]), "RaylsShield: Invalid auditor key");
+        }
+
+        uint256[2] memory oldKey = auditorPublicKey;
+        auditorPublicKey = _key;
+
+        emit AuditorKeyUpdated(oldKey, _key);
+    }
+
+    /**
+     * @notice Current auditor key
+     * @return Baby Jubjub public key, [0, 0] while escrow is off
+     */
+    function auditorKey() external view returns (uint256[2] memory) {
+        return auditorPublicKey;
+    }
+
+    /**
+     * @notice True while compliant sends must be escrowed
+     */
+    function _escrowEnabled() internal view returns (bool) {
+        return auditorPublicKey[0] != 0;
+    }
+
+    /**
+     * @notice Check an audit proof for a message's commitment and recipientHash
+     * @param _commitment Commitment from the message's proof
+     * @param _recipientHash recipientHash from the message's proof
+     * @param _audit Audit proof
+     */
+    function _verifyAuditProof(uint256 _commitment, uint256 _recipientHash, AuditProof calldata _audit) internal view {
+        require(_escrowEnabled(), "RaylsShield: No auditor key");
+        // The proof must be for this message and the current auditor key
+        require(
+            _audit.publicSignals[0] == _commitment &&
+                _audit.publicSignals[1] == _recipientHash &&
+                _audit.publicSignals[2] == auditorPublicKey[0] &&
+                _audit.publicSignals[3] == auditorPublicKey[1],
+            "RaylsShield: Audit proof mismatch"
+        );
+
+        uint256[] memory signals = new uint256[](AUDIT_PUBLIC_SIGNALS);
+        for (uint256 i = 0; i < AUDIT_PUBLIC_SIGNALS; i++) {
+            signals[i] = _audit.publicSignals[i];
+        }
+        require(_verifyProof(AUDIT_CIRCUIT, _audit.pA, _audit.pB, _audit.pC, signals), "RaylsShield: Invalid audit proof");
+    }
+
+    /**
+     * @notice Publish the escrowed details of a sent message
+     * @param _messageHash messageHash of the message
+     * @param _audit Audit proof checked with _verifyAuditProof
+     */
+    function _emitAuditRecord(bytes32 _messageHash, AuditProof calldata _audit) internal {
+        uint256[9] calldata signals = _audit.publicSignals;
+        emit AuditRecord(
+            _messageHash,
+            [signals[2], signals[3]],
+            [signals[4], signals[5]],
+            [signals[6], signals[7], signals[8]]
+        );
+    }
+
+    function _isOnCurve(uint256 _x, uint256 _y) private pure returns (bool) {
+        if (_x >= BABYJUB_P || _y >= BABYJUB_P) {
+            return false;
+        }
+        uint256 xx = mulmod(_x, _x, BABYJUB_P);
+        uint256 yy = mulmod(_y, _y, BABYJUB_P);
+        uint256 left = addmod(mulmod(BABYJUB_A, xx, BABYJUB_P), yy, BABYJUB_P);
+        uint256 right = addmod(1, mulmod(BABYJUB_D, mulmod(xx, yy, BABYJUB_P), BABYJUB_P), BABYJUB_P);
+        return left == right;
+    }
+}
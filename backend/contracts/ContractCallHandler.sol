@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ShieldActionHandler.sol";
+
+/**
+ * @title ContractCallHandler
+ * @notice Handler for CONTRACT_CALL_ACTION: calls an owner-approved target
+ * @dev Action data is abi.encode(address target, bytes callData). Calls carry no value
+ * and come from this handler, so targets can trust msg.sender == handler to mean "a
+ * RaylsShield message" but learn nothing about who sent it.
+ */
+contract ContractCallHandler is ShieldActionHandler, Ownable {
+    // Contracts actions may call
+    mapping(address => bool) public allowedTargets;
+
+    event TargetUpdated(address indexed target, bool allowed);
+
+    event CallExecuted(bytes32 indexed messageId, address indexed target, bytes4 selector);
+
+    constructor(address _dispatcher) ShieldActionHandler(_dispatcher) Ownable(msg.sender) {}
+
+    /**
+     * @notice Allow or forbid a call target
+     * @param _target Contract address
+     * @param _allowed True to allow calls
+     */
+    function setAllowedTarget(address _target, bool _allowed) external onlyOwner {
+        require(_target != address(0), "ContractCallHandler: Invalid target");
+        allowedTargets[_target] = _allowed;
+
+        emit TargetUpdated(_target, _allowed);
+    }
+
+    function _execute(
+        bytes32 _messageId,
+        uint256,
+        bytes32,
+        bytes calldata _data
+    ) internal override {
+        (address target, bytes memory callData) = abi.decode(_data, (address, bytes));
+        require(allowedTargets[target], "ContractCallHandler: Target not allowed");
+
+        (bool success, bytes memory result) = target.call(callData);
+        if (!success) {
+            // Bubble the target's revert reason up to ActionFailed
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit CallExecuted(_messageId, target, bytes4(callData));
+    }
+}
@@ -2,12 +2,14 @@
 pragma solidity ^0.8.20;
 
 /**
- * @title Groth16Verifier
- * @notice Verifier contract for Groth16 ZK proofs
- * @dev This is a template that will be generated by snarkjs after circuit compilation
- * The actual verifier will be generated based on your specific circuit
+ * @title Groth16VerifierPlaceholder
+ * @notice Stand-in for a snarkjs Groth16 verifier that accepts EVERY proof
+ * @dev Never deploy this as a verifier. It has the interface of the privacy.circom
+ * verifier so the guards can be tested against it: RaylsShield's verifier self-test
+ * rejects it, and so do scripts/deploy.js and `npm run verify:deployment`. The
+ * real verifiers are generated by snarkjs after circuit compilation.
  */
-contract Groth16Verifier {
+contract Groth16VerifierPlaceholder {
     // Pairing library (simplified - will be generated by snarkjs)
 
     struct VerifyingKey {
@@ -26,13 +28,17 @@ contract Groth16Verifier {
 
     /**
      * @notice Verify a ZK proof
-     * @param proof The proof data (a, b, c points)
-     * @param input Public inputs to the circuit
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _pubSignals Public inputs to the circuit
      * @return r True if the proof is valid
      */
     function verifyProof(
-        bytes memory proof,
-        uint256[] memory input
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[4] calldata _pubSignals
     ) public view returns (bool r) {
         // This is a placeholder
         // The actual verifier will be generated by:
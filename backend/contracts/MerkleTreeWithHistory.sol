@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @notice Poseidon hasher deployed from circomlibjs' poseidon_gencontract (2 inputs)
+ */
+interface IHasher {
+    function poseidon(uint256[2] calldata _inputs) external pure returns (uint256);
+}
+
+/**
+ * @title MerkleTreeWithHistory
+ * @notice Incremental Poseidon Merkle tree that keeps a history of recent roots
+ * @dev Proofs are generated against a root that may be a few insertions old, so
+ * the last ROOT_HISTORY_SIZE roots are all accepted. Hashing must match
+ * circuits/merkleTree.circom and scripts/merkle-tree.js.
+ */
+abstract contract MerkleTreeWithHistory {
+    // BN254 scalar field size; public signals must be reduced modulo this value
+    uint256 public constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    // Value of an empty leaf: keccak256("rayls-shield") % SNARK_SCALAR_FIELD
+    uint256 public constant ZERO_VALUE = uint256(keccak256("rayls-shield")) % SNARK_SCALAR_FIELD;
+
+    // Number of recent roots accepted by isKnownRoot
+    uint32 public constant ROOT_HISTORY_SIZE = 30;
+
+    // Poseidon hasher contract
+    IHasher public immutable hasher;
+
+    // Depth of the tree
+    uint32 public immutable levels;
+
+    // Rightmost filled node at each level, used for incremental insertion
+    mapping(uint256 => bytes32) public filledSubtrees;
+
+    // Root of an empty subtree at each level
+    mapping(uint256 => bytes32) public zeros;
+
+    // Circular buffer of recent roots
+    mapping(uint256 => bytes32) public roots;
+    uint32 public currentRootIndex;
+
+    // Index of the next leaf to be inserted
+    uint32 public nextIndex;
+
+    /**
+     * @notice Initialize an empty tree
+     * @param _levels Depth of the tree
+     * @param _hasher Address of the Poseidon hasher contract
+     */
+    constructor(uint32 _levels, address _hasher) {
+        require(_levels > 0 && _levels < 32, "MerkleTree: Invalid levels");
+        require(_hasher != address(0), "MerkleTree: Invalid hasher address");
+
+        levels = _levels;
+        hasher = IHasher(_hasher);
+
+        bytes32 currentZero = bytes32(ZERO_VALUE);
+        for (uint32 i = 0; i < _levels; i++) {
+            zeros[i] = currentZero;
+            filledSubtrees[i] = currentZero;
+            currentZero = hashLeftRight(currentZero, currentZero);
+        }
+
+        roots[0] = currentZero;
+    }
+
+    /**
+     * @notice Hash two tree nodes
+     * @param _left Left node
+     * @param _right Right node
+     * @return Poseidon(_left, _right)
+     */
+    function hashLeftRight(bytes32 _left, bytes32 _right) public view returns (bytes32) {
+        require(uint256(_left) < SNARK_SCALAR_FIELD, "MerkleTree: Left should be inside the field");
+        require(uint256(_right) < SNARK_SCALAR_FIELD, "MerkleTree: Right should be inside the field");
+
+        return bytes32(hasher.poseidon([uint256(_left), uint256(_right)]));
+    }
+
+    /**
+     * @notice Insert a leaf and record the new root
+     * @param _leaf Leaf to insert
+     * @return index Position of the inserted leaf
+     */
+    function _insert(bytes32 _leaf) internal returns (uint32 index) {
+        uint32 _nextIndex = nextIndex;
+        require(_nextIndex != uint32(2) ** levels, "MerkleTree: Tree is full");
+
+        uint32 currentIndex = _nextIndex;
+        bytes32 currentLevelHash = _leaf;
+        bytes32 left;
+        bytes32 right;
+
+        for (uint32 i = 0; i < levels; i++) {
+            if (currentIndex % 2 == 0) {
+                left = currentLevelHash;
+                right = zeros[i];
+                filledSubtrees[i] = currentLevelHash;
+            } else {
+                left = filledSubtrees[i];
+                right = currentLevelHash;
+            }
+            currentLevelHash = hashLeftRight(left, right);
+            currentIndex /= 2;
+        }
+
+        uint32 newRootIndex = (currentRootIndex + 1) % ROOT_HISTORY_SIZE;
+        currentRootIndex = newRootIndex;
+        roots[newRootIndex] = currentLevelHash;
+        nextIndex = _nextIndex + 1;
+
+        return _nextIndex;
+    }
+
+    /**
+     * @notice Check whether a root is in the recent root history
+     * @param _root Root to check
+     * @return bool True if the root is one of the last ROOT_HISTORY_SIZE roots
+     */
+    function isKnownRoot(bytes32 _root) public view returns (bool) {
+        if (_root == 0) {
+            return false;
+        }
+
+        uint32 _currentRootIndex = currentRootIndex;
+        uint32 i = _currentRootIndex;
+        do {
+            if (_root == roots[i]) {
+                return true;
+            }
+            if (i == 0) {
+                i = ROOT_HISTORY_SIZE;
+            }
+            i--;
+        } while (i != _currentRootIndex);
+
+        return false;
+    }
+
+    /**
+     * @notice Get the most recent root
+     * @return bytes32 Current root of the tree
+     */
+    function getLastRoot() public view returns (bytes32) {
+        return roots[currentRootIndex];
+    }
+}
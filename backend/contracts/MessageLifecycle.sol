@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MessageLifecycle
+ * @notice Status bookkeeping for private messages on both ends of a delivery
+ * @dev The source chain tracks a message by the messageHash of PrivateMessageSent: Sent,
+ * then Refunded if the destination reports it expired. messageHash is a deterministic ID
+ * derived from this shield and the sender's message nonce (computeMessageHash), so it is
+ * known before the send is mined. The destination chain tracks it by the Rayls
+ * message ID it was delivered under: Delivered, or Failed with a hash of the delivery
+ * stored for retryMessage. Every message carries a deadline after which the destination
+ * refuses it. Only the destination can report a message expired, once its own clock is
+ * past the deadline and the nullifier is unspent there, so the source never refunds a
+ * message that was delivered.
+ */
+abstract contract MessageLifecycle {
+    enum MessageStatus {
+        None,
+        Sent,
+        Delivered,
+        Failed,
+        Refunded
+    }
+
+    // A message sent from this chain
+    struct SentMessage {
+        address sender;
+        uint64 deadline;
+        bool toResource;
+        uint256 dstChainId;
+        bytes32 destination; // Left-padded address, or resourceId when toResource
+        bytes32 nullifierHash;
+        bytes32 payloadHash; // keccak256 of the encrypted payload
+    }
+
+    // Time a message has to arrive before the destination refuses it. Longer than
+    // VERIFIER_UPDATE_DELAY, so deliveries failed by a bad verifier can be retried once it is replaced
+    uint256 public constant MESSAGE_TIMEOUT = 7 days;
+
+    // Status of each message, by messageHash (sent) or Rayls message ID (received)
+    mapping(bytes32 => MessageStatus) internal messageStatus;
+
+    // Messages sent from this chain, by messageHash
+    mapping(bytes32 => SentMessage) public sentMessages;
+
+    // Number of messages each sender has sent from this chain; the next one uses this nonce
+    mapping(address => uint256) public messageNonces;
+
+    // Failed deliveries by Rayls message ID, as hashed by RaylsShield._deliveryHash
+    mapping(bytes32 => bytes32) public failedMessages;
+
+    event MessageStatusUpdated(bytes32 indexed messageId, MessageStatus indexed status);
+
+    /**
+     * @notice Emitted when a delivered message cannot be processed
+     * @dev The rest of what retryMessage needs is in the delivered payload
+     */
+    event MessageDeliveryFailed(bytes32 indexed messageId, uint256 srcChainId, bytes32 circuitId, string reason);
+
+    /**
+     * @notice Get the status of a message
+     * @param _messageId messageHash on the source chain, Rayls message ID on the destination
+     * @return Status (None for messages this chain has not seen)
+     */
+    function getMessageStatus(bytes32 _messageId) external view returns (MessageStatus) {
+        return messageStatus[_messageId];
+    }
+
+    /**
+     * @notice Compute the messageHash of a sender's message
+     * @param _sender Message sender
+     * @param _nonce Sender's message nonce (messageNonces before the send)
+     * @return messageHash keccak256(abi.encode(chainId, shield, sender, nonce))
+     */
+    function computeMessageHash(address _sender, uint256 _nonce) public view returns (bytes32) {
+        return keccak256(abi.encode(block.chainid, address(this), _sender, _nonce));
+    }
+
+    /**
+     * @notice Record a message sent from this chain under the sender's next nonce
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination address (left-padded) or resourceId
+     * @param _toResource True when _destination is a resourceId
+     * @param _nullifierHash Nullifier spent by the message
+     * @param _payloadHash keccak256 of the encrypted payload
+     * @return messageHash ID of the message
+     * @return deadline Last timestamp the destination accepts the message at
+     */
+    function _markSent(
+        uint256 _dstChainId,
+        bytes32 _destination,
+        bool _toResource,
+        bytes32 _nullifierHash,
+        bytes32 _payloadHash
+    ) internal returns (bytes32 messageHash, uint64 deadline) {
+        messageHash = computeMessageHash(msg.sender, messageNonces[msg.sender]++);
+        deadline = uint64(block.timestamp + MESSAGE_TIMEOUT);
+        sentMessages[messageHash] = SentMessage(
+            msg.sender,
+            deadline,
+            _toResource,
+            _dstChainId,
+            _destination,
+            _nullifierHash,
+            _payloadHash
+        );
+        _setStatus(messageHash, MessageStatus.Sent);
+    }
+
+    /**
+     * @notice Store a delivery that could not be processed, for retryMessage
+     * @param _messageId Rayls message ID
+     * @param _srcChainId Source chain ID
+     * @param _circuitId Circuit of the message's proof
+     * @param _deliveryHash Hash of the delivered message
+     * @param _reason Why it could not be processed
+     */
+    function _markFailed(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _circuitId,
+        bytes32 _deliveryHash,
+        string memory _reason
+    ) internal {
+        failedMessages[_messageId] = _deliveryHash;
+        _setStatus(_messageId, MessageStatus.Failed);
+        emit MessageDeliveryFailed(_messageId, _srcChainId, _circuitId, _reason);
+    }
+
+    function _setStatus(bytes32 _messageId, MessageStatus _status) internal {
+        messageStatus[_messageId] = _status;
+        emit MessageStatusUpdated(_messageId, _status);
+    }
+}
@@ -1,34 +1,87 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
+
 /**
  * @title MockRaylsEndpoint
  * @notice Mock implementation of Rayls Endpoint for local testing
- * @dev Use this for testing before deploying to actual Rayls network
+ * @dev Use this for testing before deploying to actual Rayls network.
+ * Simulates the parts of the endpoint RaylsApp relies on: per-chain nonces, unique
+ * message IDs, fees, and delivery by trusted executors through execute(), which
+ * appends the source chain ID and message ID to the destination call the way
+ * RaylsApp's _getFromChainIdOnReceiveMethod / _getMessageIdOnReceiveMethod read them.
  */
-contract MockRaylsEndpoint {
+contract MockRaylsEndpoint is Ownable {
     mapping(bytes32 => address) public resourceIds;
-    address[] public trustedExecutors;
+    mapping(address => bool) private trustedExecutors;
+
+    // Fee charged per outgoing message, in native currency
+    uint256 public fee;
+
+    // Messages sent to each destination chain
+    mapping(uint256 => uint256) private outboundNonces;
+
+    // Messages delivered from each source chain
+    mapping(uint256 => uint256) private inboundNonces;
+
+    // Delivered message IDs, so a message cannot be executed twice
+    mapping(bytes32 => bool) public executedMessages;
+
+    event MessageSent(
+        bytes32 indexed messageId,
+        uint256 dstChainId,
+        uint256 nonce,
+        address destination,
+        bytes payload
+    );
+    event MessageSentToResource(
+        bytes32 indexed messageId,
+        uint256 dstChainId,
+        uint256 nonce,
+        bytes32 resourceId,
+        bytes payload
+    );
+    event MessageExecuted(bytes32 indexed messageId, uint256 srcChainId, uint256 nonce, address destination);
+    event MessageFailed(bytes32 indexed messageId, uint256 srcChainId, address destination, bytes reason);
+    event TrustedExecutorUpdated(address indexed executor, bool trusted);
+    event FeeUpdated(uint256 oldFee, uint256 newFee);
+
+    modifier onlyTrustedExecutor() {
+        require(trustedExecutors[msg.sender], "MockRaylsEndpoint: Caller is not a trusted executor");
+        _;
+    }
 
-    event MessageSent(uint256 dstChainId, address destination, bytes payload);
-    event MessageSentToResource(uint256 dstChainId, bytes32 resourceId, bytes payload);
+    constructor() Ownable(msg.sender) {}
 
     function send(
         uint256 _dstChainId,
         address _destination,
         bytes calldata _payload
     ) external payable returns (bytes32) {
-        emit MessageSent(_dstChainId, _destination, _payload);
-        return keccak256(abi.encodePacked(block.timestamp, msg.sender, _dstChainId));
+        _chargeFee(1);
+        (bytes32 messageId, uint256 nonce) = _nextMessage(_dstChainId);
+        emit MessageSent(messageId, _dstChainId, nonce, _destination, _payload);
+        return messageId;
     }
 
     function sendBatch(
         DestinationPayloadRequest[] calldata _requests
-    ) external returns (bytes32) {
+    ) external payable returns (bytes32) {
+        _chargeFee(_requests.length);
+        bytes32 batchId;
         for (uint i = 0; i < _requests.length; i++) {
-            emit MessageSent(_requests[i]._dstChainId, _requests[i]._destination, _requests[i]._payload);
+            (bytes32 messageId, uint256 nonce) = _nextMessage(_requests[i]._dstChainId);
+            emit MessageSent(
+                messageId,
+                _requests[i]._dstChainId,
+                nonce,
+                _requests[i]._destination,
+                _requests[i]._payload
+            );
+            batchId = keccak256(abi.encodePacked(batchId, messageId));
         }
-        return keccak256(abi.encodePacked(block.timestamp, msg.sender));
+        return batchId;
     }
 
     function sendToResourceId(
@@ -36,17 +89,60 @@ contract MockRaylsEndpoint {
         bytes32 _resourceId,
         bytes calldata _payload
     ) external payable returns (bytes32) {
-        emit MessageSentToResource(_dstChainId, _resourceId, _payload);
-        return keccak256(abi.encodePacked(block.timestamp, msg.sender, _resourceId));
+        _chargeFee(1);
+        (bytes32 messageId, uint256 nonce) = _nextMessage(_dstChainId);
+        emit MessageSentToResource(messageId, _dstChainId, nonce, _resourceId, _payload);
+        return messageId;
     }
 
     function sendBatchToResourceId(
         ResourceIdPayloadRequest[] calldata _requests
     ) external payable returns (bytes32) {
+        _chargeFee(_requests.length);
+        bytes32 batchId;
         for (uint i = 0; i < _requests.length; i++) {
-            emit MessageSentToResource(_requests[i]._dstChainId, _requests[i]._resourceId, _requests[i]._payload);
+            (bytes32 messageId, uint256 nonce) = _nextMessage(_requests[i]._dstChainId);
+            emit MessageSentToResource(
+                messageId,
+                _requests[i]._dstChainId,
+                nonce,
+                _requests[i]._resourceId,
+                _requests[i]._payload
+            );
+            batchId = keccak256(abi.encodePacked(batchId, messageId));
+        }
+        return batchId;
+    }
+
+    /**
+     * @notice Deliver a message from another chain to its destination
+     * @param _srcChainId Chain the message was sent from
+     * @param _messageId ID assigned by the source endpoint
+     * @param _destination Contract to call
+     * @param _payload Payload emitted by the source endpoint
+     * @return success True if the destination call succeeded
+     * @dev A failed call emits MessageFailed and leaves the message unexecuted, so
+     * it can be retried. Only successful deliveries consume an inbound nonce.
+     */
+    function execute(
+        uint256 _srcChainId,
+        bytes32 _messageId,
+        address _destination,
+        bytes calldata _payload
+    ) external onlyTrustedExecutor returns (bool success) {
+        require(!executedMessages[_messageId], "MockRaylsEndpoint: Message already executed");
+        require(_destination.code.length > 0, "MockRaylsEndpoint: Destination is not a contract");
+
+        bytes memory reason;
+        (success, reason) = _destination.call(abi.encodePacked(_payload, _srcChainId, _messageId));
+
+        if (success) {
+            executedMessages[_messageId] = true;
+            inboundNonces[_srcChainId] += 1;
+            emit MessageExecuted(_messageId, _srcChainId, inboundNonces[_srcChainId], _destination);
+        } else {
+            emit MessageFailed(_messageId, _srcChainId, _destination, reason);
         }
-        return keccak256(abi.encodePacked(block.timestamp, msg.sender));
     }
 
     function registerResourceId(bytes32 _resourceId, address _address) external {
@@ -58,10 +154,7 @@ contract MockRaylsEndpoint {
     }
 
     function isTrustedExecutor(address _executor) external view returns (bool) {
-        for (uint i = 0; i < trustedExecutors.length; i++) {
-            if (trustedExecutors[i] == _executor) return true;
-        }
-        return false;
+        return trustedExecutors[_executor];
     }
 
     function getCommitChainId() external pure returns (uint256) {
@@ -72,16 +165,45 @@ contract MockRaylsEndpoint {
         return block.chainid;
     }
 
-    function getInboundNonce(uint256) external pure returns (uint256) {
-        return 0;
+    function getInboundNonce(uint256 _srcChainId) external view returns (uint256) {
+        return inboundNonces[_srcChainId];
+    }
+
+    function getOutboundNonce(uint256 _dstChainId) external view returns (uint256) {
+        return outboundNonces[_dstChainId];
+    }
+
+    function addTrustedExecutor(address _executor) external onlyOwner {
+        trustedExecutors[_executor] = true;
+        emit TrustedExecutorUpdated(_executor, true);
+    }
+
+    function removeTrustedExecutor(address _executor) external onlyOwner {
+        trustedExecutors[_executor] = false;
+        emit TrustedExecutorUpdated(_executor, false);
+    }
+
+    function setFee(uint256 _fee) external onlyOwner {
+        emit FeeUpdated(fee, _fee);
+        fee = _fee;
+    }
+
+    function withdrawFees(address payable _to) external onlyOwner {
+        (bool success, ) = _to.call{value: address(this).balance}("");
+        require(success, "MockRaylsEndpoint: Fee withdrawal failed");
     }
 
-    function getOutboundNonce(uint256) external pure returns (uint256) {
-        return 0;
+    function _chargeFee(uint256 _messageCount) internal {
+        require(msg.value >= fee * _messageCount, "MockRaylsEndpoint: Insufficient fee");
     }
 
-    function addTrustedExecutor(address _executor) external {
-        trustedExecutors.push(_executor);
+    /**
+     * @dev Message IDs commit to this endpoint, the source chain, the destination
+     * chain and the per-destination nonce, so they never collide
+     */
+    function _nextMessage(uint256 _dstChainId) internal returns (bytes32 messageId, uint256 nonce) {
+        nonce = ++outboundNonces[_dstChainId];
+        messageId = keccak256(abi.encode(address(this), block.chainid, _dstChainId, nonce));
     }
 }
 
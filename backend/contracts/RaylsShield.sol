@@ -3,31 +3,84 @@ pragma solidity ^0.8.20;
 
 import "@rayls/contracts/RaylsApp.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ShieldedPool.sol";
+import "./ActionDispatcher.sol";
+import "./MessageLifecycle.sol";
+import "./AuditorEscrow.sol";
 
-interface IGroth16Verifier {
-    function verifyProof(
-        uint256[2] calldata _pA,
-        uint256[2][2] calldata _pB,
-        uint256[2] calldata _pC,
-        uint256[3] calldata _pubSignals
-    ) external view returns (bool);
+/**
+ * @dev Batch entry points of the Rayls endpoint (implemented by MockRaylsEndpoint too).
+ * The structs match the endpoint's request structs field for field.
+ */
+interface IRaylsBatchEndpoint {
+    struct DestinationRequest {
+        uint256 dstChainId;
+        address destination;
+        bytes payload;
+    }
+
+    struct ResourceIdRequest {
+        uint256 dstChainId;
+        bytes32 resourceId;
+        bytes payload;
+    }
+
+    function sendBatch(DestinationRequest[] calldata _requests) external payable returns (bytes32);
+
+    function sendBatchToResourceId(ResourceIdRequest[] calldata _requests) external payable returns (bytes32);
 }
 
 /**
  * @title RaylsShield
  * @notice Privacy-preserving cross-chain messaging using Zero-Knowledge proofs on Rayls Protocol
- * @dev Extends RaylsApp to leverage Rayls cross-chain messaging with ZK proof verification
+ * @dev Extends RaylsApp to leverage Rayls cross-chain messaging with ZK proof verification.
+ * Also holds a native ShieldedPool: deposits are inserted into a Poseidon Merkle tree
+ * and spent with transfer.circom proofs. Delivered payloads may carry a typed action,
+ * executed by the shield's own ActionDispatcher contract. MessageLifecycle tracks each message from send to
+ * delivery, retry or refund. AuditorEscrow escrows compliant messages to an auditor key.
  */
-contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
-    // ZK Verifier contract
-    IGroth16Verifier public verifier;
+contract RaylsShield is RaylsApp, ShieldedPool, MessageLifecycle, AuditorEscrow {
+    // Largest AML threshold accepted by compliance.circom (64-bit comparators)
+    uint256 public constant MAX_AML_THRESHOLD = type(uint64).max;
+
+    // Verifier registry IDs of the circuits in circuits/manifest.json
+    bytes32 public constant PRIVACY_CIRCUIT = keccak256("privacy");
+    bytes32 public constant COMPLIANCE_CIRCUIT = keccak256("compliance");
+
+    // AML threshold required of compliance proofs, per destination chain (0 = compliant sends disabled)
+    mapping(uint256 => uint256) public amlThresholds;
+
+    // RaylsShield of each chain that messages are accepted from and expiries reported to;
+    // chains without one are not accepted
+    mapping(uint256 => address) public shieldPeers;
+
+    // Executes the actions of delivered payloads; deployed by the constructor
+    ActionDispatcher public immutable actionDispatcher;
 
     // Mapping of message hash to verification status
     mapping(bytes32 => bool) public verifiedMessages;
 
-    // Mapping of nullifiers to prevent double-spending
-    mapping(bytes32 => bool) public nullifiers;
+    // One message of sendPrivateMessageBatch, with the arguments of sendPrivateMessage
+    struct PrivateMessageRequest {
+        uint256 dstChainId;
+        address destination;
+        bytes encryptedPayload;
+        uint256[2] pA;
+        uint256[2][2] pB;
+        uint256[2] pC;
+        uint256[4] publicSignals;
+    }
+
+    // One message of sendPrivateMessageBatchToResource, with the arguments of sendPrivateMessageToResource
+    struct PrivateResourceMessageRequest {
+        uint256 dstChainId;
+        bytes32 resourceId;
+        bytes encryptedPayload;
+        uint256[2] pA;
+        uint256[2][2] pB;
+        uint256[2] pC;
+        uint256[4] publicSignals;
+    }
 
     // Events
     event PrivateMessageSent(
@@ -43,18 +96,35 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
         bytes32 nullifier
     );
 
-    event VerifierUpdated(address indexed oldVerifier, address indexed newVerifier);
+    /// @notice Emitted when receiveExpiredMessage makes a spent nullifier usable again
+    event NullifierRestored(bytes32 indexed nullifierHash, bytes32 indexed messageHash);
+
+    event AmlThresholdUpdated(uint256 indexed dstChainId, uint256 oldThreshold, uint256 newThreshold);
+
+    event ShieldPeerUpdated(uint256 indexed chainId, address indexed oldPeer, address indexed newPeer);
 
     /**
      * @notice Constructor initializes RaylsApp with endpoint
      * @param _endpoint Address of the Rayls endpoint
-     * @param _verifier Address of the ZK proof verifier contract
+     * @param _verifier Address of the privacy.circom verifier contract
+     * @param _transferVerifier Address of the shielded pool (transfer.circom) verifier contract
+     * @param _complianceVerifier Address of the compliance.circom verifier contract
+     * @dev The three verifiers are registered without the timelock; later changes go
+     * through proposeVerifier / applyVerifier. The deployer owns the shield and its
+     * ActionDispatcher.
+     * @param _hasher Address of the Poseidon hasher used by the commitment tree
      */
     constructor(
         address _endpoint,
-        address _verifier
-    ) RaylsApp(_endpoint) Ownable(msg.sender) {
-        verifier = IGroth16Verifier(_verifier);
+        address _verifier,
+        address _transferVerifier,
+        address _complianceVerifier,
+        address _hasher
+    ) RaylsApp(_endpoint) ShieldedPool(_hasher) Ownable(msg.sender) {
+        _registerVerifier(PRIVACY_CIRCUIT, _verifier, 4);
+        _registerVerifier(TRANSFER_CIRCUIT, _transferVerifier, 5);
+        _registerVerifier(COMPLIANCE_CIRCUIT, _complianceVerifier, 5);
+        actionDispatcher = new ActionDispatcher(address(this), msg.sender);
     }
 
     /**
@@ -65,7 +135,8 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
      * @param _pA Proof point A [x, y]
      * @param _pB Proof point B [[x1, y1], [x2, y2]]
      * @param _pC Proof point C [x, y]
-     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash]
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, extDataHash]
+     * @return messageHash ID of the message (see computeMessageHash)
      */
     function sendPrivateMessage(
         uint256 _dstChainId,
@@ -74,75 +145,99 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[3] calldata _publicSignals
-    ) external payable nonReentrant {
-        // Verify the ZK proof
-        require(
-            verifier.verifyProof(_pA, _pB, _pC, _publicSignals),
-            "RaylsShield: Invalid ZK proof"
-        );
-
-        // Extract nullifierHash from public signals
-        bytes32 nullifierHash = bytes32(_publicSignals[0]);
-
-        // Create message hash
-        bytes32 messageHash = keccak256(
-            abi.encodePacked(
-                msg.sender,
-                _dstChainId,
-                _destination,
-                _encryptedPayload,
-                nullifierHash,
-                block.timestamp
-            )
+        uint256[4] calldata _publicSignals
+    ) external payable nonReentrant returns (bytes32 messageHash) {
+        bytes memory receiveCall;
+        (messageHash, receiveCall) = _preparePrivateMessage(
+            _dstChainId,
+            bytes32(uint256(uint160(_destination))),
+            false,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _publicSignals
         );
 
-        // Mark message as verified
-        verifiedMessages[messageHash] = true;
-
         // Send cross-chain message via Rayls
-        _raylsSend(_dstChainId, _destination, _encryptedPayload);
+        _raylsSend(_dstChainId, _destination, receiveCall);
 
-        emit PrivateMessageSent(messageHash, _dstChainId, msg.sender, nullifierHash);
+        emit PrivateMessageSent(messageHash, _dstChainId, msg.sender, bytes32(_publicSignals[0]));
     }
 
     /**
      * @notice Receive and process private cross-chain message
+     * @param _deadline Last timestamp the message is accepted at, set by the source shield
      * @param _encryptedPayload Encrypted message payload
-     * @param _nullifier Nullifier to prevent replay attacks
      * @param _pA Proof point A
      * @param _pB Proof point B
      * @param _pC Proof point C
-     * @param _publicSignals Public signals for proof verification
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, extDataHash]
+     * @dev The nullifier is taken from the proof's public signals, as on the send path.
+     * A message that cannot be processed does not revert; it is marked Failed for retryMessage.
      */
     function receivePrivateMessage(
+        uint256 _deadline,
         bytes calldata _encryptedPayload,
-        bytes32 _nullifier,
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[3] calldata _publicSignals
+        uint256[4] calldata _publicSignals
     ) external receiveMethod nonReentrant {
-        // Check nullifier hasn't been used
-        require(!nullifiers[_nullifier], "RaylsShield: Nullifier already used");
+        _deliverMessage(
+            _getFromChainIdOnReceiveMethod(),
+            _getMessageIdOnReceiveMethod(),
+            PRIVACY_CIRCUIT,
+            _deadline,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _signalArray(_publicSignals)
+        );
+    }
 
-        // Verify the ZK proof
+    /**
+     * @notice Receive a message sent with sendCompliantPrivateMessage
+     * @param _deadline Last timestamp the message is accepted at, set by the source shield
+     * @param _sender Address that sent the message on the source chain
+     * @param _dstChainId Rayls chain ID the message was sent to
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]
+     * @dev The AML threshold was enforced by the source chain. The proof's extDataHash must
+     * match this payload delivered to this contract, so a delivery cannot put another
+     * payload under a valid proof; a mismatch reverts.
+     */
+    function receiveCompliantPrivateMessage(
+        uint256 _deadline,
+        address _sender,
+        uint256 _dstChainId,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external receiveMethod nonReentrant {
         require(
-            verifier.verifyProof(_pA, _pB, _pC, _publicSignals),
-            "RaylsShield: Invalid ZK proof"
+            _publicSignals[4] ==
+                computeExtDataHash(_sender, _dstChainId, bytes32(uint256(uint160(address(this)))), _encryptedPayload),
+            "RaylsShield: External data hash mismatch"
         );
 
-        // Mark nullifier as used
-        nullifiers[_nullifier] = true;
-
-        // Get cross-chain message metadata
-        uint256 srcChainId = _getFromChainIdOnReceiveMethod();
-        bytes32 messageId = _getMessageIdOnReceiveMethod();
-
-        // Process the encrypted payload (implementation specific)
-        _processEncryptedPayload(_encryptedPayload);
-
-        emit PrivateMessageReceived(messageId, srcChainId, _nullifier);
+        _deliverMessage(
+            _getFromChainIdOnReceiveMethod(),
+            _getMessageIdOnReceiveMethod(),
+            COMPLIANCE_CIRCUIT,
+            _deadline,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _signalArray(_publicSignals)
+        );
     }
 
     /**
@@ -154,6 +249,7 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
      * @param _pB Proof point B
      * @param _pC Proof point C
      * @param _publicSignals Public signals for proof verification
+     * @return messageHash ID of the message (see computeMessageHash)
      */
     function sendPrivateMessageToResource(
         uint256 _dstChainId,
@@ -162,59 +258,698 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[3] calldata _publicSignals
+        uint256[4] calldata _publicSignals
+    ) external payable nonReentrant returns (bytes32 messageHash) {
+        bytes memory receiveCall;
+        (messageHash, receiveCall) = _preparePrivateMessage(
+            _dstChainId,
+            _resourceId,
+            true,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _publicSignals
+        );
+
+        // Send to resourceId via Rayls
+        _raylsSendToResourceId(_dstChainId, _resourceId, receiveCall);
+
+        emit PrivateMessageSent(messageHash, _dstChainId, msg.sender, bytes32(_publicSignals[0]));
+    }
+
+    /**
+     * @notice Send several private messages with one endpoint call
+     * @param _messages Messages, each with the arguments of sendPrivateMessage
+     * @dev All-or-nothing: one invalid proof or reused nullifier (including one repeated
+     * within the batch) reverts the whole batch. msg.value pays the endpoint fee for every
+     * message. Emits one PrivateMessageSent per message, in order.
+     * @return messageHashes IDs of the messages, in order, under consecutive sender nonces
+     */
+    function sendPrivateMessageBatch(
+        PrivateMessageRequest[] calldata _messages
+    ) external payable nonReentrant returns (bytes32[] memory messageHashes) {
+        require(_messages.length > 0, "RaylsShield: Empty batch");
+
+        IRaylsBatchEndpoint.DestinationRequest[] memory requests =
+            new IRaylsBatchEndpoint.DestinationRequest[](_messages.length);
+        messageHashes = new bytes32[](_messages.length);
+
+        for (uint256 i = 0; i < _messages.length; i++) {
+            PrivateMessageRequest calldata message = _messages[i];
+
+            bytes memory receiveCall;
+            (messageHashes[i], receiveCall) = _preparePrivateMessage(
+                message.dstChainId,
+                bytes32(uint256(uint160(message.destination))),
+                false,
+                message.encryptedPayload,
+                message.pA,
+                message.pB,
+                message.pC,
+                message.publicSignals
+            );
+            requests[i] = IRaylsBatchEndpoint.DestinationRequest(message.dstChainId, message.destination, receiveCall);
+        }
+
+        IRaylsBatchEndpoint(_getEndpointAddress()).sendBatch{value: msg.value}(requests);
+
+        for (uint256 i = 0; i < _messages.length; i++) {
+            emit PrivateMessageSent(
+                messageHashes[i],
+                _messages[i].dstChainId,
+                msg.sender,
+                bytes32(_messages[i].publicSignals[0])
+            );
+        }
+    }
+
+    /**
+     * @notice Send several private messages to resourceIds with one endpoint call
+     * @param _messages Messages, each with the arguments of sendPrivateMessageToResource
+     * @dev Same guarantees as sendPrivateMessageBatch
+     * @return messageHashes IDs of the messages, in order
+     */
+    function sendPrivateMessageBatchToResource(
+        PrivateResourceMessageRequest[] calldata _messages
+    ) external payable nonReentrant returns (bytes32[] memory messageHashes) {
+        require(_messages.length > 0, "RaylsShield: Empty batch");
+
+        IRaylsBatchEndpoint.ResourceIdRequest[] memory requests =
+            new IRaylsBatchEndpoint.ResourceIdRequest[](_messages.length);
+        messageHashes = new bytes32[](_messages.length);
+
+        for (uint256 i = 0; i < _messages.length; i++) {
+            PrivateResourceMessageRequest calldata message = _messages[i];
+
+            bytes memory receiveCall;
+            (messageHashes[i], receiveCall) = _preparePrivateMessage(
+                message.dstChainId,
+                message.resourceId,
+                true,
+                message.encryptedPayload,
+                message.pA,
+                message.pB,
+                message.pC,
+                message.publicSignals
+            );
+            requests[i] = IRaylsBatchEndpoint.ResourceIdRequest(message.dstChainId, message.resourceId, receiveCall);
+        }
+
+        IRaylsBatchEndpoint(_getEndpointAddress()).sendBatchToResourceId{value: msg.value}(requests);
+
+        for (uint256 i = 0; i < _messages.length; i++) {
+            emit PrivateMessageSent(
+                messageHashes[i],
+                _messages[i].dstChainId,
+                msg.sender,
+                bytes32(_messages[i].publicSignals[0])
+            );
+        }
+    }
+
+    /**
+     * @notice Send a private cross-chain message with an AML compliance proof
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination contract address
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]
+     * @return messageHash ID of the message (see computeMessageHash)
+     * @dev The proof shows 0 < amount < amlThreshold. The threshold must equal the
+     * owner-configured value for _dstChainId so a sender cannot pick their own limit,
+     * and extDataHash must commit to this message, as for sendPrivateMessage.
+     * While an auditor key is set, use sendAuditedPrivateMessage instead.
+     */
+    function sendCompliantPrivateMessage(
+        uint256 _dstChainId,
+        address _destination,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external payable nonReentrant returns (bytes32 messageHash) {
+        require(!_escrowEnabled(), "RaylsShield: Audit proof required");
+
+        messageHash = _sendCompliantPrivateMessage(_dstChainId, _destination, _encryptedPayload, _pA, _pB, _pC, _publicSignals);
+    }
+
+    /**
+     * @notice Send a compliant private message with its details escrowed to the auditor
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination contract address
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]
+     * @param _audit audit.circom proof for the same commitment and recipientHash, encrypted
+     * to the current auditor key
+     * @return messageHash ID of the message (see computeMessageHash)
+     * @dev Emits AuditRecord after PrivateMessageSent. The destination receives the same
+     * delivery as from sendCompliantPrivateMessage.
+     */
+    function sendAuditedPrivateMessage(
+        uint256 _dstChainId,
+        address _destination,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals,
+        AuditProof calldata _audit
+    ) external payable nonReentrant returns (bytes32 messageHash) {
+        _verifyAuditProof(_publicSignals[1], _publicSignals[2], _audit);
+
+        messageHash = _sendCompliantPrivateMessage(_dstChainId, _destination, _encryptedPayload, _pA, _pB, _pC, _publicSignals);
+        _emitAuditRecord(messageHash, _audit);
+    }
+
+    /**
+     * @notice Verify a compliance proof, mark the message sent and hand it to Rayls
+     * @dev Arguments as for sendCompliantPrivateMessage
+     * @return messageHash ID of the message (see computeMessageHash)
+     */
+    function _sendCompliantPrivateMessage(
+        uint256 _dstChainId,
+        address _destination,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) internal returns (bytes32 messageHash) {
+        bytes32 nullifierHash = _verifyCompliantMessage(_dstChainId, _destination, _encryptedPayload, _pA, _pB, _pC, _publicSignals);
+
+        // Mark message as sent and spend the nullifier
+        uint64 deadline;
+        (messageHash, deadline) = _recordSentMessage(
+            _dstChainId,
+            bytes32(uint256(uint160(_destination))),
+            false,
+            nullifierHash,
+            _encryptedPayload
+        );
+
+        // Send cross-chain message via Rayls
+        _raylsSend(
+            _dstChainId,
+            _destination,
+            _encodeCompliantReceiveCall(deadline, _dstChainId, _encryptedPayload, _pA, _pB, _pC, _publicSignals)
+        );
+
+        emit PrivateMessageSent(messageHash, _dstChainId, msg.sender, nullifierHash);
+    }
+
+    /**
+     * @notice Check a compliance.circom proof for an outgoing message
+     * @dev Arguments as for sendCompliantPrivateMessage
+     * @return nullifierHash Unspent nullifier hash of the proof
+     */
+    function _verifyCompliantMessage(
+        uint256 _dstChainId,
+        address _destination,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) internal view returns (bytes32 nullifierHash) {
+        uint256 amlThreshold = amlThresholds[_dstChainId];
+        require(amlThreshold != 0, "RaylsShield: No AML threshold for chain");
+        require(_publicSignals[3] == amlThreshold, "RaylsShield: AML threshold mismatch");
+
+        // The proof must commit to this exact message so it cannot be front-run
+        require(
+            _publicSignals[4] ==
+                computeExtDataHash(msg.sender, _dstChainId, bytes32(uint256(uint160(_destination))), _encryptedPayload),
+            "RaylsShield: External data hash mismatch"
+        );
+
+        // Extract nullifierHash from public signals
+        nullifierHash = bytes32(_publicSignals[0]);
+
+        // Check nullifier hasn't been used
+        require(!nullifiers[nullifierHash], "RaylsShield: Nullifier already used");
+
+        // Verify the compliance proof
+        require(
+            _verifyProof(COMPLIANCE_CIRCUIT, _pA, _pB, _pC, _signalArray(_publicSignals)),
+            "RaylsShield: Invalid compliance proof"
+        );
+    }
+
+    /**
+     * @notice Process a failed delivery again
+     * @param _srcChainId Source chain ID, from MessageDeliveryFailed
+     * @param _messageId Rayls message ID, from MessageDeliveryFailed
+     * @param _circuitId Circuit of the proof, from MessageDeliveryFailed
+     * @param _deadline Deadline from the delivered payload
+     * @param _encryptedPayload Encrypted payload from the delivered payload
+     * @param _pA Proof point A from the delivered payload
+     * @param _pB Proof point B from the delivered payload
+     * @param _pC Proof point C from the delivered payload
+     * @param _publicSignals Public signals from the delivered payload (4 for privacy.circom,
+     * 5 for compliance.circom)
+     * @dev Open to anyone. Reverts with the reason if the message still cannot be
+     * processed, keeping it stored. Expired messages can no longer be retried.
+     */
+    function retryMessage(
+        uint256 _srcChainId,
+        bytes32 _messageId,
+        bytes32 _circuitId,
+        uint256 _deadline,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[] memory _publicSignals
+    ) external nonReentrant {
+        bytes32 record = failedMessages[_messageId];
+        require(record != bytes32(0), "RaylsShield: No failed message");
+        require(
+            record == _deliveryHash(_srcChainId, _circuitId, _deadline, _encryptedPayload, _pA, _pB, _pC, _publicSignals),
+            "RaylsShield: Message mismatch"
+        );
+
+        string memory failure = _deliveryFailure(_circuitId, _deadline, _pA, _pB, _pC, _publicSignals);
+        require(bytes(failure).length == 0, failure);
+
+        delete failedMessages[_messageId];
+        _setStatus(_messageId, MessageStatus.Delivered);
+        _receivePrivateMessage(_encryptedPayload, bytes32(_publicSignals[0]), _srcChainId, _messageId);
+    }
+
+    /**
+     * @notice Report to the source shield that a message expired without being delivered here
+     * @param _srcChainId Chain the message was sent from
+     * @param _messageHash messageHash of PrivateMessageSent on the source chain
+     * @param _nullifierHash Nullifier hash of the message
+     * @param _deadline Deadline of the message
+     * @dev Open to anyone; msg.value pays the endpoint fee. Once this chain is past the
+     * deadline, no delivery or retry of the message can succeed here, so an unspent
+     * nullifier means it was never delivered. The source checks the arguments against
+     * its record of the message before it restores the nullifier.
+     */
+    function acknowledgeExpiredMessage(
+        uint256 _srcChainId,
+        bytes32 _messageHash,
+        bytes32 _nullifierHash,
+        uint64 _deadline
     ) external payable nonReentrant {
+        address peer = shieldPeers[_srcChainId];
+        require(peer != address(0), "RaylsShield: Unknown shield peer");
+        require(block.timestamp > _deadline, "RaylsShield: Message not expired");
+        require(!nullifiers[_nullifierHash], "RaylsShield: Nullifier already used");
+
+        _raylsSend(
+            _srcChainId,
+            peer,
+            abi.encodeWithSelector(this.receiveExpiredMessage.selector, _messageHash, _nullifierHash, _deadline)
+        );
+    }
+
+    /**
+     * @notice Refund a message its destination reported as expired and undelivered
+     * @param _messageHash messageHash of PrivateMessageSent
+     * @param _nullifierHash Nullifier hash of the message
+     * @param _deadline Deadline of the message
+     * @dev Sent by acknowledgeExpiredMessage on the peer shield of the message's destination
+     * chain, which only knows about messages sent to it. Messages sent to a resourceId
+     * are never refunded: it may have resolved to another contract that processed them.
+     * Restores the nullifier, so the note can be sent again.
+     */
+    function receiveExpiredMessage(
+        bytes32 _messageHash,
+        bytes32 _nullifierHash,
+        uint64 _deadline
+    ) external receiveMethod nonReentrant {
+        uint256 srcChainId = _getFromChainIdOnReceiveMethod();
+        address peer = _checkShieldPeer(srcChainId);
+
+        SentMessage storage message = sentMessages[_messageHash];
+        require(messageStatus[_messageHash] == MessageStatus.Sent, "RaylsShield: Message not pending");
+        require(
+            message.dstChainId == srcChainId &&
+                message.nullifierHash == _nullifierHash &&
+                message.deadline == _deadline &&
+                !message.toResource &&
+                message.destination == bytes32(uint256(uint160(peer))),
+            "RaylsShield: Message mismatch"
+        );
+
+        _setStatus(_messageHash, MessageStatus.Refunded);
+        nullifiers[_nullifierHash] = false;
+
+        emit NullifierRestored(_nullifierHash, _messageHash);
+    }
+
+    /**
+     * @notice Set the RaylsShield messages are accepted from and expiries reported to on a chain
+     * @param _chainId Peer chain ID
+     * @param _peer RaylsShield on that chain (address(0) removes the peer)
+     */
+    function setShieldPeer(uint256 _chainId, address _peer) external onlyOwner {
+        require(_chainId != block.chainid, "RaylsShield: Peer on own chain");
+
+        address oldPeer = shieldPeers[_chainId];
+        shieldPeers[_chainId] = _peer;
+
+        emit ShieldPeerUpdated(_chainId, oldPeer, _peer);
+    }
+
+    /**
+     * @notice Set the AML threshold compliance proofs must use for a destination chain
+     * @param _dstChainId Destination chain ID
+     * @param _threshold Exclusive upper bound on the amount (0 disables compliant sends)
+     */
+    function setAmlThreshold(uint256 _dstChainId, uint256 _threshold) external onlyOwner {
+        require(_threshold <= MAX_AML_THRESHOLD, "RaylsShield: AML threshold too large");
+
+        uint256 oldThreshold = amlThresholds[_dstChainId];
+        amlThresholds[_dstChainId] = _threshold;
+
+        emit AmlThresholdUpdated(_dstChainId, oldThreshold, _threshold);
+    }
+
+    /**
+     * @notice Check a privacy.circom proof for an outgoing message
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination address (left-padded) or resourceId
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, extDataHash]
+     * @return nullifierHash Unspent nullifier hash of the proof
+     */
+    function _verifyPrivateMessage(
+        uint256 _dstChainId,
+        bytes32 _destination,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[4] calldata _publicSignals
+    ) internal view returns (bytes32 nullifierHash) {
+        // The proof must commit to this exact message so it cannot be front-run
+        require(
+            _publicSignals[3] == computeExtDataHash(msg.sender, _dstChainId, _destination, _encryptedPayload),
+            "RaylsShield: External data hash mismatch"
+        );
+
+        // Extract nullifierHash from public signals
+        nullifierHash = bytes32(_publicSignals[0]);
+
+        // Check nullifier hasn't been used
+        require(!nullifiers[nullifierHash], "RaylsShield: Nullifier already used");
+
         // Verify the ZK proof
         require(
-            verifier.verifyProof(_pA, _pB, _pC, _publicSignals),
+            _verifyProof(PRIVACY_CIRCUIT, _pA, _pB, _pC, _signalArray(_publicSignals)),
             "RaylsShield: Invalid ZK proof"
         );
+    }
 
-        // Extract nullifierHash from public signals
-        bytes32 nullifierHash = bytes32(_publicSignals[0]);
+    /**
+     * @notice Verify an outgoing privacy.circom message, mark it sent and build its delivery call
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination address (left-padded) or resourceId
+     * @param _toResource True when _destination is a resourceId
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [nullifierHash, commitment, recipientHash, extDataHash]
+     * @return messageHash ID of the message for PrivateMessageSent
+     * @return receiveCall receivePrivateMessage calldata for the endpoint
+     * @dev privacy.circom proofs cannot be escrowed, so all four plain send paths are
+     * refused while an auditor key is set; senders use sendAuditedPrivateMessage
+     */
+    function _preparePrivateMessage(
+        uint256 _dstChainId,
+        bytes32 _destination,
+        bool _toResource,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[4] calldata _publicSignals
+    ) internal returns (bytes32 messageHash, bytes memory receiveCall) {
+        require(!_escrowEnabled(), "RaylsShield: Audit proof required");
+
+        bytes32 nullifierHash = _verifyPrivateMessage(
+            _dstChainId,
+            _destination,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _publicSignals
+        );
 
-        // Create message hash
-        bytes32 messageHash = keccak256(
-            abi.encodePacked(
-                msg.sender,
-                _dstChainId,
-                _resourceId,
-                _encryptedPayload,
-                nullifierHash,
-                block.timestamp
-            )
+        uint64 deadline;
+        (messageHash, deadline) = _recordSentMessage(
+            _dstChainId,
+            _destination,
+            _toResource,
+            nullifierHash,
+            _encryptedPayload
         );
+        receiveCall = _encodeReceiveCall(
+            this.receivePrivateMessage.selector,
+            deadline,
+            _encryptedPayload,
+            _pA,
+            _pB,
+            _pC,
+            _publicSignals
+        );
+    }
 
-        // Mark message as verified
-        verifiedMessages[messageHash] = true;
+    /**
+     * @notice Copy privacy.circom public signals for _verifyProof
+     * @param _publicSignals Fixed-size public signals
+     * @return signals The same signals as a dynamic array
+     */
+    function _signalArray(uint256[4] calldata _publicSignals) internal pure returns (uint256[] memory signals) {
+        signals = new uint256[](4);
+        for (uint256 i = 0; i < 4; i++) {
+            signals[i] = _publicSignals[i];
+        }
+    }
 
-        // Send to resourceId via Rayls
-        _raylsSendToResourceId(_dstChainId, _resourceId, _encryptedPayload);
+    /**
+     * @notice Calldata the destination runs when the endpoint delivers a message
+     * @dev Rayls delivers the payload as a call to the destination, so the proof
+     * travels with the ciphertext and is verified again on arrival
+     */
+    function _encodeReceiveCall(
+        bytes4 _selector,
+        uint64 _deadline,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[4] calldata _publicSignals
+    ) internal pure returns (bytes memory) {
+        return abi.encodeWithSelector(_selector, _deadline, _encryptedPayload, _pA, _pB, _pC, _publicSignals);
+    }
 
-        emit PrivateMessageSent(messageHash, _dstChainId, msg.sender, nullifierHash);
+    /**
+     * @notice receiveCompliantPrivateMessage calldata for the endpoint
+     * @dev Also carries the sender and destination chain, so the destination can
+     * recompute the proof's extDataHash
+     */
+    function _encodeCompliantReceiveCall(
+        uint64 _deadline,
+        uint256 _dstChainId,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) internal view returns (bytes memory) {
+        return abi.encodeCall(
+            this.receiveCompliantPrivateMessage,
+            (_deadline, msg.sender, _dstChainId, _encryptedPayload, _pA, _pB, _pC, _publicSignals)
+        );
+    }
+
+    /**
+     * @notice Process a message the endpoint delivered, marking it Delivered or Failed
+     * @param _srcChainId Source chain ID
+     * @param _messageId Rayls message ID
+     * @param _circuitId Circuit the message's proof is for
+     * @param _deadline Last timestamp the message is accepted at
+     * @param _encryptedPayload Encrypted message payload
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals of the proof
+     * @dev Reverts unless the source chain has a peer shield
+     */
+    function _deliverMessage(
+        uint256 _srcChainId,
+        bytes32 _messageId,
+        bytes32 _circuitId,
+        uint256 _deadline,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[] memory _publicSignals
+    ) internal {
+        _checkShieldPeer(_srcChainId);
+        require(messageStatus[_messageId] == MessageStatus.None, "RaylsShield: Message already received");
+
+        string memory failure = _deliveryFailure(_circuitId, _deadline, _pA, _pB, _pC, _publicSignals);
+        if (bytes(failure).length != 0) {
+            _markFailed(
+                _messageId,
+                _srcChainId,
+                _circuitId,
+                _deliveryHash(_srcChainId, _circuitId, _deadline, _encryptedPayload, _pA, _pB, _pC, _publicSignals),
+                failure
+            );
+            return;
+        }
+
+        _setStatus(_messageId, MessageStatus.Delivered);
+        _receivePrivateMessage(_encryptedPayload, bytes32(_publicSignals[0]), _srcChainId, _messageId);
+    }
+
+    /**
+     * @notice Check that the message being received comes from a chain with a peer shield
+     * @param _srcChainId Source chain ID, as reported by the endpoint
+     * @return peer Peer shield of the source chain
+     * @dev The endpoint reports only the source chain of a message, so peers are
+     * allow-listed per chain. The deadline of a message is not part of its proof, so
+     * deliveries are only trusted to carry the recorded deadline from allow-listed chains.
+     */
+    function _checkShieldPeer(uint256 _srcChainId) internal view returns (address peer) {
+        peer = shieldPeers[_srcChainId];
+        require(peer != address(0), "RaylsShield: Unknown shield peer");
+    }
+
+    /**
+     * @notice Check whether a delivered message can be processed
+     * @param _circuitId Circuit the message's proof is for
+     * @param _deadline Last timestamp the message is accepted at
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals of the proof
+     * @return Why the message cannot be processed, or an empty string if it can
+     */
+    function _deliveryFailure(
+        bytes32 _circuitId,
+        uint256 _deadline,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[] memory _publicSignals
+    ) internal view returns (string memory) {
+        if (block.timestamp > _deadline) {
+            return "RaylsShield: Message expired";
+        }
+        if (nullifiers[bytes32(_publicSignals[0])]) {
+            return "RaylsShield: Nullifier already used";
+        }
+        if (!_verifyProof(_circuitId, _pA, _pB, _pC, _publicSignals)) {
+            return _circuitId == COMPLIANCE_CIRCUIT
+                ? "RaylsShield: Invalid compliance proof"
+                : "RaylsShield: Invalid ZK proof";
+        }
+        return "";
+    }
+
+    /**
+     * @notice Hash of a delivered message, as stored in failedMessages
+     * @dev The Rayls message ID is the key, so it is not part of the hash
+     */
+    function _deliveryHash(
+        uint256 _srcChainId,
+        bytes32 _circuitId,
+        uint256 _deadline,
+        bytes calldata _encryptedPayload,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[] memory _publicSignals
+    ) internal pure returns (bytes32) {
+        return keccak256(
+            abi.encode(_srcChainId, _circuitId, _deadline, keccak256(_encryptedPayload), _pA, _pB, _pC, _publicSignals)
+        );
     }
 
     /**
-     * @notice Update the ZK verifier contract
-     * @param _newVerifier New verifier contract address
+     * @notice Record a delivered message once its proof has been verified
+     * @param _encryptedPayload Encrypted message payload
+     * @param _nullifierHash Nullifier hash from the proof
+     * @param _srcChainId Source chain ID
+     * @param _messageId Rayls message ID of the delivery
      */
-    function updateVerifier(address _newVerifier) external onlyOwner {
-        require(_newVerifier != address(0), "RaylsShield: Invalid verifier address");
+    function _receivePrivateMessage(
+        bytes calldata _encryptedPayload,
+        bytes32 _nullifierHash,
+        uint256 _srcChainId,
+        bytes32 _messageId
+    ) internal {
+        // Mark nullifier as used
+        _spendNullifier(_nullifierHash, _messageId);
 
-        address oldVerifier = address(verifier);
-        verifier = IGroth16Verifier(_newVerifier);
+        // Execute the payload's action, if it carries one
+        _processEncryptedPayload(_encryptedPayload, _srcChainId, _messageId);
 
-        emit VerifierUpdated(oldVerifier, _newVerifier);
+        emit PrivateMessageReceived(_messageId, _srcChainId, _nullifierHash);
+    }
+
+    /**
+     * @notice Mark an outgoing message as sent and spend its nullifier
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination address (left-padded) or resourceId
+     * @param _toResource True when _destination is a resourceId
+     * @param _nullifierHash Nullifier hash taken from the proof's public signals
+     * @param _encryptedPayload Encrypted message payload
+     * @return messageHash ID of the message for PrivateMessageSent
+     * @return deadline Last timestamp the destination accepts the message at
+     */
+    function _recordSentMessage(
+        uint256 _dstChainId,
+        bytes32 _destination,
+        bool _toResource,
+        bytes32 _nullifierHash,
+        bytes calldata _encryptedPayload
+    ) internal returns (bytes32 messageHash, uint64 deadline) {
+        (messageHash, deadline) = _markSent(
+            _dstChainId,
+            _destination,
+            _toResource,
+            _nullifierHash,
+            keccak256(_encryptedPayload)
+        );
+        verifiedMessages[messageHash] = true;
+        _spendNullifier(_nullifierHash, messageHash);
     }
 
     /**
      * @notice Internal function to process encrypted payload
-     * @param _encryptedPayload Encrypted data to process
-     * @dev Override this function in derived contracts for custom logic
+     * @param _encryptedPayload Delivered payload
+     * @param _srcChainId Source chain ID
+     * @param _messageId Rayls message ID
+     * @dev Hands action envelopes to actionDispatcher; override in derived contracts
+     * for custom logic (call super to keep dispatching)
      */
-    function _processEncryptedPayload(bytes calldata _encryptedPayload) internal virtual {
-        // Default implementation - can be overridden
-        // For example: decrypt, validate, execute business logic
+    function _processEncryptedPayload(
+        bytes calldata _encryptedPayload,
+        uint256 _srcChainId,
+        bytes32 _messageId
+    ) internal virtual {
+        actionDispatcher.dispatchAction(_encryptedPayload, _srcChainId, _messageId);
     }
 
     /**
@@ -226,12 +961,4 @@ contract RaylsShield is RaylsApp, Ownable, ReentrancyGuard {
         return verifiedMessages[_messageHash];
     }
 
-    /**
-     * @notice Check if a nullifier has been used
-     * @param _nullifier Nullifier to check
-     * @return bool True if nullifier has been used
-     */
-    function isNullifierUsed(bytes32 _nullifier) external view returns (bool) {
-        return nullifiers[_nullifier];
-    }
 }
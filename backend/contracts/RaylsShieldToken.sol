@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@rayls/contracts/RaylsApp.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./ShieldedPool.sol";
+import "./ShieldWrappedToken.sol";
+
+/**
+ * @title RaylsShieldToken
+ * @notice Shielded pool of one ERC-20 token, bridged privately between chains
+ * @dev Notes are the same as in RaylsShield's native pool (transfer.circom), backed by the
+ * token instead of native value. Private messaging stays on RaylsShield. Each deployment
+ * runs in one mode:
+ * - Lock: deposits lock the token in the shield and withdrawals release it
+ * - Mint: the token is a ShieldWrappedToken; deposits burn it and withdrawals mint it
+ *
+ * bridgeNote spends a note on this chain and sends its output note to the peer shield
+ * of the destination chain, which inserts it into its own tree. The message carries
+ * only the output commitment, the proof and the encrypted note; the amount stays
+ * hidden until the note is withdrawn. A typical setup locks the canonical token on its
+ * home chain and mints a wrapped token elsewhere.
+ *
+ * The endpoint reports the source chain of a delivery (_getFromChainIdOnReceiveMethod)
+ * but not the contract that sent it, and the destination cannot check the source root.
+ * Notes are therefore accepted only from chains on the bridgePeers allow-list, and an
+ * allow-listed chain can mint or unlock tokens here: add a chain only if its endpoint
+ * relays messages to this shield from its peer alone. The source records every bridged
+ * note under its nullifier hash, so each note received on another chain can be matched
+ * to the note spent for it here.
+ */
+contract RaylsShieldToken is RaylsApp, ShieldedPool {
+    using SafeERC20 for IERC20;
+
+    enum TokenMode {
+        Lock,
+        Mint
+    }
+
+    // Token held by the pool
+    IERC20 public immutable token;
+
+    // How deposits and withdrawals move the token
+    TokenMode public immutable tokenMode;
+
+    // Token shield of each chain that notes are bridged to and accepted from
+    mapping(uint256 => address) public bridgePeers;
+
+    // Output note bridgeNote sent for a spent note, and where it went
+    struct BridgedNote {
+        uint256 dstChainId;
+        bytes32 outLeaf;
+    }
+
+    // Notes sent by bridgeNote, keyed by the nullifier hash of the spent note
+    mapping(bytes32 => BridgedNote) public bridgedNotes;
+
+    event BridgePeerUpdated(uint256 indexed chainId, address indexed oldPeer, address indexed newPeer);
+
+    event NoteBridged(bytes32 indexed nullifierHash, uint256 indexed dstChainId, bytes32 outLeaf, bytes encryptedNote);
+
+    event BridgedNoteReceived(
+        bytes32 indexed messageId,
+        uint256 indexed srcChainId,
+        bytes32 indexed nullifierHash,
+        bytes32 outLeaf,
+        bytes encryptedNote
+    );
+
+    /**
+     * @param _endpoint Address of the Rayls endpoint
+     * @param _transferVerifier Address of the transfer.circom verifier contract
+     * @param _hasher Address of the Poseidon hasher used by the commitment tree
+     * @param _token ERC-20 token of the pool (a ShieldWrappedToken in mint mode)
+     * @param _tokenMode Lock or Mint
+     * @dev The verifier is registered without the timelock, as in RaylsShield
+     */
+    constructor(
+        address _endpoint,
+        address _transferVerifier,
+        address _hasher,
+        address _token,
+        TokenMode _tokenMode
+    ) RaylsApp(_endpoint) ShieldedPool(_hasher) Ownable(msg.sender) {
+        require(_token.code.length > 0, "RaylsShield: Invalid token");
+        _registerVerifier(TRANSFER_CIRCUIT, _transferVerifier, 5);
+        token = IERC20(_token);
+        tokenMode = _tokenMode;
+    }
+
+    /**
+     * @notice Native deposits are disabled; use depositToken
+     */
+    function deposit(bytes32) external payable override {
+        revert("RaylsShield: Token pool, use depositToken");
+    }
+
+    /**
+     * @notice Deposit tokens into the shielded pool
+     * @param _commitment Note commitment Poseidon(secret, nullifier, amount) with amount == _amount
+     * @param _amount Token amount, approved to this contract
+     * @dev Fee-on-transfer tokens are refused, so every note is fully backed
+     */
+    function depositToken(bytes32 _commitment, uint256 _amount) external nonReentrant {
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+        require(
+            token.balanceOf(address(this)) - balanceBefore == _amount,
+            "RaylsShield: Token transfer fee not supported"
+        );
+
+        if (tokenMode == TokenMode.Mint) {
+            ShieldWrappedToken(address(token)).burn(_amount);
+        }
+
+        _insertDeposit(_commitment, _amount);
+    }
+
+    /**
+     * @notice Spend a note and move its output note to the peer shield of another chain
+     * @param _dstChainId Destination chain ID
+     * @param _encryptedNote Output note encrypted to its owner
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     * @dev The proof commits to the peer as destination; msg.value pays the endpoint fee.
+     * In lock mode the tokens stay locked here, backing the note on the other chain.
+     */
+    function bridgeNote(
+        uint256 _dstChainId,
+        bytes calldata _encryptedNote,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external payable nonReentrant {
+        address peer = bridgePeers[_dstChainId];
+        require(peer != address(0), "RaylsShield: Unknown bridge peer");
+        require(_publicSignals[3] == 0, "RaylsShield: Bridge cannot withdraw");
+        require(
+            _publicSignals[4] == computeExtDataHash(
+                msg.sender,
+                _dstChainId,
+                bytes32(uint256(uint160(peer))),
+                _encryptedNote
+            ),
+            "RaylsShield: External data hash mismatch"
+        );
+        require(isKnownRoot(bytes32(_publicSignals[0])), "RaylsShield: Unknown Merkle root");
+        _verifyNoteProof(_pA, _pB, _pC, _publicSignals);
+
+        _spendNoteNullifier(bytes32(_publicSignals[1]), bytes32(0));
+        bridgedNotes[bytes32(_publicSignals[1])] = BridgedNote(_dstChainId, bytes32(_publicSignals[2]));
+
+        _raylsSend(
+            _dstChainId,
+            peer,
+            abi.encodeWithSelector(this.receiveBridgedNote.selector, _encryptedNote, _pA, _pB, _pC, _publicSignals)
+        );
+
+        emit NoteBridged(bytes32(_publicSignals[1]), _dstChainId, bytes32(_publicSignals[2]), _encryptedNote);
+    }
+
+    /**
+     * @notice Receive a note bridged from a peer shield
+     * @param _encryptedNote Output note encrypted to its owner
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     * @dev Only chains with a bridge peer may send notes. The root and
+     * extDataHash refer to the source chain, so only the proof is checked; the nullifier
+     * hash names the source's bridgedNotes record.
+     */
+    function receiveBridgedNote(
+        bytes calldata _encryptedNote,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external receiveMethod nonReentrant {
+        uint256 srcChainId = _getFromChainIdOnReceiveMethod();
+        bytes32 messageId = _getMessageIdOnReceiveMethod();
+
+        require(bridgePeers[srcChainId] != address(0), "RaylsShield: Unknown bridge peer");
+        require(_publicSignals[3] == 0, "RaylsShield: Bridge cannot withdraw");
+        _verifyNoteProof(_pA, _pB, _pC, _publicSignals);
+
+        _spendNoteNullifier(bytes32(_publicSignals[1]), messageId);
+        _insertLeaf(bytes32(_publicSignals[2]));
+
+        emit BridgedNoteReceived(
+            messageId,
+            srcChainId,
+            bytes32(_publicSignals[1]),
+            bytes32(_publicSignals[2]),
+            _encryptedNote
+        );
+    }
+
+    /**
+     * @notice Set the token shield notes are bridged to and accepted from on a chain
+     * @param _chainId Peer chain ID
+     * @param _peer RaylsShieldToken on that chain (address(0) removes the peer)
+     */
+    function setBridgePeer(uint256 _chainId, address _peer) external onlyOwner {
+        require(_chainId != block.chainid, "RaylsShield: Peer on own chain");
+
+        address oldPeer = bridgePeers[_chainId];
+        bridgePeers[_chainId] = _peer;
+
+        emit BridgePeerUpdated(_chainId, oldPeer, _peer);
+    }
+
+    function _payOut(address payable _to, uint256 _amount) internal override {
+        if (tokenMode == TokenMode.Mint) {
+            ShieldWrappedToken(address(token)).mint(_to, _amount);
+        } else {
+            token.safeTransfer(_to, _amount);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Executes one type of action carried by a RaylsShield message (see ActionDispatcher.sol)
+ */
+interface IShieldActionHandler {
+    function executeAction(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _actionType,
+        bytes calldata _data
+    ) external;
+}
+
+/**
+ * @title ShieldActionHandler
+ * @notice Base of the action handlers a RaylsShield owner can allow-list
+ * @dev Only the shield's ActionDispatcher may call executeAction. A revert makes the
+ * dispatcher store the action as failed, and rolls back everything the handler did.
+ */
+abstract contract ShieldActionHandler is IShieldActionHandler {
+    // ActionDispatcher that dispatches actions to this handler (RaylsShield.actionDispatcher)
+    address public immutable dispatcher;
+
+    /**
+     * @param _dispatcher ActionDispatcher address
+     */
+    constructor(address _dispatcher) {
+        require(_dispatcher != address(0), "ShieldActionHandler: Invalid dispatcher");
+        dispatcher = _dispatcher;
+    }
+
+    /**
+     * @notice Execute an action delivered to the shield
+     * @param _messageId Rayls message ID of the delivery
+     * @param _srcChainId Source chain ID
+     * @param _actionType Action type the handler was registered for
+     * @param _data ABI-encoded action data
+     */
+    function executeAction(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _actionType,
+        bytes calldata _data
+    ) external {
+        require(msg.sender == dispatcher, "ShieldActionHandler: Caller is not the dispatcher");
+        _execute(_messageId, _srcChainId, _actionType, _data);
+    }
+
+    function _execute(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32 _actionType,
+        bytes calldata _data
+    ) internal virtual;
+}
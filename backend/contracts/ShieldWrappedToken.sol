@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title ShieldWrappedToken
+ * @notice Wrapped ERC-20 minted by a RaylsShieldToken in mint mode
+ * @dev The shield mints on withdrawal and burns what is deposited into it, so the
+ * supply always matches value withdrawn from notes bridged in. The minter is set
+ * once, after the shield is deployed with this token's address.
+ */
+contract ShieldWrappedToken is ERC20, Ownable {
+    uint8 private immutable _tokenDecimals;
+
+    // RaylsShieldToken allowed to mint
+    address public minter;
+
+    event MinterSet(address indexed minter);
+
+    /**
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _decimals Decimals of the token it wraps
+     */
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) Ownable(msg.sender) {
+        _tokenDecimals = _decimals;
+    }
+
+    /**
+     * @notice Set the shield that mints this token (once)
+     * @param _minter RaylsShieldToken address
+     */
+    function setMinter(address _minter) external onlyOwner {
+        require(minter == address(0), "ShieldWrappedToken: Minter already set");
+        require(_minter != address(0), "ShieldWrappedToken: Invalid minter");
+        minter = _minter;
+
+        emit MinterSet(_minter);
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        require(msg.sender == minter, "ShieldWrappedToken: Caller is not the minter");
+        _mint(_to, _amount);
+    }
+
+    function burn(uint256 _amount) external {
+        _burn(msg.sender, _amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _tokenDecimals;
+    }
+}
@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./MerkleTreeWithHistory.sol";
+import "./VerifierRegistry.sol";
+
+/**
+ * @title ShieldedPool
+ * @notice Shielded pool of notes in a Poseidon commitment tree, spent with transfer.circom proofs
+ * @dev Holds native value; token pools override deposit and _payOut (RaylsShieldToken).
+ * Derived contracts register the transfer.circom verifier under TRANSFER_CIRCUIT.
+ */
+abstract contract ShieldedPool is MerkleTreeWithHistory, VerifierRegistry, ReentrancyGuard {
+    // Depth of the commitment tree (must match circuits/transfer.circom)
+    uint32 public constant MERKLE_TREE_LEVELS = 20;
+
+    // Largest note amount accepted by transfer.circom (128-bit range check)
+    uint256 public constant MAX_NOTE_AMOUNT = type(uint128).max;
+
+    // Verifier registry ID of transfer.circom
+    bytes32 public constant TRANSFER_CIRCUIT = keccak256("transfer");
+
+    // Leaves already inserted into the commitment tree
+    mapping(bytes32 => bool) public commitments;
+
+    // Spent nullifiers of privacy messages (privacy.circom and compliance.circom proofs)
+    mapping(bytes32 => bool) public nullifiers;
+
+    // Spent nullifiers of pool notes (transfer.circom proofs). Every circuit derives the
+    // hash as Poseidon(nullifier), so one shared mapping would let a message spend a note
+    // with the same nullifier, or the reverse.
+    mapping(bytes32 => bool) public noteNullifiers;
+
+    /**
+     * @notice Emitted whenever a message nullifier is marked as spent, on any path
+     * @dev Kept separate from the message events so indexers can track spent
+     * nullifiers without depending on the layout of those events
+     */
+    event NullifierSpent(bytes32 indexed nullifierHash, bytes32 indexed messageHash);
+
+    /**
+     * @notice Emitted whenever a pool note nullifier is marked as spent
+     * @dev messageHash is the endpoint message ID for received bridged notes, zero otherwise
+     */
+    event NoteNullifierSpent(bytes32 indexed nullifierHash, bytes32 indexed messageHash);
+
+    /**
+     * @notice Emitted for every leaf inserted into the commitment tree
+     * @dev Covers deposits and the output notes of transfers and withdrawals, so
+     * the tree can be rebuilt off-chain from these events alone
+     */
+    event Deposit(bytes32 indexed leaf, uint32 leafIndex, uint256 timestamp);
+
+    event PrivateTransfer(bytes32 indexed nullifierHash, bytes32 outLeaf, bytes encryptedNote);
+
+    event Withdrawal(address indexed to, bytes32 indexed nullifierHash, uint256 amount);
+
+    /**
+     * @param _hasher Address of the Poseidon hasher used by the commitment tree
+     */
+    constructor(address _hasher) MerkleTreeWithHistory(MERKLE_TREE_LEVELS, _hasher) {}
+
+    /**
+     * @notice Deposit native value into the shielded pool
+     * @param _commitment Note commitment Poseidon(secret, nullifier, amount) with amount == msg.value
+     * @dev The inserted leaf is Poseidon(_commitment, msg.value); a commitment that
+     * claims a different amount produces a leaf that can never be spent
+     */
+    function deposit(bytes32 _commitment) external payable virtual nonReentrant {
+        _insertDeposit(_commitment, msg.value);
+    }
+
+    /**
+     * @notice Spend a pool note into a new note for another owner, without moving value out
+     * @param _encryptedNote Output note encrypted to its new owner
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     */
+    function privateTransfer(
+        bytes calldata _encryptedNote,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external nonReentrant {
+        require(_publicSignals[3] == 0, "RaylsShield: Transfer cannot withdraw");
+        require(
+            _publicSignals[4] == computeExtDataHash(msg.sender, block.chainid, bytes32(0), _encryptedNote),
+            "RaylsShield: External data hash mismatch"
+        );
+
+        _spendNote(_pA, _pB, _pC, _publicSignals);
+
+        emit PrivateTransfer(bytes32(_publicSignals[1]), bytes32(_publicSignals[2]), _encryptedNote);
+    }
+
+    /**
+     * @notice Withdraw value from the shielded pool, keeping any change in a new note
+     * @param _to Address receiving the withdrawn value
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     */
+    function withdraw(
+        address payable _to,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) external nonReentrant {
+        require(_to != address(0), "RaylsShield: Invalid recipient");
+        require(_publicSignals[3] > 0, "RaylsShield: Zero withdrawal");
+        require(
+            _publicSignals[4] == computeExtDataHash(
+                msg.sender,
+                block.chainid,
+                bytes32(uint256(uint160(address(_to)))),
+                ""
+            ),
+            "RaylsShield: External data hash mismatch"
+        );
+
+        _spendNote(_pA, _pB, _pC, _publicSignals);
+
+        uint256 amount = _publicSignals[3];
+        _payOut(_to, amount);
+
+        emit Withdrawal(_to, bytes32(_publicSignals[1]), amount);
+    }
+
+    /**
+     * @notice Compute the external data hash a proof must commit to
+     * @param _sender Address sending the message
+     * @param _dstChainId Destination chain ID
+     * @param _destination Destination address (left-padded) or resourceId
+     * @param _encryptedPayload Encrypted message payload
+     * @dev Pool spends use block.chainid as _dstChainId: privateTransfer passes a zero
+     * destination and the encrypted note, withdraw passes the recipient and no payload
+     * @return Hash reduced into the SNARK scalar field
+     * @dev Mirrored off-chain by computeExtDataHash in scripts/generate-proof.js
+     */
+    function computeExtDataHash(
+        address _sender,
+        uint256 _dstChainId,
+        bytes32 _destination,
+        bytes memory _encryptedPayload
+    ) public pure returns (uint256) {
+        return uint256(
+            keccak256(abi.encode(_sender, _dstChainId, _destination, keccak256(_encryptedPayload)))
+        ) % SNARK_SCALAR_FIELD;
+    }
+
+    /**
+     * @notice Check if a message nullifier has been used
+     * @param _nullifier Nullifier hash to check (public signal 0 of a message proof)
+     * @return bool True if nullifier has been used
+     * @dev Pool note nullifiers are in noteNullifiers
+     */
+    function isNullifierUsed(bytes32 _nullifier) external view returns (bool) {
+        return nullifiers[_nullifier];
+    }
+
+    /**
+     * @notice Verify a transfer.circom proof, spend its nullifier and insert the output note
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     */
+    function _spendNote(
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) internal {
+        require(isKnownRoot(bytes32(_publicSignals[0])), "RaylsShield: Unknown Merkle root");
+        _verifyNoteProof(_pA, _pB, _pC, _publicSignals);
+
+        _spendNoteNullifier(bytes32(_publicSignals[1]), bytes32(0));
+        _insertLeaf(bytes32(_publicSignals[2]));
+    }
+
+    /**
+     * @notice Check a transfer.circom proof and that its nullifier is unspent
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+     * @dev Does not check the root, which callers check against the tree they spend from
+     */
+    function _verifyNoteProof(
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _publicSignals
+    ) internal view {
+        require(!noteNullifiers[bytes32(_publicSignals[1])], "RaylsShield: Nullifier already used");
+        require(
+            _verifyProof(TRANSFER_CIRCUIT, _pA, _pB, _pC, _signalArray(_publicSignals)),
+            "RaylsShield: Invalid ZK proof"
+        );
+    }
+
+    /**
+     * @notice Insert the leaf of a deposited note
+     * @param _commitment Note commitment Poseidon(secret, nullifier, amount)
+     * @param _amount Amount received for the note
+     * @dev The leaf is Poseidon(_commitment, _amount), binding the note to what was paid in
+     */
+    function _insertDeposit(bytes32 _commitment, uint256 _amount) internal {
+        require(_amount > 0, "RaylsShield: Zero deposit");
+        require(_amount <= MAX_NOTE_AMOUNT, "RaylsShield: Deposit too large");
+        require(uint256(_commitment) < SNARK_SCALAR_FIELD, "RaylsShield: Commitment out of field");
+
+        _insertLeaf(bytes32(hasher.poseidon([uint256(_commitment), _amount])));
+    }
+
+    /**
+     * @notice Send withdrawn pool value to its recipient
+     * @param _to Recipient
+     * @param _amount Amount withdrawn
+     * @dev Native value here; token mode (RaylsShieldToken) pays out the pool's token
+     */
+    function _payOut(address payable _to, uint256 _amount) internal virtual {
+        (bool success, ) = _to.call{value: _amount}("");
+        require(success, "RaylsShield: Withdrawal transfer failed");
+    }
+
+    /**
+     * @notice Copy transfer.circom public signals for _verifyProof
+     * @param _publicSignals Fixed-size public signals
+     * @return signals The same signals as a dynamic array
+     */
+    function _signalArray(uint256[5] calldata _publicSignals) internal pure returns (uint256[] memory signals) {
+        signals = new uint256[](5);
+        for (uint256 i = 0; i < 5; i++) {
+            signals[i] = _publicSignals[i];
+        }
+    }
+
+    /**
+     * @notice Insert a new leaf into the commitment tree
+     * @param _leaf Leaf to insert
+     */
+    function _insertLeaf(bytes32 _leaf) internal {
+        require(!commitments[_leaf], "RaylsShield: Commitment already exists");
+
+        commitments[_leaf] = true;
+        uint32 leafIndex = _insert(_leaf);
+
+        emit Deposit(_leaf, leafIndex, block.timestamp);
+    }
+
+    /**
+     * @notice Mark a message nullifier as spent
+     * @param _nullifierHash Nullifier hash taken from the proof's public signals
+     * @param _messageHash Message the nullifier was spent in
+     */
+    function _spendNullifier(bytes32 _nullifierHash, bytes32 _messageHash) internal {
+        nullifiers[_nullifierHash] = true;
+        emit NullifierSpent(_nullifierHash, _messageHash);
+    }
+
+    /**
+     * @notice Mark a pool note nullifier as spent
+     * @param _nullifierHash Nullifier hash taken from the transfer proof's public signals
+     * @param _messageHash Message the note arrived in, or zero
+     */
+    function _spendNoteNullifier(bytes32 _nullifierHash, bytes32 _messageHash) internal {
+        noteNullifiers[_nullifierHash] = true;
+        emit NoteNullifierSpent(_nullifierHash, _messageHash);
+    }
+}
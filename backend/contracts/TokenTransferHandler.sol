@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./ShieldActionHandler.sol";
+
+/**
+ * @title TokenTransferHandler
+ * @notice Handler for TOKEN_TRANSFER_ACTION: pays ERC-20 tokens out of its own balance
+ * @dev Action data is abi.encode(address token, address to, uint256 amount, bytes32 salt,
+ * uint256 deadline, bytes signature). Senders are private, so the handler only pays what
+ * the owner's payout signer authorised: the signature (EIP-191, over transferDigest) binds
+ * the payout to this handler, this chain and the source chain, and each one is paid once.
+ * Each token also has a per-action limit, and only what the owner deposits can be paid out.
+ * An unfunded transfer fails and can be replayed once the handler is topped up.
+ */
+contract TokenTransferHandler is ShieldActionHandler, Ownable {
+    using SafeERC20 for IERC20;
+
+    // Largest amount of each token one action can transfer (0 = token disabled)
+    mapping(address => uint256) public transferLimits;
+
+    // Key that authorises payouts (zero address = none)
+    address public payoutSigner;
+
+    // Digests of the authorisations already paid out
+    mapping(bytes32 => bool) public usedAuthorizations;
+
+    event TransferLimitUpdated(address indexed token, uint256 oldLimit, uint256 newLimit);
+
+    event PayoutSignerUpdated(address indexed oldSigner, address indexed newSigner);
+
+    event TokensTransferred(bytes32 indexed messageId, address indexed token, address indexed to, uint256 amount);
+
+    constructor(address _dispatcher) ShieldActionHandler(_dispatcher) Ownable(msg.sender) {}
+
+    /**
+     * @notice Set the per-action transfer limit of a token
+     * @param _token ERC-20 token address
+     * @param _limit Largest amount per action (0 disables the token)
+     */
+    function setTransferLimit(address _token, uint256 _limit) external onlyOwner {
+        require(_token != address(0), "TokenTransferHandler: Invalid token");
+
+        uint256 oldLimit = transferLimits[_token];
+        transferLimits[_token] = _limit;
+
+        emit TransferLimitUpdated(_token, oldLimit, _limit);
+    }
+
+    /**
+     * @notice Set the key that authorises payouts
+     * @param _signer Signer address (zero address stops all payouts)
+     */
+    function setPayoutSigner(address _signer) external onlyOwner {
+        emit PayoutSignerUpdated(payoutSigner, _signer);
+        payoutSigner = _signer;
+    }
+
+    /**
+     * @notice Digest the payout signer signs to authorise a transfer
+     * @param _srcChainId Chain the message must come from
+     * @param _token ERC-20 token address
+     * @param _to Recipient
+     * @param _amount Amount to transfer
+     * @param _salt Distinguishes otherwise equal payouts
+     * @param _deadline Last timestamp the transfer can be paid at
+     * @return Digest, signed as an EIP-191 personal message
+     */
+    function transferDigest(
+        uint256 _srcChainId,
+        address _token,
+        address _to,
+        uint256 _amount,
+        bytes32 _salt,
+        uint256 _deadline
+    ) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(address(this), block.chainid, _srcChainId, _token, _to, _amount, _salt, _deadline)
+        );
+    }
+
+    /**
+     * @notice Take tokens back out of the handler
+     * @param _token ERC-20 token address
+     * @param _to Recipient
+     * @param _amount Amount to withdraw
+     */
+    function withdrawTokens(address _token, address _to, uint256 _amount) external onlyOwner {
+        IERC20(_token).safeTransfer(_to, _amount);
+    }
+
+    function _execute(
+        bytes32 _messageId,
+        uint256 _srcChainId,
+        bytes32,
+        bytes calldata _data
+    ) internal override {
+        (address token, address to, uint256 amount, bytes32 salt, uint256 deadline, bytes memory signature) =
+            abi.decode(_data, (address, address, uint256, bytes32, uint256, bytes));
+        require(to != address(0), "TokenTransferHandler: Invalid recipient");
+        require(transferLimits[token] != 0, "TokenTransferHandler: Token not enabled");
+        require(amount > 0, "TokenTransferHandler: Zero amount");
+        require(amount <= transferLimits[token], "TokenTransferHandler: Amount over limit");
+        require(block.timestamp <= deadline, "TokenTransferHandler: Authorization expired");
+
+        bytes32 digest = transferDigest(_srcChainId, token, to, amount, salt, deadline);
+        require(!usedAuthorizations[digest], "TokenTransferHandler: Authorization already used");
+        // Signed as an EIP-191 personal message
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", digest)),
+            signature
+        );
+        require(
+            error == ECDSA.RecoverError.NoError && signer != address(0) && signer == payoutSigner,
+            "TokenTransferHandler: Invalid authorization"
+        );
+        usedAuthorizations[digest] = true;
+
+        IERC20(token).safeTransfer(to, amount);
+
+        emit TokensTransferred(_messageId, token, to, amount);
+    }
+}
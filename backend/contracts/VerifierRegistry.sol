@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title VerifierRegistry
+ * @notice Maps circuit IDs to Groth16 verifiers, with timelocked updates
+ * @dev snarkjs verifiers take the public signals as a fixed-size array, so each
+ * circuit records its signal count and proofs are checked with the matching
+ * verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[N]) selector. Changes
+ * are proposed by the owner and can only be applied VERIFIER_UPDATE_DELAY later,
+ * so a new verifier is public for the whole delay before it can accept a proof.
+ *
+ * Every verifier is also self-tested when it is registered, proposed and applied:
+ * it must answer false to a proof that no circuit accepts. This refuses
+ * always-true stand-ins such as Groth16VerifierPlaceholder.sol, and verifiers
+ * whose verifyProof does not take the given number of public signals.
+ */
+abstract contract VerifierRegistry is Ownable {
+    // Time between proposing a verifier and being able to apply it
+    uint256 public constant VERIFIER_UPDATE_DELAY = 2 days;
+
+    // Largest public signal count accepted for a circuit
+    uint256 public constant MAX_PUBLIC_SIGNALS = 32;
+
+    // Self-test proof: the BN254 generators, G1 for A and C and G2 for B. They are valid
+    // points, so a Groth16 verifier runs its pairing check and returns false without
+    // reverting (a failed pairing precompile call would burn all the gas it was given).
+    // G2 coordinates are in verifier order, imaginary part first.
+    uint256 private constant SELF_TEST_G1_X = 1;
+    uint256 private constant SELF_TEST_G1_Y = 2;
+    uint256 private constant SELF_TEST_G2_X1 =
+        11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 private constant SELF_TEST_G2_X2 =
+        10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 private constant SELF_TEST_G2_Y1 =
+        4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 private constant SELF_TEST_G2_Y2 =
+        8495653923123431417604973247489272438418190587263600148770280649306958101930;
+
+    struct Verifier {
+        address verifier;
+        uint256 publicSignalCount;
+    }
+
+    struct PendingVerifier {
+        address verifier;
+        uint256 publicSignalCount;
+        uint256 executableAt;
+    }
+
+    // Active verifier of each circuit
+    mapping(bytes32 => Verifier) public verifiers;
+
+    // Proposed verifier of each circuit, waiting for the timelock
+    mapping(bytes32 => PendingVerifier) public pendingVerifiers;
+
+    event VerifierUpdatePending(
+        bytes32 indexed circuitId,
+        address indexed verifier,
+        uint256 publicSignalCount,
+        uint256 executableAt
+    );
+
+    event VerifierUpdateApplied(
+        bytes32 indexed circuitId,
+        address indexed oldVerifier,
+        address indexed newVerifier,
+        uint256 publicSignalCount
+    );
+
+    event VerifierUpdateCancelled(bytes32 indexed circuitId, address indexed verifier);
+
+    /**
+     * @notice Propose a verifier for a circuit, replacing any pending proposal
+     * @param _circuitId Circuit ID, keccak256 of the circuit name
+     * @param _verifier Verifier contract address
+     * @param _publicSignalCount Number of public signals the verifier takes
+     */
+    function proposeVerifier(bytes32 _circuitId, address _verifier, uint256 _publicSignalCount) external onlyOwner {
+        _checkVerifier(_verifier, _publicSignalCount);
+
+        uint256 executableAt = block.timestamp + VERIFIER_UPDATE_DELAY;
+        pendingVerifiers[_circuitId] = PendingVerifier(_verifier, _publicSignalCount, executableAt);
+
+        emit VerifierUpdatePending(_circuitId, _verifier, _publicSignalCount, executableAt);
+    }
+
+    /**
+     * @notice Activate the pending verifier of a circuit once its delay has passed
+     * @param _circuitId Circuit ID
+     */
+    function applyVerifier(bytes32 _circuitId) external onlyOwner {
+        PendingVerifier memory pending = pendingVerifiers[_circuitId];
+        require(pending.verifier != address(0), "VerifierRegistry: No pending verifier");
+        require(block.timestamp >= pending.executableAt, "VerifierRegistry: Timelock not expired");
+
+        // Verifiers behind a proxy can change while pending, so test again
+        _checkVerifier(pending.verifier, pending.publicSignalCount);
+
+        delete pendingVerifiers[_circuitId];
+        _setVerifier(_circuitId, pending.verifier, pending.publicSignalCount);
+    }
+
+    /**
+     * @notice Drop the pending verifier of a circuit
+     * @param _circuitId Circuit ID
+     */
+    function cancelVerifier(bytes32 _circuitId) external onlyOwner {
+        address verifier = pendingVerifiers[_circuitId].verifier;
+        require(verifier != address(0), "VerifierRegistry: No pending verifier");
+
+        delete pendingVerifiers[_circuitId];
+
+        emit VerifierUpdateCancelled(_circuitId, verifier);
+    }
+
+    /**
+     * @notice Register a verifier immediately, for use in constructors
+     * @param _circuitId Circuit ID
+     * @param _verifier Verifier contract address
+     * @param _publicSignalCount Number of public signals the verifier takes
+     */
+    function _registerVerifier(bytes32 _circuitId, address _verifier, uint256 _publicSignalCount) internal {
+        _checkVerifier(_verifier, _publicSignalCount);
+        _setVerifier(_circuitId, _verifier, _publicSignalCount);
+    }
+
+    /**
+     * @notice Check a proof with the active verifier of a circuit
+     * @param _circuitId Circuit ID
+     * @param _pA Proof point A
+     * @param _pB Proof point B
+     * @param _pC Proof point C
+     * @param _publicSignals Public signals, as many as the circuit's verifier takes
+     * @return True if the verifier accepts the proof
+     */
+    function _verifyProof(
+        bytes32 _circuitId,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[] memory _publicSignals
+    ) internal view returns (bool) {
+        Verifier memory entry = verifiers[_circuitId];
+        require(entry.verifier != address(0), "VerifierRegistry: Unknown circuit");
+        require(_publicSignals.length == entry.publicSignalCount, "VerifierRegistry: Public signal count mismatch");
+
+        (bool answered, bool accepted) = _callVerifier(
+            entry.verifier,
+            entry.publicSignalCount,
+            abi.encode(_pA, _pB, _pC),
+            _publicSignals
+        );
+        return answered && accepted;
+    }
+
+    /**
+     * @notice Call verifyProof without reverting on a failed call
+     * @param _verifier Verifier contract address
+     * @param _publicSignalCount Number of public signals the verifier takes
+     * @param _proof ABI-encoded (pA, pB, pC)
+     * @param _publicSignals Public signals
+     * @return answered True if the call returned a bool
+     * @return accepted The returned bool
+     */
+    function _callVerifier(
+        address _verifier,
+        uint256 _publicSignalCount,
+        bytes memory _proof,
+        uint256[] memory _publicSignals
+    ) internal view returns (bool answered, bool accepted) {
+        // Fixed-size arrays are ABI-encoded in place, so the signals follow the proof points word by word
+        (bool success, bytes memory result) = _verifier.staticcall(
+            abi.encodePacked(_verifyProofSelector(_publicSignalCount), _proof, _publicSignals)
+        );
+        if (!success || result.length != 32) {
+            return (false, false);
+        }
+        uint256 value = abi.decode(result, (uint256));
+        return (value <= 1, value == 1);
+    }
+
+    /**
+     * @notice Selector of verifyProof for a given number of public signals
+     * @param _publicSignalCount Number of public signals
+     * @return bytes4 Selector of verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[N])
+     */
+    function _verifyProofSelector(uint256 _publicSignalCount) internal pure returns (bytes4) {
+        return bytes4(
+            keccak256(
+                abi.encodePacked(
+                    "verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[",
+                    _toDecimal(_publicSignalCount),
+                    "])"
+                )
+            )
+        );
+    }
+
+    function _checkVerifier(address _verifier, uint256 _publicSignalCount) internal view {
+        require(_verifier != address(0), "VerifierRegistry: Invalid verifier address");
+        require(_verifier.code.length > 0, "VerifierRegistry: Verifier has no code");
+        require(
+            _publicSignalCount > 0 && _publicSignalCount <= MAX_PUBLIC_SIGNALS,
+            "VerifierRegistry: Invalid public signal count"
+        );
+
+        (bool answered, bool accepted) = _callVerifier(
+            _verifier,
+            _publicSignalCount,
+            abi.encode(
+                [SELF_TEST_G1_X, SELF_TEST_G1_Y],
+                [[SELF_TEST_G2_X1, SELF_TEST_G2_X2], [SELF_TEST_G2_Y1, SELF_TEST_G2_Y2]],
+                [SELF_TEST_G1_X, SELF_TEST_G1_Y]
+            ),
+            new uint256[](_publicSignalCount)
+        );
+        require(answered, "VerifierRegistry: Verifier failed self-test");
+        require(!accepted, "VerifierRegistry: Verifier accepted an invalid proof");
+    }
+
+    function _setVerifier(bytes32 _circuitId, address _verifier, uint256 _publicSignalCount) internal {
+        address oldVerifier = verifiers[_circuitId].verifier;
+        verifiers[_circuitId] = Verifier(_verifier, _publicSignalCount);
+
+        emit VerifierUpdateApplied(_circuitId, oldVerifier, _verifier, _publicSignalCount);
+    }
+
+    function _toDecimal(uint256 _value) private pure returns (bytes memory) {
+        // Counts are at most MAX_PUBLIC_SIGNALS, so one or two digits
+        if (_value < 10) {
+            return abi.encodePacked(bytes1(uint8(48 + _value)));
+        }
+        return abi.encodePacked(bytes1(uint8(48 + _value / 10)), bytes1(uint8(48 + (_value % 10))));
+    }
+}
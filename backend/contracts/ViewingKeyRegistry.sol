@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ViewingKeyRegistry
+ * @notice Directory of recipient keys for RaylsShield senders
+ * @dev Each address publishes an X25519 encryption public key (the target of
+ * _encryptedPayload envelopes) and its shielded address hash, Poseidon(recipient)
+ * (see scripts/key-registry.js). Proofs expose a salted recipientHash instead, so
+ * this hash cannot be matched against messages. Keys can be rotated in place or
+ * revoked; every change bumps the entry's version.
+ */
+contract ViewingKeyRegistry {
+    // BN254 scalar field size; shieldedAddressHash is a circuit signal
+    uint256 public constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    struct ViewingKey {
+        bytes32 encryptionPublicKey;
+        uint256 shieldedAddressHash;
+        uint64 version;
+        bool active;
+    }
+
+    // Current key of each address
+    mapping(address => ViewingKey) public viewingKeys;
+
+    event ViewingKeyRegistered(
+        address indexed account,
+        bytes32 encryptionPublicKey,
+        uint256 shieldedAddressHash,
+        uint64 version
+    );
+
+    event ViewingKeyRotated(
+        address indexed account,
+        bytes32 oldEncryptionPublicKey,
+        bytes32 newEncryptionPublicKey,
+        uint256 shieldedAddressHash,
+        uint64 version
+    );
+
+    event ViewingKeyRevoked(address indexed account, bytes32 encryptionPublicKey, uint64 version);
+
+    /**
+     * @notice Publish a viewing key for msg.sender
+     * @param _encryptionPublicKey X25519 public key payloads are encrypted to
+     * @param _shieldedAddressHash Poseidon(recipient) of msg.sender
+     */
+    function registerViewingKey(bytes32 _encryptionPublicKey, uint256 _shieldedAddressHash) external {
+        ViewingKey storage key = viewingKeys[msg.sender];
+        require(!key.active, "ViewingKeyRegistry: Key already registered");
+        _validate(_encryptionPublicKey, _shieldedAddressHash);
+
+        key.encryptionPublicKey = _encryptionPublicKey;
+        key.shieldedAddressHash = _shieldedAddressHash;
+        key.version += 1;
+        key.active = true;
+
+        emit ViewingKeyRegistered(msg.sender, _encryptionPublicKey, _shieldedAddressHash, key.version);
+    }
+
+    /**
+     * @notice Replace msg.sender's active viewing key
+     * @dev Payloads already encrypted to the old key stay readable only with the old key
+     * @param _encryptionPublicKey New X25519 public key
+     * @param _shieldedAddressHash New (or unchanged) shielded address hash
+     */
+    function rotateViewingKey(bytes32 _encryptionPublicKey, uint256 _shieldedAddressHash) external {
+        ViewingKey storage key = viewingKeys[msg.sender];
+        require(key.active, "ViewingKeyRegistry: No active key");
+        _validate(_encryptionPublicKey, _shieldedAddressHash);
+
+        bytes32 oldEncryptionPublicKey = key.encryptionPublicKey;
+        key.encryptionPublicKey = _encryptionPublicKey;
+        key.shieldedAddressHash = _shieldedAddressHash;
+        key.version += 1;
+
+        emit ViewingKeyRotated(
+            msg.sender,
+            oldEncryptionPublicKey,
+            _encryptionPublicKey,
+            _shieldedAddressHash,
+            key.version
+        );
+    }
+
+    /**
+     * @notice Revoke msg.sender's viewing key so senders stop encrypting to it
+     * @dev A new key can be registered afterwards
+     */
+    function revokeViewingKey() external {
+        ViewingKey storage key = viewingKeys[msg.sender];
+        require(key.active, "ViewingKeyRegistry: No active key");
+
+        bytes32 encryptionPublicKey = key.encryptionPublicKey;
+        key.encryptionPublicKey = bytes32(0);
+        key.shieldedAddressHash = 0;
+        key.version += 1;
+        key.active = false;
+
+        emit ViewingKeyRevoked(msg.sender, encryptionPublicKey, key.version);
+    }
+
+    /**
+     * @notice Get the active viewing key of an address
+     * @param _account Address to look up
+     * @return encryptionPublicKey X25519 public key
+     * @return shieldedAddressHash Shielded address hash
+     * @return version Version of the key, incremented on every change
+     */
+    function getViewingKey(address _account)
+        external
+        view
+        returns (bytes32 encryptionPublicKey, uint256 shieldedAddressHash, uint64 version)
+    {
+        ViewingKey storage key = viewingKeys[_account];
+        require(key.active, "ViewingKeyRegistry: No active key");
+        return (key.encryptionPublicKey, key.shieldedAddressHash, key.version);
+    }
+
+    /**
+     * @notice Check if an address has an active viewing key
+     * @param _account Address to check
+     * @return bool True if a key is registered and not revoked
+     */
+    function hasViewingKey(address _account) external view returns (bool) {
+        return viewingKeys[_account].active;
+    }
+
+    function _validate(bytes32 _encryptionPublicKey, uint256 _shieldedAddressHash) internal pure {
+        require(_encryptionPublicKey != bytes32(0), "ViewingKeyRegistry: Invalid encryption key");
+        require(
+            _shieldedAddressHash != 0 && _shieldedAddressHash < SNARK_SCALAR_FIELD,
+            "ViewingKeyRegistry: Invalid shielded address hash"
+        );
+    }
+}
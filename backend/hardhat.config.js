@@ -12,6 +12,19 @@ module.exports = {
         runs: 200,
       },
     },
+    // RaylsShield is the largest contract and must stay under the 24 KB limit, so it is
+    // optimized for size rather than call cost
+    overrides: {
+      "contracts/RaylsShield.sol": {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1,
+          },
+        },
+      },
+    },
   },
 
   networks: {
@@ -47,6 +60,38 @@ module.exports = {
         wasm: "privacy.wasm",
         zkey: "privacy.zkey",
       },
+      {
+        name: "compliance",
+        protocol: "groth16",
+        circuit: "compliance.circom",
+        input: "compliance.input.json",
+        wasm: "compliance.wasm",
+        zkey: "compliance.zkey",
+      },
+      {
+        name: "transfer",
+        protocol: "groth16",
+        circuit: "transfer.circom",
+        input: "transfer.input.json",
+        wasm: "transfer.wasm",
+        zkey: "transfer.zkey",
+      },
+      {
+        name: "disclosure",
+        protocol: "groth16",
+        circuit: "disclosure.circom",
+        input: "disclosure.input.json",
+        wasm: "disclosure.wasm",
+        zkey: "disclosure.zkey",
+      },
+      {
+        name: "audit",
+        protocol: "groth16",
+        circuit: "audit.circom",
+        input: "audit.input.json",
+        wasm: "audit.wasm",
+        zkey: "audit.zkey",
+      },
     ],
   },
 
@@ -0,0 +1,200 @@
+const { ethers } = require("ethers");
+
+/**
+ * Action envelopes: typed actions RaylsShield executes on delivery (ActionDispatcher.sol).
+ *
+ * Envelope layout, passed as _encryptedPayload:
+ *
+ *   | ACTION_ENVELOPE_MAGIC (4) | abi.encode(bytes32 actionType, bytes data, bytes ciphertext) |
+ *
+ * The action type and data are public on the destination chain. ciphertext is an optional
+ * payload-encryption.js envelope for the recipient; it is bound by the proof like the rest.
+ */
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+const ACTION_ENVELOPE_MAGIC = ethers.dataSlice(
+  ethers.id("RaylsShieldActionEnvelope(bytes32,bytes,bytes)"),
+  0,
+  4
+);
+
+// Standard action types, as ActionDispatcher's *_ACTION constants
+const ACTION_TYPES = {
+  tokenTransfer: ethers.id("tokenTransfer"),
+  contractCall: ethers.id("contractCall"),
+  attestation: ethers.id("attestation"),
+};
+
+// Action data of the standard types, as the bundled handlers decode it
+const ACTION_DATA_FIELDS = {
+  tokenTransfer: [
+    "address token",
+    "address to",
+    "uint256 amount",
+    "bytes32 salt",
+    "uint256 deadline",
+    "bytes signature",
+  ],
+  contractCall: ["address target", "bytes callData"],
+  attestation: ["bytes32 subject", "bytes32 digest"],
+};
+
+function actionName(actionType) {
+  return Object.keys(ACTION_TYPES).find((name) => ACTION_TYPES[name] === actionType.toLowerCase()) || null;
+}
+
+function toActionType(actionType) {
+  if (ACTION_TYPES[actionType]) {
+    return ACTION_TYPES[actionType];
+  }
+  if (ethers.isHexString(actionType, 32)) {
+    return actionType.toLowerCase();
+  }
+  throw new Error(`Actions: Unknown action type ${actionType}`);
+}
+
+/**
+ * ABI-encode the data of a standard action
+ * @param {string} actionType - Name ("tokenTransfer", ...) or bytes32 ID
+ * @param {Object} params - Fields of the action, e.g. {token, to, amount}
+ * @returns {string} Hex action data
+ */
+function encodeActionData(actionType, params) {
+  const name = actionName(toActionType(actionType));
+  if (!name) {
+    throw new Error("Actions: Only standard actions can be encoded from fields");
+  }
+
+  const fields = ACTION_DATA_FIELDS[name];
+  const values = fields.map((field) => {
+    const key = field.split(" ")[1];
+    if (params[key] === undefined) {
+      throw new Error(`Actions: Missing ${name} field ${key}`);
+    }
+    return params[key];
+  });
+  return abiCoder.encode(fields, values);
+}
+
+/**
+ * Decode the data of a standard action
+ * @param {string} actionType - Name or bytes32 ID
+ * @param {string|Uint8Array} data - Action data
+ * @returns {Object|null} Fields of the action, or null for a non-standard type
+ */
+function decodeActionData(actionType, data) {
+  const name = actionName(toActionType(actionType));
+  if (!name) {
+    return null;
+  }
+
+  const fields = ACTION_DATA_FIELDS[name];
+  let values;
+  try {
+    values = abiCoder.decode(fields, data);
+  } catch {
+    throw new Error(`Actions: Malformed ${name} data`);
+  }
+  return Object.fromEntries(fields.map((field, i) => [field.split(" ")[1], values[i]]));
+}
+
+/**
+ * Authorise a TokenTransferHandler payout, as its payout signer
+ * @param {ethers.Signer} signer - The handler's payoutSigner
+ * @param {Object} transfer
+ * @param {string} transfer.handler - TokenTransferHandler address
+ * @param {bigint|number} transfer.chainId - Chain the handler is on
+ * @param {bigint|number} transfer.srcChainId - Chain the message will be sent from
+ * @param {string} transfer.token - ERC-20 token address
+ * @param {string} transfer.to - Recipient
+ * @param {bigint|number} transfer.amount - Amount to transfer
+ * @param {bigint|number} transfer.deadline - Last timestamp the payout can be made at
+ * @param {string} [transfer.salt] - bytes32 that tells equal payouts apart (default: random)
+ * @returns {Promise<Object>} tokenTransfer action fields, for encodeActionData or encodeActionEnvelope
+ */
+async function signTokenTransfer(
+  signer,
+  { handler, chainId, srcChainId, token, to, amount, deadline, salt = ethers.hexlify(ethers.randomBytes(32)) }
+) {
+  // TokenTransferHandler.transferDigest
+  const digest = ethers.keccak256(
+    abiCoder.encode(
+      ["address", "uint256", "uint256", "address", "address", "uint256", "bytes32", "uint256"],
+      [handler, chainId, srcChainId, token, to, amount, salt, deadline]
+    )
+  );
+  const signature = await signer.signMessage(ethers.getBytes(digest));
+  return { token, to, amount, salt, deadline, signature };
+}
+
+/**
+ * Build an action envelope
+ * @param {Object} action
+ * @param {string} action.actionType - Name ("tokenTransfer", ...) or bytes32 ID
+ * @param {string|Uint8Array|Object} action.data - Action data, or the fields of a standard action
+ * @param {string|Uint8Array} [action.ciphertext] - Encrypted payload for the recipient
+ * @returns {string} Hex payload for sendPrivateMessage
+ */
+function encodeActionEnvelope({ actionType, data, ciphertext = "0x" }) {
+  const type = toActionType(actionType);
+  const encodedData = ethers.isBytesLike(data) ? ethers.hexlify(data) : encodeActionData(type, data);
+  return ethers.concat([
+    ACTION_ENVELOPE_MAGIC,
+    abiCoder.encode(["bytes32", "bytes", "bytes"], [type, encodedData, ciphertext]),
+  ]);
+}
+
+/**
+ * Check whether a payload is an action envelope
+ * @param {string|Uint8Array} payload - Delivered payload
+ * @returns {boolean}
+ */
+function isActionEnvelope(payload) {
+  const bytes = ethers.getBytes(payload);
+  return bytes.length >= 4 && ethers.hexlify(bytes.subarray(0, 4)) === ACTION_ENVELOPE_MAGIC;
+}
+
+/**
+ * Decode an action envelope
+ * @param {string|Uint8Array} payload - Delivered payload
+ * @returns {Object|null} {actionType, name, data, params, ciphertext}, or null when the
+ *   payload is a plain encrypted message. name and params are null for non-standard types.
+ */
+function decodeActionEnvelope(payload) {
+  if (!isActionEnvelope(payload)) {
+    return null;
+  }
+
+  let actionType;
+  let data;
+  let ciphertext;
+  try {
+    [actionType, data, ciphertext] = abiCoder.decode(
+      ["bytes32", "bytes", "bytes"],
+      ethers.dataSlice(payload, 4)
+    );
+  } catch {
+    throw new Error("Actions: Malformed envelope");
+  }
+
+  let params = null;
+  try {
+    params = decodeActionData(actionType, data);
+  } catch {
+    // The handler rejects it on chain; the envelope itself is still readable
+  }
+  return { actionType, name: actionName(actionType), data, params, ciphertext };
+}
+
+module.exports = {
+  ACTION_ENVELOPE_MAGIC,
+  ACTION_TYPES,
+  ACTION_DATA_FIELDS,
+  encodeActionData,
+  decodeActionData,
+  signTokenTransfer,
+  encodeActionEnvelope,
+  isActionEnvelope,
+  decodeActionEnvelope,
+};
@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { buildBabyjub } = require("circomlibjs");
+const {
+  getPoseidon,
+  proveCircuit,
+  loadArtifacts,
+  formatProofForSolidity,
+} = require("./generate-proof");
+const { addressToRecipient } = require("./key-registry");
+
+// Order of audit.circom's public signals
+const AUDIT_SIGNALS = [
+  "commitment",
+  "recipientHash",
+  "auditorKeyX",
+  "auditorKeyY",
+  "ephemeralKeyX",
+  "ephemeralKeyY",
+  "amountCiphertext",
+  "recipientCiphertext",
+  "memoCiphertext",
+];
+
+// Longest memo that fits in one field element
+const MAX_MEMO_BYTES = 31;
+
+let babyJubPromise;
+
+/**
+ * Baby Jubjub curve, built once per process
+ * @returns {Promise<Object>} circomlibjs babyjub
+ */
+function getBabyJub() {
+  if (!babyJubPromise) {
+    babyJubPromise = buildBabyjub();
+  }
+  return babyJubPromise;
+}
+
+// Uniform scalar in [1, subOrder)
+function randomScalar(babyJub) {
+  return (BigInt(ethers.hexlify(crypto.randomBytes(64))) % (babyJub.subOrder - BigInt(1))) + BigInt(1);
+}
+
+function toScalar(babyJub, privateKey) {
+  const scalar = BigInt(privateKey);
+  if (scalar <= BigInt(0) || scalar >= babyJub.subOrder) {
+    throw new Error("Auditor: Invalid private key");
+  }
+  return scalar;
+}
+
+function toPoint(babyJub, key) {
+  return [babyJub.F.e(BigInt(key[0])), babyJub.F.e(BigInt(key[1]))];
+}
+
+function fromPoint(babyJub, point) {
+  return [babyJub.F.toObject(point[0]).toString(), babyJub.F.toObject(point[1]).toString()];
+}
+
+/**
+ * Generate an auditor key pair. Auditor keys are Baby Jubjub keys, so audit.circom can
+ * encrypt to them; they are not the X25519 viewing keys payloads are encrypted with.
+ * @returns {Promise<{privateKey: string, publicKey: Array<string>}>} 32-byte hex scalar, and
+ *   the public key as [x, y] decimal strings, as RaylsShield.setAuditorKey takes it
+ */
+async function generateAuditorKeyPair() {
+  const babyJub = await getBabyJub();
+  const privateKey = ethers.toBeHex(randomScalar(babyJub), 32);
+  return { privateKey, publicKey: await getAuditorPublicKey(privateKey) };
+}
+
+/**
+ * Derive the public key of an auditor private key
+ * @param {string|bigint} privateKey - Auditor private key
+ * @returns {Promise<Array<string>>} [x, y] decimal strings
+ */
+async function getAuditorPublicKey(privateKey) {
+  const babyJub = await getBabyJub();
+  return fromPoint(babyJub, babyJub.mulPointEscalar(babyJub.Base8, toScalar(babyJub, privateKey)));
+}
+
+/**
+ * Throw unless a key is a usable auditor public key: a point of Baby Jubjub's
+ * prime-order subgroup other than the identity
+ * @param {Array<string|bigint>} publicKey - [x, y]
+ */
+async function checkAuditorKey(publicKey) {
+  const babyJub = await getBabyJub();
+  if (!Array.isArray(publicKey) || publicKey.length !== 2 || BigInt(publicKey[0]) === BigInt(0)) {
+    throw new Error("Auditor: Invalid auditor key");
+  }
+  const point = toPoint(babyJub, publicKey);
+  if (!babyJub.inCurve(point) || !babyJub.inSubgroup(point)) {
+    throw new Error("Auditor: Invalid auditor key");
+  }
+}
+
+/**
+ * Encode a memo as the field element audit.circom encrypts
+ * @param {string} memo - Text of at most 31 UTF-8 bytes
+ * @returns {bigint}
+ */
+function encodeMemo(memo) {
+  const bytes = ethers.toUtf8Bytes(memo);
+  if (bytes.length > MAX_MEMO_BYTES) {
+    throw new Error(`Auditor: Memo longer than ${MAX_MEMO_BYTES} bytes`);
+  }
+  return bytes.length === 0 ? BigInt(0) : BigInt(ethers.hexlify(bytes));
+}
+
+/**
+ * Decode a memo from encodeMemo
+ * @param {bigint} value - Decrypted memo field
+ * @returns {string} The text, or the value as hex if it is not UTF-8 text
+ */
+function decodeMemo(value) {
+  if (value === BigInt(0)) {
+    return "";
+  }
+  const hex = ethers.toBeHex(value);
+  try {
+    return ethers.toUtf8String(hex);
+  } catch {
+    return hex;
+  }
+}
+
+// Poseidon keystream element i of a shared key
+function keystream(poseidon, sharedKey, index) {
+  return poseidon.F.toObject(poseidon([sharedKey[0], sharedKey[1], BigInt(index)]));
+}
+
+/**
+ * Compute the circuit inputs for the audit circuit
+ * @param {Object} params - Same parameters as generateAuditProof
+ * @returns {Promise<{inputs: Object, publicInputs: Object}>} Full witness inputs, and the
+ *   public subset
+ */
+async function buildAuditInputs({
+  secret,
+  nullifier,
+  amount,
+  recipient,
+  recipientSalt,
+  memo = "",
+  auditorKey,
+  ephemeralSecret
+}) {
+  if (recipient === undefined || recipientSalt === undefined) {
+    throw new Error("Auditor: recipient and recipientSalt are required");
+  }
+  await checkAuditorKey(auditorKey);
+
+  const babyJub = await getBabyJub();
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+
+  const recipientValue = typeof recipient === "string" ? addressToRecipient(recipient) : BigInt(recipient);
+  const memoValue = typeof memo === "string" ? encodeMemo(memo) : BigInt(memo);
+  const ephemeral = ephemeralSecret === undefined ? randomScalar(babyJub) : toScalar(babyJub, ephemeralSecret);
+
+  const ephemeralKey = fromPoint(babyJub, babyJub.mulPointEscalar(babyJub.Base8, ephemeral));
+  const sharedKey = fromPoint(babyJub, babyJub.mulPointEscalar(toPoint(babyJub, auditorKey), ephemeral)).map(BigInt);
+  const ciphertext = [amount, recipientValue, memoValue].map((value, i) =>
+    ((value + keystream(poseidon, sharedKey, i)) % F.p).toString()
+  );
+
+  const publicInputs = {
+    commitment: F.toObject(poseidon([secret, nullifier, amount])).toString(),
+    recipientHash: F.toObject(poseidon([recipientValue, recipientSalt])).toString(),
+    auditorKey: auditorKey.map(String),
+    ephemeralKey,
+    ciphertext,
+  };
+
+  return {
+    inputs: {
+      ...publicInputs,
+      secret: secret.toString(),
+      nullifier: nullifier.toString(),
+      amount: amount.toString(),
+      recipient: recipientValue.toString(),
+      recipientSalt: recipientSalt.toString(),
+      memo: memoValue.toString(),
+      ephemeralSecret: ephemeral.toString(),
+    },
+    publicInputs,
+  };
+}
+
+/**
+ * Generate a ZK proof for the audit circuit: the escrow of a compliant message
+ * @param {Object} params - Parameters for proof generation
+ * @param {bigint} params.secret - Secret of the message's note
+ * @param {bigint} params.nullifier - Nullifier of the message's note
+ * @param {bigint} params.amount - Amount of the message's note
+ * @param {string|bigint} params.recipient - Recipient address, or the circuit input
+ * @param {bigint} params.recipientSalt - Salt of the message's recipientHash
+ * @param {string} [params.memo] - Note for the auditor, at most 31 bytes
+ * @param {Array<string>} params.auditorKey - RaylsShield.auditorKey()
+ * @param {bigint} [params.ephemeralSecret] - One-time secret (default: random). Never reuse one.
+ * @param {Object} [options] - logger (see proveCircuit), plus artifacts, or a registry
+ *   and circuit version to load them from (see loadArtifacts)
+ * @returns {Object} Proof and public signals in AUDIT_SIGNALS order
+ */
+async function generateAuditProof(params, options = {}) {
+  const { inputs, publicInputs } = await buildAuditInputs(params);
+
+  const artifacts = await loadArtifacts("audit", options);
+  const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+    logger: options.logger,
+    circuit: "audit",
+  });
+
+  return {
+    proof,
+    publicSignals,
+    inputs: publicInputs,
+    metrics
+  };
+}
+
+/**
+ * Format an audit proof as the AuditProof argument of sendAuditedPrivateMessage
+ * @param {Object} proof - Proof from generateAuditProof
+ * @param {Array<string>} publicSignals - Public signals from generateAuditProof
+ * @returns {{pA: Array, pB: Array, pC: Array, publicSignals: Array}}
+ */
+function formatAuditProof(proof, publicSignals) {
+  const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+  return { pA: a, pB: b, pC: c, publicSignals: signals };
+}
+
+/**
+ * Decrypt the details of an AuditRecord event
+ * @param {Object} record - AuditRecord arguments: {auditorKey, ephemeralKey, ciphertext}
+ * @param {string|bigint} privateKey - Auditor private key
+ * @returns {Promise<{amount: bigint, recipient: string, memo: string}>} recipient is an
+ *   address when it is one
+ * @throws {Error} If the record was escrowed to another auditor key
+ */
+async function decryptAuditRecord({ auditorKey, ephemeralKey, ciphertext }, privateKey) {
+  const babyJub = await getBabyJub();
+  const poseidon = await getPoseidon();
+  const scalar = toScalar(babyJub, privateKey);
+
+  const ownKey = await getAuditorPublicKey(scalar);
+  if (auditorKey.some((value, i) => BigInt(value) !== BigInt(ownKey[i]))) {
+    throw new Error("Auditor: Record is for another auditor key");
+  }
+
+  const sharedKey = fromPoint(babyJub, babyJub.mulPointEscalar(toPoint(babyJub, ephemeralKey), scalar)).map(BigInt);
+  const [amount, recipient, memo] = ciphertext.map(
+    (value, i) => (BigInt(value) - keystream(poseidon, sharedKey, i) + poseidon.F.p) % poseidon.F.p
+  );
+
+  return {
+    amount,
+    recipient: recipient < BigInt(1) << BigInt(160) ? ethers.getAddress(ethers.toBeHex(recipient, 20)) : recipient.toString(),
+    memo: decodeMemo(memo),
+  };
+}
+
+module.exports = {
+  AUDIT_SIGNALS,
+  MAX_MEMO_BYTES,
+  generateAuditorKeyPair,
+  getAuditorPublicKey,
+  checkAuditorKey,
+  encodeMemo,
+  decodeMemo,
+  buildAuditInputs,
+  generateAuditProof,
+  formatAuditProof,
+  decryptAuditRecord,
+};
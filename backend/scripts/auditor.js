@@ -0,0 +1,175 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { EventStore } = require("./event-store");
+const { EventIndexer } = require("./indexer");
+const {
+  generateAuditorKeyPair,
+  getAuditorPublicKey,
+  decryptAuditRecord,
+} = require("./auditor-escrow");
+
+// Columns of an exported ledger, in order
+const LEDGER_COLUMNS = [
+  "chainId",
+  "shield",
+  "messageHash",
+  "dstChainId",
+  "sender",
+  "nullifierHash",
+  "amount",
+  "recipient",
+  "memo",
+  "blockNumber",
+  "timestamp",
+  "transactionHash",
+];
+
+/**
+ * Decrypt every AuditRecord in an event store into a ledger of compliant messages
+ * @param {EventStore} store - Events indexed by EventIndexer (scripts/indexer.js)
+ * @param {Array<string>} privateKeys - Auditor private keys; several when the key was rotated
+ * @param {Object} [filter] - EventStore.query filter for the records, e.g. {chainId, fromBlock}
+ * @returns {Promise<{entries: Array<Object>, skipped: Array<Object>}>} One entry per message,
+ *   oldest first, with LEDGER_COLUMNS fields (amount as a decimal string), and the records
+ *   escrowed to keys not given
+ */
+async function buildLedger(store, privateKeys, filter = {}) {
+  const keys = [];
+  for (const privateKey of privateKeys) {
+    keys.push({ privateKey, publicKey: (await getAuditorPublicKey(privateKey)).join(",") });
+  }
+
+  const entries = [];
+  const skipped = [];
+  for (const record of store.query({ ...filter, name: "AuditRecord" })) {
+    const key = keys.find(({ publicKey }) => publicKey === record.args.auditorKey.join(","));
+    if (!key) {
+      skipped.push(record);
+      continue;
+    }
+
+    const { amount, recipient, memo } = await decryptAuditRecord(record.args, key.privateKey);
+    const [sent] = store.query({
+      chainId: record.chainId,
+      address: record.address,
+      messageHash: record.messageHash,
+      name: "PrivateMessageSent",
+    });
+
+    entries.push({
+      chainId: record.chainId,
+      shield: record.address,
+      messageHash: record.messageHash,
+      dstChainId: sent ? sent.args.dstChainId : null,
+      sender: sent ? sent.args.sender : null,
+      nullifierHash: sent ? sent.args.nullifierHash : null,
+      amount: amount.toString(),
+      recipient,
+      memo,
+      blockNumber: record.blockNumber,
+      timestamp: record.timestamp,
+      transactionHash: record.transactionHash,
+    });
+  }
+  return { entries, skipped };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render ledger entries as CSV with a header row
+ * @param {Array<Object>} entries - Entries from buildLedger
+ * @returns {string}
+ */
+function toCsv(entries) {
+  const rows = [LEDGER_COLUMNS, ...entries.map((entry) => LEDGER_COLUMNS.map((column) => entry[column]))];
+  return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+// Events to build the ledger from: an indexer's event file, or the chains read now
+async function loadEvents() {
+  if (process.env.AUDITOR_EVENTS) {
+    return new EventStore({ file: process.env.AUDITOR_EVENTS });
+  }
+
+  const config = JSON.parse(process.env.AUDITOR_CHAINS || "[]");
+  if (config.length === 0) {
+    throw new Error("Set AUDITOR_EVENTS to an indexer event file, or AUDITOR_CHAINS to a JSON list of {chainId, rpcUrl, shield, fromBlock}");
+  }
+  const indexer = new EventIndexer(
+    config.map(({ chainId, rpcUrl, shield, fromBlock }) => ({
+      chainId,
+      shield,
+      fromBlock,
+      provider: new ethers.JsonRpcProvider(rpcUrl),
+    })),
+    { confirmations: Number(process.env.AUDITOR_CONFIRMATIONS || 12), logger: { log() {}, error: console.error } }
+  );
+  await indexer.index();
+  return indexer.store;
+}
+
+// CLI usage:
+//   node scripts/auditor.js keygen
+//   AUDITOR_ESCROW_KEYS=0x...[,0x...] AUDITOR_EVENTS=./events.json
+//     node scripts/auditor.js export [--format csv|json] [--out ledger.csv]
+// Instead of AUDITOR_EVENTS, AUDITOR_CHAINS='[{"chainId":1,"rpcUrl":"...","shield":"0x...","fromBlock":0}]'
+// reads the chains directly, AUDITOR_CONFIRMATIONS (default 12) blocks behind the head.
+if (require.main === module) {
+  (async () => {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === "keygen") {
+      const { privateKey, publicKey } = await generateAuditorKeyPair();
+      console.log("🔑 Auditor key pair (keep the private key offline)");
+      console.log(`Private key: ${privateKey}`);
+      console.log(`Public key:  ${JSON.stringify(publicKey)}`);
+      console.log("Set it with RaylsShield.setAuditorKey(publicKey) once the audit verifier is registered.");
+    } else if (command === "export") {
+      const format = option(args, "--format") || "csv";
+      if (!["csv", "json"].includes(format)) {
+        throw new Error(`Unknown format ${format}`);
+      }
+      const privateKeys = (process.env.AUDITOR_ESCROW_KEYS || "").split(",").filter(Boolean);
+      if (privateKeys.length === 0) {
+        throw new Error("Set AUDITOR_ESCROW_KEYS to the auditor private key(s)");
+      }
+
+      const { entries, skipped } = await buildLedger(await loadEvents(), privateKeys);
+      const output = format === "csv" ? toCsv(entries) : JSON.stringify(entries, null, 2) + "\n";
+      const out = option(args, "--out");
+      if (out) {
+        fs.writeFileSync(out, output, { mode: 0o600 });
+        console.error(`✅ Exported ${entries.length} messages to ${out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      if (skipped.length > 0) {
+        console.error(`⚠️  Skipped ${skipped.length} records escrowed to other auditor keys`);
+      }
+    } else {
+      console.error("❌ Usage: auditor keygen | auditor export [--format csv|json] [--out <file>]");
+      process.exit(1);
+    }
+
+    // circomlibjs keeps worker threads alive
+    process.exit(0);
+  })().catch((error) => {
+    console.error("❌", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  LEDGER_COLUMNS,
+  buildLedger,
+  toCsv,
+};
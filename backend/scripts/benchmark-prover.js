@@ -0,0 +1,103 @@
+const os = require("os");
+const { generateProof } = require("./generate-proof");
+const { defaultArtifactRegistry } = require("./circuit-artifacts");
+const { ProverPool } = require("./prover-pool");
+const { randomNote } = require("./notes");
+
+/**
+ * Read a numeric `--name N` argument
+ * @param {string} name - Argument name without dashes
+ * @param {number} fallback - Value when the argument is missing
+ * @returns {number}
+ */
+function numberArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index < 0) {
+    return fallback;
+  }
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return value;
+}
+
+function jobParams(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    ...randomNote(1000 + i),
+    recipient: BigInt(555555555 + i),
+  }));
+}
+
+function report(label, count, ms) {
+  const perSecond = (count * 1000) / ms;
+  console.log(`${label.padEnd(14)} ${String(count).padStart(5)} proofs  ${String(ms).padStart(7)}ms  ${perSecond.toFixed(2)} proofs/s`);
+  return perSecond;
+}
+
+/**
+ * Prove privacy.circom proofs one after another with generateProof
+ * @param {Array<Object>} params - generateProof parameters
+ * @param {Object} options
+ * @param {boolean} options.cold - Reload the artifacts for every proof, like the single-shot
+ *   path before the artifact cache
+ * @returns {Promise<number>} Elapsed milliseconds
+ */
+async function benchmarkSingleShot(params, { cold }) {
+  const registry = defaultArtifactRegistry();
+  const start = Date.now();
+  for (const param of params) {
+    if (cold) {
+      registry.clear();
+    }
+    await generateProof(param);
+  }
+  return Date.now() - start;
+}
+
+/**
+ * Prove privacy.circom proofs concurrently on a ProverPool
+ * @param {Array<Object>} params - generateProof parameters
+ * @param {number} workers - Pool size
+ * @returns {Promise<number>} Elapsed milliseconds, excluding worker start-up
+ */
+async function benchmarkPool(params, workers) {
+  const pool = new ProverPool({ size: workers, maxQueue: params.length });
+  try {
+    // Warm every worker so start-up is not counted
+    await Promise.all(Array.from({ length: workers }, (_, i) => pool.prove("privacy", params[i % params.length])));
+
+    const start = Date.now();
+    await Promise.all(params.map((param) => pool.prove("privacy", param)));
+    return Date.now() - start;
+  } finally {
+    await pool.close();
+  }
+}
+
+// CLI usage: node scripts/benchmark-prover.js [--proofs N] [--workers N]
+if (require.main === module) {
+  (async () => {
+    const proofs = numberArg("proofs", 20);
+    const workers = numberArg("workers", Math.max(1, os.cpus().length - 1));
+    const params = jobParams(proofs);
+
+    console.log(
+      `Benchmarking privacy.circom: ${proofs} proofs, ${workers} worker${workers === 1 ? "" : "s"}, ` +
+      `${os.cpus().length} CPUs\n`
+    );
+
+    // Warm Poseidon and snarkjs so the first single-shot proof is not an outlier
+    await generateProof(params[0]);
+
+    const cold = report("single (cold)", proofs, await benchmarkSingleShot(params, { cold: true }));
+    const warm = report("single (warm)", proofs, await benchmarkSingleShot(params, { cold: false }));
+    const pooled = report(`pool (${workers})`, proofs, await benchmarkPool(params, workers));
+
+    console.log(`\nPool speed-up: ${(pooled / cold).toFixed(2)}x over cold, ${(pooled / warm).toFixed(2)}x over warm`);
+    process.exit(0);
+  })().catch((error) => {
+    console.error("❌ Benchmark failed:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,337 @@
+const snarkjs = require("snarkjs");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+// Browser bundles replace fs with an empty module (see "browser" in package.json)
+const HAS_FILESYSTEM = typeof fs.readFileSync === "function";
+
+// Manifest describing the circuits built into backend/circuits (Node builds only)
+const CIRCUITS_DIR = HAS_FILESYSTEM ? path.join(__dirname, "../circuits") : undefined;
+const MANIFEST_PATH = HAS_FILESYSTEM ? path.join(CIRCUITS_DIR, "manifest.json") : undefined;
+
+// Files every circuit version has; vkey is optional and exported from the zkey when missing
+const ARTIFACT_KINDS = ["wasm", "zkey", "vkey"];
+
+// Fields of a verification key that identify the circuit and its trusted setup
+const VKEY_FIELDS = ["protocol", "curve", "nPublic", "vk_alpha_1", "vk_beta_2", "vk_gamma_2", "vk_delta_2", "IC"];
+
+function isUrl(source) {
+  return typeof source === "string" && /^https?:\/\//i.test(source);
+}
+
+function sha256(bytes) {
+  return ethers.sha256(bytes).slice(2);
+}
+
+function sameVerificationKey(a, b) {
+  return VKEY_FIELDS.every((field) => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+/**
+ * Loads circuit artifacts by circuit name and version, from files, URLs or bytes.
+ *
+ * Versions come from a manifest ({circuits: {<name>: {current, versions: {<version>: entry}}}})
+ * and from register(). An entry names its wasm, zkey and optional vkey, each a path, URL or
+ * bytes, with relative names resolved against `base`, and their sha256 hashes. Every loaded
+ * file must match its hash, wherever it was read from. Loaded artifacts are cached until clear().
+ *
+ * The manifest pins only the vkey, the key the verifier contracts are generated from. The
+ * wasm and zkey of a local build are not reproducible, so they are checked against it instead:
+ * the zkey must export the same key, and proveCircuit verifies every proof against it, which
+ * catches a wasm of another circuit. Entries without a pinned vkey need hashes for both files.
+ */
+class ArtifactRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.manifest] - Parsed manifest
+   * @param {string} [options.base] - Directory or URL that relative artifact names are under
+   * @param {Function} [options.fetch] - fetch implementation for URLs (default: global fetch)
+   * @param {boolean} [options.requireHashes] - Refuse artifacts that are neither hashed nor
+   *   covered by a hashed vkey (default true); false loads them unchecked, e.g. a local build
+   *   before it is pinned
+   */
+  constructor({ manifest = { circuits: {} }, base, fetch, requireHashes = true } = {}) {
+    this.base = base;
+    this.fetch = fetch;
+    this.requireHashes = requireHashes;
+    this.circuits = new Map();
+    this.cache = new Map();
+
+    for (const [name, circuit] of Object.entries(manifest.circuits || {})) {
+      for (const [version, entry] of Object.entries(circuit.versions || {})) {
+        this.register(name, version, entry);
+      }
+      if (circuit.current !== undefined) {
+        this.circuits.get(name).current = String(circuit.current);
+      }
+    }
+  }
+
+  /**
+   * Registry for a manifest file; artifacts resolve relative to the manifest's directory
+   * @param {string} [manifestPath] - Defaults to backend/circuits/manifest.json
+   * @param {Object} [options] - Other constructor options
+   * @returns {ArtifactRegistry}
+   */
+  static fromManifestFile(manifestPath = MANIFEST_PATH, options = {}) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    return new ArtifactRegistry({ base: path.dirname(manifestPath), ...options, manifest });
+  }
+
+  /**
+   * Add or replace a circuit version. The last registered version becomes current unless
+   * the manifest says otherwise.
+   * @param {string} name - Circuit name, e.g. "privacy"
+   * @param {string|number} version - Circuit version
+   * @param {Object} entry - {wasm, zkey, vkey?, sha256?: {wasm?, zkey?, vkey?}}
+   * @returns {ArtifactRegistry} this
+   */
+  register(name, version, entry) {
+    if (!entry || entry.wasm === undefined || entry.zkey === undefined) {
+      throw new Error(`ArtifactRegistry: ${name}@${version} needs a wasm and a zkey`);
+    }
+
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, { current: undefined, versions: new Map() });
+    }
+    const circuit = this.circuits.get(name);
+    circuit.versions.set(String(version), entry);
+    circuit.current = String(version);
+    this.cache.delete(`${name}@${version}`);
+    return this;
+  }
+
+  /**
+   * Registered versions of a circuit
+   * @param {string} name - Circuit name
+   * @returns {Array<string>}
+   */
+  versions(name) {
+    const circuit = this.circuits.get(name);
+    return circuit ? [...circuit.versions.keys()] : [];
+  }
+
+  /**
+   * Resolve a circuit version, defaulting to the current one
+   * @param {string} name - Circuit name
+   * @param {string|number} [version]
+   * @returns {{name: string, version: string, entry: Object}}
+   */
+  resolve(name, version) {
+    const circuit = this.circuits.get(name);
+    if (!circuit) {
+      throw new Error(`ArtifactRegistry: Unknown circuit ${name}`);
+    }
+    const key = version === undefined ? circuit.current : String(version);
+    const entry = circuit.versions.get(key);
+    if (!entry) {
+      throw new Error(`ArtifactRegistry: Unknown version ${name}@${version}`);
+    }
+    return { name, version: key, entry };
+  }
+
+  /**
+   * Load and verify the proving artifacts of a circuit version
+   * @param {string} name - Circuit name
+   * @param {string|number} [version] - Defaults to the current version
+   * @returns {Promise<{name: string, version: string, wasm: Uint8Array, zkey: Uint8Array,
+   *   vkey?: Object}>} Pass straight to proveCircuit
+   */
+  async load(name, version) {
+    const resolved = this.resolve(name, version);
+    return this._cached(resolved, "proving", async () => {
+      const hasVkey = resolved.entry.vkey !== undefined;
+      const vkey = hasVkey ? await this.verificationKey(resolved.name, resolved.version) : undefined;
+      const covered = hasVkey && this._pinned(resolved, "vkey");
+      const [wasm, zkey] = await Promise.all([
+        this._read(resolved, "wasm", covered),
+        this._read(resolved, "zkey", covered),
+      ]);
+      if (hasVkey && !sameVerificationKey(await snarkjs.zKey.exportVerificationKey(zkey), vkey)) {
+        throw new Error(
+          `ArtifactRegistry: zkey of ${resolved.name}@${resolved.version} does not match its verification key`
+        );
+      }
+      return { name: resolved.name, version: resolved.version, wasm, zkey, vkey };
+    });
+  }
+
+  /**
+   * Verification key of a circuit version, exported from the zkey when the entry has no vkey
+   * @param {string} name - Circuit name
+   * @param {string|number} [version] - Defaults to the current version
+   * @returns {Promise<Object>} snarkjs verification key
+   */
+  async verificationKey(name, version) {
+    const resolved = this.resolve(name, version);
+    return this._cached(resolved, "vkey", async () => {
+      if (resolved.entry.vkey !== undefined) {
+        const bytes = await this._read(resolved, "vkey");
+        return JSON.parse(ethers.toUtf8String(bytes));
+      }
+      const { zkey } = await this.load(resolved.name, resolved.version);
+      return snarkjs.zKey.exportVerificationKey(zkey);
+    });
+  }
+
+  /**
+   * SHA-256 of every artifact of a circuit version, in manifest format
+   * @param {string} name - Circuit name
+   * @param {string|number} [version] - Defaults to the current version
+   * @returns {Promise<Object>} {wasm, zkey, vkey?} hex hashes
+   */
+  async hashes(name, version) {
+    const resolved = this.resolve(name, version);
+    const hashes = {};
+    for (const kind of ARTIFACT_KINDS) {
+      const source = resolved.entry[kind];
+      if (source !== undefined && (await this._exists(source))) {
+        hashes[kind] = sha256(await this._fetchSource(source));
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Drop cached artifacts, e.g. after rebuilding circuits
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  _cached({ name, version }, kind, load) {
+    const key = `${name}@${version}`;
+    if (!this.cache.has(key)) {
+      this.cache.set(key, {});
+    }
+    const entry = this.cache.get(key);
+    if (!entry[kind]) {
+      // Cache the promise so concurrent proofs share one download; forget failures
+      entry[kind] = load().catch((error) => {
+        delete entry[kind];
+        throw error;
+      });
+    }
+    return entry[kind];
+  }
+
+  _pinned({ entry }, kind) {
+    return Boolean(entry.sha256 && entry.sha256[kind] !== undefined);
+  }
+
+  // covered: the file is checked against a pinned vkey, so it needs no hash of its own
+  async _read({ name, version, entry }, kind, covered = false) {
+    const expected = entry.sha256 && entry.sha256[kind];
+    if (expected === undefined && this.requireHashes && !covered) {
+      throw new Error(`ArtifactRegistry: No SHA-256 for ${name}@${version} ${kind}`);
+    }
+
+    const bytes = await this._fetchSource(entry[kind], `${name}@${version} ${kind}`);
+    if (expected !== undefined && sha256(bytes) !== expected.replace(/^0x/, "").toLowerCase()) {
+      throw new Error(`ArtifactRegistry: SHA-256 mismatch for ${name}@${version} ${kind}`);
+    }
+    return bytes;
+  }
+
+  _location(source) {
+    if (isUrl(source) || !this.base) {
+      return source;
+    }
+    if (isUrl(this.base)) {
+      return new URL(source, this.base.endsWith("/") ? this.base : `${this.base}/`).href;
+    }
+    return path.resolve(this.base, source);
+  }
+
+  async _exists(source) {
+    if (typeof source !== "string") {
+      return true;
+    }
+    const location = this._location(source);
+    return isUrl(location) || (HAS_FILESYSTEM && fs.existsSync(location));
+  }
+
+  async _fetchSource(source, label = "artifact") {
+    if (source instanceof Uint8Array) {
+      return source;
+    }
+
+    const location = this._location(source);
+    if (isUrl(location)) {
+      const fetchImpl = this.fetch || globalThis.fetch;
+      const response = await fetchImpl(location);
+      if (!response.ok) {
+        throw new Error(`ArtifactRegistry: Failed to fetch ${label} from ${location} (${response.status})`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    }
+
+    if (!HAS_FILESYSTEM) {
+      throw new Error(`ArtifactRegistry: Cannot read ${label} from a file in this environment`);
+    }
+    if (!fs.existsSync(location)) {
+      throw new Error(`ArtifactRegistry: Missing ${label} at ${location}`);
+    }
+    return new Uint8Array(fs.readFileSync(location));
+  }
+}
+
+let defaultRegistry;
+
+/**
+ * Shared registry for backend/circuits/manifest.json, so proofs reuse loaded artifacts
+ * @returns {ArtifactRegistry}
+ */
+function defaultArtifactRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = ArtifactRegistry.fromManifestFile();
+  }
+  return defaultRegistry;
+}
+
+// CLI usage: node scripts/circuit-artifacts.js [--write]
+// Prints the SHA-256 of every built artifact and whether its vkey is the pinned one.
+// --write pins the vkeys of this build in circuits/manifest.json; run it only for the build
+// the deployed verifier contracts were generated from.
+if (require.main === module) {
+  (async () => {
+    const write = process.argv.includes("--write");
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+    const registry = new ArtifactRegistry({ manifest, base: CIRCUITS_DIR, requireHashes: false });
+
+    for (const [name, circuit] of Object.entries(manifest.circuits)) {
+      for (const [version, entry] of Object.entries(circuit.versions)) {
+        const hashes = await registry.hashes(name, version);
+        const pinned = entry.sha256 && entry.sha256.vkey;
+        console.log(`${name}@${version}`);
+        for (const [kind, hash] of Object.entries(hashes)) {
+          console.log(`  ${kind}: ${hash}`);
+        }
+        if (!hashes.vkey) {
+          console.log("  ⚠️  No vkey file to pin");
+        } else if (pinned) {
+          console.log(hashes.vkey === pinned ? "  ✅ vkey matches the manifest" : "  ❌ vkey differs from the manifest");
+        }
+        if (hashes.vkey) {
+          entry.sha256 = { vkey: hashes.vkey };
+        }
+      }
+    }
+
+    if (write) {
+      fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+      console.log("\n✅ Verification keys pinned in", MANIFEST_PATH);
+    }
+  })().catch((error) => {
+    console.error("❌ Error hashing artifacts:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  HAS_FILESYSTEM,
+  MANIFEST_PATH,
+  ArtifactRegistry,
+  defaultArtifactRegistry,
+};
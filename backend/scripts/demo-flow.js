@@ -1,5 +1,11 @@
 const { ethers } = require("hardhat");
-const { generateProof, formatProofForSolidity } = require("./generate-proof");
+const { generateProof, formatProofForSolidity, computeExtDataHash, computeNoteLeaf } = require("./generate-proof");
+const { deployPoseidonHasher } = require("./merkle-tree");
+const { generateViewingKeyPair, encryptPayloadWithSalt, decryptPayload } = require("./payload-encryption");
+const { publishViewingKey, resolveRecipient } = require("./key-registry");
+const { LocalRelayer, decodeShieldPayload } = require("./relayer");
+const { RecipientScanner } = require("./recipient-scanner");
+const { deriveNoteSeed, deriveNote } = require("./notes");
 
 /**
  * Complete RaylsShield Demo Flow
@@ -11,13 +17,18 @@ async function main() {
   console.log("=".repeat(70) + "\n");
 
   // Get signers
-  const [deployer, alice, bob] = await ethers.getSigners();
+  const [deployer, alice, bob, eve] = await ethers.getSigners();
   console.log("📋 Participants:");
   console.log("   Deployer:", deployer.address);
   console.log("   Alice (Sender):", alice.address);
   console.log("   Bob (Recipient):", bob.address);
+  console.log("   Eve (Observer):", eve.address);
   console.log();
 
+  // Bob's viewing key: Alice encrypts to the public half, only Bob holds the private half
+  const bobViewingKey = generateViewingKeyPair();
+  const eveViewingKey = generateViewingKeyPair();
+
   // ========================================
   // Step 1: Deploy Contracts
   // ========================================
@@ -35,14 +46,55 @@ async function main() {
   await verifier.waitForDeployment();
   console.log("   ✅ Groth16Verifier:", await verifier.getAddress());
 
+  // Deploy shielded pool verifier and Poseidon hasher
+  const TransferVerifier = await ethers.getContractFactory("contracts/TransferVerifier.sol:Groth16Verifier");
+  const transferVerifier = await TransferVerifier.deploy();
+  await transferVerifier.waitForDeployment();
+  console.log("   ✅ TransferVerifier:", await transferVerifier.getAddress());
+
+  const ComplianceVerifier = await ethers.getContractFactory("contracts/ComplianceVerifier.sol:Groth16Verifier");
+  const complianceVerifier = await ComplianceVerifier.deploy();
+  await complianceVerifier.waitForDeployment();
+  console.log("   ✅ ComplianceVerifier:", await complianceVerifier.getAddress());
+
+  const hasher = await deployPoseidonHasher(deployer);
+  console.log("   ✅ PoseidonHasher:", await hasher.getAddress());
+
   // Deploy RaylsShield
   const RaylsShield = await ethers.getContractFactory("RaylsShield");
   const shield = await RaylsShield.deploy(
     await endpoint.getAddress(),
-    await verifier.getAddress()
+    await verifier.getAddress(),
+    await transferVerifier.getAddress(),
+    await complianceVerifier.getAddress(),
+    await hasher.getAddress()
   );
   await shield.waitForDeployment();
   console.log("   ✅ RaylsShield:", await shield.getAddress());
+
+  // A second endpoint and RaylsShield on the same node play the destination chain
+  const dstEndpoint = await MockEndpoint.deploy();
+  await dstEndpoint.waitForDeployment();
+  const dstShield = await RaylsShield.deploy(
+    await dstEndpoint.getAddress(),
+    await verifier.getAddress(),
+    await transferVerifier.getAddress(),
+    await complianceVerifier.getAddress(),
+    await hasher.getAddress()
+  );
+  await dstShield.waitForDeployment();
+  await dstEndpoint.addTrustedExecutor(deployer.address);
+  console.log("   ✅ Destination RaylsShield:", await dstShield.getAddress());
+
+  const ViewingKeyRegistry = await ethers.getContractFactory("ViewingKeyRegistry");
+  const keyRegistry = await ViewingKeyRegistry.deploy();
+  await keyRegistry.waitForDeployment();
+  console.log("   ✅ ViewingKeyRegistry:", await keyRegistry.getAddress());
+  console.log();
+
+  // Bob publishes his viewing key so senders can find it
+  await publishViewingKey(keyRegistry, bob, bobViewingKey.privateKey);
+  console.log("   ✅ Bob registered his viewing key");
   console.log();
 
   // ========================================
@@ -50,16 +102,33 @@ async function main() {
   // ========================================
   console.log("🔐 Step 2: Alice Prepares Private Transaction...\n");
 
-  const secret = BigInt(Math.floor(Math.random() * 1000000000));
-  const nullifier = BigInt(Math.floor(Math.random() * 1000000000));
-  const recipientBigInt = BigInt("0x" + bob.address.slice(2).padStart(64, "0"));
-  const amount = BigInt(7500); // $7,500 USD (below AML threshold)
+  const srcChainId = 123; // Source chain, as seen by the relayer
+
+  // Alice's notes are derived from her wallet signature, so she can recover them later
+  const aliceSeed = await deriveNoteSeed(alice);
+  const { secret, nullifier, amount } = deriveNote(aliceSeed, 0, 7500); // $7,500 USD (below AML threshold)
+  // Alice looks up Bob's keys from his plain address
+  const bobRecipient = await resolveRecipient(keyRegistry, bob.address);
+
+  // The serialized note holds the secret and nullifier, so only its commitment is shown
+  const { commitment } = await computeNoteLeaf({ secret, nullifier, amount });
 
   console.log("   Private Details (known only to Alice):");
   console.log("   - Amount: $" + amount.toString() + " USD");
-  console.log("   - Secret:", secret.toString());
-  console.log("   - Nullifier:", nullifier.toString());
   console.log("   - Recipient:", bob.address);
+  console.log("   Note #0 commitment (public):", ethers.toBeHex(commitment, 32));
+  console.log();
+
+  const dstChainId = 456; // Destination chain (e.g., Ethereum, Polygon, etc.)
+  const destination = await dstShield.getAddress();
+  const message = "Confidential institutional transfer";
+  // The key exchange also yields the salt that hides Bob in the proof's recipientHash
+  const { encryptedPayload, recipientSalt } = encryptPayloadWithSalt(ethers.toUtf8Bytes(message), bobRecipient);
+
+  console.log("   Payload encrypted to Bob's viewing key:");
+  console.log("   - Viewing Public Key:", bobRecipient.encryptionPublicKey);
+  console.log("   - Ciphertext:", ethers.dataSlice(encryptedPayload, 0, 24) + "...");
+  console.log("   - Size:", ethers.dataLength(encryptedPayload), "bytes");
   console.log();
 
   // ========================================
@@ -67,11 +136,21 @@ async function main() {
   // ========================================
   console.log("🧮 Step 3: Generating Zero-Knowledge Proof...\n");
 
-  const { proof, publicSignals } = await generateProof({
+  // Bind the proof to Alice's message so it cannot be copied from the mempool
+  const extDataHash = computeExtDataHash({
+    sender: alice.address,
+    dstChainId,
+    destination,
+    encryptedPayload,
+  });
+
+  const { proof, publicSignals, metrics } = await generateProof({
     secret,
     nullifier,
-    recipient: recipientBigInt,
+    recipient: bobRecipient,
+    recipientSalt,
     amount,
+    extDataHash,
   });
 
   const solidityProof = formatProofForSolidity(proof, publicSignals);
@@ -79,13 +158,16 @@ async function main() {
   console.log("   Public Signals (visible to everyone):");
   console.log("   - Nullifier Hash:", publicSignals[0]);
   console.log("   - Commitment:", publicSignals[1]);
-  console.log("   - Recipient Hash:", publicSignals[2]);
+  console.log("   - Recipient Hash:", publicSignals[2], "(salted)");
+  console.log("   - External Data Hash:", publicSignals[3]);
   console.log();
-  console.log("   ✅ ZK Proof Generated Successfully!");
+  console.log(`   ✅ ZK Proof Generated Successfully! (${metrics.totalMs}ms)`);
   console.log("   Note: Proof proves transaction validity WITHOUT revealing:");
   console.log("         • Actual amount ($7,500)");
   console.log("         • Secret value");
   console.log("         • Actual recipient address");
+  const matchesRegistry = bobRecipient.shieldedAddressHash === BigInt(publicSignals[2]);
+  console.log("   Bob's public Poseidon(address) matches the Recipient Hash:", matchesRegistry ? "⚠️  YES" : "❌ no");
   console.log();
 
   // ========================================
@@ -93,10 +175,6 @@ async function main() {
   // ========================================
   console.log("📡 Step 4: Sending Private Cross-Chain Message...\n");
 
-  const dstChainId = 456; // Destination chain (e.g., Ethereum, Polygon, etc.)
-  const destination = bob.address;
-  const encryptedPayload = ethers.toUtf8Bytes("Confidential institutional transfer");
-
   console.log("   Cross-Chain Details:");
   console.log("   - Source Chain:", await ethers.provider.getNetwork().then(n => n.chainId));
   console.log("   - Destination Chain:", dstChainId);
@@ -146,9 +224,70 @@ async function main() {
   }
 
   // ========================================
-  // Step 6: Check Nullifier Status
+  // Step 6: Relay to the Destination Chain
+  // ========================================
+  console.log("🔁 Step 6: Relaying to the Destination Chain...\n");
+
+  // The destination only accepts messages from its peer shield on the source chain
+  await dstShield.setShieldPeer(srcChainId, await shield.getAddress());
+
+  const relayer = new LocalRelayer(
+    [
+      { chainId: srcChainId, endpoint: await endpoint.getAddress(), executor: deployer },
+      { chainId: dstChainId, endpoint: await dstEndpoint.getAddress(), executor: deployer },
+    ],
+    { logger: { log() {}, error() {} } }
+  );
+  const [delivery] = await relayer.poll();
+
+  console.log("   Delivery:", delivery.status === "delivered" ? "✅ DELIVERED" : "❌ " + delivery.error);
+  console.log("   - Message ID:", delivery.messageId);
+  console.log("   - Route:", `${delivery.srcChainId} -> ${delivery.dstChainId}`);
+
+  const [received] = await dstShield.queryFilter(dstShield.filters.PrivateMessageReceived());
+  if (received) {
+    console.log("   Event: PrivateMessageReceived (destination)");
+    console.log("   - Source Chain:", received.args.srcChainId.toString());
+    console.log("   - Nullifier Hash:", received.args.nullifier);
+  }
+  console.log();
+
+  // ========================================
+  // Step 7: Bob Decrypts the Payload
+  // ========================================
+  console.log("📬 Step 7: Reading the Delivered Payload...\n");
+
+  const sent = receipt.logs
+    .map((log) => {
+      try {
+        return endpoint.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "MessageSent");
+  const delivered = decodeShieldPayload(sent.args.payload);
+
+  console.log("   On-chain ciphertext:", ethers.dataSlice(delivered.encryptedPayload, 0, 24) + "...");
+  console.log("   Bob decrypts:", ethers.toUtf8String(decryptPayload(delivered.encryptedPayload, bobViewingKey.privateKey)));
+  try {
+    decryptPayload(delivered.encryptedPayload, eveViewingKey.privateKey);
+    console.log("   Eve decrypts: ⚠️  UNEXPECTED SUCCESS");
+  } catch (error) {
+    console.log("   Eve decrypts: ❌", error.message);
+  }
+
+  const bobScanner = new RecipientScanner({ recipient: bob.address, viewingKey: bobViewingKey.privateKey });
+  const eveScanner = new RecipientScanner({ recipient: eve.address, viewingKey: eveViewingKey.privateKey });
+  const scanned = { encryptedPayload: delivered.encryptedPayload, recipientHash: delivered.publicSignals[2] };
+  console.log("   Bob's scanner recognises the message:", (await bobScanner.isRecipient(scanned)) ? "✅" : "❌");
+  console.log("   Eve's scanner recognises the message:", (await eveScanner.isRecipient(scanned)) ? "⚠️  YES" : "❌ no");
+  console.log();
+
+  // ========================================
+  // Step 8: Check Nullifier Status
   // ========================================
-  console.log("🔍 Step 6: Checking Nullifier Status...\n");
+  console.log("🔍 Step 8: Checking Nullifier Status...\n");
 
   const nullifierHash = ethers.zeroPadValue(
     ethers.toBeHex(BigInt(publicSignals[0])),
@@ -174,7 +313,8 @@ async function main() {
   console.log("   3. Bob's identity is hashed (privacy-preserved)");
   console.log("   4. ZK proof ensures transaction is valid");
   console.log("   5. Nullifier prevents Alice from double-spending");
-  console.log("   6. Message sent via Rayls cross-chain protocol");
+  console.log("   6. Message relayed to the destination RaylsShield, which re-verified the proof");
+  console.log("   7. Payload encrypted so only Bob's viewing key can read it");
   console.log();
   console.log("🏦 Institutional Benefits:");
   console.log();
@@ -187,6 +327,7 @@ async function main() {
   console.log();
   console.log("   ✓ Amount: HIDDEN (only commitment visible)");
   console.log("   ✓ Recipient: HASHED (only hash visible)");
+  console.log("   ✓ Payload: ENCRYPTED (X25519 + ChaCha20-Poly1305)");
   console.log("   ✓ Secret: PRIVATE (never revealed)");
   console.log("   ✓ Validity: PROVEN (via ZK-SNARK)");
   console.log();
@@ -1,4 +1,7 @@
 const hre = require("hardhat");
+const { deployPoseidonHasher } = require("./merkle-tree");
+const { assertVerifier } = require("./verify-deployment");
+const { AUDIT_SIGNALS } = require("./auditor-escrow");
 
 async function main() {
   console.log("Deploying RaylsShield to Rayls Devnet...");
@@ -18,6 +21,47 @@ async function main() {
   const verifierAddress = await verifier.getAddress();
   console.log("Groth16Verifier deployed to:", verifierAddress);
 
+  // Deploy shielded pool verifier (generated from transfer.circom)
+  console.log("\nDeploying TransferVerifier...");
+  const TransferVerifier = await hre.ethers.getContractFactory("contracts/TransferVerifier.sol:Groth16Verifier");
+  const transferVerifier = await TransferVerifier.deploy();
+  await transferVerifier.waitForDeployment();
+  const transferVerifierAddress = await transferVerifier.getAddress();
+  console.log("TransferVerifier deployed to:", transferVerifierAddress);
+
+  // Deploy compliance verifier (generated from compliance.circom)
+  console.log("\nDeploying ComplianceVerifier...");
+  const ComplianceVerifier = await hre.ethers.getContractFactory("contracts/ComplianceVerifier.sol:Groth16Verifier");
+  const complianceVerifier = await ComplianceVerifier.deploy();
+  await complianceVerifier.waitForDeployment();
+  const complianceVerifierAddress = await complianceVerifier.getAddress();
+  console.log("ComplianceVerifier deployed to:", complianceVerifierAddress);
+
+  // Deploy auditor escrow verifier (generated from audit.circom)
+  console.log("\nDeploying AuditVerifier...");
+  const AuditVerifier = await hre.ethers.getContractFactory("contracts/AuditVerifier.sol:Groth16Verifier");
+  const auditVerifier = await AuditVerifier.deploy();
+  await auditVerifier.waitForDeployment();
+  const auditVerifierAddress = await auditVerifier.getAddress();
+  console.log("AuditVerifier deployed to:", auditVerifierAddress);
+
+  // Refuse verifiers that accept an invalid proof or were built from other circuit artifacts
+  console.log("\nChecking verifiers against circuits/manifest.json...");
+  await assertVerifier(hre.ethers.provider, verifierAddress, { circuit: "privacy", label: "Groth16Verifier" });
+  await assertVerifier(hre.ethers.provider, transferVerifierAddress, { circuit: "transfer", label: "TransferVerifier" });
+  await assertVerifier(hre.ethers.provider, complianceVerifierAddress, {
+    circuit: "compliance",
+    label: "ComplianceVerifier",
+  });
+  await assertVerifier(hre.ethers.provider, auditVerifierAddress, { circuit: "audit", label: "AuditVerifier" });
+  console.log("✅ Verifiers passed the self-test and match their verification keys");
+
+  // Deploy Poseidon hasher for the commitment tree
+  console.log("\nDeploying PoseidonHasher...");
+  const hasher = await deployPoseidonHasher(deployer);
+  const hasherAddress = await hasher.getAddress();
+  console.log("PoseidonHasher deployed to:", hasherAddress);
+
   // Rayls Devnet Endpoint Address (replace with actual address from Rayls docs)
   // This is a placeholder - you'll need to get the actual endpoint address
   const RAYLS_ENDPOINT_ADDRESS = process.env.RAYLS_ENDPOINT_ADDRESS || "0x0000000000000000000000000000000000000000";
@@ -32,19 +76,46 @@ async function main() {
   const RaylsShield = await hre.ethers.getContractFactory("RaylsShield");
   const raylsShield = await RaylsShield.deploy(
     RAYLS_ENDPOINT_ADDRESS,
-    verifierAddress
+    verifierAddress,
+    transferVerifierAddress,
+    complianceVerifierAddress,
+    hasherAddress
   );
   await raylsShield.waitForDeployment();
   const raylsShieldAddress = await raylsShield.getAddress();
   console.log("RaylsShield deployed to:", raylsShieldAddress);
 
+  // The audit verifier goes through the verifier timelock; auditor escrow can be turned on
+  // with setAuditorKey once it is applied
+  const proposal = await raylsShield.proposeVerifier(
+    await raylsShield.AUDIT_CIRCUIT(),
+    auditVerifierAddress,
+    AUDIT_SIGNALS.length
+  );
+  await proposal.wait();
+  console.log("AuditVerifier proposed; apply it with applyVerifier after VERIFIER_UPDATE_DELAY");
+  console.log("Pair with the RaylsShield of each other chain: setShieldPeer(chainId, shield) on both sides");
+
+  // Deploy viewing key registry (recipients publish their encryption keys here)
+  console.log("\nDeploying ViewingKeyRegistry...");
+  const ViewingKeyRegistry = await hre.ethers.getContractFactory("ViewingKeyRegistry");
+  const keyRegistry = await ViewingKeyRegistry.deploy();
+  await keyRegistry.waitForDeployment();
+  const keyRegistryAddress = await keyRegistry.getAddress();
+  console.log("ViewingKeyRegistry deployed to:", keyRegistryAddress);
+
   // Verification info
   console.log("\n" + "=".repeat(60));
   console.log("Deployment Summary");
   console.log("=".repeat(60));
   console.log("Network:", hre.network.name);
   console.log("Groth16Verifier:", verifierAddress);
+  console.log("TransferVerifier:", transferVerifierAddress);
+  console.log("ComplianceVerifier:", complianceVerifierAddress);
+  console.log("AuditVerifier:", auditVerifierAddress);
+  console.log("PoseidonHasher:", hasherAddress);
   console.log("RaylsShield:", raylsShieldAddress);
+  console.log("ViewingKeyRegistry:", keyRegistryAddress);
   console.log("Rayls Endpoint:", RAYLS_ENDPOINT_ADDRESS);
   console.log("=".repeat(60));
 
@@ -55,7 +126,12 @@ async function main() {
     chainId: hre.network.config.chainId,
     contracts: {
       Groth16Verifier: verifierAddress,
+      TransferVerifier: transferVerifierAddress,
+      ComplianceVerifier: complianceVerifierAddress,
+      AuditVerifier: auditVerifierAddress,
+      PoseidonHasher: hasherAddress,
       RaylsShield: raylsShieldAddress,
+      ViewingKeyRegistry: keyRegistryAddress,
     },
     raylsEndpoint: RAYLS_ENDPOINT_ADDRESS,
     timestamp: new Date().toISOString(),
@@ -77,7 +153,11 @@ async function main() {
   if (hre.network.name === "raylsDevnet") {
     console.log("\nWaiting for block confirmations...");
     await verifier.deploymentTransaction().wait(3);
+    await transferVerifier.deploymentTransaction().wait(3);
+    await complianceVerifier.deploymentTransaction().wait(3);
+    await auditVerifier.deploymentTransaction().wait(3);
     await raylsShield.deploymentTransaction().wait(3);
+    await keyRegistry.deploymentTransaction().wait(3);
     console.log("✅ Confirmed!");
   }
 }
@@ -0,0 +1,325 @@
+const snarkjs = require("snarkjs");
+const { ethers } = require("ethers");
+const {
+  SNARK_SCALAR_FIELD,
+  getPoseidon,
+  proveCircuit,
+  loadArtifacts,
+} = require("./generate-proof");
+const { defaultArtifactRegistry } = require("./circuit-artifacts");
+const { addressToRecipient } = require("./key-registry");
+const payloadEncryption = require("./payload-encryption");
+
+// Version of the disclosure statement and package formats
+const DISCLOSURE_VERSION = 1;
+
+// Bits of the disclosure circuit's disclosureMask
+const DISCLOSURE_FLAGS = {
+  amount: 1,
+  recipient: 2,
+  amountRange: 4,
+};
+
+// Order of disclosure.circom's public signals
+const DISCLOSURE_SIGNALS = [
+  "commitment",
+  "nullifierHash",
+  "recipientHash",
+  "disclosureMask",
+  "disclosedAmount",
+  "disclosedRecipient",
+  "minAmount",
+  "maxAmount",
+  "context",
+];
+
+const MAX_AMOUNT = (BigInt(1) << BigInt(64)) - BigInt(1);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Context a disclosure proof is bound to: the auditor it is made for and the request it
+ * answers. A statement made for one auditor does not verify as one made for another.
+ * @param {Object} [params]
+ * @param {string} [params.auditor] - Auditor's viewing public key (32 bytes hex), if any
+ * @param {string} [params.reference] - Free-form request reference, e.g. "audit 2026-Q3 #17"
+ * @returns {bigint} keccak256("rayls-shield/disclosure/v1", auditor, reference) mod the field
+ */
+function computeDisclosureContext({ auditor, reference = "" } = {}) {
+  const hash = ethers.keccak256(
+    abiCoder.encode(
+      ["string", "bytes", "string"],
+      [`rayls-shield/disclosure/v${DISCLOSURE_VERSION}`, auditor ? ethers.hexlify(auditor) : "0x", reference]
+    )
+  );
+  return BigInt(hash) % SNARK_SCALAR_FIELD;
+}
+
+function toRecipientValue(recipient) {
+  return typeof recipient === "string" ? addressToRecipient(recipient) : BigInt(recipient);
+}
+
+// Recipient input as an address when it is one
+function formatRecipient(value) {
+  return value < BigInt(1) << BigInt(160) ? ethers.getAddress(ethers.toBeHex(value, 20)) : value.toString();
+}
+
+/**
+ * Compute the circuit inputs for the disclosure circuit
+ * @param {Object} params - Same parameters as generateDisclosureProof
+ * @returns {Promise<{inputs: Object, publicInputs: Object}>} Full witness inputs, and the
+ *   public subset in DISCLOSURE_SIGNALS order
+ */
+async function buildDisclosureInputs({
+  secret,
+  nullifier,
+  amount,
+  recipient,
+  recipientSalt,
+  disclose = {},
+  context = BigInt(0)
+}) {
+  if (recipient === undefined || recipientSalt === undefined) {
+    throw new Error("Disclosure: recipient and recipientSalt are required");
+  }
+  const recipientValue = toRecipientValue(recipient);
+
+  let mask = 0;
+  let minAmount = BigInt(0);
+  let maxAmount = BigInt(0);
+  if (disclose.amount) {
+    mask |= DISCLOSURE_FLAGS.amount;
+  }
+  if (disclose.recipient) {
+    mask |= DISCLOSURE_FLAGS.recipient;
+  }
+  if (disclose.amountRange) {
+    mask |= DISCLOSURE_FLAGS.amountRange;
+    minAmount = BigInt(disclose.amountRange.min);
+    maxAmount = BigInt(disclose.amountRange.max);
+    if (minAmount < BigInt(0) || maxAmount > MAX_AMOUNT || minAmount > maxAmount) {
+      throw new Error("Disclosure: Invalid amount range");
+    }
+    if (amount < minAmount || amount > maxAmount) {
+      throw new Error("Disclosure: Amount is outside the range");
+    }
+  }
+  if (mask === 0) {
+    throw new Error("Disclosure: Nothing to disclose");
+  }
+
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+
+  const publicInputs = {
+    commitment: F.toObject(poseidon([secret, nullifier, amount])).toString(),
+    nullifierHash: F.toObject(poseidon([nullifier])).toString(),
+    recipientHash: F.toObject(poseidon([recipientValue, recipientSalt])).toString(),
+    disclosureMask: mask.toString(),
+    disclosedAmount: (disclose.amount ? amount : BigInt(0)).toString(),
+    disclosedRecipient: (disclose.recipient ? recipientValue : BigInt(0)).toString(),
+    minAmount: minAmount.toString(),
+    maxAmount: maxAmount.toString(),
+    context: context.toString(),
+  };
+
+  return {
+    inputs: {
+      ...publicInputs,
+      secret: secret.toString(),
+      nullifier: nullifier.toString(),
+      amount: amount.toString(),
+      recipient: recipientValue.toString(),
+      recipientSalt: recipientSalt.toString(),
+    },
+    publicInputs,
+  };
+}
+
+/**
+ * Generate a ZK proof for the disclosure circuit
+ * @param {Object} params - Parameters for proof generation
+ * @param {bigint} params.secret - Secret of the message's note
+ * @param {bigint} params.nullifier - Nullifier of the message's note
+ * @param {bigint} params.amount - Amount of the message's note
+ * @param {string|bigint} params.recipient - Recipient address, or the circuit input
+ * @param {bigint} params.recipientSalt - Salt of the message's recipientHash
+ * @param {Object} params.disclose - What to reveal: {amount?: boolean, recipient?: boolean,
+ *   amountRange?: {min, max}}
+ * @param {bigint} [params.context] - From computeDisclosureContext (default 0)
+ * @param {Object} [options] - logger (see proveCircuit), plus artifacts, or a registry
+ *   and circuit version to load them from (see loadArtifacts)
+ * @returns {Object} Proof and public signals in DISCLOSURE_SIGNALS order
+ */
+async function generateDisclosureProof(params, options = {}) {
+  const { inputs, publicInputs } = await buildDisclosureInputs(params);
+
+  const artifacts = await loadArtifacts("disclosure", options);
+  const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+    logger: options.logger,
+    circuit: "disclosure",
+  });
+
+  return {
+    proof,
+    publicSignals,
+    inputs: publicInputs,
+    metrics
+  };
+}
+
+/**
+ * Prove facts about a sent message and package them as a statement an auditor can verify
+ * offline with verifyDisclosure (or `npm run verify:disclosure`)
+ * @param {Object} params - generateDisclosureProof parameters, without context
+ * @param {Object} [statement]
+ * @param {string} [statement.auditor] - Auditor's viewing public key the statement is bound to
+ * @param {string} [statement.reference] - Request reference, also bound to the proof
+ * @param {Object} [statement.message] - Where to find the message on-chain, e.g.
+ *   {chainId, shield, transactionHash}; informational, not proven
+ * @param {Object} [options] - Proving options (see generateDisclosureProof)
+ * @returns {Promise<Object>} JSON-serialisable statement
+ */
+async function createDisclosure(params, { auditor, reference = "", message = null } = {}, options = {}) {
+  const context = computeDisclosureContext({ auditor, reference });
+  const { proof, publicSignals } = await generateDisclosureProof({ ...params, context }, options);
+
+  return {
+    version: DISCLOSURE_VERSION,
+    circuit: "disclosure",
+    auditor: auditor ? ethers.hexlify(auditor) : null,
+    reference,
+    message,
+    ...describeSignals(publicSignals),
+    proof,
+    publicSignals,
+  };
+}
+
+/**
+ * Read the facts a disclosure proof's public signals state
+ * @param {Array<string>} publicSignals - Public signals in DISCLOSURE_SIGNALS order
+ * @returns {Object} {commitment, nullifierHash, recipientHash (bytes32 hex), disclosed:
+ *   {amount, recipient, amountRange}} with null for what is not disclosed
+ */
+function describeSignals(publicSignals) {
+  const signals = {};
+  DISCLOSURE_SIGNALS.forEach((name, i) => {
+    signals[name] = BigInt(publicSignals[i]);
+  });
+  const mask = Number(signals.disclosureMask);
+
+  return {
+    commitment: ethers.toBeHex(signals.commitment, 32),
+    nullifierHash: ethers.toBeHex(signals.nullifierHash, 32),
+    recipientHash: ethers.toBeHex(signals.recipientHash, 32),
+    disclosed: {
+      amount: mask & DISCLOSURE_FLAGS.amount ? signals.disclosedAmount.toString() : null,
+      recipient: mask & DISCLOSURE_FLAGS.recipient ? formatRecipient(signals.disclosedRecipient) : null,
+      amountRange:
+        mask & DISCLOSURE_FLAGS.amountRange
+          ? { min: signals.minAmount.toString(), max: signals.maxAmount.toString() }
+          : null,
+    },
+  };
+}
+
+/**
+ * Verify a disclosure statement offline
+ * @param {Object} statement - Statement from createDisclosure
+ * @param {Object} [options]
+ * @param {Object} [options.vkey] - Verification key of the disclosure circuit (default: the
+ *   registry's; auditors should use one they obtained independently of the statement)
+ * @param {ArtifactRegistry} [options.registry] - Defaults to backend/circuits/manifest.json
+ * @param {string} [options.auditor] - Auditor's own viewing public key; when set, the
+ *   statement must be bound to it
+ * @returns {Promise<{valid: boolean, errors: Array<string>, facts: Object|null}>} facts are
+ *   read from the proven public signals (see describeSignals), not from the statement's claims
+ */
+async function verifyDisclosure(statement, { vkey, registry, auditor } = {}) {
+  const errors = [];
+  if (statement.version !== DISCLOSURE_VERSION || statement.circuit !== "disclosure") {
+    return { valid: false, errors: [`Unsupported statement version ${statement.version}`], facts: null };
+  }
+  if (!Array.isArray(statement.publicSignals) || statement.publicSignals.length !== DISCLOSURE_SIGNALS.length) {
+    return { valid: false, errors: ["Malformed public signals"], facts: null };
+  }
+
+  const facts = describeSignals(statement.publicSignals);
+  for (const field of ["commitment", "nullifierHash", "recipientHash"]) {
+    if (String(statement[field]).toLowerCase() !== facts[field]) {
+      errors.push(`${field} does not match the proof`);
+    }
+  }
+  if (JSON.stringify(statement.disclosed) !== JSON.stringify(facts.disclosed)) {
+    errors.push("Disclosed values do not match the proof");
+  }
+
+  const context = computeDisclosureContext({ auditor: statement.auditor, reference: statement.reference });
+  if (BigInt(statement.publicSignals[DISCLOSURE_SIGNALS.indexOf("context")]) !== context) {
+    errors.push("Proof is not bound to this auditor and reference");
+  }
+  if (auditor && (!statement.auditor || statement.auditor.toLowerCase() !== ethers.hexlify(auditor).toLowerCase())) {
+    errors.push("Statement was made for another auditor");
+  }
+
+  const key = vkey || (await (registry || defaultArtifactRegistry()).verificationKey("disclosure"));
+  if (!(await snarkjs.groth16.verify(key, statement.publicSignals, statement.proof))) {
+    errors.push("Invalid ZK proof");
+  }
+
+  return { valid: errors.length === 0, errors, facts };
+}
+
+/**
+ * Encrypt a statement to an auditor's viewing key, as a package only they can open
+ * @param {Object} statement - Statement from createDisclosure
+ * @param {string} auditorPublicKey - Auditor's viewing public key
+ * @param {Object} [encryption] - Object with encryptPayload (default scripts/payload-encryption.js)
+ * @returns {string} JSON package
+ */
+function encryptDisclosure(statement, auditorPublicKey, encryption = payloadEncryption) {
+  return JSON.stringify({
+    version: DISCLOSURE_VERSION,
+    type: "rayls-shield-disclosure",
+    envelope: encryption.encryptPayload(ethers.toUtf8Bytes(JSON.stringify(statement)), auditorPublicKey),
+  });
+}
+
+/**
+ * Check whether a parsed JSON document is an encrypted disclosure package
+ * @param {Object} document - Parsed JSON
+ * @returns {boolean}
+ */
+function isDisclosurePackage(document) {
+  return Boolean(document) && document.type === "rayls-shield-disclosure";
+}
+
+/**
+ * Decrypt a package from encryptDisclosure
+ * @param {string|Object} disclosurePackage - JSON package, or the parsed object
+ * @param {string} auditorPrivateKey - Auditor's viewing private key
+ * @param {Object} [encryption] - Object with decryptPayload (default scripts/payload-encryption.js)
+ * @returns {Object} Statement
+ */
+function decryptDisclosure(disclosurePackage, auditorPrivateKey, encryption = payloadEncryption) {
+  const parsed = typeof disclosurePackage === "string" ? JSON.parse(disclosurePackage) : disclosurePackage;
+  if (!isDisclosurePackage(parsed) || parsed.version !== DISCLOSURE_VERSION) {
+    throw new Error("Disclosure: Not a disclosure package");
+  }
+  return JSON.parse(ethers.toUtf8String(encryption.decryptPayload(parsed.envelope, auditorPrivateKey)));
+}
+
+module.exports = {
+  DISCLOSURE_VERSION,
+  DISCLOSURE_FLAGS,
+  DISCLOSURE_SIGNALS,
+  computeDisclosureContext,
+  buildDisclosureInputs,
+  generateDisclosureProof,
+  createDisclosure,
+  describeSignals,
+  verifyDisclosure,
+  encryptDisclosure,
+  isDisclosurePackage,
+  decryptDisclosure,
+};
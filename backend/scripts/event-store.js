@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+
+// Version of the event store file format
+const EVENT_STORE_VERSION = 1;
+
+// Event arguments that identify a message or a nullifier, by the names RaylsShield uses
+const MESSAGE_ARGS = ["messageHash", "messageId"];
+const NULLIFIER_ARGS = ["nullifierHash", "nullifier"];
+
+function checkpointKey(chainId, address) {
+  return `${BigInt(chainId)}:${address.toLowerCase()}`;
+}
+
+function firstArg(args, names) {
+  const name = names.find((candidate) => typeof args[candidate] === "string");
+  return name ? args[name].toLowerCase() : null;
+}
+
+/**
+ * Local database of indexed contract events, kept in memory and optionally in a JSON file.
+ *
+ * Events are plain objects keyed by id, which is unique per log:
+ * `${chainId}:${transactionHash}:${logIndex}`. Each has {id, chainId, address, name, signature,
+ * args, messageHash, nullifierHash, blockNumber, blockHash, timestamp, transactionHash, logIndex}.
+ * chainId is a decimal string and args values are JSON (bigints as decimal strings).
+ * messageHash and nullifierHash are lifted out of the args (messageHash / messageId,
+ * nullifierHash / nullifier) so every event about a message can be found by either; they are
+ * null for events without one. name is null for logs the ABI does not describe.
+ */
+class EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSON file to load from and save to (default: memory only)
+   */
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.events = new Map();
+    this.checkpoints = {};
+
+    if (this.file && fs.existsSync(this.file)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      } catch {
+        throw new Error("EventStore: File is not valid JSON");
+      }
+      if (parsed.version !== EVENT_STORE_VERSION) {
+        throw new Error(`EventStore: Unsupported store version ${parsed.version}`);
+      }
+      for (const event of parsed.events) {
+        this.events.set(event.id, event);
+      }
+      this.checkpoints = parsed.checkpoints;
+    }
+  }
+
+  /**
+   * Add an event
+   * @param {Object} event - {id, chainId, address, name, signature, args, blockNumber, blockHash,
+   *   timestamp, transactionHash, logIndex}
+   * @returns {boolean} False if an event with the same id is already stored
+   */
+  add(event) {
+    if (this.events.has(event.id)) {
+      return false;
+    }
+    this.events.set(event.id, {
+      ...event,
+      chainId: BigInt(event.chainId).toString(),
+      messageHash: firstArg(event.args, MESSAGE_ARGS),
+      nullifierHash: firstArg(event.args, NULLIFIER_ARGS),
+    });
+    return true;
+  }
+
+  /**
+   * Get an event by id
+   * @param {string} id - Event id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.events.get(id) || null;
+  }
+
+  /**
+   * Find events, in chain order (by chain, block and log index)
+   * @param {Object} [filter] - Every given field must match
+   * @param {bigint|number|string} [filter.chainId] - Chain ID
+   * @param {string} [filter.address] - Contract address
+   * @param {string} [filter.name] - Event name, e.g. "PrivateMessageSent"
+   * @param {string} [filter.messageHash] - messageHash or Rayls message ID
+   * @param {string} [filter.nullifierHash] - Nullifier hash
+   * @param {string} [filter.transactionHash] - Transaction hash
+   * @param {number} [filter.fromBlock] - First block
+   * @param {number} [filter.toBlock] - Last block
+   * @param {number} [filter.offset] - Matches to skip (default 0)
+   * @param {number} [filter.limit] - Most matches to return (default all)
+   * @returns {Array<Object>}
+   */
+  query({
+    chainId,
+    address,
+    name,
+    messageHash,
+    nullifierHash,
+    transactionHash,
+    fromBlock,
+    toBlock,
+    offset = 0,
+    limit = Infinity,
+  } = {}) {
+    const chain = chainId === undefined ? undefined : BigInt(chainId).toString();
+    const matches = [...this.events.values()].filter(
+      (event) =>
+        (chain === undefined || event.chainId === chain) &&
+        (address === undefined || event.address.toLowerCase() === address.toLowerCase()) &&
+        (name === undefined || event.name === name) &&
+        (messageHash === undefined || event.messageHash === messageHash.toLowerCase()) &&
+        (nullifierHash === undefined || event.nullifierHash === nullifierHash.toLowerCase()) &&
+        (transactionHash === undefined || event.transactionHash === transactionHash.toLowerCase()) &&
+        (fromBlock === undefined || event.blockNumber >= fromBlock) &&
+        (toBlock === undefined || event.blockNumber <= toBlock)
+    );
+
+    matches.sort(
+      (x, y) =>
+        (BigInt(x.chainId) < BigInt(y.chainId) ? -1 : BigInt(x.chainId) > BigInt(y.chainId) ? 1 : 0) ||
+        x.blockNumber - y.blockNumber ||
+        x.logIndex - y.logIndex
+    );
+    return matches.slice(offset, offset + limit);
+  }
+
+  get size() {
+    return this.events.size;
+  }
+
+  /**
+   * Last block indexed for a contract
+   * @param {bigint|number} chainId - Chain ID
+   * @param {string} address - Contract address
+   * @returns {number|null}
+   */
+  getCheckpoint(chainId, address) {
+    const checkpoint = this.checkpoints[checkpointKey(chainId, address)];
+    return checkpoint === undefined ? null : checkpoint;
+  }
+
+  /**
+   * Record the last block indexed for a contract
+   * @param {bigint|number} chainId - Chain ID
+   * @param {string} address - Contract address
+   * @param {number} blockNumber - Last block indexed
+   */
+  setCheckpoint(chainId, address, blockNumber) {
+    this.checkpoints[checkpointKey(chainId, address)] = blockNumber;
+  }
+
+  /**
+   * Write the store to its file, if it has one. The file is replaced atomically.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const contents = JSON.stringify({
+      version: EVENT_STORE_VERSION,
+      events: [...this.events.values()],
+      checkpoints: this.checkpoints,
+    });
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, contents);
+    fs.renameSync(temporary, this.file);
+  }
+}
+
+module.exports = {
+  EVENT_STORE_VERSION,
+  EventStore,
+};
@@ -0,0 +1,44 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the SDK talks to; their ABIs are written to sdk/abi/<name>.json
+const SDK_CONTRACTS = ["RaylsShield", "ViewingKeyRegistry"];
+
+const ABI_DIR = path.join(__dirname, "../sdk/abi");
+
+/**
+ * Read the ABI of a compiled contract from the Hardhat artifacts
+ * @param {string} name - Contract name
+ * @returns {Promise<Array<Object>>}
+ */
+async function readAbi(name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  return artifact.abi;
+}
+
+async function main() {
+  await hre.run("compile");
+
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  for (const name of SDK_CONTRACTS) {
+    const outputPath = path.join(ABI_DIR, `${name}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(await readAbi(name), null, 2) + "\n");
+    console.log(`✅ ${name} ABI written to ${path.relative(process.cwd(), outputPath)}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  SDK_CONTRACTS,
+  ABI_DIR,
+  readAbi,
+};
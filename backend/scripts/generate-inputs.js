@@ -1,5 +1,7 @@
 const { buildPoseidon } = require("circomlibjs");
 const fs = require("fs");
+const { MerkleTree } = require("./merkle-tree");
+const { generateAuditorKeyPair, buildAuditInputs } = require("./auditor-escrow");
 
 async function generateInputs() {
   console.log("Generating valid circuit inputs...\n");
@@ -12,6 +14,7 @@ async function generateInputs() {
   const secret = BigInt(123456789);
   const nullifier = BigInt(987654321);
   const recipient = BigInt(555555555);
+  const recipientSalt = BigInt(246813579);
   const amount = BigInt(1000);
 
   // Compute commitment: Poseidon(secret, nullifier, amount)
@@ -22,21 +25,26 @@ async function generateInputs() {
   const nullifierHash = poseidon([nullifier]);
   const nullifierHashBigInt = F.toObject(nullifierHash);
 
-  // Compute recipient hash: Poseidon(recipient)
-  const recipientHash = poseidon([recipient]);
+  // Compute recipient hash: Poseidon(recipient, recipientSalt)
+  const recipientHash = poseidon([recipient, recipientSalt]);
   const recipientHashBigInt = F.toObject(recipientHash);
 
+  // External data hash binds a proof to one message on-chain; 0 for test inputs
+  const extDataHash = BigInt(0);
+
   // Create input object
   const inputs = {
     // Public inputs
     nullifierHash: nullifierHashBigInt.toString(),
     commitment: commitmentBigInt.toString(),
     recipientHash: recipientHashBigInt.toString(),
+    extDataHash: extDataHash.toString(),
 
     // Private inputs
     secret: secret.toString(),
     nullifier: nullifier.toString(),
     recipient: recipient.toString(),
+    recipientSalt: recipientSalt.toString(),
     amount: amount.toString(),
   };
 
@@ -53,9 +61,159 @@ async function generateInputs() {
   return inputs;
 }
 
+async function generateComplianceInputs() {
+  console.log("Generating valid compliance circuit inputs...\n");
+
+  const inputs = await generateInputs();
+
+  // AML threshold must be above the amount (e.g. 10,000 USD)
+  const complianceInputs = {
+    nullifierHash: inputs.nullifierHash,
+    commitment: inputs.commitment,
+    recipientHash: inputs.recipientHash,
+    amlThreshold: "10000",
+    extDataHash: inputs.extDataHash,
+    secret: inputs.secret,
+    nullifier: inputs.nullifier,
+    recipient: inputs.recipient,
+    recipientSalt: inputs.recipientSalt,
+    amount: inputs.amount,
+  };
+
+  fs.writeFileSync(
+    "./circuits/compliance.input.json",
+    JSON.stringify(complianceInputs, null, 2)
+  );
+
+  console.log("Inputs saved to circuits/compliance.input.json");
+
+  return complianceInputs;
+}
+
+async function generateTransferInputs() {
+  console.log("Generating valid transfer circuit inputs...\n");
+
+  const poseidon = await buildPoseidon();
+  const F = poseidon.F;
+
+  // Note being spent and the change note it is split into
+  const secret = BigInt(123456789);
+  const nullifier = BigInt(987654321);
+  const amount = BigInt(1000);
+  const outSecret = BigInt(111111111);
+  const outNullifier = BigInt(222222222);
+  const outAmount = BigInt(400);
+  const publicAmount = amount - outAmount;
+
+  // Leaf: Poseidon(Poseidon(secret, nullifier, amount), amount)
+  const commitment = F.toObject(poseidon([secret, nullifier, amount]));
+  const leaf = F.toObject(poseidon([commitment, amount]));
+  const outCommitment = F.toObject(poseidon([outSecret, outNullifier, outAmount]));
+  const outLeaf = F.toObject(poseidon([outCommitment, outAmount]));
+
+  // Tree holding just the spent note
+  const tree = await MerkleTree.build();
+  const leafIndex = tree.insert(leaf);
+  const { root, pathElements, pathIndices } = tree.path(leafIndex);
+
+  const inputs = {
+    // Public inputs
+    root: root.toString(),
+    nullifierHash: F.toObject(poseidon([nullifier])).toString(),
+    outLeaf: outLeaf.toString(),
+    publicAmount: publicAmount.toString(),
+    extDataHash: "0",
+
+    // Private inputs
+    secret: secret.toString(),
+    nullifier: nullifier.toString(),
+    amount: amount.toString(),
+    pathElements: pathElements.map((e) => e.toString()),
+    pathIndices: pathIndices.map((i) => i.toString()),
+    outSecret: outSecret.toString(),
+    outNullifier: outNullifier.toString(),
+    outAmount: outAmount.toString(),
+  };
+
+  fs.writeFileSync(
+    "./circuits/transfer.input.json",
+    JSON.stringify(inputs, null, 2)
+  );
+
+  console.log("Inputs saved to circuits/transfer.input.json");
+
+  return inputs;
+}
+
+async function generateDisclosureInputs() {
+  console.log("Generating valid disclosure circuit inputs...\n");
+
+  const inputs = await generateInputs();
+
+  // Disclose the amount and prove it lies in [500, 5000]; the recipient stays hidden
+  const disclosureInputs = {
+    // Public inputs
+    commitment: inputs.commitment,
+    nullifierHash: inputs.nullifierHash,
+    recipientHash: inputs.recipientHash,
+    disclosureMask: "5",
+    disclosedAmount: inputs.amount,
+    disclosedRecipient: "0",
+    minAmount: "500",
+    maxAmount: "5000",
+    context: "0",
+
+    // Private inputs
+    secret: inputs.secret,
+    nullifier: inputs.nullifier,
+    amount: inputs.amount,
+    recipient: inputs.recipient,
+    recipientSalt: inputs.recipientSalt,
+  };
+
+  fs.writeFileSync(
+    "./circuits/disclosure.input.json",
+    JSON.stringify(disclosureInputs, null, 2)
+  );
+
+  console.log("Inputs saved to circuits/disclosure.input.json");
+
+  return disclosureInputs;
+}
+
+async function generateAuditInputs() {
+  console.log("Generating valid audit circuit inputs...\n");
+
+  const inputs = await generateInputs();
+
+  // Escrow the note's amount, recipient and a memo to a fresh auditor key
+  const { publicKey } = await generateAuditorKeyPair();
+  const { inputs: auditInputs } = await buildAuditInputs({
+    secret: BigInt(inputs.secret),
+    nullifier: BigInt(inputs.nullifier),
+    amount: BigInt(inputs.amount),
+    recipient: BigInt(inputs.recipient),
+    recipientSalt: BigInt(inputs.recipientSalt),
+    memo: "invoice 42",
+    auditorKey: publicKey,
+  });
+
+  fs.writeFileSync(
+    "./circuits/audit.input.json",
+    JSON.stringify(auditInputs, null, 2)
+  );
+
+  console.log("Inputs saved to circuits/audit.input.json");
+
+  return auditInputs;
+}
+
 // Run if called directly
 if (require.main === module) {
-  generateInputs()
+  generateComplianceInputs()
+    .then(() => generateTransferInputs())
+    .then(() => generateDisclosureInputs())
+    .then(() => generateAuditInputs())
     .then(() => process.exit(0))
     .catch((error) => {
       console.error(error);
@@ -63,4 +221,10 @@ if (require.main === module) {
     });
 }
 
-module.exports = { generateInputs };
+module.exports = {
+  generateInputs,
+  generateComplianceInputs,
+  generateTransferInputs,
+  generateDisclosureInputs,
+  generateAuditInputs,
+};
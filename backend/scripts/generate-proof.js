@@ -1,87 +1,311 @@
 const snarkjs = require("snarkjs");
 const { buildPoseidon } = require("circomlibjs");
+const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { ArtifactRegistry, defaultArtifactRegistry } = require("./circuit-artifacts");
+
+// BN254 scalar field size (matches RaylsShield.SNARK_SCALAR_FIELD)
+const SNARK_SCALAR_FIELD = BigInt(
+  "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
 
 /**
- * Generate a ZK proof for the privacy circuit
- * @param {Object} params - Parameters for proof generation
- * @param {bigint} params.secret - Secret value
- * @param {bigint} params.nullifier - Nullifier to prevent replay
- * @param {bigint} params.recipient - Recipient address (as bigint)
- * @param {bigint} params.amount - Amount being transferred
- * @returns {Object} Proof and public signals
+ * Compute the external data hash a proof must commit to.
+ * Mirrors RaylsShield.computeExtDataHash so a proof is only valid for one message.
+ * @param {Object} params - Message context
+ * @param {string} params.sender - Address that will call RaylsShield
+ * @param {bigint|number} params.dstChainId - Destination chain ID
+ * @param {string} [params.destination] - Destination address (sendPrivateMessage)
+ * @param {string} [params.resourceId] - Resource ID (sendPrivateMessageToResource)
+ * @param {Uint8Array|string} params.encryptedPayload - Encrypted message payload
+ * @returns {bigint} External data hash reduced into the SNARK scalar field
  */
-async function generateProof({
+function computeExtDataHash({
+  sender,
+  dstChainId,
+  destination,
+  resourceId,
+  encryptedPayload
+}) {
+  if ((destination === undefined) === (resourceId === undefined)) {
+    throw new Error("computeExtDataHash: provide exactly one of destination or resourceId");
+  }
+
+  const target = resourceId !== undefined
+    ? resourceId
+    : ethers.zeroPadValue(destination, 32);
+
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint256", "bytes32", "bytes32"],
+    [sender, dstChainId, target, ethers.keccak256(encryptedPayload)]
+  );
+
+  return BigInt(ethers.keccak256(encoded)) % SNARK_SCALAR_FIELD;
+}
+
+/**
+ * Compute the messageHash RaylsShield will assign to a sender's message.
+ * Mirrors MessageLifecycle.computeMessageHash, so the ID is known before the send is mined.
+ * @param {Object} params
+ * @param {bigint|number} params.chainId - Chain ID of the source shield
+ * @param {string} params.shield - Source RaylsShield address
+ * @param {string} params.sender - Address that will call RaylsShield
+ * @param {bigint|number} params.nonce - RaylsShield.messageNonces(sender) before the send;
+ *   add i for the i-th message of a batch
+ * @returns {string} messageHash as 32-byte hex
+ */
+function computeMessageHash({ chainId, shield, sender, nonce }) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "address", "address", "uint256"],
+      [chainId, shield, sender, nonce]
+    )
+  );
+}
+
+/**
+ * Split a recipient into the circuit input and the shielded address hash it must match
+ * @param {bigint|Object} recipient - Field element, or a result of resolveRecipient
+ *   (scripts/key-registry.js)
+ * @returns {{value: bigint, shieldedAddressHash: (bigint|undefined)}}
+ */
+function splitRecipient(recipient) {
+  if (typeof recipient === "object" && recipient !== null) {
+    return { value: recipient.recipient, shieldedAddressHash: recipient.shieldedAddressHash };
+  }
+  return { value: recipient, shieldedAddressHash: undefined };
+}
+
+/**
+ * Throw if a recipient differs from the one behind its registered shielded address hash
+ * @param {Function} poseidon - circomlibjs Poseidon
+ * @param {bigint} recipient - Circuit input
+ * @param {bigint|undefined} shieldedAddressHash - Registered Poseidon(recipient), if any
+ */
+function checkShieldedAddress(poseidon, recipient, shieldedAddressHash) {
+  if (
+    shieldedAddressHash !== undefined &&
+    poseidon.F.toObject(poseidon([recipient])) !== BigInt(shieldedAddressHash)
+  ) {
+    throw new Error("Recipient hash does not match the registered shielded address");
+  }
+}
+
+/**
+ * Draw a random recipientSalt, for proofs whose recipient does not need to find them
+ * by scanning (use encryptPayloadWithSalt otherwise)
+ * @returns {bigint} 248-bit salt, below the scalar field
+ */
+function randomRecipientSalt() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(31)));
+}
+
+/**
+ * Compute the salted recipientHash privacy.circom and compliance.circom expose
+ * @param {bigint} recipient - Circuit input (addressToRecipient for an address)
+ * @param {bigint} recipientSalt - Salt from encryptPayloadWithSalt / deriveRecipientSalt
+ * @returns {Promise<bigint>} Poseidon(recipient, recipientSalt)
+ */
+async function computeRecipientHash(recipient, recipientSalt) {
+  const poseidon = await getPoseidon();
+  return poseidon.F.toObject(poseidon([recipient, recipientSalt]));
+}
+
+let poseidonPromise;
+
+/**
+ * Poseidon hasher, built once per process (building it compiles its constants)
+ * @returns {Promise<Function>} circomlibjs Poseidon
+ */
+function getPoseidon() {
+  if (!poseidonPromise) {
+    poseidonPromise = buildPoseidon();
+  }
+  return poseidonPromise;
+}
+
+// Logger used when none is given: proving is silent by default
+const SILENT_LOGGER = { log() {}, error() {} };
+
+// Circuit inputs that are never logged, at any verbosity
+const PRIVATE_INPUTS = [
+  "secret",
+  "nullifier",
+  "recipient",
+  "recipientSalt",
+  "amount",
+  "pathElements",
+  "pathIndices",
+  "outSecret",
+  "outNullifier",
+  "outAmount",
+  "memo",
+  "ephemeralSecret",
+];
+
+/**
+ * Copy of circuit inputs with every private value replaced by "[redacted]"
+ * @param {Object} inputs - Circuit inputs
+ * @returns {Object}
+ */
+function redactInputs(inputs) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(inputs)) {
+    redacted[name] = PRIVATE_INPUTS.includes(name) ? "[redacted]" : value;
+  }
+  return redacted;
+}
+
+/**
+ * Calculate the witness and prove, timing both steps
+ * @param {Object} inputs - Full circuit inputs
+ * @param {Object} artifacts - {wasm, zkey}: file paths, URLs or bytes, and the optional vkey
+ *   (as from ArtifactRegistry.load) that every proof must verify against
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Object with log/error methods (default: silent).
+ *   Private inputs are redacted before they reach it.
+ * @param {string} [options.circuit] - Circuit name for log lines
+ * @param {boolean} [options.singleThread] - Prove on the calling thread instead of snarkjs's
+ *   own worker threads (required inside a worker thread)
+ * @returns {Promise<{proof: Object, publicSignals: Array<string>,
+ *   metrics: {witnessMs: number, provingMs: number, totalMs: number}}>}
+ */
+async function proveCircuit(inputs, { wasm, zkey, vkey }, {
+  logger = SILENT_LOGGER,
+  circuit = "circuit",
+  singleThread = false
+} = {}) {
+  logger.log(`Generating ${circuit} proof with inputs:`, redactInputs(inputs));
+
+  const start = Date.now();
+  const witness = { type: "mem" };
+  await snarkjs.wtns.calculate(inputs, wasm, witness);
+  const witnessDone = Date.now();
+
+  const { proof, publicSignals } = await snarkjs.groth16.prove(zkey, witness, undefined, { singleThread });
+  const end = Date.now();
+
+  const metrics = {
+    witnessMs: witnessDone - start,
+    provingMs: end - witnessDone,
+    totalMs: end - start,
+  };
+  logger.log(`Generated ${circuit} proof`, metrics);
+
+  // A wasm from another build yields proofs the verifier contract would reject
+  if (vkey && !(await snarkjs.groth16.verify(vkey, publicSignals, proof))) {
+    throw new Error(`Proof does not verify against the ${circuit} verification key`);
+  }
+
+  return { proof, publicSignals, metrics };
+}
+
+/**
+ * Proving artifacts for a circuit: the explicit ones if given, else the registry's
+ * @param {string} circuit - Circuit name
+ * @param {Object} options
+ * @param {Object} [options.artifacts] - {wasm, zkey, vkey?, sha256}: file paths, URLs or bytes,
+ *   checked like manifest entries against a pinned vkey or their own hashes
+ * @param {ArtifactRegistry} [options.registry] - Defaults to backend/circuits/manifest.json
+ * @param {string|number} [options.version] - Circuit version (default: current)
+ * @returns {Promise<{wasm: Uint8Array, zkey: Uint8Array, vkey?: Object}>}
+ */
+async function loadArtifacts(circuit, { artifacts, registry, version }) {
+  if (artifacts) {
+    return new ArtifactRegistry().register(circuit, "explicit", artifacts).load(circuit);
+  }
+  return (registry || defaultArtifactRegistry()).load(circuit, version);
+}
+
+/**
+ * Compute the circuit inputs for the privacy circuit
+ * @param {Object} params - Same parameters as generateProof
+ * @returns {Promise<{inputs: Object, publicInputs: Object}>} Full witness inputs, and the
+ *   public subset [nullifierHash, commitment, recipientHash, extDataHash]
+ */
+async function buildPrivacyInputs({
   secret,
   nullifier,
   recipient,
-  amount
+  recipientSalt = randomRecipientSalt(),
+  amount,
+  extDataHash = BigInt(0)
 }) {
-  console.log("Generating ZK proof...\n");
-  console.log("Private inputs:");
-  console.log("  secret:", secret.toString());
-  console.log("  nullifier:", nullifier.toString());
-  console.log("  recipient:", recipient.toString());
-  console.log("  amount:", amount.toString());
-  console.log();
-
-  // Initialize Poseidon hash
-  const poseidon = await buildPoseidon();
+  const { value: recipientValue, shieldedAddressHash } = splitRecipient(recipient);
+
+  const poseidon = await getPoseidon();
   const F = poseidon.F;
 
-  // Compute public inputs
-  const commitment = poseidon([secret, nullifier, amount]);
-  const commitmentBigInt = F.toObject(commitment);
-
-  const nullifierHash = poseidon([nullifier]);
-  const nullifierHashBigInt = F.toObject(nullifierHash);
-
-  const recipientHash = poseidon([recipient]);
-  const recipientHashBigInt = F.toObject(recipientHash);
-
-  console.log("Public inputs:");
-  console.log("  nullifierHash:", nullifierHashBigInt.toString());
-  console.log("  commitment:", commitmentBigInt.toString());
-  console.log("  recipientHash:", recipientHashBigInt.toString());
-  console.log();
-
-  // Prepare circuit inputs
-  const inputs = {
-    // Public inputs
-    nullifierHash: nullifierHashBigInt.toString(),
-    commitment: commitmentBigInt.toString(),
-    recipientHash: recipientHashBigInt.toString(),
-
-    // Private inputs
-    secret: secret.toString(),
-    nullifier: nullifier.toString(),
-    recipient: recipient.toString(),
-    amount: amount.toString(),
+  const commitment = F.toObject(poseidon([secret, nullifier, amount]));
+  const nullifierHash = F.toObject(poseidon([nullifier]));
+  const recipientHash = F.toObject(poseidon([recipientValue, recipientSalt]));
+  checkShieldedAddress(poseidon, recipientValue, shieldedAddressHash);
+
+  const publicInputs = {
+    nullifierHash: nullifierHash.toString(),
+    commitment: commitment.toString(),
+    recipientHash: recipientHash.toString(),
+    extDataHash: extDataHash.toString(),
   };
 
-  // Paths to circuit files
-  const wasmPath = path.join(__dirname, "../circuits/privacy.wasm");
-  const zkeyPath = path.join(__dirname, "../circuits/privacy.zkey");
+  return {
+    inputs: {
+      ...publicInputs,
+      secret: secret.toString(),
+      nullifier: nullifier.toString(),
+      recipient: recipientValue.toString(),
+      recipientSalt: recipientSalt.toString(),
+      amount: amount.toString(),
+    },
+    publicInputs,
+  };
+}
 
-  // Generate proof
-  console.log("Computing witness and generating proof...");
-  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-    inputs,
-    wasmPath,
-    zkeyPath
-  );
+/**
+ * Generate a ZK proof for the privacy circuit
+ * @param {Object} params - Parameters for proof generation
+ * @param {bigint} params.secret - Secret value
+ * @param {bigint} params.nullifier - Nullifier to prevent replay
+ * @param {bigint|Object} params.recipient - Recipient address (as bigint), or a
+ *   resolveRecipient result whose shieldedAddressHash the proof must match
+ * @param {bigint} [params.recipientSalt] - Salt of recipientHash, from encryptPayloadWithSalt
+ *   so the recipient can recognise the message (defaults to a random salt)
+ * @param {bigint} params.amount - Amount being transferred
+ * @param {bigint} [params.extDataHash] - Message binding from computeExtDataHash
+ *   (defaults to 0 for proofs that are only verified off-chain)
+ * @param {Object} [options] - logger (see proveCircuit), plus artifacts, or a registry
+ *   and circuit version to load them from (see loadArtifacts)
+ * @returns {Object} Proof, public signals, public inputs and timing metrics
+ */
+async function generateProof({
+  secret,
+  nullifier,
+  recipient,
+  recipientSalt = randomRecipientSalt(),
+  amount,
+  extDataHash = BigInt(0)
+}, options = {}) {
+  const { inputs, publicInputs } = await buildPrivacyInputs({
+    secret,
+    nullifier,
+    recipient,
+    recipientSalt,
+    amount,
+    extDataHash,
+  });
 
-  console.log("✅ Proof generated successfully!\n");
+  const artifacts = await loadArtifacts("privacy", options);
+  const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+    logger: options.logger,
+    circuit: "privacy",
+  });
 
   return {
     proof,
     publicSignals,
-    inputs: {
-      nullifierHash: nullifierHashBigInt.toString(),
-      commitment: commitmentBigInt.toString(),
-      recipientHash: recipientHashBigInt.toString(),
-    }
+    inputs: publicInputs,
+    metrics
   };
 }
 
@@ -103,33 +327,210 @@ function formatProofForSolidity(proof, publicSignals) {
   };
 }
 
+/**
+ * Compute the circuit inputs for the compliance circuit
+ * @param {Object} params - Same parameters as generateComplianceProof
+ * @returns {Promise<{inputs: Object, publicInputs: Object}>} Full witness inputs, and the
+ *   public subset [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]
+ */
+async function buildComplianceInputs({
+  secret,
+  nullifier,
+  recipient,
+  recipientSalt = randomRecipientSalt(),
+  amount,
+  amlThreshold,
+  extDataHash = BigInt(0)
+}) {
+  const { value: recipientValue, shieldedAddressHash } = splitRecipient(recipient);
+
+  if (amount <= BigInt(0) || amount >= amlThreshold) {
+    throw new Error("Amount must be greater than 0 and below the AML threshold");
+  }
+
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+
+  const commitment = F.toObject(poseidon([secret, nullifier, amount]));
+  const nullifierHash = F.toObject(poseidon([nullifier]));
+  const recipientHash = F.toObject(poseidon([recipientValue, recipientSalt]));
+  checkShieldedAddress(poseidon, recipientValue, shieldedAddressHash);
+
+  const publicInputs = {
+    nullifierHash: nullifierHash.toString(),
+    commitment: commitment.toString(),
+    recipientHash: recipientHash.toString(),
+    amlThreshold: amlThreshold.toString(),
+    extDataHash: extDataHash.toString(),
+  };
+
+  return {
+    inputs: {
+      ...publicInputs,
+      secret: secret.toString(),
+      nullifier: nullifier.toString(),
+      recipient: recipientValue.toString(),
+      recipientSalt: recipientSalt.toString(),
+      amount: amount.toString(),
+    },
+    publicInputs,
+  };
+}
+
+/**
+ * Generate a ZK proof for the compliance circuit (0 < amount < amlThreshold)
+ * @param {Object} params - Parameters for proof generation
+ * @param {bigint} params.secret - Secret value
+ * @param {bigint} params.nullifier - Nullifier to prevent replay
+ * @param {bigint|Object} params.recipient - Recipient address (as bigint), or a resolveRecipient result
+ * @param {bigint} [params.recipientSalt] - Salt of recipientHash (see generateProof)
+ * @param {bigint} params.amount - Amount being transferred
+ * @param {bigint} params.amlThreshold - Threshold configured on-chain for the destination
+ *   chain (RaylsShield.amlThresholds)
+ * @param {bigint} [params.extDataHash] - Message binding from computeExtDataHash
+ *   (defaults to 0 for proofs that are only verified off-chain)
+ * @param {Object} [options] - logger (see proveCircuit), plus artifacts, or a registry
+ *   and circuit version to load them from (see loadArtifacts)
+ * @returns {Object} Proof and public signals [nullifierHash, commitment, recipientHash, amlThreshold, extDataHash]
+ */
+async function generateComplianceProof(params, options = {}) {
+  const { inputs, publicInputs } = await buildComplianceInputs(params);
+
+  const artifacts = await loadArtifacts("compliance", options);
+  const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+    logger: options.logger,
+    circuit: "compliance",
+  });
+
+  return {
+    proof,
+    publicSignals,
+    inputs: publicInputs,
+    metrics
+  };
+}
+
+/**
+ * Compute the public values of a shielded pool note
+ * @param {Object} note - Pool note
+ * @param {bigint} note.secret - Secret value
+ * @param {bigint} note.nullifier - Nullifier used when the note is spent
+ * @param {bigint} note.amount - Value held by the note
+ * @returns {Promise<Object>} commitment (passed to RaylsShield.deposit), tree leaf and nullifierHash
+ */
+async function computeNoteLeaf({ secret, nullifier, amount }) {
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+
+  const commitment = F.toObject(poseidon([secret, nullifier, amount]));
+
+  return {
+    commitment,
+    leaf: F.toObject(poseidon([commitment, amount])),
+    nullifierHash: F.toObject(poseidon([nullifier])),
+  };
+}
+
+/**
+ * Compute the circuit inputs for the transfer circuit
+ * @param {Object} params - Same parameters as generateTransferProof
+ * @returns {Promise<{inputs: Object, publicInputs: Object}>} Full witness inputs, and the
+ *   public subset [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+ */
+async function buildTransferInputs({
+  note,
+  tree,
+  outNote,
+  publicAmount = BigInt(0),
+  extDataHash
+}) {
+  const { leaf, nullifierHash } = await computeNoteLeaf(note);
+  const { leaf: outLeaf } = await computeNoteLeaf(outNote);
+
+  const leafIndex = tree.indexOf(leaf);
+  if (leafIndex < 0) {
+    throw new Error("Note is not in the commitment tree");
+  }
+  const { root, pathElements, pathIndices } = tree.path(leafIndex);
+
+  const publicInputs = {
+    root: root.toString(),
+    nullifierHash: nullifierHash.toString(),
+    outLeaf: outLeaf.toString(),
+    publicAmount: publicAmount.toString(),
+    extDataHash: extDataHash.toString(),
+  };
+
+  return {
+    inputs: {
+      ...publicInputs,
+      secret: note.secret.toString(),
+      nullifier: note.nullifier.toString(),
+      amount: note.amount.toString(),
+      pathElements: pathElements.map((e) => e.toString()),
+      pathIndices: pathIndices.map((i) => i.toString()),
+      outSecret: outNote.secret.toString(),
+      outNullifier: outNote.nullifier.toString(),
+      outAmount: outNote.amount.toString(),
+    },
+    publicInputs,
+  };
+}
+
+/**
+ * Generate a ZK proof for the transfer circuit (shielded pool spend)
+ * @param {Object} params - Parameters for proof generation
+ * @param {Object} params.note - Note being spent {secret, nullifier, amount}
+ * @param {MerkleTree} params.tree - Commitment tree mirror (see merkle-tree.js)
+ * @param {Object} params.outNote - Output note {secret, nullifier, amount}
+ * @param {bigint} [params.publicAmount] - Amount withdrawn from the pool (0 for a private transfer)
+ * @param {bigint} params.extDataHash - Call binding from computeExtDataHash
+ * @param {Object} [options] - logger (see proveCircuit), plus artifacts, or a registry
+ *   and circuit version to load them from (see loadArtifacts)
+ * @returns {Object} Proof and public signals [root, nullifierHash, outLeaf, publicAmount, extDataHash]
+ */
+async function generateTransferProof(params, options = {}) {
+  const { inputs, publicInputs } = await buildTransferInputs(params);
+
+  const artifacts = await loadArtifacts("transfer", options);
+  const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+    logger: options.logger,
+    circuit: "transfer",
+  });
+
+  return {
+    proof,
+    publicSignals,
+    inputs: publicInputs,
+    metrics
+  };
+}
+
 /**
  * Verify a proof locally before sending to chain
  * @param {Object} proof - Proof from snarkjs
  * @param {Array} publicSignals - Public signals
+ * @param {Object} [options]
+ * @param {string} [options.circuit] - Circuit that produced the proof (default: privacy)
+ * @param {string|number} [options.version] - Circuit version (default: current)
+ * @param {ArtifactRegistry} [options.registry] - Defaults to backend/circuits/manifest.json
  * @returns {Promise<boolean>} True if proof is valid
  */
-async function verifyProof(proof, publicSignals) {
-  const vkeyPath = path.join(__dirname, "../circuits/verification_key.json");
-
-  // Export verification key if it doesn't exist
-  if (!fs.existsSync(vkeyPath)) {
-    console.log("Exporting verification key...");
-    const zkeyPath = path.join(__dirname, "../circuits/privacy.zkey");
-    const vkey = await snarkjs.zKey.exportVerificationKey(zkeyPath);
-    fs.writeFileSync(vkeyPath, JSON.stringify(vkey, null, 2));
-    console.log("✅ Verification key exported\n");
+async function verifyProof(proof, publicSignals, { circuit = "privacy", version, registry } = {}) {
+  const vkey = await (registry || defaultArtifactRegistry()).verificationKey(circuit, version);
+  // snarkjs throws instead of failing when the signal count does not match the key
+  if (publicSignals.length !== vkey.nPublic) {
+    return false;
   }
-
-  const vkey = JSON.parse(fs.readFileSync(vkeyPath, "utf8"));
-  const isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
-
-  return isValid;
+  return snarkjs.groth16.verify(vkey, publicSignals, proof);
 }
 
-// CLI usage
+// CLI usage: node scripts/generate-proof.js [--verbose]
+// --verbose logs each proving step; private inputs stay redacted
 if (require.main === module) {
   (async () => {
+    const verbose = process.argv.includes("--verbose");
+
     // Example usage with default values
     const secret = BigInt(123456789);
     const nullifier = BigInt(987654321);
@@ -138,12 +539,16 @@ if (require.main === module) {
 
     try {
       // Generate proof
-      const { proof, publicSignals, inputs } = await generateProof({
+      const { proof, publicSignals, inputs, metrics } = await generateProof({
         secret,
         nullifier,
         recipient,
         amount,
-      });
+      }, { logger: verbose ? console : undefined });
+      console.log(
+        `✅ Proof generated in ${metrics.totalMs}ms ` +
+        `(witness ${metrics.witnessMs}ms, proving ${metrics.provingMs}ms)`
+      );
 
       // Verify proof locally
       console.log("Verifying proof locally...");
@@ -178,6 +583,9 @@ if (require.main === module) {
       console.log("c:", JSON.stringify(solidityProof.c));
       console.log("publicSignals:", JSON.stringify(solidityProof.publicSignals));
 
+      // snarkjs keeps its curve worker threads alive
+      process.exit(0);
+
     } catch (error) {
       console.error("❌ Error generating proof:", error);
       process.exit(1);
@@ -186,7 +594,22 @@ if (require.main === module) {
 }
 
 module.exports = {
+  SNARK_SCALAR_FIELD,
+  computeExtDataHash,
+  computeMessageHash,
+  computeRecipientHash,
+  randomRecipientSalt,
+  getPoseidon,
+  buildPrivacyInputs,
+  buildComplianceInputs,
+  buildTransferInputs,
+  redactInputs,
+  proveCircuit,
+  loadArtifacts,
+  computeNoteLeaf,
   generateProof,
+  generateComplianceProof,
+  generateTransferProof,
   verifyProof,
   formatProofForSolidity,
 };
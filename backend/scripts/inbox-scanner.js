@@ -0,0 +1,363 @@
+const { ethers } = require("ethers");
+const payloadEncryption = require("./payload-encryption");
+const { decodeActionEnvelope } = require("./actions");
+const { ENDPOINT_ABI, decodeShieldPayload, decodeDelivery } = require("./relayer");
+const { RecipientScanner } = require("./recipient-scanner");
+const { Inbox } = require("./inbox");
+
+// RaylsShield events the scanner follows
+const SHIELD_EVENTS_ABI = [
+  "event PrivateMessageSent(bytes32 indexed messageHash, uint256 dstChainId, address indexed sender, bytes32 nullifierHash)",
+  "event PrivateMessageReceived(bytes32 indexed messageHash, uint256 srcChainId, bytes32 nullifier)",
+];
+
+const endpointInterface = new ethers.Interface(ENDPOINT_ABI);
+
+/**
+ * Follows RaylsShield deployments on one or more chains and stores every message the
+ * recipient's viewing key decrypts in an Inbox.
+ *
+ * Messages are read on both sides: PrivateMessageSent on the source chain (the payload is
+ * taken from the endpoint event of the same transaction), PrivateMessageReceived on the
+ * destination (from the delivery transaction). Each scan resumes after the chain's
+ * checkpoint. The checkpoint keeps the hashes of the last reorgDepth scanned blocks. If the
+ * chain no longer has them, the inbox is rolled back to the newest block it still has and
+ * scanning resumes from there.
+ *
+ * Stored messages: {id, direction, chainId, shield, messageId, srcChainId, dstChainId, sender,
+ * nullifierHash, recipientHash, recipientVerified, action, payload, blockNumber, blockHash,
+ * timestamp, transactionHash, logIndex}. payload is the decrypted plaintext (hex), action is
+ * {actionType, name, data} or null, sender is only known on the source chain, and
+ * recipientVerified tells whether the proof's recipientHash is the recipient's (null when no
+ * recipient was given).
+ */
+class InboxScanner {
+  /**
+   * @param {Array<Object>} chains - Shields to follow
+   * @param {bigint|number} chains[].chainId - Chain ID, as used by _dstChainId
+   * @param {string} chains[].shield - RaylsShield address
+   * @param {Object} chains[].provider - ethers Provider for the chain
+   * @param {number} [chains[].fromBlock] - First block to scan without a checkpoint (default 0)
+   * @param {Object} options
+   * @param {string} options.viewingKey - Viewing private key the payloads are encrypted to
+   * @param {Inbox} [options.inbox] - Inbox to fill (default: a new in-memory inbox)
+   * @param {string} [options.recipient] - Recipient address, to check recipientHash with
+   *   RecipientScanner
+   * @param {number} [options.confirmations] - Blocks to stay behind the head (default 0)
+   * @param {number} [options.reorgDepth] - Scanned block hashes kept for reorg checks (default 64)
+   * @param {number} [options.batchSize] - Blocks per log query (default 2000)
+   * @param {number} [options.pollInterval] - Milliseconds between scans in start() (default 5000)
+   * @param {Object} [options.encryption] - Object with decryptPayload and deriveRecipientSalt
+   * @param {Object} [options.logger] - Object with log/error methods (default console)
+   */
+  constructor(
+    chains,
+    {
+      viewingKey,
+      inbox = new Inbox(),
+      recipient,
+      confirmations = 0,
+      reorgDepth = 64,
+      batchSize = 2000,
+      pollInterval = 5000,
+      encryption = payloadEncryption,
+      logger = console,
+    } = {}
+  ) {
+    if (!viewingKey) {
+      throw new Error("InboxScanner: viewingKey is required");
+    }
+    if (reorgDepth < 1) {
+      throw new Error("InboxScanner: reorgDepth must be at least 1");
+    }
+    // Without it every message would look addressed to someone else
+    if (typeof encryption.decryptPayload !== "function") {
+      throw new Error("InboxScanner: No payload encryption available; pass encryption");
+    }
+
+    this.chains = chains.map((chain) => ({
+      chainId: BigInt(chain.chainId),
+      shield: ethers.getAddress(chain.shield),
+      provider: chain.provider,
+      contract: new ethers.Contract(chain.shield, SHIELD_EVENTS_ABI, chain.provider),
+      fromBlock: chain.fromBlock || 0,
+    }));
+    this.viewingKey = viewingKey;
+    this.inbox = inbox;
+    this.recipientScanner = recipient ? new RecipientScanner({ recipient, viewingKey, encryption }) : null;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.encryption = encryption;
+    this.logger = logger;
+    this._timer = null;
+  }
+
+  /**
+   * Scan every chain up to its confirmed head and save the inbox
+   * @returns {Promise<Array<Object>>} Messages added by this scan
+   */
+  async scan() {
+    const added = [];
+    for (const chain of this.chains) {
+      added.push(...(await this._scanChain(chain)));
+    }
+    this.inbox.save();
+    return added;
+  }
+
+  /**
+   * Scan continuously until stop() is called
+   */
+  start() {
+    if (this._timer) {
+      return;
+    }
+
+    const tick = async () => {
+      try {
+        await this.scan();
+      } catch (error) {
+        this.logger.error("InboxScanner: Scan failed:", error.message);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop scanning
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _scanChain(chain) {
+    const start = await this._resume(chain);
+    const head = (await chain.provider.getBlockNumber()) - this.confirmations;
+    if (head < start) {
+      return [];
+    }
+
+    const added = [];
+    const timestamps = new Map();
+    for (let from = start; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const events = [
+        ...(await chain.contract.queryFilter(chain.contract.filters.PrivateMessageSent(), from, to)),
+        ...(await chain.contract.queryFilter(chain.contract.filters.PrivateMessageReceived(), from, to)),
+      ].sort((x, y) => x.blockNumber - y.blockNumber || x.index - y.index);
+
+      for (const event of events) {
+        const message = await this._read(chain, event, timestamps);
+        if (message && this.inbox.add(message)) {
+          added.push(message);
+        }
+      }
+    }
+
+    const checkpoint = await this._checkpoint(chain, start, head);
+    const stale = added.find((message) => {
+      const block = checkpoint.blocks.find((recorded) => recorded.number === message.blockNumber);
+      return block && block.hash !== message.blockHash;
+    });
+    if (stale) {
+      // The chain reorganised while we scanned; the next scan starts over from here
+      this.inbox.rollback(chain.chainId, chain.shield, start - 1);
+      this.logger.log(`InboxScanner: Chain ${chain.chainId} reorganised during the scan; retrying`);
+      return [];
+    }
+
+    this.inbox.setCheckpoint(chain.chainId, chain.shield, checkpoint);
+    return added;
+  }
+
+  // First block to scan: after the checkpoint, or after the newest checkpointed block the
+  // chain still has, once the inbox forgot what came after it
+  async _resume(chain) {
+    const checkpoint = this.inbox.getCheckpoint(chain.chainId, chain.shield);
+    if (!checkpoint) {
+      return chain.fromBlock;
+    }
+
+    for (const recorded of [...checkpoint.blocks].reverse()) {
+      const block = await chain.provider.getBlock(recorded.number);
+      if (block && block.hash === recorded.hash) {
+        if (recorded.number < checkpoint.blockNumber) {
+          const removed = this.inbox.rollback(chain.chainId, chain.shield, recorded.number);
+          this.logger.log(
+            `InboxScanner: Chain ${chain.chainId} reorganised after block ${recorded.number}; removed ${removed} message(s)`
+          );
+        }
+        return recorded.number + 1;
+      }
+    }
+
+    // Reorganised deeper than the blocks we kept: start over
+    const removed = this.inbox.rollback(chain.chainId, chain.shield, chain.fromBlock - 1);
+    this.logger.log(`InboxScanner: Chain ${chain.chainId} reorganised past the checkpoint; removed ${removed} message(s)`);
+    return chain.fromBlock;
+  }
+
+  async _checkpoint(chain, start, head) {
+    const previous = this.inbox.getCheckpoint(chain.chainId, chain.shield);
+    const first = Math.max(start, head - this.reorgDepth + 1, 0);
+    const blocks = previous ? previous.blocks.filter((block) => block.number < first) : [];
+    for (let number = first; number <= head; number++) {
+      const block = await chain.provider.getBlock(number);
+      blocks.push({ number, hash: block.hash });
+    }
+    return { blockNumber: head, blocks: blocks.slice(-this.reorgDepth) };
+  }
+
+  async _read(chain, event, timestamps) {
+    let delivery;
+    let message;
+    if (event.fragment.name === "PrivateMessageSent") {
+      delivery = await this._readSent(chain, event);
+      message = {
+        direction: "sent",
+        srcChainId: chain.chainId,
+        dstChainId: event.args.dstChainId,
+        sender: event.args.sender,
+        nullifierHash: event.args.nullifierHash,
+      };
+    } else {
+      const tx = await chain.provider.getTransaction(event.transactionHash);
+      delivery = tx ? decodeDelivery(tx.data) : null;
+      message = {
+        direction: "received",
+        srcChainId: event.args.srcChainId,
+        dstChainId: chain.chainId,
+        sender: null,
+        nullifierHash: event.args.nullifier,
+      };
+    }
+    if (!delivery) {
+      return null;
+    }
+
+    const opened = this._open(delivery.encryptedPayload);
+    if (!opened) {
+      return null;
+    }
+
+    if (!timestamps.has(event.blockNumber)) {
+      timestamps.set(event.blockNumber, (await chain.provider.getBlock(event.blockNumber)).timestamp);
+    }
+
+    const recipientHash = ethers.toBeHex(delivery.publicSignals[2], 32);
+    return {
+      id: `${chain.chainId}:${event.transactionHash}:${event.index}`,
+      direction: message.direction,
+      chainId: chain.chainId,
+      shield: chain.shield,
+      messageId: event.args.messageHash,
+      srcChainId: message.srcChainId,
+      dstChainId: message.dstChainId,
+      sender: message.sender,
+      nullifierHash: message.nullifierHash,
+      recipientHash,
+      recipientVerified: this.recipientScanner
+        ? await this.recipientScanner.isRecipient({ encryptedPayload: delivery.encryptedPayload, recipientHash })
+        : null,
+      action: opened.action,
+      payload: opened.payload,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      timestamp: timestamps.get(event.blockNumber),
+      transactionHash: event.transactionHash,
+      logIndex: event.index,
+    };
+  }
+
+  // The endpoint event of the send transaction that carries this message's proof
+  async _readSent(chain, event) {
+    const receipt = await chain.provider.getTransactionReceipt(event.transactionHash);
+    for (const log of receipt ? receipt.logs : []) {
+      let parsed;
+      try {
+        parsed = endpointInterface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (!parsed || (parsed.name !== "MessageSent" && parsed.name !== "MessageSentToResource")) {
+        continue;
+      }
+      try {
+        const delivery = decodeShieldPayload(parsed.args.payload);
+        if (delivery.publicSignals[0] === BigInt(event.args.nullifierHash)) {
+          return delivery;
+        }
+      } catch {
+        // Another application's message
+      }
+    }
+    return null;
+  }
+
+  // Plaintext and action of a payload, or null if the viewing key cannot decrypt it
+  _open(encryptedPayload) {
+    let action = null;
+    let ciphertext = encryptedPayload;
+    try {
+      const envelope = decodeActionEnvelope(encryptedPayload);
+      if (envelope) {
+        action = { actionType: envelope.actionType, name: envelope.name, data: envelope.data };
+        ciphertext = envelope.ciphertext;
+      }
+      if (ethers.dataLength(ciphertext) === 0) {
+        return null;
+      }
+      return { action, payload: ethers.hexlify(this.encryption.decryptPayload(ciphertext, this.viewingKey)) };
+    } catch {
+      // Malformed envelope, or addressed to someone else
+      return null;
+    }
+  }
+}
+
+// CLI usage: INBOX_CHAINS='[{"chainId":1,"rpcUrl":"http://127.0.0.1:8545","shield":"0x...","fromBlock":0}, ...]'
+//            INBOX_FILE=./inbox.json INBOX_PASSWORD=... VIEWING_KEY=0x... [INBOX_RECIPIENT=0x...]
+if (require.main === module) {
+  (async () => {
+    const config = JSON.parse(process.env.INBOX_CHAINS || "[]");
+    const { INBOX_FILE, INBOX_PASSWORD, VIEWING_KEY } = process.env;
+    if (config.length === 0 || !INBOX_FILE || !INBOX_PASSWORD || !VIEWING_KEY) {
+      console.error("❌ Set INBOX_CHAINS (JSON list of {chainId, rpcUrl, shield}), INBOX_FILE, INBOX_PASSWORD and VIEWING_KEY");
+      process.exit(1);
+    }
+
+    const chains = config.map(({ chainId, rpcUrl, shield, fromBlock }) => ({
+      chainId,
+      shield,
+      fromBlock,
+      provider: new ethers.JsonRpcProvider(rpcUrl),
+    }));
+    const scanner = new InboxScanner(chains, {
+      viewingKey: VIEWING_KEY,
+      inbox: Inbox.open(INBOX_FILE, INBOX_PASSWORD),
+      recipient: process.env.INBOX_RECIPIENT,
+      confirmations: Number(process.env.INBOX_CONFIRMATIONS || 0),
+      pollInterval: Number(process.env.INBOX_POLL_INTERVAL || 5000),
+    });
+    console.log(`📥 Scanning chains ${config.map((c) => c.chainId).join(", ")} into ${INBOX_FILE}...`);
+    scanner.start();
+
+    process.on("SIGINT", () => {
+      scanner.stop();
+      process.exit(0);
+    });
+  })().catch((error) => {
+    console.error("❌ Inbox scanner failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  InboxScanner,
+};
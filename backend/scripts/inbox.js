@@ -0,0 +1,272 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Version of the encrypted inbox file format
+const INBOX_VERSION = 1;
+
+// scrypt cost for inbox passwords, as for note backups
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Message fields held as bigint in memory and as decimal strings on disk
+const BIGINT_FIELDS = ["chainId", "srcChainId", "dstChainId"];
+
+function checkpointKey(chainId, shield) {
+  return `${BigInt(chainId)}:${shield.toLowerCase()}`;
+}
+
+function deriveInboxKey(password, salt, { N, r, p }) {
+  return crypto.scryptSync(password.normalize("NFKC"), salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Local store of the messages a recipient decrypted, plus the scan checkpoint of each
+ * chain. Filled by InboxScanner; the back office reads it with query().
+ *
+ * Messages are plain objects (see InboxScanner) keyed by id, which is unique per event:
+ * `${chainId}:${transactionHash}:${logIndex}`. A message seen leaving one chain and arriving
+ * on another is two entries with the same nullifierHash.
+ */
+class Inbox {
+  /**
+   * @param {Object} [state] - State from toJSON()
+   */
+  constructor({ messages = [], checkpoints = {} } = {}) {
+    this.messages = new Map();
+    for (const message of messages) {
+      const parsed = { ...message };
+      for (const field of BIGINT_FIELDS) {
+        parsed[field] = BigInt(parsed[field]);
+      }
+      this.messages.set(parsed.id, parsed);
+    }
+    this.checkpoints = { ...checkpoints };
+    this.file = null;
+    this._key = null;
+    this._salt = null;
+  }
+
+  /**
+   * Open an encrypted inbox file, or start an empty inbox that save() creates
+   * @param {string} file - Path of the inbox file
+   * @param {string} password - Inbox password
+   * @returns {Inbox}
+   * @throws {Error} If the file is from an unknown version, the password is wrong or the
+   *   file was modified
+   */
+  static open(file, password) {
+    if (!password) {
+      throw new Error("Inbox: A password is required");
+    }
+
+    if (!fs.existsSync(file)) {
+      const inbox = new Inbox();
+      inbox.file = file;
+      inbox._salt = crypto.randomBytes(16);
+      inbox._key = deriveInboxKey(password, inbox._salt, SCRYPT_PARAMS);
+      return inbox;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      throw new Error("Inbox: File is not valid JSON");
+    }
+    if (parsed.version !== INBOX_VERSION) {
+      throw new Error(`Inbox: Unsupported inbox version ${parsed.version}`);
+    }
+
+    const { salt, N, r, p } = parsed.kdf;
+    const key = deriveInboxKey(password, Buffer.from(salt, "hex"), { N, r, p });
+
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(parsed.iv, "hex"));
+      decipher.setAAD(Buffer.from(`rayls-shield/inbox/v${INBOX_VERSION}`));
+      decipher.setAuthTag(Buffer.from(parsed.tag, "hex"));
+      plaintext = Buffer.concat([decipher.update(Buffer.from(parsed.ciphertext, "hex")), decipher.final()]);
+    } catch {
+      throw new Error("Inbox: Wrong password or corrupted inbox");
+    }
+
+    const inbox = new Inbox(JSON.parse(plaintext.toString("utf8")));
+    inbox.file = file;
+    inbox._key = key;
+    inbox._salt = Buffer.from(salt, "hex");
+    return inbox;
+  }
+
+  /**
+   * Write the inbox to its file (scrypt + AES-256-GCM), if it was opened from one.
+   * The file is replaced atomically, so a crash never leaves half an inbox.
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this._key, iv);
+    cipher.setAAD(Buffer.from(`rayls-shield/inbox/v${INBOX_VERSION}`));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(this.toJSON()), "utf8"), cipher.final()]);
+
+    const contents = JSON.stringify({
+      version: INBOX_VERSION,
+      kdf: { name: "scrypt", salt: this._salt.toString("hex"), ...SCRYPT_PARAMS },
+      cipher: "aes-256-gcm",
+      iv: iv.toString("hex"),
+      ciphertext: ciphertext.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
+    });
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, contents, { mode: 0o600 });
+    fs.renameSync(temporary, this.file);
+  }
+
+  /**
+   * Add a message
+   * @param {Object} message - Message from InboxScanner
+   * @returns {boolean} False if a message with the same id is already stored
+   */
+  add(message) {
+    if (this.messages.has(message.id)) {
+      return false;
+    }
+    this.messages.set(message.id, message);
+    return true;
+  }
+
+  /**
+   * Get a message by id
+   * @param {string} id - Message id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.messages.get(id) || null;
+  }
+
+  /**
+   * Find messages, oldest first (by block timestamp, then chain, block and log index)
+   * @param {Object} [filter] - Every given field must match
+   * @param {string} [filter.direction] - "sent" (seen on the source chain) or "received"
+   * @param {bigint|number} [filter.chainId] - Chain the message was seen on
+   * @param {bigint|number} [filter.srcChainId] - Source chain
+   * @param {bigint|number} [filter.dstChainId] - Destination chain
+   * @param {string} [filter.messageId] - messageHash (sent) or Rayls message ID (received)
+   * @param {string} [filter.nullifierHash] - Links the sent and received sides of a message
+   * @param {number} [filter.since] - Earliest block timestamp, in seconds
+   * @param {number} [filter.until] - Latest block timestamp, in seconds
+   * @param {number} [filter.offset] - Matches to skip (default 0)
+   * @param {number} [filter.limit] - Most matches to return (default all)
+   * @returns {Array<Object>}
+   */
+  query({
+    direction,
+    chainId,
+    srcChainId,
+    dstChainId,
+    messageId,
+    nullifierHash,
+    since,
+    until,
+    offset = 0,
+    limit = Infinity,
+  } = {}) {
+    const matches = [...this.messages.values()].filter(
+      (message) =>
+        (direction === undefined || message.direction === direction) &&
+        (chainId === undefined || message.chainId === BigInt(chainId)) &&
+        (srcChainId === undefined || message.srcChainId === BigInt(srcChainId)) &&
+        (dstChainId === undefined || message.dstChainId === BigInt(dstChainId)) &&
+        (messageId === undefined || message.messageId === messageId.toLowerCase()) &&
+        (nullifierHash === undefined || message.nullifierHash === nullifierHash.toLowerCase()) &&
+        (since === undefined || message.timestamp >= since) &&
+        (until === undefined || message.timestamp <= until)
+    );
+
+    matches.sort(
+      (x, y) =>
+        x.timestamp - y.timestamp ||
+        (x.chainId < y.chainId ? -1 : x.chainId > y.chainId ? 1 : 0) ||
+        x.blockNumber - y.blockNumber ||
+        x.logIndex - y.logIndex
+    );
+    return matches.slice(offset, offset + limit);
+  }
+
+  get size() {
+    return this.messages.size;
+  }
+
+  /**
+   * Scan checkpoint of a shield
+   * @param {bigint|number} chainId - Chain ID
+   * @param {string} shield - RaylsShield address
+   * @returns {{blockNumber: number, blocks: Array<{number: number, hash: string}>}|null}
+   *   Last block scanned, and the hashes of the most recent scanned blocks
+   */
+  getCheckpoint(chainId, shield) {
+    return this.checkpoints[checkpointKey(chainId, shield)] || null;
+  }
+
+  /**
+   * Record the scan checkpoint of a shield
+   * @param {bigint|number} chainId - Chain ID
+   * @param {string} shield - RaylsShield address
+   * @param {{blockNumber: number, blocks: Array<{number: number, hash: string}>}} checkpoint
+   */
+  setCheckpoint(chainId, shield, checkpoint) {
+    this.checkpoints[checkpointKey(chainId, shield)] = checkpoint;
+  }
+
+  /**
+   * Forget everything a shield's scan saw after a block, after a reorg replaced it
+   * @param {bigint|number} chainId - Chain ID
+   * @param {string} shield - RaylsShield address
+   * @param {number} blockNumber - Last block that is still valid
+   * @returns {number} Number of messages removed
+   */
+  rollback(chainId, shield, blockNumber) {
+    const key = checkpointKey(chainId, shield);
+    let removed = 0;
+    for (const [id, message] of this.messages) {
+      if (checkpointKey(message.chainId, message.shield) === key && message.blockNumber > blockNumber) {
+        this.messages.delete(id);
+        removed++;
+      }
+    }
+
+    const checkpoint = this.checkpoints[key];
+    if (checkpoint) {
+      const blocks = checkpoint.blocks.filter((block) => block.number <= blockNumber);
+      if (blocks.length > 0) {
+        this.checkpoints[key] = { blockNumber: Math.min(checkpoint.blockNumber, blockNumber), blocks };
+      } else {
+        delete this.checkpoints[key];
+      }
+    }
+    return removed;
+  }
+
+  toJSON() {
+    return {
+      messages: [...this.messages.values()].map((message) => {
+        const serialized = { ...message };
+        for (const field of BIGINT_FIELDS) {
+          serialized[field] = message[field].toString();
+        }
+        return serialized;
+      }),
+      checkpoints: this.checkpoints,
+    };
+  }
+}
+
+module.exports = {
+  INBOX_VERSION,
+  Inbox,
+};
@@ -0,0 +1,349 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { EventStore } = require("./event-store");
+
+// Query results returned by the API when no limit is given, and the most it returns at once
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Convert decoded event arguments to JSON values (bigints become decimal strings)
+ * @param {*} value - Decoded value
+ * @returns {*}
+ */
+function toJsonValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toJsonValue);
+  }
+  return value;
+}
+
+/**
+ * Indexes every event of RaylsShield deployments into an EventStore.
+ *
+ * Logs are read by contract address and decoded with the full contract ABI, so events added
+ * to RaylsShield are indexed once the SDK ABI is regenerated (npm run export:abis); logs the
+ * ABI does not describe are still stored, without a name. Reorgs are handled by staying
+ * `confirmations` blocks behind the head: only blocks that deep are indexed, and once indexed
+ * they are never revisited, so confirmations must exceed the deepest reorg the chain can have.
+ */
+class EventIndexer {
+  /**
+   * @param {Array<Object>} chains - Contracts to index
+   * @param {bigint|number} chains[].chainId - Chain ID
+   * @param {string} chains[].shield - RaylsShield address
+   * @param {Object} chains[].provider - ethers Provider for the chain
+   * @param {number} [chains[].fromBlock] - First block to index without a checkpoint (default 0)
+   * @param {Object} [options]
+   * @param {EventStore} [options.store] - Where events go (default: a new in-memory store)
+   * @param {Array} [options.abi] - ABI to decode with (default sdk/abi/RaylsShield.json)
+   * @param {number} [options.confirmations] - Blocks to stay behind the head (default 12)
+   * @param {number} [options.batchSize] - Blocks per log query (default 2000)
+   * @param {number} [options.pollInterval] - Milliseconds between runs in start() (default 5000)
+   * @param {Object} [options.logger] - Object with log/error methods (default console)
+   */
+  constructor(
+    chains,
+    {
+      store = new EventStore(),
+      abi = require("../sdk/abi/RaylsShield.json"),
+      confirmations = 12,
+      batchSize = 2000,
+      pollInterval = 5000,
+      logger = console,
+    } = {}
+  ) {
+    this.chains = chains.map((chain) => ({
+      chainId: BigInt(chain.chainId),
+      shield: ethers.getAddress(chain.shield),
+      provider: chain.provider,
+      fromBlock: chain.fromBlock || 0,
+    }));
+    this.store = store;
+    this.interface = new ethers.Interface(abi);
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.logger = logger;
+    this._timer = null;
+  }
+
+  /**
+   * Index every chain up to its confirmed head and save the store
+   * @returns {Promise<Array<Object>>} Events added by this run
+   */
+  async index() {
+    const added = [];
+    for (const chain of this.chains) {
+      added.push(...(await this._indexChain(chain)));
+      this.store.save();
+    }
+    return added;
+  }
+
+  /**
+   * Index continuously until stop() is called
+   */
+  start() {
+    if (this._timer) {
+      return;
+    }
+
+    const tick = async () => {
+      try {
+        await this.index();
+      } catch (error) {
+        this.logger.error("Indexer: Indexing failed:", error.message);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop indexing
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _indexChain(chain) {
+    const checkpoint = this.store.getCheckpoint(chain.chainId, chain.shield);
+    const start = checkpoint === null ? chain.fromBlock : checkpoint + 1;
+    const head = (await chain.provider.getBlockNumber()) - this.confirmations;
+
+    const added = [];
+    for (let from = start; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await chain.provider.getLogs({ address: chain.shield, fromBlock: from, toBlock: to });
+
+      const timestamps = new Map();
+      for (const log of logs) {
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await chain.provider.getBlock(log.blockNumber)).timestamp);
+        }
+        const event = this._decode(chain, log, timestamps.get(log.blockNumber));
+        if (this.store.add(event)) {
+          added.push(this.store.get(event.id));
+        }
+      }
+      // Confirmed blocks are final, so progress is kept batch by batch
+      this.store.setCheckpoint(chain.chainId, chain.shield, to);
+    }
+    return added;
+  }
+
+  _decode(chain, log, timestamp) {
+    let parsed = null;
+    try {
+      parsed = this.interface.parseLog(log);
+    } catch {
+      // Matched a topic of the ABI but not its layout
+    }
+
+    const args = {};
+    if (parsed) {
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || String(i)] = toJsonValue(parsed.args[i]);
+      });
+    } else {
+      args.topics = [...log.topics];
+      args.data = log.data;
+    }
+
+    return {
+      id: `${chain.chainId}:${log.transactionHash}:${log.index}`,
+      chainId: chain.chainId,
+      address: chain.shield,
+      name: parsed ? parsed.name : null,
+      signature: parsed ? parsed.signature : null,
+      args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      timestamp,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+  }
+}
+
+function parseInteger(params, name) {
+  const value = params.get(name);
+  if (value === null) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Indexer: Invalid ${name}`);
+  }
+  return Number(value);
+}
+
+function parseHash(value, name) {
+  if (value === null) {
+    return undefined;
+  }
+  if (!ethers.isHexString(value, 32)) {
+    throw new Error(`Indexer: Invalid ${name}`);
+  }
+  return value;
+}
+
+// Filter for EventStore.query from a request's query string
+function parseFilter(params) {
+  const chainId = params.get("chainId");
+  if (chainId !== null && !/^\d+$/.test(chainId)) {
+    throw new Error("Indexer: Invalid chainId");
+  }
+  const address = params.get("address");
+  if (address !== null && !ethers.isAddress(address)) {
+    throw new Error("Indexer: Invalid address");
+  }
+
+  const limit = parseInteger(params, "limit");
+  if (limit !== undefined && (limit < 1 || limit > MAX_PAGE_SIZE)) {
+    throw new Error(`Indexer: limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    chainId: chainId === null ? undefined : chainId,
+    address: address === null ? undefined : address,
+    name: params.get("name") === null ? undefined : params.get("name"),
+    messageHash: parseHash(params.get("messageHash"), "messageHash"),
+    nullifierHash: parseHash(params.get("nullifierHash"), "nullifierHash"),
+    transactionHash: parseHash(params.get("transactionHash"), "transactionHash"),
+    fromBlock: parseInteger(params, "fromBlock"),
+    toBlock: parseInteger(params, "toBlock"),
+    offset: parseInteger(params, "offset") || 0,
+    limit: limit || DEFAULT_PAGE_SIZE,
+  };
+}
+
+/**
+ * HTTP/JSON API over an EventStore. Every route is a GET and answers JSON:
+ *
+ *   /events?chainId&address&name&messageHash&nullifierHash&transactionHash&fromBlock&toBlock&offset&limit
+ *                                 -> {events, total}  (limit defaults to 100, at most 1000)
+ *   /events/:id                   -> event
+ *   /messages/:messageHash        -> {events, total}  (messageHash or Rayls message ID)
+ *   /nullifiers/:nullifierHash    -> {events, total}
+ *   /status                       -> {events, chains: [{chainId, address, lastIndexedBlock}]}
+ *
+ * Bad parameters answer 400, unknown routes and events 404, both as {error}.
+ * @param {EventStore} store - Store to serve, usually the one an EventIndexer fills
+ * @returns {http.Server} Server that is not listening yet
+ */
+function createIndexerServer(store) {
+  const page = (filter) => {
+    const { offset, limit, ...match } = filter;
+    const all = store.query(match);
+    return { events: all.slice(offset, offset + limit), total: all.length };
+  };
+
+  const routes = [
+    [/^\/events$/, (params) => page(parseFilter(params))],
+    [/^\/events\/([^/]+)$/, (params, id) => store.get(decodeURIComponent(id))],
+    [
+      /^\/messages\/([^/]+)$/,
+      (params, hash) => page({ ...parseFilter(params), messageHash: parseHash(hash, "messageHash") }),
+    ],
+    [
+      /^\/nullifiers\/([^/]+)$/,
+      (params, hash) => page({ ...parseFilter(params), nullifierHash: parseHash(hash, "nullifierHash") }),
+    ],
+    [
+      /^\/status$/,
+      () => ({
+        events: store.size,
+        chains: Object.entries(store.checkpoints).map(([key, lastIndexedBlock]) => {
+          const [chainId, address] = key.split(":");
+          return { chainId, address, lastIndexedBlock };
+        }),
+      }),
+    ],
+  ];
+
+  return http.createServer((request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(body));
+    };
+
+    if (request.method !== "GET") {
+      reply(405, { error: "Indexer: Only GET is supported" });
+      return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    for (const [pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) {
+        continue;
+      }
+      try {
+        const body = handler(url.searchParams, ...match.slice(1));
+        if (body === null) {
+          reply(404, { error: "Indexer: Event not found" });
+        } else {
+          reply(200, body);
+        }
+      } catch (error) {
+        reply(400, { error: error.message });
+      }
+      return;
+    }
+    reply(404, { error: "Indexer: Unknown route" });
+  });
+}
+
+// CLI usage: INDEXER_CHAINS='[{"chainId":1,"rpcUrl":"http://127.0.0.1:8545","shield":"0x...","fromBlock":0}, ...]'
+//            [INDEXER_FILE=./events.json] [INDEXER_PORT=8080] [INDEXER_CONFIRMATIONS=12]
+if (require.main === module) {
+  (async () => {
+    const config = JSON.parse(process.env.INDEXER_CHAINS || "[]");
+    if (config.length === 0) {
+      console.error("❌ Set INDEXER_CHAINS to a JSON list of {chainId, rpcUrl, shield, fromBlock}");
+      process.exit(1);
+    }
+
+    const store = new EventStore({ file: process.env.INDEXER_FILE || "./events.json" });
+    const indexer = new EventIndexer(
+      config.map(({ chainId, rpcUrl, shield, fromBlock }) => ({
+        chainId,
+        shield,
+        fromBlock,
+        provider: new ethers.JsonRpcProvider(rpcUrl),
+      })),
+      {
+        store,
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 12),
+        pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 5000),
+      }
+    );
+    indexer.start();
+
+    const port = Number(process.env.INDEXER_PORT || 8080);
+    const server = createIndexerServer(store).listen(port, () => {
+      console.log(`🗂️  Indexing chains ${config.map((c) => c.chainId).join(", ")}; API on http://localhost:${port}`);
+    });
+
+    process.on("SIGINT", () => {
+      indexer.stop();
+      server.close();
+      process.exit(0);
+    });
+  })().catch((error) => {
+    console.error("❌ Indexer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  EventIndexer,
+  createIndexerServer,
+};
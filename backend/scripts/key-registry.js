@@ -0,0 +1,84 @@
+const { ethers } = require("ethers");
+const { getViewingPublicKey } = require("./payload-encryption");
+const { getPoseidon } = require("./generate-proof");
+
+/**
+ * Circuit input for a plain recipient address (the `recipient` private signal)
+ * @param {string} address - Recipient address
+ * @returns {bigint}
+ */
+function addressToRecipient(address) {
+  return BigInt(ethers.getAddress(address));
+}
+
+/**
+ * Shielded address hash published in ViewingKeyRegistry: Poseidon(recipient).
+ * Proofs expose Poseidon(recipient, recipientSalt) instead (see computeRecipientHash).
+ * @param {bigint|string} recipient - Circuit input, or an address
+ * @returns {Promise<bigint>}
+ */
+async function computeShieldedAddressHash(recipient) {
+  const value = typeof recipient === "string" ? addressToRecipient(recipient) : recipient;
+  const poseidon = await getPoseidon();
+  return poseidon.F.toObject(poseidon([value]));
+}
+
+/**
+ * Publish a viewing key for the signer, registering or rotating as needed
+ * @param {Object} registry - ethers Contract instance of ViewingKeyRegistry
+ * @param {Object} signer - ethers Signer that owns the key
+ * @param {string} privateKey - Viewing private key from generateViewingKeyPair
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function publishViewingKey(registry, signer, privateKey) {
+  const address = await signer.getAddress();
+  const encryptionPublicKey = getViewingPublicKey(privateKey);
+  const shieldedAddressHash = await computeShieldedAddressHash(address);
+
+  const connected = registry.connect(signer);
+  const tx = (await registry.hasViewingKey(address))
+    ? await connected.rotateViewingKey(encryptionPublicKey, shieldedAddressHash)
+    : await connected.registerViewingKey(encryptionPublicKey, shieldedAddressHash);
+  return tx.wait();
+}
+
+/**
+ * Resolve a plain address into the keys needed to send to it.
+ * The result can be passed as `recipient` to generateProof / generateComplianceProof
+ * and as the key to encryptPayload.
+ * @param {Object} registry - ethers Contract instance of ViewingKeyRegistry
+ * @param {string} address - Recipient address
+ * @returns {Promise<{address: string, recipient: bigint, shieldedAddressHash: bigint,
+ *   encryptionPublicKey: string, version: bigint}>}
+ * @throws {Error} If no active key is registered or the shielded address hash does not
+ *   match the address
+ */
+async function resolveRecipient(registry, address) {
+  const checksummed = ethers.getAddress(address);
+  if (!(await registry.hasViewingKey(checksummed))) {
+    throw new Error(`KeyRegistry: No viewing key registered for ${checksummed}`);
+  }
+
+  const [encryptionPublicKey, shieldedAddressHash, version] =
+    await registry.getViewingKey(checksummed);
+
+  const recipient = addressToRecipient(checksummed);
+  if ((await computeShieldedAddressHash(recipient)) !== shieldedAddressHash) {
+    throw new Error(`KeyRegistry: Shielded address hash does not match ${checksummed}`);
+  }
+
+  return {
+    address: checksummed,
+    recipient,
+    shieldedAddressHash,
+    encryptionPublicKey,
+    version,
+  };
+}
+
+module.exports = {
+  addressToRecipient,
+  computeShieldedAddressHash,
+  publishViewingKey,
+  resolveRecipient,
+};
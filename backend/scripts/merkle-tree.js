@@ -0,0 +1,192 @@
+const { poseidonContract } = require("circomlibjs");
+const { ethers } = require("ethers");
+const { getPoseidon } = require("./generate-proof");
+
+// Depth of the commitment tree (matches RaylsShield.MERKLE_TREE_LEVELS and transfer.circom)
+const MERKLE_TREE_LEVELS = 20;
+
+// BN254 scalar field size (matches MerkleTreeWithHistory.SNARK_SCALAR_FIELD)
+const SNARK_SCALAR_FIELD = BigInt(
+  "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
+
+// Value of an empty leaf (matches MerkleTreeWithHistory.ZERO_VALUE)
+const ZERO_VALUE = BigInt(ethers.keccak256(ethers.toUtf8Bytes("rayls-shield"))) % SNARK_SCALAR_FIELD;
+
+/**
+ * Off-chain mirror of MerkleTreeWithHistory.sol
+ * Keeps every level in memory so Merkle paths can be produced for any leaf.
+ */
+class MerkleTree {
+  /**
+   * @param {Function} hashLeftRight - (left: bigint, right: bigint) => bigint
+   * @param {number} levels - Depth of the tree
+   * @param {Array<bigint>} leaves - Initial leaves, in insertion order
+   */
+  constructor(hashLeftRight, levels = MERKLE_TREE_LEVELS, leaves = []) {
+    this.hashLeftRight = hashLeftRight;
+    this.levels = levels;
+    this.capacity = 2 ** levels;
+
+    this.zeros = [ZERO_VALUE];
+    for (let i = 1; i <= levels; i++) {
+      this.zeros[i] = hashLeftRight(this.zeros[i - 1], this.zeros[i - 1]);
+    }
+
+    this.layers = [];
+    for (let i = 0; i <= levels; i++) {
+      this.layers[i] = [];
+    }
+
+    for (const leaf of leaves) {
+      this.insert(leaf);
+    }
+  }
+
+  /**
+   * Create a tree that hashes with Poseidon, like the on-chain hasher
+   * @param {number} levels - Depth of the tree
+   * @param {Array<bigint>} leaves - Initial leaves, in insertion order
+   * @returns {Promise<MerkleTree>}
+   */
+  static async build(levels = MERKLE_TREE_LEVELS, leaves = []) {
+    const poseidon = await getPoseidon();
+    const hashLeftRight = (left, right) => poseidon.F.toObject(poseidon([left, right]));
+    return new MerkleTree(hashLeftRight, levels, leaves);
+  }
+
+  /**
+   * Insert a leaf and update the path to the root
+   * @param {bigint} leaf - Leaf to insert
+   * @returns {number} Index of the inserted leaf
+   */
+  insert(leaf) {
+    const index = this.layers[0].length;
+    if (index >= this.capacity) {
+      throw new Error("MerkleTree: Tree is full");
+    }
+
+    this.layers[0].push(BigInt(leaf));
+
+    let currentIndex = index;
+    for (let level = 1; level <= this.levels; level++) {
+      currentIndex >>= 1;
+      const left = this._node(level - 1, currentIndex * 2);
+      const right = this._node(level - 1, currentIndex * 2 + 1);
+      this.layers[level][currentIndex] = this.hashLeftRight(left, right);
+    }
+
+    return index;
+  }
+
+  /**
+   * Current root of the tree
+   * @returns {bigint}
+   */
+  root() {
+    return this._node(this.levels, 0);
+  }
+
+  /**
+   * Index of a leaf, or -1 if it is not in the tree
+   * @param {bigint} leaf - Leaf to look up
+   * @returns {number}
+   */
+  indexOf(leaf) {
+    return this.layers[0].indexOf(BigInt(leaf));
+  }
+
+  /**
+   * Merkle path of a leaf, in the shape expected by transfer.circom
+   * @param {number} index - Index of the leaf
+   * @returns {{root: bigint, pathElements: Array<bigint>, pathIndices: Array<number>}}
+   */
+  path(index) {
+    if (index < 0 || index >= this.layers[0].length) {
+      throw new Error(`MerkleTree: Index out of bounds: ${index}`);
+    }
+
+    const pathElements = [];
+    const pathIndices = [];
+    let currentIndex = index;
+    for (let level = 0; level < this.levels; level++) {
+      pathIndices.push(currentIndex % 2);
+      pathElements.push(this._node(level, currentIndex ^ 1));
+      currentIndex >>= 1;
+    }
+
+    return { root: this.root(), pathElements, pathIndices };
+  }
+
+  /**
+   * Number of leaves in the tree
+   * @returns {number}
+   */
+  get size() {
+    return this.layers[0].length;
+  }
+
+  _node(level, index) {
+    const node = this.layers[level][index];
+    return node === undefined ? this.zeros[level] : node;
+  }
+}
+
+/**
+ * Rebuild the commitment tree from a RaylsShield contract's Deposit events
+ * @param {Object} shield - ethers Contract instance of RaylsShield
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan (deployment block)
+ * @param {number|string} [options.toBlock] - Last block to scan; the rebuilt root is
+ *   checked against the contract when scanning up to "latest"
+ * @returns {Promise<MerkleTree>}
+ */
+async function buildTreeFromDeposits(shield, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const events = await shield.queryFilter(shield.filters.Deposit(), fromBlock, toBlock);
+
+  const leaves = events
+    .map((event) => ({
+      leaf: BigInt(event.args.leaf),
+      leafIndex: Number(event.args.leafIndex),
+    }))
+    .sort((a, b) => a.leafIndex - b.leafIndex);
+
+  leaves.forEach(({ leafIndex }, i) => {
+    if (leafIndex !== i) {
+      throw new Error(`MerkleTree: Missing Deposit event for leaf ${i}`);
+    }
+  });
+
+  const levels = Number(await shield.levels());
+  const tree = await MerkleTree.build(levels, leaves.map(({ leaf }) => leaf));
+
+  if (toBlock === "latest" && tree.root() !== BigInt(await shield.getLastRoot())) {
+    throw new Error("MerkleTree: Rebuilt root does not match the contract");
+  }
+
+  return tree;
+}
+
+/**
+ * Deploy the Poseidon hasher used by MerkleTreeWithHistory
+ * @param {Object} signer - ethers Signer
+ * @returns {Promise<Object>} Deployed hasher contract
+ */
+async function deployPoseidonHasher(signer) {
+  const factory = new ethers.ContractFactory(
+    poseidonContract.generateABI(2),
+    poseidonContract.createCode(2),
+    signer
+  );
+  const hasher = await factory.deploy();
+  await hasher.waitForDeployment();
+  return hasher;
+}
+
+module.exports = {
+  MERKLE_TREE_LEVELS,
+  ZERO_VALUE,
+  MerkleTree,
+  buildTreeFromDeposits,
+  deployPoseidonHasher,
+};
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const { serializeNote, parseNote } = require("./notes");
+
+// Version of the encrypted backup format
+const BACKUP_VERSION = 1;
+
+// scrypt cost for backup passwords; maxmem leaves room for N * r * 128 bytes
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * In-memory collection of serialized notes with labels.
+ * Holds note strings only, so everything in it round-trips through parseNote.
+ */
+class NoteStore {
+  /**
+   * @param {Array<{note: string, label?: string}>} entries - Entries from toJSON()
+   */
+  constructor(entries = []) {
+    this.entries = [];
+    for (const entry of entries) {
+      this._insert(entry.note, entry.label);
+    }
+  }
+
+  /**
+   * Add a note
+   * @param {Object|string} note - {secret, nullifier, amount}, or a note string
+   * @param {Object} [options]
+   * @param {bigint|number} [options.chainId] - Required when note is an object
+   * @param {string} [options.label] - Free-form description, e.g. "invoice 42"
+   * @returns {string} The stored note string
+   */
+  add(note, { chainId, label } = {}) {
+    if (typeof note === "string") {
+      return this._insert(note, label);
+    }
+    if (chainId === undefined) {
+      throw new Error("NoteStore: chainId is required");
+    }
+    return this._insert(serializeNote(note, chainId), label);
+  }
+
+  /**
+   * Parsed notes, in insertion order
+   * @returns {Array<Object>} parseNote results with their note string and label
+   */
+  list() {
+    return this.entries.map(({ note, label }) => ({ ...parseNote(note), note, label }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  toJSON() {
+    return this.entries.map(({ note, label }) => (label === undefined ? { note } : { note, label }));
+  }
+
+  _insert(note, label) {
+    parseNote(note);
+    if (!this.entries.some((entry) => entry.note === note)) {
+      this.entries.push({ note, label });
+    }
+    return note;
+  }
+}
+
+function deriveBackupKey(password, salt, { N, r, p }) {
+  return crypto.scryptSync(password.normalize("NFKC"), salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a note store for backup (scrypt + AES-256-GCM)
+ * @param {NoteStore} store - Notes to back up
+ * @param {string} password - Backup password
+ * @returns {string} JSON backup, safe to store off-site
+ */
+function exportNoteStore(store, password) {
+  if (!password) {
+    throw new Error("NoteStore: A password is required");
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveBackupKey(password, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(`rayls-shield/notes/v${BACKUP_VERSION}`));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(store.toJSON()), "utf8"), cipher.final()]);
+
+  return JSON.stringify({
+    version: BACKUP_VERSION,
+    kdf: { name: "scrypt", salt: salt.toString("hex"), ...SCRYPT_PARAMS },
+    cipher: "aes-256-gcm",
+    iv: iv.toString("hex"),
+    ciphertext: ciphertext.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+  });
+}
+
+/**
+ * Decrypt a backup from exportNoteStore
+ * @param {string} backup - JSON backup
+ * @param {string} password - Backup password
+ * @returns {NoteStore}
+ * @throws {Error} If the backup is from an unknown version, the password is wrong or the
+ *   backup was modified
+ */
+function importNoteStore(backup, password) {
+  let parsed;
+  try {
+    parsed = JSON.parse(backup);
+  } catch {
+    throw new Error("NoteStore: Backup is not valid JSON");
+  }
+  if (parsed.version !== BACKUP_VERSION) {
+    throw new Error(`NoteStore: Unsupported backup version ${parsed.version}`);
+  }
+
+  const { salt, N, r, p } = parsed.kdf;
+  const key = deriveBackupKey(password, Buffer.from(salt, "hex"), { N, r, p });
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(parsed.iv, "hex"));
+    decipher.setAAD(Buffer.from(`rayls-shield/notes/v${BACKUP_VERSION}`));
+    decipher.setAuthTag(Buffer.from(parsed.tag, "hex"));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(parsed.ciphertext, "hex")), decipher.final()]);
+  } catch {
+    throw new Error("NoteStore: Wrong password or corrupted backup");
+  }
+
+  return new NoteStore(JSON.parse(plaintext.toString("utf8")));
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  NoteStore,
+  exportNoteStore,
+  importNoteStore,
+};
@@ -0,0 +1,157 @@
+const { ethers } = require("ethers");
+const { SNARK_SCALAR_FIELD } = require("./generate-proof");
+
+// Version of the serialized note format
+const NOTE_VERSION = 1;
+
+// Message a wallet signs to derive its note seed. Changing it changes every derived note.
+const NOTE_SEED_MESSAGE = "RaylsShield note seed\n\nSign to recover your private notes. Version: 1";
+
+const SEED_SALT = ethers.toUtf8Bytes("rayls-shield/note-seed/v1");
+const NOTE_SALT = ethers.toUtf8Bytes("rayls-shield/note/v1");
+
+// secret (32) | nullifier (32) | amount (32) | checksum (4)
+const NOTE_BODY_LENGTH = 96;
+const CHECKSUM_LENGTH = 4;
+
+/**
+ * HKDF-SHA256 (RFC 5869), built on ethers so it also runs in the browser
+ * @param {Uint8Array|string} ikm - Input keying material
+ * @param {Uint8Array|string} salt - Salt
+ * @param {Uint8Array|string} info - Context string; separates keys derived from one input
+ * @param {number} length - Output length in bytes
+ * @returns {string} Hex output
+ */
+function hkdf(ikm, salt, info, length) {
+  const prk = ethers.computeHmac("sha256", salt, ikm);
+  const blocks = [];
+  let block = "0x";
+  for (let i = 1; blocks.length * 32 < length; i++) {
+    block = ethers.computeHmac("sha256", prk, ethers.concat([block, info, new Uint8Array([i])]));
+    blocks.push(block);
+  }
+  return ethers.dataSlice(ethers.concat(blocks), 0, length);
+}
+
+/**
+ * Reduce 64 bytes into the SNARK scalar field (the bias is below 2^-250)
+ * @param {Uint8Array|string} bytes
+ * @returns {bigint}
+ */
+function toFieldElement(bytes) {
+  return BigInt(ethers.hexlify(bytes)) % SNARK_SCALAR_FIELD;
+}
+
+/**
+ * Create a note with a secret and nullifier from the platform CSPRNG
+ * @param {bigint|number} amount - Amount committed to by the note
+ * @returns {{secret: bigint, nullifier: bigint, amount: bigint}}
+ */
+function randomNote(amount) {
+  return {
+    secret: toFieldElement(ethers.randomBytes(64)),
+    nullifier: toFieldElement(ethers.randomBytes(64)),
+    amount: BigInt(amount),
+  };
+}
+
+/**
+ * Derive a wallet's note seed from its signature over NOTE_SEED_MESSAGE.
+ * ECDSA signatures are deterministic (RFC 6979), so the same wallet always gets the same seed.
+ * @param {Object} signer - ethers Signer
+ * @returns {Promise<string>} 32-byte hex seed; as sensitive as every note derived from it
+ */
+async function deriveNoteSeed(signer) {
+  const signature = await signer.signMessage(NOTE_SEED_MESSAGE);
+  return hkdf(signature, SEED_SALT, ethers.toUtf8Bytes("seed"), 32);
+}
+
+/**
+ * Derive the note at an index from a seed. Secret and nullifier use separate HKDF
+ * contexts, so neither can be computed from the other.
+ * @param {string|Uint8Array} seed - Seed from deriveNoteSeed, or any 32 random bytes
+ * @param {number} index - Note index; use each index once
+ * @param {bigint|number} amount - Amount committed to by the note
+ * @returns {{secret: bigint, nullifier: bigint, amount: bigint}}
+ */
+function deriveNote(seed, index, amount) {
+  if (!Number.isSafeInteger(index) || index < 0) {
+    throw new Error("Notes: Note index must be a non-negative integer");
+  }
+
+  const derive = (label) => toFieldElement(hkdf(seed, NOTE_SALT, ethers.toUtf8Bytes(`${label}/${index}`), 64));
+  return {
+    secret: derive("secret"),
+    nullifier: derive("nullifier"),
+    amount: BigInt(amount),
+  };
+}
+
+function noteChecksum(prefix, body) {
+  return ethers.dataSlice(ethers.keccak256(ethers.concat([ethers.toUtf8Bytes(prefix), body])), 0, CHECKSUM_LENGTH);
+}
+
+/**
+ * Serialize a note as `rayls-note-v1-<chainId>-0x<secret><nullifier><amount><checksum>`
+ * @param {{secret: bigint, nullifier: bigint, amount: bigint}} note
+ * @param {bigint|number} chainId - Chain the note belongs to
+ * @returns {string}
+ */
+function serializeNote({ secret, nullifier, amount }, chainId) {
+  for (const value of [secret, nullifier, amount]) {
+    if (BigInt(value) < BigInt(0) || BigInt(value) >= SNARK_SCALAR_FIELD) {
+      throw new Error("Notes: Note value out of range");
+    }
+  }
+
+  const prefix = `rayls-note-v${NOTE_VERSION}-${BigInt(chainId)}-`;
+  const body = ethers.concat([secret, nullifier, amount].map((value) => ethers.toBeHex(value, 32)));
+  return prefix + ethers.concat([body, noteChecksum(prefix, body)]);
+}
+
+/**
+ * Parse a note string from serializeNote
+ * @param {string} noteString
+ * @returns {{version: number, chainId: bigint, secret: bigint, nullifier: bigint, amount: bigint}}
+ * @throws {Error} If the string is malformed, from another version or fails its checksum
+ */
+function parseNote(noteString) {
+  const match = /^rayls-note-v(\d+)-(\d+)-(0x(?:[0-9a-fA-F]{2})*)$/.exec(String(noteString).trim());
+  if (!match) {
+    throw new Error("Notes: Invalid note string");
+  }
+
+  const version = Number(match[1]);
+  if (version !== NOTE_VERSION) {
+    throw new Error(`Notes: Unsupported note version ${version}`);
+  }
+  if (ethers.dataLength(match[3]) !== NOTE_BODY_LENGTH + CHECKSUM_LENGTH) {
+    throw new Error("Notes: Invalid note length");
+  }
+
+  const prefix = `rayls-note-v${version}-${match[2]}-`;
+  const body = ethers.dataSlice(match[3], 0, NOTE_BODY_LENGTH);
+  if (ethers.dataSlice(match[3], NOTE_BODY_LENGTH) !== noteChecksum(prefix, body)) {
+    throw new Error("Notes: Note checksum mismatch");
+  }
+
+  const [secret, nullifier, amount] = [0, 32, 64].map((offset) =>
+    BigInt(ethers.dataSlice(body, offset, offset + 32))
+  );
+  if ([secret, nullifier, amount].some((value) => value >= SNARK_SCALAR_FIELD)) {
+    throw new Error("Notes: Note value out of range");
+  }
+
+  return { version, chainId: BigInt(match[2]), secret, nullifier, amount };
+}
+
+module.exports = {
+  NOTE_VERSION,
+  NOTE_SEED_MESSAGE,
+  hkdf,
+  randomNote,
+  deriveNoteSeed,
+  deriveNote,
+  serializeNote,
+  parseNote,
+};
@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * ECIES encryption of RaylsShield message payloads to a recipient viewing key.
+ *
+ * A fresh ephemeral X25519 key is generated per message. The shared secret with the
+ * recipient's viewing key is expanded with HKDF-SHA256 into a ChaCha20-Poly1305 key.
+ *
+ * Envelope layout (version 1), passed as _encryptedPayload:
+ *
+ *   | version (1) | ephemeralPublicKey (32) | nonce (12) | ciphertext (n) | tag (16) |
+ *
+ * The version byte and ephemeral key are authenticated as associated data, so any
+ * change to the envelope makes decryption fail.
+ *
+ * The same shared secret also yields the recipientSalt that blinds recipientHash in
+ * privacy.circom and compliance.circom. Only the sender and the recipient can derive it,
+ * and it is independent of the payload key.
+ */
+
+const ENVELOPE_VERSION = 1;
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = 1 + KEY_LENGTH + NONCE_LENGTH;
+
+// HKDF context string, bumped together with ENVELOPE_VERSION
+const HKDF_INFO = Buffer.from("rayls-shield/payload/v1");
+
+// HKDF context string of the recipient salt
+const SALT_INFO = Buffer.from("rayls-shield/recipient-salt/v1");
+
+// 31 bytes keeps the salt below the BN254 scalar field
+const SALT_LENGTH = 31;
+
+// DER prefixes wrapping a raw 32-byte X25519 key (RFC 8410)
+const PKCS8_PREFIX = Buffer.from("302e020100300506032b656e04220420", "hex");
+const SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+
+function toKeyBytes(key, label) {
+  const bytes = Buffer.from(ethers.getBytes(key));
+  if (bytes.length !== KEY_LENGTH) {
+    throw new Error(`PayloadEncryption: ${label} must be ${KEY_LENGTH} bytes`);
+  }
+  return bytes;
+}
+
+function importPrivateKey(privateKey) {
+  return crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIX, toKeyBytes(privateKey, "Private key")]),
+    format: "der",
+    type: "pkcs8",
+  });
+}
+
+function importPublicKey(publicKey) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([SPKI_PREFIX, toKeyBytes(publicKey, "Public key")]),
+    format: "der",
+    type: "spki",
+  });
+}
+
+function exportPublicKey(keyObject) {
+  return keyObject.export({ format: "der", type: "spki" }).subarray(SPKI_PREFIX.length);
+}
+
+function computeSharedSecret(privateKeyObject, publicKeyObject) {
+  // Low-order public keys give an all-zero shared secret, which OpenSSL rejects
+  try {
+    return crypto.diffieHellman({
+      privateKey: privateKeyObject,
+      publicKey: publicKeyObject,
+    });
+  } catch {
+    throw new Error("PayloadEncryption: Invalid public key");
+  }
+}
+
+function expand(sharedSecret, ephemeralPublicKey, recipientPublicKey, info, length) {
+  const salt = Buffer.concat([ephemeralPublicKey, recipientPublicKey]);
+  return Buffer.from(crypto.hkdfSync("sha256", sharedSecret, salt, info, length));
+}
+
+function deriveSalt(sharedSecret, ephemeralPublicKey, recipientPublicKey) {
+  return BigInt(ethers.hexlify(expand(sharedSecret, ephemeralPublicKey, recipientPublicKey, SALT_INFO, SALT_LENGTH)));
+}
+
+/**
+ * Generate a viewing key pair for receiving encrypted payloads
+ * @returns {{privateKey: string, publicKey: string}} Hex-encoded 32-byte keys
+ */
+function generateViewingKeyPair() {
+  const { privateKey } = crypto.generateKeyPairSync("x25519");
+  const rawPrivateKey = privateKey
+    .export({ format: "der", type: "pkcs8" })
+    .subarray(PKCS8_PREFIX.length);
+
+  return {
+    privateKey: ethers.hexlify(rawPrivateKey),
+    publicKey: ethers.hexlify(exportPublicKey(crypto.createPublicKey(privateKey))),
+  };
+}
+
+/**
+ * Derive the public viewing key for a private viewing key
+ * @param {string|Uint8Array} privateKey - 32-byte X25519 private key
+ * @returns {string} Hex-encoded 32-byte public key
+ */
+function getViewingPublicKey(privateKey) {
+  return ethers.hexlify(exportPublicKey(crypto.createPublicKey(importPrivateKey(privateKey))));
+}
+
+/**
+ * Encrypt a payload to a recipient's viewing public key
+ * @param {string|Uint8Array} plaintext - Payload bytes (use ethers.toUtf8Bytes for text)
+ * @param {string|Uint8Array|Object} recipientPublicKey - 32-byte X25519 public key, or a
+ *   resolveRecipient result (scripts/key-registry.js)
+ * @returns {string} Hex-encoded envelope, ready to pass as _encryptedPayload
+ */
+function encryptPayload(plaintext, recipientPublicKey) {
+  return encryptPayloadWithSalt(plaintext, recipientPublicKey).encryptedPayload;
+}
+
+/**
+ * Encrypt a payload and derive the recipientSalt its proof should use
+ * @param {string|Uint8Array} plaintext - Payload bytes
+ * @param {string|Uint8Array|Object} recipientPublicKey - As for encryptPayload
+ * @returns {{encryptedPayload: string, recipientSalt: bigint}} Envelope, and the salt the
+ *   recipient recovers with deriveRecipientSalt. Pass it as recipientSalt to generateProof.
+ */
+function encryptPayloadWithSalt(plaintext, recipientPublicKey) {
+  if (recipientPublicKey && recipientPublicKey.encryptionPublicKey !== undefined) {
+    recipientPublicKey = recipientPublicKey.encryptionPublicKey;
+  }
+  const recipientKey = toKeyBytes(recipientPublicKey, "Public key");
+  const ephemeral = crypto.generateKeyPairSync("x25519");
+  const ephemeralPublicKey = exportPublicKey(ephemeral.publicKey);
+
+  const sharedSecret = computeSharedSecret(ephemeral.privateKey, importPublicKey(recipientKey));
+  const key = expand(sharedSecret, ephemeralPublicKey, recipientKey, HKDF_INFO, KEY_LENGTH);
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  const header = Buffer.concat([Buffer.from([ENVELOPE_VERSION]), ephemeralPublicKey, nonce]);
+
+  const cipher = crypto.createCipheriv("chacha20-poly1305", key, nonce, {
+    authTagLength: TAG_LENGTH,
+  });
+  cipher.setAAD(header.subarray(0, 1 + KEY_LENGTH), { plaintextLength: 0 });
+  const ciphertext = Buffer.concat([cipher.update(ethers.getBytes(plaintext)), cipher.final()]);
+
+  return {
+    encryptedPayload: ethers.hexlify(Buffer.concat([header, ciphertext, cipher.getAuthTag()])),
+    recipientSalt: deriveSalt(sharedSecret, ephemeralPublicKey, recipientKey),
+  };
+}
+
+/**
+ * Split an envelope into its fields without decrypting it
+ * @param {string|Uint8Array} envelope - Envelope produced by encryptPayload
+ * @returns {{version: number, ephemeralPublicKey: string, nonce: string, ciphertext: string, tag: string}}
+ */
+function parseEnvelope(envelope) {
+  const bytes = Buffer.from(ethers.getBytes(envelope));
+  if (bytes.length < HEADER_LENGTH + TAG_LENGTH) {
+    throw new Error("PayloadEncryption: Envelope too short");
+  }
+
+  const version = bytes[0];
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`PayloadEncryption: Unsupported envelope version ${version}`);
+  }
+
+  return {
+    version,
+    ephemeralPublicKey: ethers.hexlify(bytes.subarray(1, 1 + KEY_LENGTH)),
+    nonce: ethers.hexlify(bytes.subarray(1 + KEY_LENGTH, HEADER_LENGTH)),
+    ciphertext: ethers.hexlify(bytes.subarray(HEADER_LENGTH, bytes.length - TAG_LENGTH)),
+    tag: ethers.hexlify(bytes.subarray(bytes.length - TAG_LENGTH)),
+  };
+}
+
+/**
+ * Decrypt an envelope with the recipient's viewing private key
+ * @param {string|Uint8Array} envelope - Envelope produced by encryptPayload
+ * @param {string|Uint8Array} privateKey - Recipient's 32-byte X25519 private key
+ * @returns {Uint8Array} Decrypted payload bytes
+ * @throws {Error} If the key is wrong or the envelope was modified
+ */
+function decryptPayload(envelope, privateKey) {
+  const { ephemeralPublicKey, nonce, ciphertext, tag } = parseEnvelope(envelope);
+  const ephemeralKey = Buffer.from(ethers.getBytes(ephemeralPublicKey));
+  const recipientKey = Buffer.from(ethers.getBytes(getViewingPublicKey(privateKey)));
+
+  const sharedSecret = computeSharedSecret(importPrivateKey(privateKey), importPublicKey(ephemeralKey));
+  const key = expand(sharedSecret, ephemeralKey, recipientKey, HKDF_INFO, KEY_LENGTH);
+
+  const decipher = crypto.createDecipheriv("chacha20-poly1305", key, ethers.getBytes(nonce), {
+    authTagLength: TAG_LENGTH,
+  });
+  decipher.setAAD(Buffer.concat([Buffer.from([ENVELOPE_VERSION]), ephemeralKey]), {
+    plaintextLength: 0,
+  });
+  decipher.setAuthTag(ethers.getBytes(tag));
+
+  try {
+    return new Uint8Array(
+      Buffer.concat([decipher.update(ethers.getBytes(ciphertext)), decipher.final()])
+    );
+  } catch {
+    throw new Error("PayloadEncryption: Decryption failed");
+  }
+}
+
+/**
+ * Recover the recipientSalt of an envelope with the recipient's viewing private key.
+ * Does not decrypt or authenticate the payload; a key the envelope was not sealed to
+ * gives an unrelated salt.
+ * @param {string|Uint8Array} envelope - Envelope produced by encryptPayloadWithSalt
+ * @param {string|Uint8Array} privateKey - Recipient's 32-byte X25519 private key
+ * @returns {bigint} recipientSalt
+ */
+function deriveRecipientSalt(envelope, privateKey) {
+  const ephemeralKey = Buffer.from(ethers.getBytes(parseEnvelope(envelope).ephemeralPublicKey));
+  const recipientKey = Buffer.from(ethers.getBytes(getViewingPublicKey(privateKey)));
+  const sharedSecret = computeSharedSecret(importPrivateKey(privateKey), importPublicKey(ephemeralKey));
+  return deriveSalt(sharedSecret, ephemeralKey, recipientKey);
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  generateViewingKeyPair,
+  getViewingPublicKey,
+  encryptPayload,
+  encryptPayloadWithSalt,
+  parseEnvelope,
+  decryptPayload,
+  deriveRecipientSalt,
+};
@@ -0,0 +1,312 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const {
+  buildPrivacyInputs,
+  buildComplianceInputs,
+  buildTransferInputs,
+} = require("./generate-proof");
+const { MANIFEST_PATH } = require("./circuit-artifacts");
+
+const WORKER_PATH = path.join(__dirname, "prover-worker.js");
+
+// Builds circuit inputs from the parameters of the matching generate*Proof function
+const INPUT_BUILDERS = {
+  privacy: buildPrivacyInputs,
+  compliance: buildComplianceInputs,
+  transfer: buildTransferInputs,
+};
+
+function defaultPoolSize() {
+  const cpus = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cpus - 1);
+}
+
+/**
+ * Proves on a pool of worker threads that keep Poseidon and the circuit artifacts loaded.
+ *
+ * Jobs wait in a FIFO queue of at most maxQueue entries; prove() rejects when it is full, and
+ * whenReady() waits for room. A job can be cancelled with an AbortSignal: a queued job is
+ * dropped, a running one stops by replacing its worker. Call close() when done, the workers
+ * keep the process alive.
+ */
+class ProverPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Worker threads (default: CPU count - 1)
+   * @param {number} [options.maxQueue] - Jobs that may wait for a worker
+   * @param {string} [options.manifestPath] - Circuit manifest (default: circuits/manifest.json)
+   * @param {boolean} [options.requireHashes] - Refuse artifacts the manifest does not pin (default true)
+   * @param {Array<string>} [options.preload] - Circuits each worker loads on start
+   */
+  constructor({
+    size = defaultPoolSize(),
+    maxQueue = 256,
+    manifestPath = MANIFEST_PATH,
+    requireHashes = true,
+    preload = ["privacy"],
+  } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error("ProverPool: size must be a positive integer");
+    }
+
+    this.size = size;
+    this.maxQueue = maxQueue;
+    // snarkjs loads the web-worker package, which in a worker thread requires workerData.mod
+    // as its entry point; name the worker itself so that require is a no-op
+    this.workerData = { manifestPath, requireHashes, preload, mod: WORKER_PATH };
+
+    this.queue = [];
+    this.workers = [];
+    this.waiters = [];
+    this.idleWaiters = [];
+    this.nextId = 0;
+    this.closed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.workers.push(this._spawn());
+    }
+  }
+
+  /**
+   * Jobs waiting for a worker
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Jobs being proved
+   * @returns {number}
+   */
+  get running() {
+    return this.workers.filter((slot) => slot.job).length;
+  }
+
+  /**
+   * Prove with the same parameters as generateProof, generateComplianceProof or
+   * generateTransferProof. Inputs are built on the calling thread.
+   * @param {string} circuit - "privacy", "compliance" or "transfer"
+   * @param {Object} params - Parameters of the circuit's generate*Proof function
+   * @param {Object} [options]
+   * @param {string|number} [options.version] - Circuit version (default: current)
+   * @param {AbortSignal} [options.signal] - Cancels the job
+   * @returns {Promise<{proof: Object, publicSignals: Array<string>, inputs: Object,
+   *   metrics: {queueMs: number, witnessMs: number, provingMs: number, totalMs: number}}>}
+   */
+  async prove(circuit, params, options = {}) {
+    const buildInputs = INPUT_BUILDERS[circuit];
+    if (!buildInputs) {
+      throw new Error(`ProverPool: Unknown circuit ${circuit}`);
+    }
+    const { inputs, publicInputs } = await buildInputs(params);
+    const result = await this.proveInputs(circuit, inputs, options);
+    return { ...result, inputs: publicInputs };
+  }
+
+  /**
+   * Prove from full circuit inputs
+   * @param {string} circuit - Circuit name in the manifest
+   * @param {Object} inputs - Full circuit inputs
+   * @param {Object} [options] - version and signal, as for prove()
+   * @returns {Promise<{proof: Object, publicSignals: Array<string>, metrics: Object}>}
+   */
+  proveInputs(circuit, inputs, { version, signal } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error("ProverPool: Pool is closed"));
+    }
+    if (this.failed) {
+      return Promise.reject(this.failed);
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error("ProverPool: Proof cancelled"));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new Error("ProverPool: Queue is full"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextId++,
+        circuit,
+        version,
+        inputs,
+        resolve,
+        reject,
+        signal,
+        queuedAt: Date.now(),
+      };
+      if (signal) {
+        job.onAbort = () => this._cancel(job);
+        signal.addEventListener("abort", job.onAbort, { once: true });
+      }
+      this.queue.push(job);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Resolve once the queue has room, for producers that should slow down instead of
+   * handling "Queue is full"
+   * @returns {Promise<void>}
+   */
+  whenReady() {
+    if (this.closed || this.queue.length < this.maxQueue) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  /**
+   * Resolve once every queued and running job has settled
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (!this.queue.length && !this.running) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Stop every worker. Queued and running jobs are rejected.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    const error = new Error("ProverPool: Pool is closed");
+    const jobs = this.queue.splice(0);
+    for (const slot of this.workers) {
+      if (slot.job) {
+        jobs.push(slot.job);
+        slot.job = null;
+      }
+    }
+    for (const job of jobs) {
+      this._settle(job, error);
+    }
+    this._releaseWaiters();
+    await Promise.all(this.workers.map((slot) => slot.worker.terminate()));
+  }
+
+  _spawn() {
+    const slot = { worker: new Worker(WORKER_PATH, { workerData: this.workerData }), ready: false, job: null };
+
+    slot.worker.on("message", (message) => {
+      if (message.ready) {
+        slot.ready = true;
+      } else if (slot.job && message.id === slot.job.id) {
+        const job = slot.job;
+        slot.job = null;
+        if (message.error) {
+          this._settle(job, new Error(message.error));
+        } else {
+          const { proof, publicSignals, metrics } = message;
+          this._settle(job, null, {
+            proof,
+            publicSignals,
+            metrics: { queueMs: job.startedAt - job.queuedAt, ...metrics },
+          });
+        }
+      }
+      this._dispatch();
+    });
+
+    slot.worker.on("error", (error) => this._replace(slot, new Error(`ProverPool: Worker failed: ${error.message}`)));
+    slot.worker.on("exit", () => this._replace(slot, new Error("ProverPool: Worker exited")));
+    return slot;
+  }
+
+  _replace(slot, error) {
+    const index = this.workers.indexOf(slot);
+    if (index < 0) {
+      return;
+    }
+    if (slot.job) {
+      const job = slot.job;
+      slot.job = null;
+      this._settle(job, error);
+    }
+    slot.worker.removeAllListeners();
+    if (this.closed) {
+      return;
+    }
+    slot.worker.terminate();
+
+    if (slot.ready) {
+      this.workers[index] = this._spawn();
+      return;
+    }
+
+    // A worker that dies while starting would die again, so stop replacing it
+    this.workers.splice(index, 1);
+    if (!this.workers.length) {
+      this.failed = error;
+      for (const job of this.queue.splice(0)) {
+        this._settle(job, error);
+      }
+      this._releaseWaiters();
+    }
+  }
+
+  _dispatch() {
+    for (const slot of this.workers) {
+      if (!this.queue.length) {
+        break;
+      }
+      if (slot.ready && !slot.job) {
+        const job = this.queue.shift();
+        job.startedAt = Date.now();
+        slot.job = job;
+        slot.worker.postMessage({ id: job.id, circuit: job.circuit, version: job.version, inputs: job.inputs });
+      }
+    }
+    this._releaseWaiters();
+  }
+
+  _cancel(job) {
+    const error = new Error("ProverPool: Proof cancelled");
+
+    const queued = this.queue.indexOf(job);
+    if (queued >= 0) {
+      this.queue.splice(queued, 1);
+      this._settle(job, error);
+      this._releaseWaiters();
+      return;
+    }
+
+    // snarkjs cannot be interrupted, so stop the worker proving this job
+    const slot = this.workers.find((candidate) => candidate.job === job);
+    if (slot) {
+      this._replace(slot, error);
+    }
+  }
+
+  _settle(job, error, result) {
+    if (job.signal) {
+      job.signal.removeEventListener("abort", job.onAbort);
+    }
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    if (!this.queue.length && !this.running) {
+      for (const resolve of this.idleWaiters.splice(0)) {
+        resolve();
+      }
+    }
+  }
+
+  _releaseWaiters() {
+    while (this.waiters.length && (this.closed || this.queue.length < this.maxQueue)) {
+      this.waiters.shift()();
+    }
+  }
+}
+
+module.exports = {
+  ProverPool,
+};
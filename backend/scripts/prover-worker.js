@@ -0,0 +1,42 @@
+const { parentPort, workerData } = require("worker_threads");
+const snarkjs = require("snarkjs");
+const { proveCircuit } = require("./generate-proof");
+const { ArtifactRegistry } = require("./circuit-artifacts");
+
+// Worker thread of ProverPool (scripts/prover-pool.js). Keeps its own artifact registry,
+// so each circuit's wasm and zkey are read once and stay in memory between proofs.
+
+const registry = ArtifactRegistry.fromManifestFile(workerData.manifestPath, {
+  requireHashes: workerData.requireHashes,
+});
+
+// Checking artifacts against their verification key needs a curve, and snarkjs builds a
+// threaded one that cannot start here. ffjavascript hands out a cached globalThis.curve_bn128
+// instead of building one, so cache a single-threaded curve first.
+const curveReady = snarkjs.curves.getCurveFromName("bn128", { singleThread: true }).then((curve) => {
+  globalThis.curve_bn128 = curve;
+});
+
+async function handle({ id, circuit, version, inputs }) {
+  try {
+    await curveReady;
+    const artifacts = await registry.load(circuit, version);
+    // snarkjs cannot start its own threads from a worker thread; the pool supplies parallelism
+    const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+      circuit,
+      singleThread: true,
+    });
+    parentPort.postMessage({ id, proof, publicSignals, metrics });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+}
+
+parentPort.on("message", handle);
+
+// Warm-up is best effort: a circuit that fails to load reports its error with the first proof
+curveReady
+  .then(() => Promise.allSettled(workerData.preload.map((circuit) => registry.load(circuit))))
+  .then(() => {
+    parentPort.postMessage({ ready: true });
+  });
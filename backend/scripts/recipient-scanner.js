@@ -0,0 +1,92 @@
+const { computeRecipientHash } = require("./generate-proof");
+const { addressToRecipient } = require("./key-registry");
+const payloadEncryption = require("./payload-encryption");
+const { decodeActionEnvelope } = require("./actions");
+const { decodeDelivery } = require("./relayer");
+
+/**
+ * Finds the messages addressed to one recipient among a RaylsShield's deliveries.
+ *
+ * A message's recipientHash is Poseidon(recipient, recipientSalt), where the sender derived
+ * the salt from the payload envelope's key exchange (encryptPayloadWithSalt). The scanner
+ * derives the same salt with the viewing private key and recomputes the hash, so it
+ * recognises its own messages while the salt never leaves it. Messages without an envelope
+ * the key can open, or proven with a random salt, are not recognised.
+ */
+class RecipientScanner {
+  /**
+   * @param {Object} params
+   * @param {string|bigint} params.recipient - Recipient address, or the circuit input
+   * @param {string} params.viewingKey - Viewing private key the payloads are encrypted to
+   * @param {Object} [params.encryption] - Object with deriveRecipientSalt
+   *   (defaults to scripts/payload-encryption.js, which browser builds leave out)
+   */
+  constructor({ recipient, viewingKey, encryption = payloadEncryption }) {
+    if (typeof encryption.deriveRecipientSalt !== "function") {
+      throw new Error("RecipientScanner: No payload encryption available; pass encryption");
+    }
+    this.recipient = typeof recipient === "string" ? addressToRecipient(recipient) : BigInt(recipient);
+    this.viewingKey = viewingKey;
+    this.encryption = encryption;
+  }
+
+  /**
+   * Check whether a message was proven for this recipient
+   * @param {Object} message
+   * @param {string} message.encryptedPayload - Delivered payload (an action envelope is unwrapped)
+   * @param {bigint|string} message.recipientHash - recipientHash public signal of the proof
+   * @returns {Promise<boolean>}
+   */
+  async isRecipient({ encryptedPayload, recipientHash }) {
+    let salt;
+    try {
+      const action = decodeActionEnvelope(encryptedPayload);
+      salt = this.encryption.deriveRecipientSalt(action ? action.ciphertext : encryptedPayload, this.viewingKey);
+    } catch {
+      // No envelope, or not one a key exchange works with
+      return false;
+    }
+    return (await computeRecipientHash(this.recipient, salt)) === BigInt(recipientHash);
+  }
+
+  /**
+   * Scan a shield's deliveries for messages addressed to this recipient
+   * @param {Object} shield - ethers Contract of the destination RaylsShield, with a provider
+   * @param {Object} [range]
+   * @param {number} [range.fromBlock] - First block to scan (default 0)
+   * @param {number|string} [range.toBlock] - Last block to scan (default "latest")
+   * @returns {Promise<Array<Object>>} {messageId, srcChainId, nullifierHash, recipientHash,
+   *   encryptedPayload, blockNumber, transactionHash} per message, in delivery order
+   */
+  async scan(shield, { fromBlock = 0, toBlock = "latest" } = {}) {
+    const provider = shield.runner.provider;
+    const events = await shield.queryFilter(shield.filters.PrivateMessageReceived(), fromBlock, toBlock);
+
+    const found = [];
+    for (const event of events) {
+      const tx = await provider.getTransaction(event.transactionHash);
+      const delivery = tx && decodeDelivery(tx.data);
+      if (!delivery) {
+        continue;
+      }
+
+      const message = {
+        messageId: event.args.messageHash,
+        srcChainId: event.args.srcChainId,
+        nullifierHash: event.args.nullifier,
+        recipientHash: delivery.publicSignals[2],
+        encryptedPayload: delivery.encryptedPayload,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+      };
+      if (await this.isRecipient(message)) {
+        found.push(message);
+      }
+    }
+    return found;
+  }
+}
+
+module.exports = {
+  RecipientScanner,
+};
@@ -0,0 +1,379 @@
+const { ethers } = require("ethers");
+
+// Endpoint events, lookups and delivery used by the relayer (MockRaylsEndpoint.sol)
+const ENDPOINT_ABI = [
+  "event MessageSent(bytes32 indexed messageId, uint256 dstChainId, uint256 nonce, address destination, bytes payload)",
+  "event MessageSentToResource(bytes32 indexed messageId, uint256 dstChainId, uint256 nonce, bytes32 resourceId, bytes payload)",
+  "event MessageExecuted(bytes32 indexed messageId, uint256 srcChainId, uint256 nonce, address destination)",
+  "event MessageFailed(bytes32 indexed messageId, uint256 srcChainId, address destination, bytes reason)",
+  "function getAddressByResourceId(bytes32 _resourceId) view returns (address)",
+  "function execute(uint256 _srcChainId, bytes32 _messageId, address _destination, bytes _payload) returns (bool)",
+];
+
+// Receive entry points RaylsShield encodes into its outgoing payloads
+const RECEIVE_ABI = [
+  "function receivePrivateMessage(uint256 _deadline, bytes _encryptedPayload, uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[4] _publicSignals)",
+  "function receiveCompliantPrivateMessage(uint256 _deadline, address _sender, uint256 _dstChainId, bytes _encryptedPayload, uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[5] _publicSignals)",
+];
+
+// Emitted by RaylsShield when it accepts a delivery but cannot process it (MessageLifecycle.sol),
+// and the call that processes it again
+const SHIELD_ABI = [
+  "event MessageDeliveryFailed(bytes32 indexed messageId, uint256 srcChainId, bytes32 circuitId, string reason)",
+  "function retryMessage(uint256 _srcChainId, bytes32 _messageId, bytes32 _circuitId, uint256 _deadline, bytes _encryptedPayload, uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[] _publicSignals)",
+];
+
+const receiveInterface = new ethers.Interface(RECEIVE_ABI);
+const shieldInterface = new ethers.Interface(SHIELD_ABI);
+const endpointInterface = new ethers.Interface(ENDPOINT_ABI);
+
+/**
+ * Decode the revert data of a failed delivery into a readable reason
+ * @param {string} data - Revert data from MessageFailed
+ * @returns {string}
+ */
+function decodeRevertReason(data) {
+  if (ethers.dataLength(data) === 0) {
+    return "Reverted without a reason";
+  }
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Find the first log of a receipt that parses as the given event
+ * @param {Object} receipt - Transaction receipt
+ * @param {ethers.Interface} iface - Interface declaring the event
+ * @param {string} name - Event name
+ * @returns {ethers.LogDescription|undefined}
+ */
+function findLog(receipt, iface, name) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return iface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === name);
+}
+
+/**
+ * Decode a RaylsShield payload back into its receive call.
+ * Everything but the source chain and message ID that RaylsShield.retryMessage needs.
+ * @param {string|Uint8Array} payload - Payload emitted by the source endpoint
+ * @returns {{method: string, deadline: bigint, encryptedPayload: string,
+ *   proof: {a: Array<bigint>, b: Array<Array<bigint>>, c: Array<bigint>}, publicSignals: Array<bigint>,
+ *   sender?: string, dstChainId?: bigint}} sender and dstChainId only for compliant messages
+ */
+function decodeShieldPayload(payload) {
+  const parsed = receiveInterface.parseTransaction({ data: ethers.hexlify(payload) });
+  if (!parsed) {
+    throw new Error("Relayer: Payload is not a RaylsShield receive call");
+  }
+  return receiveCallArgs(parsed);
+}
+
+function receiveCallArgs(parsed) {
+  const args = {
+    method: parsed.name,
+    deadline: parsed.args._deadline,
+    encryptedPayload: parsed.args._encryptedPayload,
+    proof: {
+      a: [...parsed.args._pA],
+      b: parsed.args._pB.map((row) => [...row]),
+      c: [...parsed.args._pC],
+    },
+    publicSignals: [...parsed.args._publicSignals],
+  };
+  if (parsed.name === "receiveCompliantPrivateMessage") {
+    // What the destination recomputes the proof's extDataHash from
+    args.sender = parsed.args._sender;
+    args.dstChainId = parsed.args._dstChainId;
+  }
+  return args;
+}
+
+/**
+ * Decode the receive call of a delivery transaction, whether the executor called the
+ * destination directly, went through the endpoint's execute(), or the delivery was
+ * processed later by retryMessage (method is then "retryMessage")
+ * @param {string} data - Transaction input
+ * @returns {Object|null} decodeShieldPayload result, or null if the call is not recognised
+ */
+function decodeDelivery(data) {
+  try {
+    return decodeShieldPayload(data);
+  } catch {
+    // Not a direct receive call
+  }
+  try {
+    const parsed = shieldInterface.parseTransaction({ data });
+    if (parsed && parsed.name === "retryMessage") {
+      return receiveCallArgs(parsed);
+    }
+  } catch {
+    // Not a retry
+  }
+  try {
+    const parsed = endpointInterface.parseTransaction({ data });
+    if (parsed && parsed.name === "execute") {
+      return decodeShieldPayload(parsed.args._payload);
+    }
+  } catch {
+    // Not an endpoint delivery either
+  }
+  return null;
+}
+
+/**
+ * Local relayer that delivers messages between MockRaylsEndpoint deployments.
+ *
+ * Each chain is an endpoint plus a signer that endpoint trusts as an executor;
+ * messages are delivered through the destination endpoint's execute().
+ * Chains can be separate nodes or several endpoints on one node; they are told
+ * apart by the chainId given here, not by the network.
+ *
+ * A message stays pending until its delivery is final: executed by the endpoint,
+ * or stored by the destination shield for retryMessage. Anything else (a reverting
+ * destination, an RPC error, an unknown chain or resourceId) is tried again on
+ * later polls, up to maxAttempts.
+ */
+class LocalRelayer {
+  /**
+   * @param {Array<Object>} chains - Chains to relay between
+   * @param {bigint|number} chains[].chainId - Chain ID senders use as _dstChainId
+   * @param {string} chains[].endpoint - MockRaylsEndpoint address
+   * @param {Object} chains[].executor - Signer (with provider) used to deliver to this chain
+   * @param {number} [chains[].fromBlock] - First block to scan for outgoing messages (default 0)
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval] - Milliseconds between polls in start()
+   * @param {number} [options.maxAttempts] - Deliveries tried per message before giving up (default 10)
+   * @param {number} [options.deliveredLimit] - Delivered message IDs remembered (default 10000)
+   * @param {Object} [options.logger] - Object with log/error methods (default console)
+   */
+  constructor(chains, { pollInterval = 1000, maxAttempts = 10, deliveredLimit = 10000, logger = console } = {}) {
+    this.chains = new Map();
+    for (const chain of chains) {
+      const chainId = BigInt(chain.chainId);
+      if (this.chains.has(chainId)) {
+        throw new Error(`Relayer: Duplicate chain ${chainId}`);
+      }
+      this.chains.set(chainId, {
+        chainId,
+        executor: chain.executor,
+        endpoint: new ethers.Contract(chain.endpoint, ENDPOINT_ABI, chain.executor),
+        nextBlock: chain.fromBlock || 0,
+      });
+    }
+
+    this.pollInterval = pollInterval;
+    this.maxAttempts = maxAttempts;
+    this.deliveredLimit = deliveredLimit;
+    this.logger = logger;
+    // Messages not yet delivered, by ID, oldest first
+    this.pending = new Map();
+    this.delivered = new Set();
+    this._timer = null;
+  }
+
+  /**
+   * Deliver every message sent since the previous poll, and retry pending ones
+   * @returns {Promise<Array<Object>>} One result per attempted message, pending ones first:
+   *   {messageId, srcChainId, dstChainId, destination, status, attempts, txHash?, error?,
+   *   retryable?, abandoned?} where status is "delivered", "failed" or "skipped".
+   *   A message whose destination call reverted, or that RaylsShield stored as a failed
+   *   delivery, is reported as failed with the reason. retryable marks the stored ones,
+   *   which are final for the relayer; abandoned marks a message dropped after maxAttempts
+   */
+  async poll() {
+    for (const source of this.chains.values()) {
+      for (const message of await this._fetchMessages(source)) {
+        if (!this.delivered.has(message.messageId) && !this.pending.has(message.messageId)) {
+          this.pending.set(message.messageId, { ...message, attempts: 0 });
+        }
+      }
+    }
+
+    const results = [];
+    for (const message of [...this.pending.values()]) {
+      const result = await this._deliver(message);
+      message.attempts += 1;
+      result.attempts = message.attempts;
+
+      if (this.delivered.has(message.messageId)) {
+        this.pending.delete(message.messageId);
+      } else if (message.attempts >= this.maxAttempts) {
+        this.pending.delete(message.messageId);
+        this.logger.error(`Relayer: Giving up on ${message.messageId} after ${message.attempts} attempts`);
+        result.abandoned = true;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Poll continuously until stop() is called
+   */
+  start() {
+    if (this._timer) {
+      return;
+    }
+
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error("Relayer: Poll failed:", error.message);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(tick, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  async _fetchMessages(source) {
+    const provider = source.executor.provider;
+    const latest = await provider.getBlockNumber();
+    const fromBlock = source.nextBlock;
+    if (fromBlock > latest) {
+      return [];
+    }
+
+    const [sent, sentToResource] = await Promise.all([
+      source.endpoint.queryFilter(source.endpoint.filters.MessageSent(), fromBlock, latest),
+      source.endpoint.queryFilter(source.endpoint.filters.MessageSentToResource(), fromBlock, latest),
+    ]);
+    // Only once the range was read; the messages in it are queued by poll()
+    source.nextBlock = latest + 1;
+
+    return [...sent, ...sentToResource]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .map((event) => ({
+        messageId: event.args.messageId,
+        srcChainId: source.chainId,
+        dstChainId: event.args.dstChainId,
+        destination: event.args.destination,
+        resourceId: event.args.resourceId,
+        payload: event.args.payload,
+      }));
+  }
+
+  async _deliver(message) {
+    const result = {
+      messageId: message.messageId,
+      srcChainId: message.srcChainId,
+      dstChainId: message.dstChainId,
+      destination: message.destination,
+    };
+
+    const target = this.chains.get(message.dstChainId);
+    if (!target) {
+      this.logger.log(`Relayer: Skipping ${message.messageId}, unknown chain ${message.dstChainId}`);
+      return { ...result, status: "skipped", error: `Unknown destination chain ${message.dstChainId}` };
+    }
+
+    try {
+      if (message.resourceId !== undefined) {
+        result.destination = await target.endpoint.getAddressByResourceId(message.resourceId);
+        if (result.destination === ethers.ZeroAddress) {
+          throw new Error(`Unregistered resourceId ${message.resourceId}`);
+        }
+      }
+
+      const tx = await target.endpoint.execute(
+        message.srcChainId,
+        message.messageId,
+        result.destination,
+        message.payload
+      );
+      const receipt = await tx.wait();
+      result.txHash = tx.hash;
+
+      const failure = findLog(receipt, target.endpoint.interface, "MessageFailed");
+      if (failure) {
+        throw new Error(decodeRevertReason(failure.args.reason));
+      }
+
+      // Redelivering will not help, the shield keeps the message for retryMessage
+      this._markDelivered(message.messageId);
+      const stored = findLog(receipt, shieldInterface, "MessageDeliveryFailed");
+      if (stored) {
+        this.logger.error(`Relayer: ${message.messageId} stored as failed:`, stored.args.reason);
+        return { ...result, status: "failed", error: stored.args.reason, retryable: true };
+      }
+
+      this.logger.log(
+        `Relayer: Delivered ${message.messageId} ${message.srcChainId} -> ${message.dstChainId}`
+      );
+      return { ...result, status: "delivered" };
+    } catch (error) {
+      this.logger.error(`Relayer: Delivery of ${message.messageId} failed:`, error.message);
+      return { ...result, status: "failed", error: error.message };
+    }
+  }
+
+  _markDelivered(messageId) {
+    this.delivered.add(messageId);
+    // A Set iterates in insertion order, so the first ID is the oldest
+    if (this.delivered.size > this.deliveredLimit) {
+      this.delivered.delete(this.delivered.values().next().value);
+    }
+  }
+}
+
+// CLI usage: RELAYER_CHAINS='[{"chainId":1,"rpcUrl":"http://127.0.0.1:8545","endpoint":"0x..."}, ...]'
+if (require.main === module) {
+  (async () => {
+    const config = JSON.parse(process.env.RELAYER_CHAINS || "[]");
+    if (config.length < 2) {
+      console.error("❌ Set RELAYER_CHAINS to a JSON list of at least two {chainId, rpcUrl, endpoint}");
+      process.exit(1);
+    }
+
+    const chains = await Promise.all(
+      config.map(async ({ chainId, rpcUrl, endpoint }) => {
+        const provider = new ethers.JsonRpcProvider(rpcUrl);
+        const executor = process.env.RELAYER_PRIVATE_KEY
+          ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+          : await provider.getSigner(0);
+        return { chainId, endpoint, executor };
+      })
+    );
+
+    const relayer = new LocalRelayer(chains, {
+      pollInterval: Number(process.env.RELAYER_POLL_INTERVAL || 1000),
+    });
+    console.log(`🔁 Relaying between chains ${config.map((c) => c.chainId).join(", ")}...`);
+    relayer.start();
+
+    process.on("SIGINT", () => {
+      relayer.stop();
+      process.exit(0);
+    });
+  })().catch((error) => {
+    console.error("❌ Relayer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ENDPOINT_ABI,
+  decodeShieldPayload,
+  decodeDelivery,
+  LocalRelayer,
+};
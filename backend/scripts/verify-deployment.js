@@ -0,0 +1,223 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { defaultArtifactRegistry } = require("./circuit-artifacts");
+
+// Keys of the verifier contracts in deployments/<network>.json, by circuit
+const DEPLOYMENT_VERIFIERS = {
+  privacy: "Groth16Verifier",
+  transfer: "TransferVerifier",
+  compliance: "ComplianceVerifier",
+  audit: "AuditVerifier",
+};
+
+// Verifier registry getters of RaylsShield (VerifierRegistry.sol)
+const REGISTRY_ABI = [
+  "function verifiers(bytes32 _circuitId) view returns (address verifier, uint256 publicSignalCount)",
+  "function pendingVerifiers(bytes32 _circuitId) view returns (address verifier, uint256 publicSignalCount, uint256 executableAt)",
+];
+
+// Proof no circuit accepts, the same one VerifierRegistry self-tests with: the BN254
+// G1 generator for A and C and the G2 generator for B (imaginary part first)
+const SELF_TEST_PROOF = {
+  a: [1n, 2n],
+  b: [
+    [
+      11559732032986387107991004021392285783925812861821192530917403151452391805634n,
+      10857046999023057135944570762232829481370756359578518086990519993285655852781n,
+    ],
+    [
+      4082367875863433681332203403145435568316851327593401208105741076214120093531n,
+      8495653923123431417604973247489272438418190587263600148770280649306958101930n,
+    ],
+  ],
+  c: [1n, 2n],
+};
+
+/**
+ * Coordinates of a snarkjs verification key, as the hex the generated verifier embeds
+ * @param {Object} vkey - snarkjs verification key
+ * @returns {Array<string>} Lowercase hex without 0x, in the fewest whole bytes
+ */
+function verificationKeyConstants(vkey) {
+  const g1 = (point) => point.slice(0, 2);
+  const g2 = (point) => point.slice(0, 2).flat();
+  const values = [
+    ...g1(vkey.vk_alpha_1),
+    ...g2(vkey.vk_beta_2),
+    ...g2(vkey.vk_gamma_2),
+    ...g2(vkey.vk_delta_2),
+    ...vkey.IC.flatMap(g1),
+  ];
+  return values.map((value) => ethers.toBeHex(BigInt(value)).slice(2).toLowerCase());
+}
+
+/**
+ * Check that a deployed contract is a real verifier for a circuit: it must reject the
+ * self-test proof, and its bytecode must embed the circuit's verification key
+ * @param {ethers.Provider} provider
+ * @param {string} address - Verifier address
+ * @param {Object} options
+ * @param {string} options.circuit - Circuit name in circuits/manifest.json
+ * @param {string|number} [options.version] - Circuit version (default: current)
+ * @param {ArtifactRegistry} [options.registry] - Source of the verification key
+ * @param {string} [options.label] - Name used in the report
+ * @returns {Promise<{label: string, circuit: string, address: string, problems: Array<string>, ok: boolean}>}
+ */
+async function checkVerifier(provider, address, options = {}) {
+  const { circuit, version, registry = defaultArtifactRegistry(), label } = options;
+  const result = { label: label || `${circuit} verifier`, circuit, address, problems: [], ok: false };
+
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (code === "0x") {
+    result.problems.push("has no contract code");
+    return result;
+  }
+
+  const vkey = await registry.verificationKey(circuit, version);
+  const verifier = new ethers.Contract(
+    address,
+    [`function verifyProof(uint256[2], uint256[2][2], uint256[2], uint256[${vkey.nPublic}]) view returns (bool)`],
+    provider
+  );
+  try {
+    const { a, b, c } = SELF_TEST_PROOF;
+    if (await verifier.verifyProof(a, b, c, Array(vkey.nPublic).fill(0n))) {
+      result.problems.push("accepts an invalid proof");
+    }
+  } catch {
+    result.problems.push(`has no verifyProof for ${vkey.nPublic} public signals`);
+  }
+
+  if (!verificationKeyConstants(vkey).every((constant) => code.includes(constant))) {
+    result.problems.push(`does not embed the ${circuit} verification key`);
+  }
+
+  result.ok = result.problems.length === 0;
+  return result;
+}
+
+/**
+ * Throw unless checkVerifier passes
+ * @param {ethers.Provider} provider
+ * @param {string} address - Verifier address
+ * @param {Object} options - As for checkVerifier
+ * @returns {Promise<void>}
+ */
+async function assertVerifier(provider, address, options) {
+  const result = await checkVerifier(provider, address, options);
+  if (!result.ok) {
+    throw new Error(`VerifyDeployment: ${result.label} at ${address} ${result.problems.join(", ")}`);
+  }
+}
+
+/**
+ * Check every verifier of a deployment file, and the verifiers RaylsShield has registered
+ * or pending for each circuit
+ * @param {ethers.Provider} provider
+ * @param {Object} deployment - Contents of deployments/<network>.json
+ * @param {Object} [options]
+ * @param {ArtifactRegistry} [options.registry] - Source of the verification keys
+ * @returns {Promise<{ok: boolean, results: Array<Object>}>}
+ */
+async function checkDeployment(provider, deployment, { registry } = {}) {
+  const contracts = deployment.contracts || {};
+  const results = [];
+
+  for (const [circuit, key] of Object.entries(DEPLOYMENT_VERIFIERS)) {
+    if (contracts[key]) {
+      results.push(await checkVerifier(provider, contracts[key], { circuit, registry, label: key }));
+    }
+  }
+
+  if (contracts.RaylsShield) {
+    const shield = new ethers.Contract(contracts.RaylsShield, REGISTRY_ABI, provider);
+
+    for (const [circuit, key] of Object.entries(DEPLOYMENT_VERIFIERS)) {
+      const label = `RaylsShield ${circuit} verifier`;
+      let registered;
+      let pending;
+      try {
+        registered = await shield.verifiers(ethers.id(circuit));
+        pending = await shield.pendingVerifiers(ethers.id(circuit));
+      } catch {
+        results.push({
+          label: "RaylsShield",
+          address: contracts.RaylsShield,
+          problems: ["has no verifier registry (deployed before VerifierRegistry)"],
+          ok: false,
+        });
+        break;
+      }
+
+      if (contracts[key] && registered.verifier !== ethers.getAddress(contracts[key])) {
+        results.push({
+          label,
+          circuit,
+          address: registered.verifier,
+          problems: [`is not the ${key} listed in the deployment (${contracts[key]})`],
+          ok: false,
+        });
+      } else if (!contracts[key] && registered.verifier !== ethers.ZeroAddress) {
+        // The audit verifier is registered after deployment, through the timelock
+        results.push(await checkVerifier(provider, registered.verifier, { circuit, registry, label }));
+      }
+
+      // A pending verifier is checked before it can be applied
+      if (pending.verifier !== ethers.ZeroAddress) {
+        results.push(
+          await checkVerifier(provider, pending.verifier, {
+            circuit,
+            registry,
+            label: `RaylsShield pending ${circuit} verifier`,
+          })
+        );
+      }
+    }
+  }
+
+  return { ok: results.every((result) => result.ok), results };
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const deploymentPath =
+    process.env.DEPLOYMENT_FILE || path.join(__dirname, `../deployments/${hre.network.name}.json`);
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+
+  console.log(`Checking ${path.relative(process.cwd(), deploymentPath)} on ${hre.network.name}\n`);
+  const { ok, results } = await checkDeployment(hre.ethers.provider, deployment);
+
+  for (const result of results) {
+    if (result.ok) {
+      console.log(`✅ ${result.label} (${result.address})`);
+    } else {
+      console.log(`❌ ${result.label} (${result.address}) ${result.problems.join(", ")}`);
+    }
+  }
+
+  if (!ok) {
+    throw new Error("Deployment failed verification");
+  }
+  console.log("\n✅ Deployment verified");
+}
+
+// CLI usage: npx hardhat run scripts/verify-deployment.js --network <network>
+// Reads deployments/<network>.json, or DEPLOYMENT_FILE when set
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEPLOYMENT_VERIFIERS,
+  SELF_TEST_PROOF,
+  verificationKeyConstants,
+  checkVerifier,
+  assertVerifier,
+  checkDeployment,
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const {
+  verifyDisclosure,
+  isDisclosurePackage,
+  decryptDisclosure,
+} = require("./disclosure");
+const { getViewingPublicKey } = require("./payload-encryption");
+
+/**
+ * Read and verify a disclosure file: a statement from createDisclosure, or a package from
+ * encryptDisclosure. Runs offline; nothing is read from a chain.
+ * @param {string} file - Path of the statement or package
+ * @param {Object} [options]
+ * @param {string} [options.vkeyFile] - Verification key of the disclosure circuit (default:
+ *   the one in circuits/manifest.json)
+ * @param {string} [options.auditorPrivateKey] - Opens a package, and requires the statement
+ *   to be bound to this auditor
+ * @param {string} [options.auditor] - Auditor public key the statement must be bound to
+ * @returns {Promise<{valid: boolean, errors: Array<string>, facts: Object|null, statement: Object}>}
+ */
+async function verifyDisclosureFile(file, { vkeyFile, auditorPrivateKey, auditor } = {}) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    throw new Error(`Disclosure: Cannot read ${file} as JSON`);
+  }
+
+  let statement = document;
+  if (isDisclosurePackage(document)) {
+    if (!auditorPrivateKey) {
+      throw new Error("Disclosure: The package is encrypted; set AUDITOR_PRIVATE_KEY");
+    }
+    statement = decryptDisclosure(document, auditorPrivateKey);
+  }
+
+  const vkey = vkeyFile ? JSON.parse(fs.readFileSync(vkeyFile, "utf8")) : undefined;
+  const expectedAuditor = auditor || (auditorPrivateKey ? getViewingPublicKey(auditorPrivateKey) : undefined);
+  const result = await verifyDisclosure(statement, { vkey, auditor: expectedAuditor });
+  return { ...result, statement };
+}
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+// CLI usage: node scripts/verify-disclosure.js <disclosure.json> [--vkey <vkey.json>] [--auditor <publicKey>]
+// An encrypted package is opened with AUDITOR_PRIVATE_KEY (the auditor's viewing private key).
+// Exits 0 when the statement verifies, 1 when it does not, 2 when it cannot be read.
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const file = args.find((arg, i) => !arg.startsWith("--") && !["--vkey", "--auditor"].includes(args[i - 1]));
+    if (!file) {
+      console.error("❌ Usage: verify-disclosure <disclosure.json> [--vkey <vkey.json>] [--auditor <publicKey>]");
+      process.exit(2);
+    }
+
+    const { valid, errors, facts, statement } = await verifyDisclosureFile(file, {
+      vkeyFile: option(args, "--vkey"),
+      auditor: option(args, "--auditor"),
+      auditorPrivateKey: process.env.AUDITOR_PRIVATE_KEY,
+    });
+
+    console.log(valid ? "✅ Disclosure verified" : "❌ Disclosure NOT verified");
+    for (const error of errors) {
+      console.log(`   - ${error}`);
+    }
+    if (facts) {
+      console.log(`Commitment:     ${facts.commitment}`);
+      console.log(`Nullifier hash: ${facts.nullifierHash}`);
+      console.log(`Recipient hash: ${facts.recipientHash}`);
+      console.log(`Amount:         ${facts.disclosed.amount ?? "(not disclosed)"}`);
+      console.log(`Recipient:      ${facts.disclosed.recipient ?? "(not disclosed)"}`);
+      if (facts.disclosed.amountRange) {
+        console.log(`Amount range:   ${facts.disclosed.amountRange.min} to ${facts.disclosed.amountRange.max}`);
+      }
+      console.log(`Auditor:        ${statement.auditor || "(anyone)"}`);
+      console.log(`Reference:      ${statement.reference || "(none)"}`);
+      if (statement.message) {
+        console.log(`Message:        ${JSON.stringify(statement.message)} (not proven; look it up by nullifier hash)`);
+      }
+    }
+
+    // snarkjs keeps its curve worker threads alive
+    process.exit(valid ? 0 : 1);
+  })().catch((error) => {
+    console.error("❌", error.message);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  verifyDisclosureFile,
+};
@@ -0,0 +1,507 @@
+const { ethers } = require("ethers");
+const {
+  computeExtDataHash,
+  computeMessageHash,
+  computeNoteLeaf,
+  buildPrivacyInputs,
+  proveCircuit,
+  formatProofForSolidity,
+} = require("../scripts/generate-proof");
+const { addressToRecipient, resolveRecipient } = require("../scripts/key-registry");
+const { randomNote, deriveNote } = require("../scripts/notes");
+const { decodeDelivery } = require("../scripts/relayer");
+const { encodeActionEnvelope, decodeActionEnvelope } = require("../scripts/actions");
+const payloadEncryption = require("../scripts/payload-encryption");
+const { normalizeConfig } = require("./config");
+const RAYLS_SHIELD_ABI = require("./abi/RaylsShield.json");
+const VIEWING_KEY_REGISTRY_ABI = require("./abi/ViewingKeyRegistry.json");
+
+// MessageLifecycle.MessageStatus, by value
+const MESSAGE_STATUSES = ["none", "sent", "delivered", "failed", "refunded"];
+
+/**
+ * Recover the encrypted payload from a delivery transaction, whether the executor called
+ * the destination directly or went through the endpoint's execute()
+ * @param {string} data - Transaction input
+ * @returns {string|null} Encrypted payload, or null if the call is not recognised
+ */
+function extractEncryptedPayload(data) {
+  const delivery = decodeDelivery(data);
+  return delivery ? delivery.encryptedPayload : null;
+}
+
+/**
+ * Client for sending and receiving private messages through RaylsShield.
+ *
+ * Works in Node and in browser bundles. Browser builds have no default payload
+ * encryption or circuit files, so pass options.encryption and config.artifactBaseUrl
+ * (or config.artifacts) there. Without options.encryption, a browser client can still send
+ * already encrypted payloads; sending a plaintext payload or watching with a viewing key
+ * throws "No payload encryption available".
+ */
+class RaylsShieldClient {
+  /**
+   * @param {import("./config").RaylsShieldConfig} config - Network, addresses and artifacts
+   * @param {Object} [options]
+   * @param {Object} [options.signer] - ethers Signer; required to send
+   * @param {Object} [options.provider] - ethers Provider (defaults to the signer's)
+   * @param {Object} [options.encryption] - {encryptPayload, decryptPayload}, optionally
+   *   encryptPayloadWithSalt so recipients can scan for their messages
+   *   (defaults to scripts/payload-encryption.js)
+   * @param {Object} [options.logger] - Object with log/error methods for proving progress
+   *   (default: silent). Private inputs are redacted before they reach it.
+   */
+  constructor(config, { signer, provider, encryption = payloadEncryption, logger } = {}) {
+    const { network, addresses, artifacts } = normalizeConfig(config);
+    this.network = network;
+    this.addresses = addresses;
+    this.artifacts = artifacts;
+
+    this.signer = signer;
+    this.provider = provider || (signer && signer.provider);
+    if (!this.provider) {
+      throw new Error("RaylsShieldClient: Provide a signer or a provider");
+    }
+    this.encryption = encryption;
+    this.logger = logger;
+
+    this.shield = new ethers.Contract(addresses.raylsShield, RAYLS_SHIELD_ABI, signer || this.provider);
+    this.keyRegistry = addresses.viewingKeyRegistry
+      ? new ethers.Contract(addresses.viewingKeyRegistry, VIEWING_KEY_REGISTRY_ABI, this.provider)
+      : null;
+  }
+
+  /**
+   * Create a fresh note for a recipient
+   * @param {Object} params
+   * @param {string|Object} params.recipient - Address (resolved through the ViewingKeyRegistry
+   *   when one is configured) or a resolveRecipient result
+   * @param {bigint|number} params.amount - Amount committed to by the note
+   * @param {string} [params.seed] - Note seed (scripts/notes.js deriveNoteSeed); with index,
+   *   derives a recoverable note instead of a random one
+   * @param {number} [params.index] - Index of the derived note
+   * @returns {Promise<Object>} Note {secret, nullifier, amount, recipient, commitment, nullifierHash}.
+   *   The secret and nullifier are the only way to prove ownership; keep the note private.
+   */
+  async prepareNote({ recipient, amount, seed, index }) {
+    const { secret, nullifier, amount: value } = seed !== undefined
+      ? deriveNote(seed, index, amount)
+      : randomNote(amount);
+    const { commitment, nullifierHash } = await computeNoteLeaf({ secret, nullifier, amount: value });
+
+    return {
+      secret,
+      nullifier,
+      amount: value,
+      recipient: await this._resolveRecipient(recipient),
+      commitment,
+      nullifierHash,
+    };
+  }
+
+  /**
+   * Prove a note for one message. The proof is bound to the signer, chain, target and payload.
+   * @param {Object} note - Note from prepareNote
+   * @param {Object} message
+   * @param {bigint|number} message.dstChainId - Destination chain ID
+   * @param {string} [message.destination] - Destination contract (sendPrivate)
+   * @param {string} [message.resourceId] - Destination resourceId (sendPrivateToResource)
+   * @param {string} message.encryptedPayload - Payload the proof commits to
+   * @param {bigint} [message.recipientSalt] - Salt of recipientHash from encryptPayloadWithSalt
+   *   (default: random, so the recipient cannot find the message by scanning)
+   * @returns {Promise<{a: Array, b: Array, c: Array, publicSignals: Array<string>, proof: Object,
+   *   metrics: {witnessMs: number, provingMs: number, totalMs: number}}>}
+   */
+  async prove(note, { dstChainId, destination, resourceId, encryptedPayload, recipientSalt }) {
+    if (!this.artifacts.versions("privacy").length) {
+      throw new Error("RaylsShieldClient: No privacy circuit artifacts configured");
+    }
+    const artifacts = await this.artifacts.load("privacy");
+
+    const extDataHash = computeExtDataHash({
+      sender: await this._signer().getAddress(),
+      dstChainId,
+      destination,
+      resourceId,
+      encryptedPayload,
+    });
+    const { inputs } = await buildPrivacyInputs({ ...note, recipientSalt, extDataHash });
+
+    const { proof, publicSignals, metrics } = await proveCircuit(inputs, artifacts, {
+      logger: this.logger,
+      circuit: "privacy",
+    });
+    return { ...formatProofForSolidity(proof, publicSignals), proof, metrics };
+  }
+
+  /**
+   * Encrypt, prove and send a private message to a destination contract
+   * @param {Object} params
+   * @param {Object} params.note - Note from prepareNote
+   * @param {bigint|number} params.dstChainId - Destination chain ID
+   * @param {string} params.destination - Destination contract address
+   * @param {string|Uint8Array} [params.payload] - Plaintext, encrypted to the recipient's viewing key
+   * @param {string} [params.encryptedPayload] - Already encrypted payload (instead of payload)
+   * @param {bigint} [params.recipientSalt] - recipientSalt of encryptedPayload
+   *   (encryptPayloadWithSalt), so the recipient's scanner recognises the message
+   * @param {Object} [params.action] - {actionType, data} for the destination to execute
+   *   (see scripts/actions.js); the payload, if any, travels encrypted inside the envelope
+   * @param {Object} [params.overrides] - Transaction overrides, e.g. {value} for endpoint fees
+   * @returns {Promise<Object>} {transactionHash, messageHash, nullifierHash, encryptedPayload}
+   */
+  async sendPrivate({
+    note,
+    dstChainId,
+    destination,
+    payload,
+    encryptedPayload,
+    recipientSalt,
+    action,
+    overrides = {},
+  }) {
+    return this._send("sendPrivateMessage", { destination: ethers.getAddress(destination) }, {
+      note,
+      dstChainId,
+      payload,
+      encryptedPayload,
+      recipientSalt,
+      action,
+      overrides,
+    });
+  }
+
+  /**
+   * Encrypt, prove and send a private message to a resourceId
+   * @param {Object} params - As sendPrivate, with resourceId instead of destination
+   * @param {string} params.resourceId - Resource identifier on the destination chain
+   * @returns {Promise<Object>} {transactionHash, messageHash, nullifierHash, encryptedPayload}
+   */
+  async sendPrivateToResource({
+    note,
+    dstChainId,
+    resourceId,
+    payload,
+    encryptedPayload,
+    recipientSalt,
+    action,
+    overrides = {},
+  }) {
+    return this._send("sendPrivateMessageToResource", { resourceId }, {
+      note,
+      dstChainId,
+      payload,
+      encryptedPayload,
+      recipientSalt,
+      action,
+      overrides,
+    });
+  }
+
+  /**
+   * Compute the messageHash the next message of a sender will get, before sending it
+   * @param {string} [sender] - Sender address (default: the signer's)
+   * @returns {Promise<string>} messageHash
+   */
+  async nextMessageHash(sender) {
+    const from = sender || (await this._signer().getAddress());
+    const [{ chainId }, nonce] = await Promise.all([
+      this.provider.getNetwork(),
+      this.shield.messageNonces(from),
+    ]);
+    return computeMessageHash({ chainId, shield: this.addresses.raylsShield, sender: from, nonce });
+  }
+
+  /**
+   * Read what the source shield stored about a message sent from this chain
+   * @param {string} messageHash - messageHash returned by sendPrivate
+   * @returns {Promise<Object|null>} {sender, deadline, dstChainId, destination, resourceId,
+   *   nullifierHash, payloadHash}, with one of destination or resourceId set; null if unknown
+   */
+  async getSentMessage(messageHash) {
+    const message = await this.shield.sentMessages(messageHash);
+    if (message.sender === ethers.ZeroAddress) {
+      return null;
+    }
+    return {
+      sender: message.sender,
+      deadline: message.deadline,
+      dstChainId: message.dstChainId,
+      destination: message.toResource ? undefined : ethers.getAddress(ethers.dataSlice(message.destination, 12)),
+      resourceId: message.toResource ? message.destination : undefined,
+      nullifierHash: message.nullifierHash,
+      payloadHash: message.payloadHash,
+    };
+  }
+
+  /**
+   * Get the lifecycle status of a message on this chain
+   * @param {string} messageId - messageHash for messages sent from this chain,
+   *   Rayls message ID for messages delivered to it
+   * @returns {Promise<string>} "none", "sent", "delivered", "failed" or "refunded"
+   */
+  async getMessageStatus(messageId) {
+    return MESSAGE_STATUSES[Number(await this.shield.getMessageStatus(messageId))];
+  }
+
+  /**
+   * Report a message that expired undelivered on this chain back to its source shield,
+   * which then restores its nullifier so the note can be sent again
+   * @param {Object} message
+   * @param {bigint|number} message.srcChainId - Chain the message was sent from
+   * @param {string} message.messageHash - messageHash returned by sendPrivate
+   * @param {string} message.nullifierHash - From getSentMessage on the source client
+   * @param {bigint|number} message.deadline - From getSentMessage on the source client
+   * @param {Object} [overrides] - Transaction overrides (value pays the endpoint fee)
+   * @returns {Promise<Object>} {transactionHash}
+   */
+  async acknowledgeExpired({ srcChainId, messageHash, nullifierHash, deadline }, overrides = {}) {
+    const tx = await this.shield.acknowledgeExpiredMessage(srcChainId, messageHash, nullifierHash, deadline, overrides);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  /**
+   * Watch for messages delivered to this chain's RaylsShield
+   * @param {Function} onMessage - Called with {messageId, srcChainId, nullifierHash, recipientHash,
+   *   blockNumber, transactionHash, encryptedPayload, action, payload}; action is the decoded action envelope
+   *   without its ciphertext, or null
+   * @param {Object} [options]
+   * @param {string} [options.viewingKey] - Viewing private key; when set, only messages it can
+   *   decrypt are reported, with the plaintext as payload (Uint8Array)
+   * @param {number} [options.fromBlock] - First block to scan (default: the next block)
+   * @param {number} [options.pollInterval] - Milliseconds between polls (default 1000)
+   * @param {Function} [options.onError] - Called with errors from background polls
+   *   (default: the client's logger, if any)
+   * @returns {{poll: Function, stop: Function}} poll() scans immediately; stop() ends the watch.
+   *   If onMessage throws, the next poll starts again at the message it threw on
+   */
+  watchIncoming(
+    onMessage,
+    {
+      viewingKey,
+      fromBlock,
+      pollInterval = 1000,
+      onError = (error) => {
+        if (this.logger) {
+          this.logger.error("RaylsShieldClient: Watch failed:", error.message);
+        }
+      },
+    } = {}
+  ) {
+    if (viewingKey !== undefined) {
+      this._requireEncryption("decryptPayload");
+    }
+
+    // The last event handled, as {blockNumber, index}; scans resume right after it.
+    // Pinned now, so messages delivered before the first poll are not missed
+    let cursor = fromBlock !== undefined
+      ? Promise.resolve({ blockNumber: fromBlock, index: -1 })
+      : this.provider.getBlockNumber().then((latest) => ({ blockNumber: latest + 1, index: -1 }));
+    let timer = null;
+    let running = null;
+    let stopped = false;
+
+    const scan = async () => {
+      const from = await cursor;
+      const latest = await this.provider.getBlockNumber();
+      if (from.blockNumber > latest) {
+        return;
+      }
+
+      const events = await this.shield.queryFilter(
+        this.shield.filters.PrivateMessageReceived(),
+        from.blockNumber,
+        latest
+      );
+
+      for (const event of events) {
+        if (event.blockNumber === from.blockNumber && event.index <= from.index) {
+          continue;
+        }
+        const message = await this._readIncoming(event, viewingKey);
+        if (message) {
+          await onMessage(message);
+        }
+        cursor = { blockNumber: event.blockNumber, index: event.index };
+      }
+      cursor = { blockNumber: latest + 1, index: -1 };
+    };
+
+    const poll = () => {
+      if (!running) {
+        running = scan().finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    };
+
+    const tick = async () => {
+      try {
+        await poll();
+      } catch (error) {
+        onError(error);
+      }
+      if (!stopped) {
+        timer = setTimeout(tick, pollInterval);
+      }
+    };
+    timer = setTimeout(tick, 0);
+
+    return {
+      poll,
+      stop() {
+        stopped = true;
+        clearTimeout(timer);
+      },
+    };
+  }
+
+  async _send(method, target, { note, dstChainId, payload, encryptedPayload, recipientSalt, action, overrides }) {
+    let ciphertext;
+    if (encryptedPayload !== undefined) {
+      ciphertext = ethers.hexlify(encryptedPayload);
+    } else if (action && payload === undefined) {
+      ciphertext = "0x";
+    } else {
+      ({ encryptedPayload: ciphertext, recipientSalt } = this._encrypt(note, payload));
+    }
+    if (action) {
+      ciphertext = encodeActionEnvelope({ ...action, ciphertext });
+    }
+
+    const { a, b, c, publicSignals } = await this.prove(note, {
+      dstChainId,
+      ...target,
+      encryptedPayload: ciphertext,
+      recipientSalt,
+    });
+
+    const tx = await this.shield[method](
+      dstChainId,
+      target.destination !== undefined ? target.destination : target.resourceId,
+      ciphertext,
+      a,
+      b,
+      c,
+      publicSignals,
+      overrides
+    );
+    const receipt = await tx.wait();
+
+    const sent = receipt.logs
+      .map((log) => {
+        try {
+          return this.shield.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "PrivateMessageSent");
+
+    return {
+      transactionHash: receipt.hash,
+      messageHash: sent.args.messageHash,
+      nullifierHash: sent.args.nullifierHash,
+      encryptedPayload: ciphertext,
+    };
+  }
+
+  async _readIncoming(event, viewingKey) {
+    const message = {
+      messageId: event.args.messageHash,
+      srcChainId: event.args.srcChainId,
+      nullifierHash: event.args.nullifier,
+      recipientHash: null,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      encryptedPayload: null,
+      action: null,
+      payload: null,
+    };
+
+    const tx = await this.provider.getTransaction(event.transactionHash);
+    const delivery = tx ? decodeDelivery(tx.data) : null;
+    if (delivery) {
+      message.recipientHash = delivery.publicSignals[2];
+      message.encryptedPayload = delivery.encryptedPayload;
+    }
+
+    let ciphertext = message.encryptedPayload;
+    if (ciphertext !== null) {
+      try {
+        const envelope = decodeActionEnvelope(ciphertext);
+        if (envelope) {
+          const { ciphertext: inner, ...action } = envelope;
+          message.action = action;
+          ciphertext = ethers.getBytes(inner).length > 0 ? inner : null;
+        }
+      } catch {
+        // Malformed envelope: nothing was executed and nothing can be decrypted
+        ciphertext = null;
+      }
+    }
+
+    if (viewingKey === undefined) {
+      return message;
+    }
+    if (ciphertext === null) {
+      return null;
+    }
+    try {
+      message.payload = this.encryption.decryptPayload(ciphertext, viewingKey);
+    } catch {
+      // Addressed to someone else
+      return null;
+    }
+    return message;
+  }
+
+  _encrypt(note, payload) {
+    if (payload === undefined) {
+      throw new Error("RaylsShieldClient: Provide payload or encryptedPayload");
+    }
+    if (!note.recipient.encryptionPublicKey) {
+      throw new Error("RaylsShieldClient: Recipient has no viewing key; pass encryptedPayload instead");
+    }
+    this._requireEncryption("encryptPayload");
+
+    const plaintext = typeof payload === "string" ? ethers.toUtf8Bytes(payload) : payload;
+    if (typeof this.encryption.encryptPayloadWithSalt === "function") {
+      return this.encryption.encryptPayloadWithSalt(plaintext, note.recipient.encryptionPublicKey);
+    }
+    // Without the salt the proof falls back to a random one
+    return { encryptedPayload: this.encryption.encryptPayload(plaintext, note.recipient.encryptionPublicKey) };
+  }
+
+  // Browser bundles replace scripts/payload-encryption.js with an empty module, so the
+  // default encryption has no methods there
+  _requireEncryption(method) {
+    if (typeof this.encryption[method] !== "function") {
+      throw new Error("RaylsShieldClient: No payload encryption available; pass options.encryption");
+    }
+  }
+
+  async _resolveRecipient(recipient) {
+    if (typeof recipient !== "string") {
+      return recipient;
+    }
+    if (this.keyRegistry) {
+      return resolveRecipient(this.keyRegistry, recipient);
+    }
+    return { address: ethers.getAddress(recipient), recipient: addressToRecipient(recipient) };
+  }
+
+  _signer() {
+    if (!this.signer) {
+      throw new Error("RaylsShieldClient: A signer is required to send");
+    }
+    return this.signer;
+  }
+}
+
+module.exports = {
+  RaylsShieldClient,
+  MESSAGE_STATUSES,
+  extractEncryptedPayload,
+};
@@ -0,0 +1,136 @@
+const { ethers } = require("ethers");
+const {
+  HAS_FILESYSTEM,
+  ArtifactRegistry,
+  defaultArtifactRegistry,
+} = require("../scripts/circuit-artifacts");
+const CIRCUITS_MANIFEST = require("../circuits/manifest.json");
+
+/**
+ * Networks RaylsShield is deployed on. Addresses still come from the deployment.
+ * @type {Object<string, {chainId: number, rpcUrl: string}>}
+ */
+const NETWORKS = {
+  raylsDevnet: {
+    chainId: 123123,
+    rpcUrl: "https://devnet-rpc.rayls.com",
+  },
+  localhost: {
+    chainId: 31337,
+    rpcUrl: "http://127.0.0.1:8545",
+  },
+};
+
+/**
+ * @typedef {Object} CircuitArtifacts
+ * @property {string|Uint8Array} wasm - Witness calculator: file path (Node), URL or bytes
+ * @property {string|Uint8Array} zkey - Proving key: file path (Node), URL or bytes
+ * @property {string|Uint8Array} [vkey] - Verification key (JSON): file path (Node), URL or bytes
+ * @property {string|number} [version] - Version to register them as (default: "1")
+ * @property {Object} sha256 - Expected {vkey} hash, which the zkey and proofs are checked
+ *   against, or {wasm, zkey} hashes; artifacts without them are refused
+ */
+
+/**
+ * @typedef {Object} RaylsShieldConfig
+ * @property {string|{chainId: number, rpcUrl?: string}} network - A NETWORKS key or a network
+ * @property {Object} addresses - Deployed contracts
+ * @property {string} addresses.raylsShield - RaylsShield address
+ * @property {string} [addresses.viewingKeyRegistry] - ViewingKeyRegistry address, needed to
+ *   resolve recipients by plain address
+ * @property {string} [artifactBaseUrl] - URL the files in circuits/manifest.json are served
+ *   from; they must match the verification keys pinned there
+ * @property {ArtifactRegistry|Object<string, CircuitArtifacts>} [artifacts] - A registry, or
+ *   artifacts by circuit name. In Node they default to the files in backend/circuits.
+ */
+
+/**
+ * Artifact registry for a config
+ * @param {RaylsShieldConfig} config
+ * @returns {ArtifactRegistry}
+ */
+function artifactRegistry(config) {
+  if (config.artifacts instanceof ArtifactRegistry) {
+    return config.artifacts;
+  }
+
+  let registry;
+  if (config.artifactBaseUrl) {
+    registry = new ArtifactRegistry({
+      manifest: CIRCUITS_MANIFEST,
+      base: config.artifactBaseUrl,
+    });
+  } else if (!config.artifacts) {
+    // Only bundles with a filesystem have the default files
+    return HAS_FILESYSTEM ? defaultArtifactRegistry() : new ArtifactRegistry();
+  } else {
+    registry = HAS_FILESYSTEM ? ArtifactRegistry.fromManifestFile() : new ArtifactRegistry();
+  }
+
+  for (const [name, entry] of Object.entries(config.artifacts || {})) {
+    registry.register(name, entry.version === undefined ? "1" : entry.version, entry);
+  }
+  return registry;
+}
+
+/**
+ * Validate a client config and fill in defaults
+ * @param {RaylsShieldConfig} config
+ * @returns {{network: {chainId: bigint, rpcUrl?: string}, addresses: Object,
+ *   artifacts: ArtifactRegistry}}
+ * @throws {Error} If the network is unknown or an address is invalid
+ */
+function normalizeConfig(config) {
+  if (!config || !config.network) {
+    throw new Error("RaylsShieldClient: Missing network");
+  }
+
+  const network = typeof config.network === "string" ? NETWORKS[config.network] : config.network;
+  if (!network || network.chainId === undefined) {
+    throw new Error(`RaylsShieldClient: Unknown network ${config.network}`);
+  }
+
+  const addresses = {};
+  for (const [name, address] of Object.entries(config.addresses || {})) {
+    if (address === undefined) {
+      continue;
+    }
+    if (!ethers.isAddress(address)) {
+      throw new Error(`RaylsShieldClient: Invalid ${name} address ${address}`);
+    }
+    addresses[name] = ethers.getAddress(address);
+  }
+  if (!addresses.raylsShield) {
+    throw new Error("RaylsShieldClient: Missing raylsShield address");
+  }
+
+  return {
+    network: { ...network, chainId: BigInt(network.chainId) },
+    addresses,
+    artifacts: artifactRegistry(config),
+  };
+}
+
+/**
+ * Build a client config from a deployments/<network>.json file written by scripts/deploy.js
+ * @param {Object} deployment - Parsed deployment file
+ * @returns {RaylsShieldConfig}
+ */
+function configFromDeployment(deployment) {
+  return {
+    network: {
+      ...NETWORKS[deployment.network],
+      chainId: deployment.chainId,
+    },
+    addresses: {
+      raylsShield: deployment.contracts.RaylsShield,
+      viewingKeyRegistry: deployment.contracts.ViewingKeyRegistry,
+    },
+  };
+}
+
+module.exports = {
+  NETWORKS,
+  normalizeConfig,
+  configFromDeployment,
+};
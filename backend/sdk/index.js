@@ -0,0 +1,17 @@
+const { RaylsShieldClient, MESSAGE_STATUSES, extractEncryptedPayload } = require("./client");
+const { NETWORKS, normalizeConfig, configFromDeployment } = require("./config");
+const { RecipientScanner } = require("../scripts/recipient-scanner");
+
+module.exports = {
+  RaylsShieldClient,
+  MESSAGE_STATUSES,
+  RecipientScanner,
+  NETWORKS,
+  normalizeConfig,
+  configFromDeployment,
+  extractEncryptedPayload,
+  abi: {
+    RaylsShield: require("./abi/RaylsShield.json"),
+    ViewingKeyRegistry: require("./abi/ViewingKeyRegistry.json"),
+  },
+};
@@ -0,0 +1,384 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { generateProof, formatProofForSolidity, computeExtDataHash } = require("../scripts/generate-proof");
+const { generateViewingKeyPair, encryptPayload, decryptPayload } = require("../scripts/payload-encryption");
+const { LocalRelayer } = require("../scripts/relayer");
+const {
+  ACTION_ENVELOPE_MAGIC,
+  ACTION_TYPES,
+  encodeActionData,
+  signTokenTransfer,
+  encodeActionEnvelope,
+  decodeActionEnvelope,
+} = require("../scripts/actions");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("Action Dispatch", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const silentLogger = { log() {}, error() {} };
+
+  let owner;
+  let alice;
+  let bob;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let dispatcher;
+  let relayer;
+  let attestations;
+  let calls;
+  let transfers;
+  let token;
+  let nextNullifier = 1000n;
+
+  /**
+   * Prove and send a payload from shieldA to shieldB, then deliver it
+   * @param {string} payload - Payload bound by the proof
+   * @returns {Promise<Object>} {messageId, logs} with the parsed delivery logs of shieldB and its dispatcher
+   */
+  async function sendAndDeliver(payload) {
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier: nextNullifier++,
+      recipient: BigInt(bob.address),
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        destination: await shieldB.getAddress(),
+        encryptedPayload: payload,
+      }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+    await shieldA
+      .connect(alice)
+      .sendPrivateMessage(CHAIN_B, await shieldB.getAddress(), payload, a, b, c, signals);
+
+    const [result] = await relayer.poll();
+    expect(result.status, result.error).to.equal("delivered");
+
+    const receipt = await ethers.provider.getTransactionReceipt(result.txHash);
+    const logs = receipt.logs
+      .map((log) => {
+        try {
+          return (log.address === dispatcher.target ? dispatcher : shieldB).interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    return { messageId: result.messageId, logs };
+  }
+
+  function findLog(logs, name) {
+    return logs.find((log) => log.name === name);
+  }
+
+  function errorMessage(contract, reason) {
+    return contract.interface.parseError(reason).args[0];
+  }
+
+  // Transfer fields authorised by the handler's payout signer (owner unless given)
+  async function signTransfer(to, amount, { signer = owner, srcChainId = CHAIN_A, deadline, salt } = {}) {
+    const latest = await ethers.provider.getBlock("latest");
+    return signTokenTransfer(signer, {
+      handler: await transfers.getAddress(),
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      srcChainId,
+      token: await token.getAddress(),
+      to,
+      amount,
+      deadline: deadline === undefined ? latest.timestamp + 3600 : deadline,
+      salt,
+    });
+  }
+
+  async function transferData(to, amount, options) {
+    return encodeActionData("tokenTransfer", await signTransfer(to, amount, options));
+  }
+
+  function sendTransfer(data) {
+    return sendAndDeliver(encodeActionEnvelope({ actionType: "tokenTransfer", data }));
+  }
+
+  before(async function () {
+    [owner, alice, bob, executor] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    endpointA = await deploy("MockRaylsEndpoint");
+    endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+    dispatcher = await ethers.getContractAt("ActionDispatcher", await shieldB.actionDispatcher());
+
+    attestations = await deploy("AttestationHandler", dispatcher.target);
+    calls = await deploy("ContractCallHandler", dispatcher.target);
+    transfers = await deploy("TokenTransferHandler", dispatcher.target);
+    token = await deploy("MockERC20", "Test Token", "TST");
+
+    await dispatcher.setActionHandler(ACTION_TYPES.attestation, await attestations.getAddress());
+    await dispatcher.setActionHandler(ACTION_TYPES.contractCall, await calls.getAddress());
+    await transfers.setPayoutSigner(owner.address);
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+  });
+
+  describe("Envelopes", function () {
+    it("Should match the contract's action types and decoding", async function () {
+      expect(await dispatcher.ACTION_ENVELOPE_MAGIC()).to.equal(ACTION_ENVELOPE_MAGIC);
+      expect(await dispatcher.TOKEN_TRANSFER_ACTION()).to.equal(ACTION_TYPES.tokenTransfer);
+      expect(await dispatcher.CONTRACT_CALL_ACTION()).to.equal(ACTION_TYPES.contractCall);
+      expect(await dispatcher.ATTESTATION_ACTION()).to.equal(ACTION_TYPES.attestation);
+
+      const keys = generateViewingKeyPair();
+      const ciphertext = encryptPayload(ethers.toUtf8Bytes("receipt"), keys.publicKey);
+      const transfer = await signTransfer(bob.address, 5n);
+      const envelope = encodeActionEnvelope({ actionType: "tokenTransfer", data: transfer, ciphertext });
+
+      const [isAction, actionType, data, decodedCiphertext] = await dispatcher.decodeActionEnvelope(envelope);
+      expect(isAction).to.be.true;
+      expect(actionType).to.equal(ACTION_TYPES.tokenTransfer);
+      expect(data).to.equal(encodeActionData("tokenTransfer", transfer));
+      expect(decodedCiphertext).to.equal(ethers.hexlify(ciphertext));
+
+      const decoded = decodeActionEnvelope(envelope);
+      expect(decoded.name).to.equal("tokenTransfer");
+      expect(decoded.params.to).to.equal(bob.address);
+      expect(decoded.params.amount).to.equal(5n);
+      expect(decoded.params.signature).to.equal(transfer.signature);
+      expect(ethers.toUtf8String(decryptPayload(decoded.ciphertext, keys.privateKey))).to.equal("receipt");
+
+      // Plain encrypted payloads are not envelopes
+      expect((await dispatcher.decodeActionEnvelope(ciphertext))[0]).to.be.false;
+      expect(decodeActionEnvelope(ciphertext)).to.be.null;
+    });
+  });
+
+  describe("Dispatch", function () {
+    it("Should execute an action when the message is delivered", async function () {
+      const subject = ethers.id("invoice-42");
+      const digest = ethers.id("paid");
+      const { messageId, logs } = await sendAndDeliver(
+        encodeActionEnvelope({ actionType: "attestation", data: { subject, digest } })
+      );
+
+      const executed = findLog(logs, "ActionExecuted");
+      expect(executed.args.messageId).to.equal(messageId);
+      expect(executed.args.actionType).to.equal(ACTION_TYPES.attestation);
+      expect(executed.args.handler).to.equal(await attestations.getAddress());
+      expect(findLog(logs, "PrivateMessageReceived")).to.not.be.undefined;
+
+      const record = await attestations.attestations(subject, messageId);
+      expect(record.digest).to.equal(digest);
+      expect(record.srcChainId).to.equal(CHAIN_A);
+    });
+
+    it("Should keep each message's attestation of a subject", async function () {
+      const subject = ethers.id("invoice-43");
+      const first = await sendAndDeliver(
+        encodeActionEnvelope({ actionType: "attestation", data: { subject, digest: ethers.id("paid") } })
+      );
+      // A later message cannot take over the subject or overwrite the first record
+      const second = await sendAndDeliver(
+        encodeActionEnvelope({ actionType: "attestation", data: { subject, digest: ethers.id("junk") } })
+      );
+      expect(findLog(second.logs, "ActionExecuted")).to.not.be.undefined;
+
+      expect((await attestations.attestations(subject, first.messageId)).digest).to.equal(ethers.id("paid"));
+      expect((await attestations.attestations(subject, second.messageId)).digest).to.equal(ethers.id("junk"));
+
+      const recorded = await attestations.queryFilter(attestations.filters.AttestationRecorded(subject));
+      expect(recorded.map((event) => event.args.messageId)).to.deep.equal([first.messageId, second.messageId]);
+    });
+
+    it("Should only pay out transfers the payout signer authorised", async function () {
+      await dispatcher.setActionHandler(ACTION_TYPES.tokenTransfer, await transfers.getAddress());
+      await transfers.setTransferLimit(await token.getAddress(), 100n);
+      await token.mint(await transfers.getAddress(), 100n);
+
+      const invalid = "TokenTransferHandler: Invalid authorization";
+      async function expectRefused(data, reason) {
+        const { logs } = await sendTransfer(data);
+        expect(errorMessage(transfers, findLog(logs, "ActionFailed").args.reason)).to.equal(reason);
+      }
+
+      // Signed by someone else, for another source chain, or past its deadline
+      await expectRefused(await transferData(alice.address, 10n, { signer: alice }), invalid);
+      await expectRefused(await transferData(alice.address, 10n, { srcChainId: 999 }), invalid);
+      await expectRefused(
+        await transferData(alice.address, 10n, { deadline: 1 }),
+        "TokenTransferHandler: Authorization expired"
+      );
+
+      const transfer = await signTransfer(bob.address, 10n);
+      const { logs } = await sendTransfer(encodeActionData("tokenTransfer", transfer));
+      expect(findLog(logs, "ActionExecuted")).to.not.be.undefined;
+      expect(await token.balanceOf(bob.address)).to.equal(10n);
+
+      // Another amount or recipient breaks the signature, and each one pays once
+      await expectRefused(encodeActionData("tokenTransfer", { ...transfer, to: alice.address }), invalid);
+      await expectRefused(
+        encodeActionData("tokenTransfer", transfer),
+        "TokenTransferHandler: Authorization already used"
+      );
+
+      // Without a payout signer nothing is paid
+      await transfers.setPayoutSigner(ethers.ZeroAddress);
+      await expectRefused(await transferData(bob.address, 10n), invalid);
+      expect(await token.balanceOf(bob.address)).to.equal(10n);
+      expect(await token.balanceOf(alice.address)).to.equal(0n);
+    });
+
+    it("Should dispatch nothing for a plain encrypted payload", async function () {
+      const keys = generateViewingKeyPair();
+      const payload = ethers.hexlify(encryptPayload(ethers.toUtf8Bytes("hi"), keys.publicKey));
+      const { logs } = await sendAndDeliver(payload);
+
+      expect(findLog(logs, "PrivateMessageReceived")).to.not.be.undefined;
+      expect(findLog(logs, "ActionExecuted")).to.be.undefined;
+      expect(findLog(logs, "ActionFailed")).to.be.undefined;
+    });
+
+    it("Should call an allow-listed contract", async function () {
+      const callData = token.interface.encodeFunctionData("mint", [bob.address, 7n]);
+      const envelope = encodeActionEnvelope({
+        actionType: "contractCall",
+        data: { target: await token.getAddress(), callData },
+      });
+
+      const refused = await sendAndDeliver(envelope);
+      const failed = findLog(refused.logs, "ActionFailed");
+      expect(errorMessage(calls, failed.args.reason)).to.equal("ContractCallHandler: Target not allowed");
+
+      await calls.setAllowedTarget(await token.getAddress(), true);
+      const { logs } = await sendAndDeliver(envelope);
+      expect(findLog(logs, "ActionExecuted")).to.not.be.undefined;
+      expect(await token.balanceOf(bob.address)).to.equal(7n);
+    });
+
+    it("Should record a malformed envelope without storing it", async function () {
+      const payload = ethers.concat([ACTION_ENVELOPE_MAGIC, "0x1234"]);
+      const { messageId, logs } = await sendAndDeliver(payload);
+
+      const failed = findLog(logs, "ActionFailed");
+      expect(failed.args.actionType).to.equal(ethers.ZeroHash);
+      expect(errorMessage(dispatcher, failed.args.reason)).to.equal("ActionDispatcher: Malformed envelope");
+      expect(await dispatcher.failedActions(messageId)).to.equal(ethers.ZeroHash);
+      expect(findLog(logs, "PrivateMessageReceived")).to.not.be.undefined;
+    });
+  });
+
+  describe("Failures and replay", function () {
+    it("Should store an action without a handler and replay it once one is set", async function () {
+      const data = await transferData(bob.address, 50n);
+      const { messageId, logs } = await sendTransfer(data);
+
+      // The delivery succeeded and spent the nullifier; only the action is pending
+      const failed = findLog(logs, "ActionFailed");
+      expect(failed.args.messageId).to.equal(messageId);
+      expect(failed.args.srcChainId).to.equal(CHAIN_A);
+      expect(failed.args.data).to.equal(data);
+      expect(errorMessage(dispatcher, failed.args.reason)).to.equal("ActionDispatcher: No handler for action");
+      expect(await dispatcher.failedActions(messageId)).to.not.equal(ethers.ZeroHash);
+
+      await expect(
+        dispatcher.connect(alice).replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, data)
+      ).to.be.revertedWith("ActionDispatcher: No handler for action");
+
+      await dispatcher.setActionHandler(ACTION_TYPES.tokenTransfer, await transfers.getAddress());
+      await transfers.setTransferLimit(await token.getAddress(), 100n);
+      await token.mint(await transfers.getAddress(), 100n);
+
+      // The record pins the action, so a replayer cannot change it
+      const altered = await transferData(alice.address, 50n);
+      await expect(
+        dispatcher.connect(alice).replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, altered)
+      ).to.be.revertedWith("ActionDispatcher: Action mismatch");
+
+      // Anyone can replay
+      await expect(dispatcher.connect(alice).replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, data))
+        .to.emit(dispatcher, "ActionExecuted")
+        .withArgs(messageId, ACTION_TYPES.tokenTransfer, await transfers.getAddress());
+      expect(await token.balanceOf(bob.address)).to.equal(50n);
+      expect(await dispatcher.failedActions(messageId)).to.equal(ethers.ZeroHash);
+
+      await expect(
+        dispatcher.connect(alice).replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, data)
+      ).to.be.revertedWith("ActionDispatcher: No failed action");
+    });
+
+    it("Should roll back a failing handler and keep the record until a replay succeeds", async function () {
+      await dispatcher.setActionHandler(ACTION_TYPES.tokenTransfer, await transfers.getAddress());
+      await transfers.setTransferLimit(await token.getAddress(), 100n);
+
+      // Unfunded handler: the transfer reverts inside the handler
+      const data = await transferData(bob.address, 80n);
+      const { messageId, logs } = await sendTransfer(data);
+      const failed = findLog(logs, "ActionFailed");
+      expect(token.interface.parseError(failed.args.reason).name).to.equal("ERC20InsufficientBalance");
+      expect(await token.balanceOf(bob.address)).to.equal(0n);
+
+      await expect(
+        dispatcher.replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, data)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientBalance");
+      expect(await dispatcher.failedActions(messageId)).to.not.equal(ethers.ZeroHash);
+
+      await token.mint(await transfers.getAddress(), 80n);
+      await dispatcher.replayAction(messageId, CHAIN_A, ACTION_TYPES.tokenTransfer, data);
+      expect(await token.balanceOf(bob.address)).to.equal(80n);
+    });
+  });
+
+  describe("Access control", function () {
+    it("Should only let the owner allow-list handlers", async function () {
+      expect(await dispatcher.owner()).to.equal(owner.address);
+      expect(await dispatcher.shield()).to.equal(shieldB.target);
+
+      await expect(
+        dispatcher.connect(alice).setActionHandler(ACTION_TYPES.attestation, await attestations.getAddress())
+      ).to.be.revertedWithCustomError(dispatcher, "OwnableUnauthorizedAccount");
+      await expect(
+        dispatcher.setActionHandler(ethers.ZeroHash, await attestations.getAddress())
+      ).to.be.revertedWith("ActionDispatcher: Invalid action type");
+      await expect(
+        dispatcher.setActionHandler(ACTION_TYPES.attestation, alice.address)
+      ).to.be.revertedWith("ActionDispatcher: Handler has no code");
+
+      await expect(dispatcher.setActionHandler(ACTION_TYPES.attestation, ethers.ZeroAddress))
+        .to.emit(dispatcher, "ActionHandlerUpdated")
+        .withArgs(ACTION_TYPES.attestation, await attestations.getAddress(), ethers.ZeroAddress);
+    });
+
+    it("Should only let the shield dispatch and the dispatcher call handlers", async function () {
+      const data = encodeActionData("attestation", { subject: ethers.ZeroHash, digest: ethers.ZeroHash });
+      const envelope = encodeActionEnvelope({ actionType: "attestation", data });
+      await expect(dispatcher.dispatchAction(envelope, CHAIN_A, ethers.ZeroHash)).to.be.revertedWith(
+        "ActionDispatcher: Caller is not the shield"
+      );
+      await expect(
+        attestations.executeAction(ethers.ZeroHash, CHAIN_A, ACTION_TYPES.attestation, data)
+      ).to.be.revertedWith("ShieldActionHandler: Caller is not the dispatcher");
+      await expect(
+        transfers.connect(alice).setTransferLimit(await token.getAddress(), 1n)
+      ).to.be.revertedWithCustomError(transfers, "OwnableUnauthorizedAccount");
+      await expect(transfers.connect(alice).setPayoutSigner(alice.address)).to.be.revertedWithCustomError(
+        transfers,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  ACTION_ENVELOPE_MAGIC,
+  ACTION_TYPES,
+  encodeActionData,
+  decodeActionData,
+  encodeActionEnvelope,
+  isActionEnvelope,
+  decodeActionEnvelope,
+} = require("../scripts/actions");
+const { ENVELOPE_VERSION } = require("../scripts/payload-encryption");
+
+describe("Action Envelopes", function () {
+  const target = "0x00000000000000000000000000000000000000aa";
+
+  function expectThrow(fn, message) {
+    let error;
+    try {
+      fn();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an("error");
+    expect(error.message).to.equal(message);
+  }
+
+  it("Should round-trip standard actions by name or ID", function () {
+    const envelope = encodeActionEnvelope({
+      actionType: ACTION_TYPES.contractCall,
+      data: { target, callData: "0xdeadbeef" },
+    });
+    expect(ethers.dataSlice(envelope, 0, 4)).to.equal(ACTION_ENVELOPE_MAGIC);
+    expect(isActionEnvelope(envelope)).to.be.true;
+
+    const decoded = decodeActionEnvelope(envelope);
+    expect(decoded.actionType).to.equal(ACTION_TYPES.contractCall);
+    expect(decoded.name).to.equal("contractCall");
+    expect(decoded.params.target).to.equal(ethers.getAddress(target));
+    expect(decoded.params.callData).to.equal("0xdeadbeef");
+    expect(decoded.ciphertext).to.equal("0x");
+    expect(decoded.data).to.equal(encodeActionData("contractCall", { target, callData: "0xdeadbeef" }));
+  });
+
+  it("Should carry custom action types with raw data", function () {
+    const actionType = ethers.id("custom");
+    const decoded = decodeActionEnvelope(encodeActionEnvelope({ actionType, data: "0x0102" }));
+    expect(decoded.actionType).to.equal(actionType);
+    expect(decoded.name).to.be.null;
+    expect(decoded.params).to.be.null;
+    expect(decoded.data).to.equal("0x0102");
+    expect(decodeActionData(actionType, "0x0102")).to.be.null;
+  });
+
+  it("Should never mistake an encrypted payload for an envelope", function () {
+    expect(ethers.getBytes(ACTION_ENVELOPE_MAGIC)[0]).to.not.equal(ENVELOPE_VERSION);
+    expect(isActionEnvelope("0x")).to.be.false;
+    const encrypted = ethers.concat([new Uint8Array([ENVELOPE_VERSION]), ethers.randomBytes(60)]);
+    expect(isActionEnvelope(encrypted)).to.be.false;
+  });
+
+  it("Should reject unknown types, missing fields and malformed envelopes", function () {
+    expectThrow(
+      () => encodeActionEnvelope({ actionType: "mint", data: "0x" }),
+      "Actions: Unknown action type mint"
+    );
+    expectThrow(
+      () => encodeActionData("tokenTransfer", { token: target, to: target }),
+      "Actions: Missing tokenTransfer field amount"
+    );
+    expectThrow(
+      () => encodeActionData(ethers.id("custom"), {}),
+      "Actions: Only standard actions can be encoded from fields"
+    );
+    expectThrow(
+      () => decodeActionEnvelope(ethers.concat([ACTION_ENVELOPE_MAGIC, "0x1234"])),
+      "Actions: Malformed envelope"
+    );
+    expectThrow(() => decodeActionData("attestation", "0x1234"), "Actions: Malformed attestation data");
+  });
+});
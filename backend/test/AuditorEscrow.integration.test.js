@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const {
+  generateProof,
+  generateComplianceProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { addressToRecipient } = require("../scripts/key-registry");
+const {
+  AUDIT_SIGNALS,
+  generateAuditorKeyPair,
+  generateAuditProof,
+  formatAuditProof,
+  decryptAuditRecord,
+} = require("../scripts/auditor-escrow");
+const { LocalRelayer } = require("../scripts/relayer");
+const { EventStore } = require("../scripts/event-store");
+const { EventIndexer } = require("../scripts/indexer");
+const { buildLedger, toCsv } = require("../scripts/auditor");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("Auditor Escrow Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const AML_THRESHOLD = BigInt(10000);
+  const AUDIT_CIRCUIT = ethers.id("audit");
+  const encryptedPayload = ethers.toUtf8Bytes("compliant message");
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let carol;
+  let executor;
+  let shieldA;
+  let shieldB;
+  let auditVerifier;
+  let relayer;
+  let auditor;
+  let directory;
+
+  // The audit verifier is registered through the verifier timelock
+  async function registerAuditVerifier(shield) {
+    await shield.proposeVerifier(AUDIT_CIRCUIT, await auditVerifier.getAddress(), AUDIT_SIGNALS.length);
+    await ethers.provider.send("evm_increaseTime", [Number(await shield.VERIFIER_UPDATE_DELAY())]);
+    await shield.applyVerifier(AUDIT_CIRCUIT);
+  }
+
+  // Compliance proof for a note `sender` sends to `recipient`, and an audit proof escrowing it to `auditorKey`
+  async function prove({ nullifier, amount, recipient = bob.address, memo = "", auditorKey, sender = alice }) {
+    const note = {
+      secret: BigInt(123456789),
+      nullifier: BigInt(nullifier),
+      amount: BigInt(amount),
+      recipient: addressToRecipient(recipient),
+      recipientSalt: BigInt(nullifier) * BigInt(1000003),
+    };
+    const compliance = await generateComplianceProof({
+      ...note,
+      amlThreshold: AML_THRESHOLD,
+      extDataHash: computeExtDataHash({
+        sender: sender.address,
+        dstChainId: CHAIN_B,
+        destination: shieldB.target,
+        encryptedPayload,
+      }),
+    });
+    const solidityProof = formatProofForSolidity(compliance.proof, compliance.publicSignals);
+    if (!auditorKey) {
+      return { solidityProof };
+    }
+    const audit = await generateAuditProof({ ...note, memo, auditorKey });
+    return { solidityProof, auditProof: formatAuditProof(audit.proof, audit.publicSignals) };
+  }
+
+  function sendAudited(signer, { solidityProof, auditProof }) {
+    return shieldA
+      .connect(signer)
+      .sendAuditedPrivateMessage(
+        CHAIN_B,
+        shieldB.target,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals,
+        auditProof
+      );
+  }
+
+  function sendCompliant(signer, { solidityProof }) {
+    return shieldA
+      .connect(signer)
+      .sendCompliantPrivateMessage(
+        CHAIN_B,
+        shieldB.target,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+  }
+
+  async function auditRecords() {
+    const events = await shieldA.queryFilter(shieldA.filters.AuditRecord());
+    return events.map((event) => ({
+      messageHash: event.args.messageHash,
+      auditorKey: event.args.auditorKey.map(String),
+      ephemeralKey: event.args.ephemeralKey.map(String),
+      ciphertext: event.args.ciphertext.map(String),
+    }));
+  }
+
+  before(async function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "rayls-auditor-"));
+    auditor = await generateAuditorKeyPair();
+  });
+
+  after(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [, alice, bob, carol, executor] = await ethers.getSigners();
+
+    auditVerifier = await deploy("contracts/AuditVerifier.sol:Groth16Verifier");
+    const endpointA = await deploy("MockRaylsEndpoint");
+    const endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+    await shieldA.setAmlThreshold(CHAIN_B, AML_THRESHOLD);
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+  });
+
+  it("Should only accept an auditor key once the audit verifier is registered", async function () {
+    await expect(shieldA.setAuditorKey(auditor.publicKey)).to.be.revertedWith("RaylsShield: No audit verifier");
+
+    await registerAuditVerifier(shieldA);
+    await expect(shieldA.connect(alice).setAuditorKey(auditor.publicKey)).to.be.revertedWithCustomError(
+      shieldA,
+      "OwnableUnauthorizedAccount"
+    );
+    await expect(shieldA.setAuditorKey([1, 2])).to.be.revertedWith("RaylsShield: Invalid auditor key");
+    await expect(shieldA.setAuditorKey([0, 1])).to.be.revertedWith("RaylsShield: Invalid auditor key");
+
+    await expect(shieldA.setAuditorKey(auditor.publicKey))
+      .to.emit(shieldA, "AuditorKeyUpdated")
+      .withArgs([0, 0], auditor.publicKey.map(BigInt));
+    expect((await shieldA.auditorKey()).map(String)).to.deep.equal(auditor.publicKey);
+  });
+
+  it("Should escrow compliant sends to the auditor while a key is set", async function () {
+    await registerAuditVerifier(shieldA);
+    await shieldA.setAuditorKey(auditor.publicKey);
+
+    const message = await prove({ nullifier: 1, amount: 9000, memo: "invoice #42", auditorKey: auditor.publicKey });
+    await expect(sendCompliant(alice, message)).to.be.revertedWith("RaylsShield: Audit proof required");
+
+    // The audit proof must match the message, the current key and its own ciphertext
+    const other = await prove({ nullifier: 2, amount: 9000, auditorKey: auditor.publicKey });
+    await expect(sendAudited(alice, { ...message, auditProof: other.auditProof })).to.be.revertedWith(
+      "RaylsShield: Audit proof mismatch"
+    );
+    const stranger = await generateAuditorKeyPair();
+    const toStranger = await prove({ nullifier: 1, amount: 9000, auditorKey: stranger.publicKey });
+    await expect(sendAudited(alice, { ...message, auditProof: toStranger.auditProof })).to.be.revertedWith(
+      "RaylsShield: Audit proof mismatch"
+    );
+    const tampered = { ...message.auditProof, publicSignals: [...message.auditProof.publicSignals] };
+    tampered.publicSignals[6] = BigInt(tampered.publicSignals[6]) + BigInt(1);
+    await expect(sendAudited(alice, { ...message, auditProof: tampered })).to.be.revertedWith(
+      "RaylsShield: Invalid audit proof"
+    );
+
+    const messageHash = await shieldA.computeMessageHash(alice.address, await shieldA.messageNonces(alice.address));
+    await expect(sendAudited(alice, message))
+      .to.emit(shieldA, "PrivateMessageSent")
+      .and.to.emit(shieldA, "AuditRecord");
+    const [result] = await relayer.poll();
+    expect(result.status).to.equal("delivered");
+
+    // Only the auditor can read the record
+    const [record] = await auditRecords();
+    expect(record.messageHash).to.equal(messageHash);
+    expect(await decryptAuditRecord(record, auditor.privateKey)).to.deep.equal({
+      amount: BigInt(9000),
+      recipient: bob.address,
+      memo: "invoice #42",
+    });
+    const guessed = await decryptAuditRecord({ ...record, auditorKey: stranger.publicKey }, stranger.privateKey);
+    expect(guessed.amount).to.not.equal(BigInt(9000));
+    await expect(decryptAuditRecord(record, stranger.privateKey)).to.be.rejectedWith(
+      "Auditor: Record is for another auditor key"
+    );
+
+    // Turning escrow off restores plain compliant sends
+    await shieldA.setAuditorKey([0, 0]);
+    const plain = await prove({ nullifier: 3, amount: 100, auditorKey: auditor.publicKey });
+    await expect(sendAudited(alice, plain)).to.be.revertedWith("RaylsShield: No auditor key");
+    await expect(sendCompliant(alice, plain)).to.emit(shieldA, "PrivateMessageSent");
+  });
+
+  it("Should refuse every send without an audit proof while a key is set", async function () {
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123),
+      nullifier: BigInt(4),
+      recipient: addressToRecipient(bob.address),
+      amount: BigInt(100),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        destination: shieldB.target,
+        encryptedPayload,
+      }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+    const resourceId = ethers.id("shield");
+    const message = { dstChainId: CHAIN_B, encryptedPayload, pA: a, pB: b, pC: c, publicSignals: signals };
+    const sends = [
+      () => shieldA.connect(alice).sendPrivateMessage(CHAIN_B, shieldB.target, encryptedPayload, a, b, c, signals),
+      () => shieldA.connect(alice).sendPrivateMessageToResource(CHAIN_B, resourceId, encryptedPayload, a, b, c, signals),
+      () => shieldA.connect(alice).sendPrivateMessageBatch([{ ...message, destination: shieldB.target }]),
+      () => shieldA.connect(alice).sendPrivateMessageBatchToResource([{ ...message, resourceId }]),
+    ];
+
+    await registerAuditVerifier(shieldA);
+    await shieldA.setAuditorKey(auditor.publicKey);
+    for (const send of sends) {
+      await expect(send()).to.be.revertedWith("RaylsShield: Audit proof required");
+    }
+
+    await shieldA.setAuditorKey([0, 0]);
+    await expect(sends[0]()).to.emit(shieldA, "PrivateMessageSent");
+  });
+
+  it("Should export a decrypted ledger from indexed events", async function () {
+    const rotated = await generateAuditorKeyPair();
+    await registerAuditVerifier(shieldA);
+
+    await shieldA.setAuditorKey(auditor.publicKey);
+    await sendAudited(alice, await prove({ nullifier: 4, amount: 1500, memo: "trade, \"Q3\"", auditorKey: auditor.publicKey }));
+    await shieldA.setAuditorKey(rotated.publicKey);
+    await sendAudited(carol, await prove({ nullifier: 5, amount: 2500, recipient: carol.address, auditorKey: rotated.publicKey, sender: carol }));
+
+    const file = path.join(directory, "events.json");
+    const indexer = new EventIndexer(
+      [{ chainId: CHAIN_A, shield: await shieldA.getAddress(), provider: ethers.provider }],
+      { store: new EventStore({ file }), confirmations: 0, logger: silentLogger }
+    );
+    await indexer.index();
+
+    const { entries, skipped } = await buildLedger(indexer.store, [auditor.privateKey, rotated.privateKey]);
+    expect(skipped).to.have.lengthOf(0);
+    expect(entries.map(({ sender, amount, recipient, memo, dstChainId }) => ({ sender, amount, recipient, memo, dstChainId }))).to.deep.equal([
+      { sender: alice.address, amount: "1500", recipient: bob.address, memo: "trade, \"Q3\"", dstChainId: String(CHAIN_B) },
+      { sender: carol.address, amount: "2500", recipient: carol.address, memo: "", dstChainId: String(CHAIN_B) },
+    ]);
+    const [sent] = indexer.store.query({ name: "PrivateMessageSent" });
+    expect(entries[0].nullifierHash).to.equal(sent.args.nullifierHash);
+
+    // Records escrowed to keys the auditor does not hold are reported, not guessed at
+    const partial = await buildLedger(indexer.store, [rotated.privateKey]);
+    expect(partial.entries.map((entry) => entry.amount)).to.deep.equal(["2500"]);
+    expect(partial.skipped).to.have.lengthOf(1);
+
+    const csv = toCsv(entries).trim().split("\n");
+    expect(csv[0]).to.equal(
+      "chainId,shield,messageHash,dstChainId,sender,nullifierHash,amount,recipient,memo,blockNumber,timestamp,transactionHash"
+    );
+    expect(csv[1]).to.include(`,1500,${bob.address},"trade, ""Q3""",`);
+
+    // The CLI exports the same ledger from the indexer's file
+    const exported = await new Promise((resolve, reject) => {
+      execFile(
+        process.execPath,
+        [path.join(__dirname, "../scripts/auditor.js"), "export", "--format", "json"],
+        {
+          env: { ...process.env, AUDITOR_EVENTS: file, AUDITOR_ESCROW_KEYS: `${auditor.privateKey},${rotated.privateKey}` },
+          timeout: 60000,
+        },
+        (error, stdout) => (error ? reject(error) : resolve(JSON.parse(stdout)))
+      );
+    });
+    expect(exported).to.deep.equal(entries);
+  });
+});
@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+  computeMessageHash,
+} = require("../scripts/generate-proof");
+const { generateViewingKeyPair, encryptPayload } = require("../scripts/payload-encryption");
+const { LocalRelayer } = require("../scripts/relayer");
+const { deployShield } = require("./helpers/deploy");
+
+describe("Batched Private Sends", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const BATCH_SIZE = 4;
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let relayer;
+  let bobKeys;
+
+  /**
+   * Prove one message for a batch
+   * @param {bigint} nullifier - Note nullifier
+   * @param {Object} target - { destination } or { resourceId }
+   * @returns {Promise<Object>} PrivateMessageRequest or PrivateResourceMessageRequest
+   */
+  async function proveMessage(nullifier, target) {
+    const encryptedPayload = encryptPayload(ethers.toUtf8Bytes(`message ${nullifier}`), bobKeys.publicKey);
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier,
+      recipient: BigInt(bob.address),
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        ...target,
+        encryptedPayload,
+      }),
+    });
+    const solidityProof = formatProofForSolidity(proof, publicSignals);
+    return {
+      dstChainId: CHAIN_B,
+      ...target,
+      encryptedPayload,
+      pA: solidityProof.a,
+      pB: solidityProof.b,
+      pC: solidityProof.c,
+      publicSignals: solidityProof.publicSignals,
+    };
+  }
+
+  function nullifierHashOf(message) {
+    return ethers.toBeHex(message.publicSignals[0], 32);
+  }
+
+  before(async function () {
+    [, alice, bob, executor] = await ethers.getSigners();
+    bobKeys = generateViewingKeyPair();
+  });
+
+  beforeEach(async function () {
+    const MockEndpoint = await ethers.getContractFactory("MockRaylsEndpoint");
+    endpointA = await MockEndpoint.deploy();
+    endpointB = await MockEndpoint.deploy();
+    await endpointA.waitForDeployment();
+    await endpointB.waitForDeployment();
+    await endpointB.addTrustedExecutor(executor.address);
+
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+  });
+
+  describe("Sending", function () {
+    it("Should send and deliver a batch with one endpoint call", async function () {
+      const destination = await shieldB.getAddress();
+      const messages = await Promise.all(
+        Array.from({ length: BATCH_SIZE }, (_, i) => proveMessage(BigInt(10 + i), { destination }))
+      );
+
+      const expectedHashes = await shieldA.connect(alice).sendPrivateMessageBatch.staticCall(messages);
+      const receipt = await (await shieldA.connect(alice).sendPrivateMessageBatch(messages)).wait();
+
+      const sent = receipt.logs
+        .map((log) => {
+          try {
+            return shieldA.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .filter((parsed) => parsed && parsed.name === "PrivateMessageSent");
+      expect(sent).to.have.lengthOf(BATCH_SIZE);
+      for (const [i, event] of sent.entries()) {
+        expect(event.args.nullifierHash).to.equal(nullifierHashOf(messages[i]));
+        expect(event.args.sender).to.equal(alice.address);
+        expect(event.args.messageHash).to.equal(expectedHashes[i]);
+        expect(event.args.messageHash).to.equal(
+          computeMessageHash({
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            shield: await shieldA.getAddress(),
+            sender: alice.address,
+            nonce: i,
+          })
+        );
+        expect(await shieldA.verifiedMessages(event.args.messageHash)).to.be.true;
+        expect(await shieldA.isNullifierUsed(nullifierHashOf(messages[i]))).to.be.true;
+      }
+
+      const endpointEvents = await endpointA.queryFilter(endpointA.filters.MessageSent(), receipt.blockNumber);
+      expect(endpointEvents).to.have.lengthOf(BATCH_SIZE);
+
+      const results = await relayer.poll();
+      expect(results.map((result) => result.status)).to.deep.equal(Array(BATCH_SIZE).fill("delivered"));
+      for (const message of messages) {
+        expect(await shieldB.isNullifierUsed(nullifierHashOf(message))).to.be.true;
+      }
+    });
+
+    it("Should send a batch to resourceIds", async function () {
+      const resourceId = ethers.keccak256(ethers.toUtf8Bytes("shield-b"));
+      await endpointB.registerResourceId(resourceId, await shieldB.getAddress());
+      const messages = await Promise.all([
+        proveMessage(BigInt(20), { resourceId }),
+        proveMessage(BigInt(21), { resourceId }),
+      ]);
+
+      await shieldA.connect(alice).sendPrivateMessageBatchToResource(messages);
+
+      const results = await relayer.poll();
+      expect(results).to.have.lengthOf(2);
+      for (const result of results) {
+        expect(result.status).to.equal("delivered");
+        expect(result.destination).to.equal(await shieldB.getAddress());
+      }
+    });
+
+    it("Should pay the endpoint fee for every message", async function () {
+      const fee = ethers.parseEther("0.001");
+      await endpointA.setFee(fee);
+      const destination = await shieldB.getAddress();
+      const messages = await Promise.all([
+        proveMessage(BigInt(30), { destination }),
+        proveMessage(BigInt(31), { destination }),
+      ]);
+
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch(messages, { value: fee })
+      ).to.be.revertedWith("MockRaylsEndpoint: Insufficient fee");
+
+      await shieldA.connect(alice).sendPrivateMessageBatch(messages, { value: fee * 2n });
+      expect(await ethers.provider.getBalance(await endpointA.getAddress())).to.equal(fee * 2n);
+    });
+  });
+
+  describe("Atomicity", function () {
+    it("Should reject an empty batch", async function () {
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch([])
+      ).to.be.revertedWith("RaylsShield: Empty batch");
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatchToResource([])
+      ).to.be.revertedWith("RaylsShield: Empty batch");
+    });
+
+    it("Should revert the whole batch when one proof is invalid", async function () {
+      const destination = await shieldB.getAddress();
+      const [valid, invalid] = await Promise.all([
+        proveMessage(BigInt(40), { destination }),
+        proveMessage(BigInt(41), { destination }),
+      ]);
+      invalid.pA = [invalid.pA[0], (BigInt(invalid.pA[1]) + 1n).toString()];
+
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch([valid, invalid])
+      ).to.be.revertedWith("RaylsShield: Invalid ZK proof");
+      expect(await shieldA.isNullifierUsed(nullifierHashOf(valid))).to.be.false;
+
+      // Payloads are bound by the proofs, so a swapped payload fails too
+      const tampered = { ...valid, encryptedPayload: invalid.encryptedPayload };
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch([tampered])
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+
+    it("Should reject nullifiers spent earlier or repeated in the batch", async function () {
+      const destination = await shieldB.getAddress();
+      const [first, second] = await Promise.all([
+        proveMessage(BigInt(50), { destination }),
+        proveMessage(BigInt(51), { destination }),
+      ]);
+
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch([first, second, first])
+      ).to.be.revertedWith("RaylsShield: Nullifier already used");
+      expect(await shieldA.isNullifierUsed(nullifierHashOf(first))).to.be.false;
+
+      await shieldA.connect(alice).sendPrivateMessage(
+        first.dstChainId,
+        first.destination,
+        first.encryptedPayload,
+        first.pA,
+        first.pB,
+        first.pC,
+        first.publicSignals
+      );
+      await expect(
+        shieldA.connect(alice).sendPrivateMessageBatch([second, first])
+      ).to.be.revertedWith("RaylsShield: Nullifier already used");
+      expect(await shieldA.isNullifierUsed(nullifierHashOf(second))).to.be.false;
+    });
+  });
+
+  describe("Gas", function () {
+    it("Should cost less than the same messages sent one by one", async function () {
+      // The proofs do not commit to the source shield, so one set of messages can be sent
+      // individually from one shield and as a batch from another
+      const singleShield = await deployShield(endpointA);
+      const destination = await shieldB.getAddress();
+      const messages = await Promise.all(
+        Array.from({ length: BATCH_SIZE }, (_, i) => proveMessage(BigInt(60 + i), { destination }))
+      );
+
+      let singleGas = 0n;
+      for (const message of messages) {
+        const tx = await singleShield.connect(alice).sendPrivateMessage(
+          message.dstChainId,
+          message.destination,
+          message.encryptedPayload,
+          message.pA,
+          message.pB,
+          message.pC,
+          message.publicSignals
+        );
+        singleGas += (await tx.wait()).gasUsed;
+      }
+
+      const batchTx = await shieldA.connect(alice).sendPrivateMessageBatch(messages);
+      const batchGas = (await batchTx.wait()).gasUsed;
+
+      // Every transaction pays 21000 intrinsic gas, so a batch saves at least (N - 1) of it
+      expect(batchGas).to.be.lessThan(singleGas - 21000n * BigInt(BATCH_SIZE - 1));
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const { expect } = require("chai");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { ArtifactRegistry, defaultArtifactRegistry } = require("../scripts/circuit-artifacts");
+const {
+  buildPrivacyInputs,
+  generateProof,
+  generateComplianceProof,
+  proveCircuit,
+  verifyProof,
+} = require("../scripts/generate-proof");
+const { randomNote } = require("../scripts/notes");
+
+describe("Circuit Artifacts", function () {
+  const CIRCUITS_DIR = path.join(__dirname, "../circuits");
+  const recipient = BigInt(ethers.Wallet.createRandom().address);
+
+  async function expectReject(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (err) {
+      error = err;
+    }
+    expect(error, "expected an error").to.not.be.undefined;
+    expect(error.message).to.equal(message);
+  }
+
+  function sha256(bytes) {
+    return ethers.sha256(bytes).slice(2);
+  }
+
+  // fetch stand-in serving bytes by URL and counting requests
+  function countingFetch(files) {
+    const requests = [];
+    const fetch = async (url) => {
+      requests.push(url);
+      const body = files[url];
+      return {
+        ok: body !== undefined,
+        status: body === undefined ? 404 : 200,
+        arrayBuffer: async () => body,
+      };
+    };
+    return { fetch, requests };
+  }
+
+  describe("Registry", function () {
+    const wasm = new Uint8Array([1, 2, 3]);
+    const zkey = new Uint8Array([4, 5, 6]);
+
+    it("Should load in-memory artifacts that match their hashes", async function () {
+      const registry = new ArtifactRegistry().register("privacy", "1", {
+        wasm,
+        zkey,
+        sha256: { wasm: sha256(wasm), zkey: "0x" + sha256(zkey) },
+      });
+
+      const loaded = await registry.load("privacy");
+      expect(loaded.version).to.equal("1");
+      expect(loaded.wasm).to.equal(wasm);
+      expect(loaded.zkey).to.equal(zkey);
+    });
+
+    it("Should reject artifacts that do not match the manifest", async function () {
+      const registry = new ArtifactRegistry({ requireHashes: false }).register("privacy", "1", {
+        wasm,
+        zkey,
+        sha256: { wasm: sha256(zkey) },
+      });
+      await expectReject(registry.load("privacy"), "ArtifactRegistry: SHA-256 mismatch for privacy@1 wasm");
+
+      const strict = new ArtifactRegistry().register("privacy", "1", {
+        wasm,
+        zkey,
+        sha256: { wasm: sha256(wasm) },
+      });
+      await expectReject(strict.load("privacy"), "ArtifactRegistry: No SHA-256 for privacy@1 zkey");
+
+      const unchecked = new ArtifactRegistry({ requireHashes: false }).register("privacy", "1", { wasm, zkey });
+      expect((await unchecked.load("privacy")).zkey).to.equal(zkey);
+    });
+
+    it("Should check local files against the manifest", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "artifacts-"));
+      try {
+        fs.writeFileSync(path.join(dir, "privacy.wasm"), wasm);
+        fs.writeFileSync(path.join(dir, "privacy.zkey"), zkey);
+        const manifest = {
+          circuits: {
+            privacy: {
+              current: "1",
+              versions: {
+                1: { wasm: "privacy.wasm", zkey: "privacy.zkey", sha256: { wasm: sha256(wasm), zkey: sha256(zkey) } },
+              },
+            },
+          },
+        };
+        fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest));
+
+        const registry = ArtifactRegistry.fromManifestFile(path.join(dir, "manifest.json"));
+        expect((await registry.load("privacy")).wasm).to.deep.equal(wasm);
+
+        // Replaced on disk after pinning
+        fs.writeFileSync(path.join(dir, "privacy.zkey"), wasm);
+        registry.clear();
+        await expectReject(registry.load("privacy"), "ArtifactRegistry: SHA-256 mismatch for privacy@1 zkey");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should pin only the verification keys in the committed manifest", function () {
+      const manifest = JSON.parse(fs.readFileSync(path.join(CIRCUITS_DIR, "manifest.json"), "utf8"));
+      for (const [name, circuit] of Object.entries(manifest.circuits)) {
+        for (const [version, entry] of Object.entries(circuit.versions)) {
+          expect(Object.keys(entry.sha256), `${name}@${version}`).to.deep.equal(["vkey"]);
+          expect(entry.sha256.vkey, `${name}@${version} vkey`).to.match(/^[0-9a-f]{64}$/);
+        }
+      }
+    });
+
+    it("Should select circuit versions", async function () {
+      const registry = new ArtifactRegistry({
+        manifest: {
+          circuits: {
+            privacy: {
+              current: "1",
+              versions: {
+                1: { wasm: "v1.wasm", zkey: "v1.zkey" },
+                2: { wasm: "v2.wasm", zkey: "v2.zkey" },
+              },
+            },
+          },
+        },
+        base: "https://cdn.example/circuits",
+        fetch: countingFetch({}).fetch,
+      });
+
+      expect(registry.versions("privacy")).to.deep.equal(["1", "2"]);
+      expect(registry.resolve("privacy").version).to.equal("1");
+      expect(registry.resolve("privacy", 2).entry.zkey).to.equal("v2.zkey");
+      expect(() => registry.resolve("privacy", 3)).to.throw("ArtifactRegistry: Unknown version privacy@3");
+      expect(() => registry.resolve("disclosure")).to.throw("ArtifactRegistry: Unknown circuit disclosure");
+
+      registry.register("privacy", "3", { wasm, zkey });
+      expect(registry.resolve("privacy").version).to.equal("3");
+    });
+
+    it("Should fetch URLs once and share concurrent loads", async function () {
+      const { fetch, requests } = countingFetch({
+        "https://cdn.example/circuits/privacy.wasm": wasm.buffer,
+        "https://cdn.example/circuits/privacy.zkey": zkey.buffer,
+      });
+      const registry = new ArtifactRegistry({ base: "https://cdn.example/circuits", fetch }).register(
+        "privacy",
+        "1",
+        { wasm: "privacy.wasm", zkey: "privacy.zkey", sha256: { wasm: sha256(wasm), zkey: sha256(zkey) } }
+      );
+
+      const [first, second] = await Promise.all([registry.load("privacy"), registry.load("privacy")]);
+      await registry.load("privacy");
+      expect(first).to.equal(second);
+      expect(requests).to.have.lengthOf(2);
+
+      registry.clear();
+      await registry.load("privacy");
+      expect(requests).to.have.lengthOf(4);
+    });
+
+    it("Should report missing files and retry after a failure", async function () {
+      const { fetch, requests } = countingFetch({});
+      const registry = new ArtifactRegistry({ base: "https://cdn.example", fetch }).register("privacy", "1", {
+        wasm: "privacy.wasm",
+        zkey,
+        sha256: { wasm: sha256(wasm), zkey: sha256(zkey) },
+      });
+      const failure = "ArtifactRegistry: Failed to fetch privacy@1 wasm from https://cdn.example/privacy.wasm (404)";
+      await expectReject(registry.load("privacy"), failure);
+      await expectReject(registry.load("privacy"), failure);
+      expect(requests).to.have.lengthOf(2);
+
+      const onDisk = new ArtifactRegistry({ base: CIRCUITS_DIR }).register("privacy", "1", {
+        wasm: "missing.wasm",
+        zkey,
+        sha256: { wasm: sha256(wasm), zkey: sha256(zkey) },
+      });
+      await expectReject(
+        onDisk.load("privacy"),
+        `ArtifactRegistry: Missing privacy@1 wasm at ${path.join(CIRCUITS_DIR, "missing.wasm")}`
+      );
+    });
+  });
+
+  describe("Proving", function () {
+    it("Should prove and verify every circuit in the manifest", async function () {
+      const registry = defaultArtifactRegistry();
+      expect(registry.versions("privacy")).to.deep.equal(["1"]);
+
+      const note = randomNote(100);
+      const privacy = await generateProof({ ...note, recipient });
+      expect(await verifyProof(privacy.proof, privacy.publicSignals)).to.be.true;
+
+      const compliance = await generateComplianceProof({ ...note, recipient, amlThreshold: BigInt(1000) });
+      expect(await verifyProof(compliance.proof, compliance.publicSignals, { circuit: "compliance" })).to.be.true;
+      expect(await verifyProof(compliance.proof, compliance.publicSignals)).to.be.false;
+    });
+
+    it("Should check explicitly passed artifacts against their hashes", async function () {
+      const files = {
+        wasm: path.join(CIRCUITS_DIR, "privacy.wasm"),
+        zkey: path.join(CIRCUITS_DIR, "privacy.zkey"),
+      };
+      const note = { ...randomNote(5), recipient };
+
+      await expectReject(
+        generateProof(note, { artifacts: files }),
+        "ArtifactRegistry: No SHA-256 for privacy@explicit wasm"
+      );
+      const { wasm, zkey } = await defaultArtifactRegistry().hashes("privacy");
+      await expectReject(
+        generateProof(note, { artifacts: { ...files, sha256: { wasm: zkey, zkey } } }),
+        "ArtifactRegistry: SHA-256 mismatch for privacy@explicit wasm"
+      );
+
+      const { proof, publicSignals } = await generateProof(note, { artifacts: { ...files, sha256: { wasm, zkey } } });
+      expect(await verifyProof(proof, publicSignals)).to.be.true;
+    });
+
+    it("Should check the zkey and the proofs against the pinned verification key", async function () {
+      const { vkey } = await defaultArtifactRegistry().hashes("privacy");
+      const swapped = new ArtifactRegistry({ base: CIRCUITS_DIR }).register("privacy", "1", {
+        wasm: "privacy.wasm",
+        zkey: "compliance.zkey",
+        vkey: "privacy.vkey.json",
+        sha256: { vkey },
+      });
+      await expectReject(
+        swapped.load("privacy"),
+        "ArtifactRegistry: zkey of privacy@1 does not match its verification key"
+      );
+
+      // Stands in for a wasm of another build: its proofs do not verify against the key
+      const { wasm, zkey } = await defaultArtifactRegistry().load("privacy");
+      const otherKey = await defaultArtifactRegistry().verificationKey("compliance");
+      const { inputs } = await buildPrivacyInputs({ ...randomNote(5), recipient });
+      await expectReject(
+        proveCircuit(inputs, { wasm, zkey, vkey: otherKey }, { circuit: "privacy" }),
+        "Proof does not verify against the privacy verification key"
+      );
+    });
+
+    it("Should export the verification key when the manifest entry has no vkey", async function () {
+      const { wasm, zkey } = await defaultArtifactRegistry().hashes("privacy");
+      const registry = new ArtifactRegistry({ base: CIRCUITS_DIR }).register("privacy", "1", {
+        wasm: "privacy.wasm",
+        zkey: "privacy.zkey",
+        sha256: { wasm, zkey },
+      });
+
+      const exported = await registry.verificationKey("privacy");
+      const onDisk = await defaultArtifactRegistry().verificationKey("privacy");
+      expect(exported.vk_delta_2).to.deep.equal(onDisk.vk_delta_2);
+      expect(exported.IC).to.deep.equal(onDisk.IC);
+    });
+
+    it("Should prove with artifacts served over HTTP under a pinned verification key", async function () {
+      const { vkey } = await defaultArtifactRegistry().hashes("privacy");
+      const server = http.createServer((req, res) => {
+        const file = path.join(CIRCUITS_DIR, path.basename(req.url));
+        if (!fs.existsSync(file)) {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200).end(fs.readFileSync(file));
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const base = `http://127.0.0.1:${server.address().port}/circuits/`;
+        const registry = new ArtifactRegistry({ base }).register("privacy", "1", {
+          wasm: "privacy.wasm",
+          zkey: "privacy.zkey",
+          vkey: "privacy.vkey.json",
+          sha256: { vkey },
+        });
+
+        const { proof, publicSignals } = await generateProof({ ...randomNote(5), recipient }, { registry });
+        expect(await verifyProof(proof, publicSignals, { registry })).to.be.true;
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateComplianceProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("RaylsShield Compliance Integration Tests", function () {
+  let raylsShield;
+  let alice;
+  let bob;
+  let attacker;
+
+  const dstChainId = 2;
+  const amlThreshold = BigInt(10000);
+  const encryptedPayload = ethers.toUtf8Bytes("compliant message");
+
+  // Proof for a message from alice to bob on `chainId`
+  async function proveCompliance({ secret, nullifier, amount, threshold = amlThreshold, chainId = dstChainId }) {
+    const recipient = BigInt("0x" + bob.address.slice(2).padStart(64, "0"));
+    const { proof, publicSignals } = await generateComplianceProof({
+      secret,
+      nullifier,
+      recipient,
+      amount,
+      amlThreshold: threshold,
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: chainId,
+        destination: bob.address,
+        encryptedPayload,
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  function sendCompliant(signer, solidityProof, chainId = dstChainId) {
+    return raylsShield.connect(signer).sendCompliantPrivateMessage(
+      chainId,
+      bob.address,
+      encryptedPayload,
+      solidityProof.a,
+      solidityProof.b,
+      solidityProof.c,
+      solidityProof.publicSignals
+    );
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, attacker] = await ethers.getSigners();
+
+    const mockEndpoint = await deploy("MockRaylsEndpoint");
+    raylsShield = await deployShield(mockEndpoint);
+
+    await raylsShield.setAmlThreshold(dstChainId, amlThreshold);
+  });
+
+  describe("AML Threshold Policy", function () {
+    it("Should store the threshold and emit an event", async function () {
+      expect(await raylsShield.amlThresholds(dstChainId)).to.equal(amlThreshold);
+
+      await expect(raylsShield.setAmlThreshold(dstChainId, 5000))
+        .to.emit(raylsShield, "AmlThresholdUpdated")
+        .withArgs(dstChainId, amlThreshold, 5000);
+    });
+
+    it("Should only allow the owner to set a threshold", async function () {
+      await expect(
+        raylsShield.connect(attacker).setAmlThreshold(dstChainId, BigInt(2) ** BigInt(60))
+      ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject thresholds the circuit cannot range-check", async function () {
+      await expect(
+        raylsShield.setAmlThreshold(dstChainId, BigInt(2) ** BigInt(64))
+      ).to.be.revertedWith("RaylsShield: AML threshold too large");
+    });
+  });
+
+  describe("Compliant Send", function () {
+    it("Should send an amount under the threshold", async function () {
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(9999),
+      });
+
+      await expect(sendCompliant(alice, solidityProof))
+        .to.emit(raylsShield, "PrivateMessageSent")
+        .and.to.emit(raylsShield, "NullifierSpent");
+
+      const nullifierHash = ethers.toBeHex(solidityProof.publicSignals[0], 32);
+      expect(await raylsShield.isNullifierUsed(nullifierHash)).to.be.true;
+    });
+
+    it("Should refuse to prove an amount over the threshold", async function () {
+      let error;
+      try {
+        await proveCompliance({ secret: BigInt(111), nullifier: BigInt(222), amount: BigInt(10001) });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an("error");
+      expect(error.message).to.equal("Amount must be greater than 0 and below the AML threshold");
+    });
+
+    it("Should reject a proof against a self-chosen threshold", async function () {
+      // A valid proof for 50,000 under a limit of 100,000 the sender picked
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(50000),
+        threshold: BigInt(100000),
+      });
+
+      await expect(sendCompliant(alice, solidityProof)).to.be.revertedWith(
+        "RaylsShield: AML threshold mismatch"
+      );
+    });
+
+    it("Should reject a chain with no configured threshold", async function () {
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(500),
+        chainId: 3,
+      });
+
+      await expect(sendCompliant(alice, solidityProof, 3)).to.be.revertedWith(
+        "RaylsShield: No AML threshold for chain"
+      );
+    });
+
+    it("Should reject a proof bound to another message", async function () {
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(500),
+      });
+
+      // Copied from the mempool by another sender
+      await expect(sendCompliant(attacker, solidityProof)).to.be.revertedWith(
+        "RaylsShield: External data hash mismatch"
+      );
+
+      // Or sent with another payload
+      await expect(
+        raylsShield.connect(alice).sendCompliantPrivateMessage(
+          dstChainId,
+          bob.address,
+          ethers.toUtf8Bytes("other message"),
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+
+      await expect(sendCompliant(alice, solidityProof)).to.emit(raylsShield, "PrivateMessageSent");
+    });
+
+    it("Should reject a tampered proof", async function () {
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(500),
+      });
+      const signals = [...solidityProof.publicSignals];
+      signals[1] = "12345";
+
+      await expect(
+        sendCompliant(alice, { ...solidityProof, publicSignals: signals })
+      ).to.be.revertedWith("RaylsShield: Invalid compliance proof");
+    });
+
+    it("Should reject a reused nullifier", async function () {
+      const solidityProof = await proveCompliance({
+        secret: BigInt(111),
+        nullifier: BigInt(222),
+        amount: BigInt(500),
+      });
+
+      await sendCompliant(alice, solidityProof);
+      await expect(sendCompliant(alice, solidityProof)).to.be.revertedWith(
+        "RaylsShield: Nullifier already used"
+      );
+    });
+  });
+});
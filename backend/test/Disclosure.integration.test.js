@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { addressToRecipient } = require("../scripts/key-registry");
+const { generateViewingKeyPair, encryptPayloadWithSalt } = require("../scripts/payload-encryption");
+const {
+  createDisclosure,
+  verifyDisclosure,
+  encryptDisclosure,
+  decryptDisclosure,
+} = require("../scripts/disclosure");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("Selective Disclosure Integration Tests", function () {
+  const CHAIN_B = 200;
+  const SECRET = BigInt(123456789);
+  const AMOUNT = BigInt(2500);
+
+  let alice;
+  let bob;
+  let shield;
+  let auditor;
+  let note;
+  let sent;
+  let directory;
+
+  function runCli(args, env = {}) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [path.join(__dirname, "../scripts/verify-disclosure.js"), ...args],
+        { env: { ...process.env, ...env }, timeout: 60000 },
+        (error, stdout) => resolve({ code: error ? error.code : 0, stdout })
+      );
+    });
+  }
+
+  before(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "rayls-disclosure-"));
+
+    const endpoint = await deploy("MockRaylsEndpoint");
+    shield = await deployShield(endpoint);
+
+    // Alice sends Bob a private message with a salted recipient hash
+    const destination = ethers.Wallet.createRandom().address;
+    const { encryptedPayload, recipientSalt } = encryptPayloadWithSalt(
+      ethers.toUtf8Bytes("invoice #42"),
+      generateViewingKeyPair().publicKey
+    );
+    note = { secret: SECRET, nullifier: BigInt(77), amount: AMOUNT, recipient: bob.address, recipientSalt };
+    const { proof, publicSignals } = await generateProof({
+      ...note,
+      recipient: addressToRecipient(bob.address),
+      extDataHash: computeExtDataHash({ sender: alice.address, dstChainId: CHAIN_B, destination, encryptedPayload }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+    const tx = await shield.connect(alice).sendPrivateMessage(CHAIN_B, destination, encryptedPayload, a, b, c, signals);
+    const receipt = await tx.wait();
+    const event = receipt.logs.map((log) => shield.interface.parseLog(log)).find((log) => log && log.name === "PrivateMessageSent");
+
+    sent = {
+      transactionHash: receipt.hash,
+      nullifierHash: event.args.nullifierHash,
+      commitment: ethers.toBeHex(publicSignals[1], 32),
+      recipientHash: ethers.toBeHex(publicSignals[2], 32),
+    };
+    auditor = generateViewingKeyPair();
+  });
+
+  after(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should prove the amount, recipient and range of an on-chain message", async function () {
+    const statement = await createDisclosure(
+      { ...note, disclose: { amount: true, recipient: true, amountRange: { min: 1000, max: 5000 } } },
+      { auditor: auditor.publicKey, reference: "audit 2026-Q3 #17", message: { transactionHash: sent.transactionHash } }
+    );
+
+    const { valid, errors, facts } = await verifyDisclosure(statement, { auditor: auditor.publicKey });
+    expect(errors).to.deep.equal([]);
+    expect(valid).to.be.true;
+    expect(facts.commitment).to.equal(sent.commitment);
+    expect(facts.nullifierHash).to.equal(sent.nullifierHash);
+    expect(facts.recipientHash).to.equal(sent.recipientHash);
+    expect(facts.disclosed).to.deep.equal({
+      amount: AMOUNT.toString(),
+      recipient: bob.address,
+      amountRange: { min: "1000", max: "5000" },
+    });
+
+    // A range alone reveals neither the amount nor the recipient
+    const rangeOnly = await createDisclosure({ ...note, disclose: { amountRange: { min: 0, max: 10000 } } });
+    const rangeResult = await verifyDisclosure(rangeOnly);
+    expect(rangeResult.valid).to.be.true;
+    expect(rangeResult.facts.disclosed).to.deep.equal({
+      amount: null,
+      recipient: null,
+      amountRange: { min: "0", max: "10000" },
+    });
+    expect(rangeOnly.publicSignals.slice(4, 6)).to.deep.equal(["0", "0"]);
+
+    await expect(
+      createDisclosure({ ...note, disclose: { amountRange: { min: 3000, max: 5000 } } })
+    ).to.be.rejectedWith("Disclosure: Amount is outside the range");
+    await expect(createDisclosure({ ...note, disclose: {} })).to.be.rejectedWith("Disclosure: Nothing to disclose");
+  });
+
+  it("Should reject altered claims and statements made for another auditor", async function () {
+    const statement = await createDisclosure(
+      { ...note, disclose: { amount: true } },
+      { auditor: auditor.publicKey, reference: "audit 2026-Q3 #18" }
+    );
+
+    const inflated = { ...statement, disclosed: { ...statement.disclosed, amount: "1" } };
+    expect((await verifyDisclosure(inflated)).errors).to.deep.equal(["Disclosed values do not match the proof"]);
+
+    const forged = { ...statement, publicSignals: [...statement.publicSignals] };
+    forged.publicSignals[4] = "1";
+    forged.disclosed = { ...statement.disclosed, amount: "1" };
+    expect((await verifyDisclosure(forged)).errors).to.deep.equal(["Invalid ZK proof"]);
+
+    const rebound = { ...statement, reference: "another request" };
+    expect((await verifyDisclosure(rebound)).errors).to.deep.equal(["Proof is not bound to this auditor and reference"]);
+
+    const other = generateViewingKeyPair();
+    expect((await verifyDisclosure(statement, { auditor: other.publicKey })).errors).to.deep.equal([
+      "Statement was made for another auditor",
+    ]);
+    const readdressed = { ...statement, auditor: other.publicKey };
+    expect((await verifyDisclosure(readdressed, { auditor: other.publicKey })).errors).to.deep.equal([
+      "Proof is not bound to this auditor and reference",
+    ]);
+  });
+
+  it("Should deliver an encrypted package that only the auditor can verify", async function () {
+    const statement = await createDisclosure(
+      { ...note, disclose: { recipient: true } },
+      { auditor: auditor.publicKey, reference: "audit 2026-Q3 #19" }
+    );
+    const disclosurePackage = encryptDisclosure(statement, auditor.publicKey);
+    expect(disclosurePackage).to.not.include(statement.commitment.slice(2));
+    expect(decryptDisclosure(disclosurePackage, auditor.privateKey)).to.deep.equal(statement);
+    expect(() => decryptDisclosure(disclosurePackage, generateViewingKeyPair().privateKey)).to.throw(
+      "PayloadEncryption: Decryption failed"
+    );
+
+    const packageFile = path.join(directory, "package.json");
+    fs.writeFileSync(packageFile, disclosurePackage);
+    const verified = await runCli([packageFile], { AUDITOR_PRIVATE_KEY: auditor.privateKey });
+    expect(verified.code).to.equal(0);
+    expect(verified.stdout).to.include("Disclosure verified");
+    expect(verified.stdout).to.include(bob.address);
+
+    expect((await runCli([packageFile], { AUDITOR_PRIVATE_KEY: "" })).code).to.equal(2);
+
+    const statementFile = path.join(directory, "statement.json");
+    fs.writeFileSync(statementFile, JSON.stringify({ ...statement, reference: "altered" }));
+    const rejected = await runCli([statementFile, "--auditor", auditor.publicKey]);
+    expect(rejected.code).to.equal(1);
+    expect(rejected.stdout).to.include("Proof is not bound to this auditor and reference");
+  });
+});
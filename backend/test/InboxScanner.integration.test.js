@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { addressToRecipient } = require("../scripts/key-registry");
+const { generateViewingKeyPair, encryptPayloadWithSalt } = require("../scripts/payload-encryption");
+const { encodeActionEnvelope } = require("../scripts/actions");
+const { LocalRelayer } = require("../scripts/relayer");
+const { Inbox } = require("../scripts/inbox");
+const { InboxScanner } = require("../scripts/inbox-scanner");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("Inbox Scanner Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let eve;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let bobKeys;
+  let eveKeys;
+  let nextNullifier;
+  let directory;
+
+  async function newRelayer(fromBlock = 0) {
+    return new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor, fromBlock },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor, fromBlock },
+      ],
+      { logger: silentLogger }
+    );
+  }
+
+  // Send `text` from chain A to shield B, encrypted to `keys` and proven for `recipient`
+  async function send(recipient, keys, text, action) {
+    const destination = await shieldB.getAddress();
+    const { encryptedPayload: ciphertext, recipientSalt } = encryptPayloadWithSalt(ethers.toUtf8Bytes(text), keys.publicKey);
+    const encryptedPayload = action ? encodeActionEnvelope({ ...action, ciphertext }) : ciphertext;
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier: BigInt(nextNullifier++),
+      recipient: addressToRecipient(recipient),
+      recipientSalt,
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        destination,
+        encryptedPayload,
+      }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+    await shieldA.connect(alice).sendPrivateMessage(CHAIN_B, destination, encryptedPayload, a, b, c, signals);
+    return ethers.toBeHex(publicSignals[0], 32);
+  }
+
+  async function newScanner(options = {}) {
+    return new InboxScanner(
+      [
+        { chainId: CHAIN_A, shield: await shieldA.getAddress(), provider: ethers.provider },
+        { chainId: CHAIN_B, shield: await shieldB.getAddress(), provider: ethers.provider },
+      ],
+      { viewingKey: bobKeys.privateKey, recipient: bob.address, logger: silentLogger, ...options }
+    );
+  }
+
+  before(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "rayls-inbox-"));
+  });
+
+  after(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [, alice, bob, eve, executor] = await ethers.getSigners();
+
+    endpointA = await deploy("MockRaylsEndpoint");
+    endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    bobKeys = generateViewingKeyPair();
+    eveKeys = generateViewingKeyPair();
+    nextNullifier = 1;
+  });
+
+  it("Should store both sides of the recipient's messages and answer queries", async function () {
+    const nullifierHash = await send(bob.address, bobKeys, "Invoice 42");
+    await send(eve.address, eveKeys, "Not for Bob");
+    const attested = await send(bob.address, bobKeys, "Shipment cleared", {
+      actionType: "attestation",
+      data: { subject: ethers.id("shipment"), digest: ethers.id("document") },
+    });
+    // Encrypted to Bob, but proven for Eve
+    await send(eve.address, bobKeys, "Mixed up");
+    await (await newRelayer()).poll();
+
+    const scanner = await newScanner();
+    const added = await scanner.scan();
+    expect(added).to.have.lengthOf(6);
+    expect(scanner.inbox.size).to.equal(6);
+
+    const [sent, received] = scanner.inbox.query({ nullifierHash });
+    expect(sent.direction).to.equal("sent");
+    expect(sent.chainId).to.equal(BigInt(CHAIN_A));
+    expect(sent.sender).to.equal(alice.address);
+    expect(received.direction).to.equal("received");
+    expect(received.chainId).to.equal(BigInt(CHAIN_B));
+    expect(received.srcChainId).to.equal(BigInt(CHAIN_A));
+    expect(received.sender).to.be.null;
+    for (const message of [sent, received]) {
+      expect(ethers.toUtf8String(message.payload)).to.equal("Invoice 42");
+      expect(message.dstChainId).to.equal(BigInt(CHAIN_B));
+      expect(message.recipientVerified).to.be.true;
+      expect(message.action).to.be.null;
+    }
+    expect(scanner.inbox.get(received.id)).to.equal(received);
+
+    const [action] = scanner.inbox.query({ nullifierHash: attested, direction: "received" });
+    expect(ethers.toUtf8String(action.payload)).to.equal("Shipment cleared");
+    expect(action.action.name).to.equal("attestation");
+
+    const received3 = scanner.inbox.query({ direction: "received", chainId: CHAIN_B });
+    expect(received3.map((message) => ethers.toUtf8String(message.payload))).to.deep.equal([
+      "Invoice 42",
+      "Shipment cleared",
+      "Mixed up",
+    ]);
+    expect(received3[2].recipientVerified).to.be.false;
+    expect(scanner.inbox.query({ direction: "received", offset: 1, limit: 1 })).to.deep.equal([received3[1]]);
+    expect(scanner.inbox.query({ srcChainId: CHAIN_B })).to.have.lengthOf(0);
+  });
+
+  it("Should stay behind confirmations and resume from a saved checkpoint", async function () {
+    const file = path.join(directory, "resume.json");
+    const relayer = await newRelayer();
+    const scanner = await newScanner({ inbox: Inbox.open(file, "correct horse"), confirmations: 3 });
+
+    await send(bob.address, bobKeys, "First");
+    await relayer.poll();
+    expect(await scanner.scan()).to.have.lengthOf(0);
+
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    expect((await scanner.scan()).map((message) => message.direction)).to.deep.equal(["sent", "received"]);
+    expect(await scanner.scan()).to.have.lengthOf(0);
+
+    expect(() => Inbox.open(file, "wrong password")).to.throw("Inbox: Wrong password or corrupted inbox");
+    const reopened = Inbox.open(file, "correct horse");
+    expect(reopened.query().map((message) => message.id)).to.deep.equal(scanner.inbox.query().map((message) => message.id));
+    expect(reopened.getCheckpoint(CHAIN_B, await shieldB.getAddress())).to.deep.equal(
+      scanner.inbox.getCheckpoint(CHAIN_B, await shieldB.getAddress())
+    );
+
+    await send(bob.address, bobKeys, "Second");
+    await relayer.poll();
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    const resumed = await newScanner({ inbox: reopened, confirmations: 3 });
+    const added = await resumed.scan();
+    expect(added.map((message) => ethers.toUtf8String(message.payload))).to.deep.equal(["Second", "Second"]);
+    expect(Inbox.open(file, "correct horse").size).to.equal(4);
+  });
+
+  it("Should drop messages from reorganised blocks and pick up the new ones", async function () {
+    const scanner = await newScanner();
+    await send(bob.address, bobKeys, "Kept");
+    await (await newRelayer()).poll();
+    await scanner.scan();
+
+    const forkBlock = await ethers.provider.getBlockNumber();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await send(bob.address, bobKeys, "Orphaned");
+    await (await newRelayer(forkBlock + 1)).poll();
+    expect(await scanner.scan()).to.have.lengthOf(2);
+    expect(scanner.inbox.size).to.equal(4);
+
+    // Replace the blocks after forkBlock with a different history
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("hardhat_mine", ["0x1"]);
+    await send(bob.address, bobKeys, "Canonical");
+    await (await newRelayer(forkBlock + 1)).poll();
+
+    const added = await scanner.scan();
+    expect(added.map((message) => ethers.toUtf8String(message.payload))).to.deep.equal(["Canonical", "Canonical"]);
+    expect(scanner.inbox.query().map((message) => ethers.toUtf8String(message.payload))).to.deep.equal([
+      "Kept",
+      "Kept",
+      "Canonical",
+      "Canonical",
+    ]);
+  });
+});
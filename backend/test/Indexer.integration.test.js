@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { generateViewingKeyPair, encryptPayload } = require("../scripts/payload-encryption");
+const { LocalRelayer } = require("../scripts/relayer");
+const { EventStore } = require("../scripts/event-store");
+const { EventIndexer, createIndexerServer } = require("../scripts/indexer");
+const { deploy, deployShield, deployShieldVerifiers } = require("./helpers/deploy");
+
+describe("Event Indexer Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const PRIVACY_CIRCUIT = ethers.id("privacy");
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let executor;
+  let shieldA;
+  let shieldB;
+  let relayer;
+  let verifiers;
+  let directory;
+
+  // Send a message from chain A to shield B and deliver it; returns its hashes
+  async function sendAndDeliver(nullifier) {
+    const destination = await shieldB.getAddress();
+    const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("indexed"), generateViewingKeyPair().publicKey);
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier: BigInt(nullifier),
+      recipient: BigInt(bob.address),
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        destination,
+        encryptedPayload,
+      }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+
+    const messageHash = await shieldA.computeMessageHash(alice.address, await shieldA.messageNonces(alice.address));
+    await shieldA.connect(alice).sendPrivateMessage(CHAIN_B, destination, encryptedPayload, a, b, c, signals);
+    await relayer.poll();
+    return { messageHash, nullifierHash: ethers.toBeHex(publicSignals[0], 32) };
+  }
+
+  async function newIndexer(options = {}) {
+    return new EventIndexer(
+      [
+        { chainId: CHAIN_A, shield: await shieldA.getAddress(), provider: ethers.provider },
+        { chainId: CHAIN_B, shield: await shieldB.getAddress(), provider: ethers.provider },
+      ],
+      { confirmations: 0, logger: silentLogger, ...options }
+    );
+  }
+
+  before(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "rayls-indexer-"));
+  });
+
+  after(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [, alice, bob, executor] = await ethers.getSigners();
+
+    verifiers = await deployShieldVerifiers();
+
+    const endpointA = await deploy("MockRaylsEndpoint");
+    const endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+    shieldA = await deployShield(endpointA, verifiers);
+    shieldB = await deployShield(endpointB, verifiers);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+  });
+
+  it("Should index every shield event once it is confirmed", async function () {
+    const { messageHash, nullifierHash } = await sendAndDeliver(1);
+    await shieldB.proposeVerifier(PRIVACY_CIRCUIT, verifiers[0], 4);
+
+    const indexer = await newIndexer({ confirmations: 2 });
+    await indexer.index();
+    expect(indexer.store.query({ name: "PrivateMessageSent" })).to.have.lengthOf(1);
+    expect(indexer.store.query({ name: "PrivateMessageReceived" })).to.have.lengthOf(0);
+    expect(indexer.store.query({ name: "VerifierUpdatePending" })).to.have.lengthOf(0);
+
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+    const added = await indexer.index();
+    expect(added.map((event) => event.name)).to.include.members(["PrivateMessageReceived", "VerifierUpdatePending"]);
+    expect(await indexer.index()).to.have.lengthOf(0);
+
+    const [sent] = indexer.store.query({ chainId: CHAIN_A, name: "PrivateMessageSent" });
+    expect(sent.args).to.deep.equal({
+      messageHash,
+      dstChainId: String(CHAIN_B),
+      sender: alice.address,
+      nullifierHash,
+    });
+    expect(sent.signature).to.equal("PrivateMessageSent(bytes32,uint256,address,bytes32)");
+    expect(sent.address).to.equal(await shieldA.getAddress());
+
+    // Both ends of the message, found by its nullifier
+    const byNullifier = indexer.store.query({ nullifierHash });
+    expect(byNullifier.map((event) => `${event.chainId}:${event.name}`)).to.have.members([
+      `${CHAIN_A}:NullifierSpent`,
+      `${CHAIN_A}:PrivateMessageSent`,
+      `${CHAIN_B}:NullifierSpent`,
+      `${CHAIN_B}:PrivateMessageReceived`,
+    ]);
+
+    // Source-side lifecycle, found by its messageHash
+    const bySource = indexer.store.query({ messageHash });
+    expect(bySource.map((event) => event.name)).to.have.members([
+      "NullifierSpent",
+      "MessageStatusUpdated",
+      "PrivateMessageSent",
+    ]);
+    expect(bySource.find((event) => event.name === "MessageStatusUpdated").args.status).to.equal("1");
+
+    const received = indexer.store.query({ name: "PrivateMessageReceived" })[0];
+    expect(indexer.store.query({ chainId: CHAIN_B, fromBlock: received.blockNumber, toBlock: received.blockNumber })).to.include(received);
+    expect(indexer.store.query({ chainId: CHAIN_B, toBlock: received.blockNumber - 1 })).to.not.include(received);
+
+    // Events the ABI does not describe are kept without a name
+    const partial = await newIndexer({ abi: ["event PrivateMessageSent(bytes32 indexed messageHash, uint256 dstChainId, address indexed sender, bytes32 nullifierHash)"] });
+    await partial.index();
+    expect(partial.store.size).to.equal(indexer.store.size);
+    expect(partial.store.query({ name: "PrivateMessageSent" })).to.have.lengthOf(1);
+    const unnamed = partial.store.get(received.id);
+    expect(unnamed.name).to.be.null;
+    expect(unnamed.args.topics[1]).to.equal(received.args.messageHash);
+  });
+
+  it("Should persist events and resume from the checkpoint", async function () {
+    const file = path.join(directory, "events.json");
+    await sendAndDeliver(2);
+
+    const indexer = await newIndexer({ store: new EventStore({ file }) });
+    await indexer.index();
+    const indexed = indexer.store.size;
+
+    await sendAndDeliver(3);
+    const reopened = new EventStore({ file });
+    expect(reopened.size).to.equal(indexed);
+    expect(reopened.getCheckpoint(CHAIN_A, await shieldA.getAddress())).to.equal(
+      indexer.store.getCheckpoint(CHAIN_A, await shieldA.getAddress())
+    );
+
+    const resumed = await newIndexer({ store: reopened });
+    const added = await resumed.index();
+    expect(added.filter((event) => event.name === "PrivateMessageSent")).to.have.lengthOf(1);
+    expect(new EventStore({ file }).query({ name: "PrivateMessageSent" })).to.have.lengthOf(2);
+  });
+
+  it("Should serve the indexed events over HTTP", async function () {
+    const { messageHash, nullifierHash } = await sendAndDeliver(4);
+    const indexer = await newIndexer();
+    await indexer.index();
+
+    const server = createIndexerServer(indexer.store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const get = async (route, init) => {
+      const response = await fetch(base + route, init);
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      const byNullifier = await get(`/nullifiers/${nullifierHash}`);
+      expect(byNullifier.status).to.equal(200);
+      expect(byNullifier.body.total).to.equal(4);
+
+      const byMessage = await get(`/messages/${messageHash}?name=PrivateMessageSent`);
+      expect(byMessage.body.events).to.have.lengthOf(1);
+      const [sent] = byMessage.body.events;
+      expect(sent.chainId).to.equal(String(CHAIN_A));
+
+      const one = await get(`/events/${encodeURIComponent(sent.id)}`);
+      expect(one.body).to.deep.equal(sent);
+
+      const onChainB = await get(`/events?chainId=${CHAIN_B}&fromBlock=${sent.blockNumber}&limit=1&offset=1`);
+      expect(onChainB.body.events).to.have.lengthOf(1);
+      expect(onChainB.body.total).to.equal(indexer.store.query({ chainId: CHAIN_B, fromBlock: sent.blockNumber }).length);
+      expect(onChainB.body.events[0]).to.deep.equal(indexer.store.query({ chainId: CHAIN_B, fromBlock: sent.blockNumber })[1]);
+
+      const status = await get("/status");
+      expect(status.body.events).to.equal(indexer.store.size);
+      expect(status.body.chains.map((chain) => chain.chainId)).to.have.members([String(CHAIN_A), String(CHAIN_B)]);
+      expect(status.body.chains[0].lastIndexedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      expect(await get("/nullifiers/0x1234")).to.deep.equal({ status: 400, body: { error: "Indexer: Invalid nullifierHash" } });
+      expect((await get("/events?fromBlock=latest")).body.error).to.equal("Indexer: Invalid fromBlock");
+      expect((await get("/events?limit=5000")).status).to.equal(400);
+      expect((await get("/events/unknown")).status).to.equal(404);
+      expect((await get("/blocks")).body.error).to.equal("Indexer: Unknown route");
+      expect((await get("/events", { method: "POST" })).status).to.equal(405);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,315 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateProof,
+  generateComplianceProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const { generateViewingKeyPair, encryptPayload } = require("../scripts/payload-encryption");
+const { LocalRelayer, decodeShieldPayload, decodeDelivery } = require("../scripts/relayer");
+const { deploy, deployShield, deployShieldVerifiers } = require("./helpers/deploy");
+
+describe("Message Lifecycle Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const PRIVACY_CIRCUIT = ethers.id("privacy");
+  const COMPLIANCE_CIRCUIT = ethers.id("compliance");
+  const AML_THRESHOLD = BigInt(10000);
+  const Status = { None: 0, Sent: 1, Delivered: 2, Failed: 3, Refunded: 4 };
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let verifiers;
+  let relayer;
+  let bobKeys;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Send a message from chain A to shield B (or a resourceId) and return its messageHash and delivery payload
+  async function send(nullifier, { compliant = false, resourceId } = {}) {
+    const destination = await shieldB.getAddress();
+    const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("lifecycle"), bobKeys.publicKey);
+    const note = {
+      secret: BigInt(123456789),
+      nullifier: BigInt(nullifier),
+      recipient: BigInt(bob.address),
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        ...(resourceId ? { resourceId } : { destination }),
+        encryptedPayload,
+      }),
+    };
+    const { proof, publicSignals } = compliant
+      ? await generateComplianceProof({ ...note, amlThreshold: AML_THRESHOLD })
+      : await generateProof(note);
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+
+    const tx = resourceId
+      ? await shieldA.connect(alice).sendPrivateMessageToResource(CHAIN_B, resourceId, encryptedPayload, a, b, c, signals)
+      : await shieldA
+          .connect(alice)
+          [compliant ? "sendCompliantPrivateMessage" : "sendPrivateMessage"](CHAIN_B, destination, encryptedPayload, a, b, c, signals);
+    const receipt = await tx.wait();
+    const sent = receipt.logs
+      .map((log) => {
+        try {
+          return shieldA.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === "PrivateMessageSent");
+    const filter = resourceId ? endpointA.filters.MessageSentToResource() : endpointA.filters.MessageSent();
+    const [delivery] = await endpointA.queryFilter(filter, receipt.blockNumber);
+
+    return {
+      messageHash: sent.args.messageHash,
+      nullifierHash: sent.args.nullifierHash,
+      messageId: delivery.args.messageId,
+      circuitId: compliant ? COMPLIANCE_CIRCUIT : PRIVACY_CIRCUIT,
+      delivered: decodeShieldPayload(delivery.args.payload),
+    };
+  }
+
+  function retryArgs(message, overrides = {}) {
+    const { deadline, encryptedPayload, proof, publicSignals } = { ...message.delivered, ...overrides };
+    return [CHAIN_A, message.messageId, message.circuitId, deadline, encryptedPayload, proof.a, proof.b, proof.c, publicSignals];
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, executor] = await ethers.getSigners();
+
+    verifiers = await deployShieldVerifiers();
+
+    endpointA = await deploy("MockRaylsEndpoint");
+    endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+
+    shieldA = await deployShield(endpointA, verifiers);
+    shieldB = await deployShield(endpointB, verifiers);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+    await shieldA.setAmlThreshold(CHAIN_B, AML_THRESHOLD);
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+
+    bobKeys = generateViewingKeyPair();
+  });
+
+  it("Should track a message as Sent on the source and Delivered on the destination", async function () {
+    const message = await send(1);
+    const latest = await ethers.provider.getBlock("latest");
+
+    expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Sent);
+    const record = await shieldA.sentMessages(message.messageHash);
+    expect(record.sender).to.equal(alice.address);
+    expect(record.nullifierHash).to.equal(message.nullifierHash);
+    expect(record.deadline).to.equal(BigInt(latest.timestamp) + (await shieldA.MESSAGE_TIMEOUT()));
+    expect(message.delivered.deadline).to.equal(record.deadline);
+
+    const [result] = await relayer.poll();
+    expect(result.status).to.equal("delivered");
+    expect(await shieldB.getMessageStatus(message.messageId)).to.equal(Status.Delivered);
+    expect(await shieldB.getMessageStatus(message.messageHash)).to.equal(Status.None);
+  });
+
+  describe("Failed deliveries", function () {
+    beforeEach(async function () {
+      // Chain B registered the transfer verifier for the compliance circuit by mistake
+      // (both take five public signals)
+      endpointB = await deploy("MockRaylsEndpoint");
+      await endpointB.addTrustedExecutor(executor.address);
+      shieldB = await deployShield(endpointB, [verifiers[0], verifiers[1], verifiers[1]]);
+      await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+      await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+      relayer = new LocalRelayer(
+        [
+          { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+          { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+        ],
+        { logger: silentLogger }
+      );
+    });
+
+    it("Should store a delivery that cannot be processed and let anyone retry it", async function () {
+      const message = await send(2, { compliant: true });
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("failed");
+      expect(result.retryable).to.be.true;
+      expect(result.error).to.equal("RaylsShield: Invalid compliance proof");
+      expect(await shieldB.getMessageStatus(message.messageId)).to.equal(Status.Failed);
+      expect(await shieldB.failedMessages(message.messageId)).to.not.equal(ethers.ZeroHash);
+      expect(await shieldB.isNullifierUsed(message.nullifierHash)).to.be.false;
+
+      await expect(shieldB.connect(bob).retryMessage(...retryArgs(message))).to.be.revertedWith(
+        "RaylsShield: Invalid compliance proof"
+      );
+
+      await shieldB.proposeVerifier(COMPLIANCE_CIRCUIT, verifiers[2], 5);
+      await increaseTime(Number(await shieldB.VERIFIER_UPDATE_DELAY()));
+      await shieldB.applyVerifier(COMPLIANCE_CIRCUIT);
+
+      await expect(shieldB.connect(bob).retryMessage(...retryArgs(message)))
+        .to.emit(shieldB, "PrivateMessageReceived")
+        .withArgs(message.messageId, CHAIN_A, message.nullifierHash)
+        .and.to.emit(shieldB, "MessageStatusUpdated")
+        .withArgs(message.messageId, Status.Delivered);
+      expect(await shieldB.isNullifierUsed(message.nullifierHash)).to.be.true;
+      expect(await shieldB.failedMessages(message.messageId)).to.equal(ethers.ZeroHash);
+
+      // Scanners read the delivery back from the retry transaction
+      const retried = decodeDelivery(shieldB.interface.encodeFunctionData("retryMessage", retryArgs(message)));
+      expect(retried.method).to.equal("retryMessage");
+      expect(retried.encryptedPayload).to.equal(message.delivered.encryptedPayload);
+      expect(retried.publicSignals).to.deep.equal(message.delivered.publicSignals);
+
+      await expect(shieldB.connect(bob).retryMessage(...retryArgs(message))).to.be.revertedWith(
+        "RaylsShield: No failed message"
+      );
+    });
+
+    it("Should only retry the delivery that was stored", async function () {
+      const message = await send(3, { compliant: true });
+      await relayer.poll();
+
+      const tampered = ethers.concat([message.delivered.encryptedPayload, "0x00"]);
+      await expect(
+        shieldB.retryMessage(...retryArgs(message, { encryptedPayload: tampered }))
+      ).to.be.revertedWith("RaylsShield: Message mismatch");
+      await expect(
+        shieldB.retryMessage(...retryArgs(message, { deadline: message.delivered.deadline + 1n }))
+      ).to.be.revertedWith("RaylsShield: Message mismatch");
+    });
+  });
+
+  describe("Expiry", function () {
+    function acknowledge(message, { shield = shieldB, deadline = message.delivered.deadline } = {}) {
+      return shield.connect(bob).acknowledgeExpiredMessage(CHAIN_A, message.messageHash, message.nullifierHash, deadline);
+    }
+
+    beforeEach(async function () {
+      // Reports go back from chain B to chain A; each delivery is tried once
+      await endpointA.addTrustedExecutor(executor.address);
+      relayer = new LocalRelayer(
+        [
+          { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+          { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+        ],
+        { maxAttempts: 1, logger: silentLogger }
+      );
+    });
+
+    it("Should refund a message once the destination reports it expired", async function () {
+      const message = await send(4);
+
+      await expect(acknowledge(message)).to.be.revertedWith("RaylsShield: Message not expired");
+
+      await increaseTime(Number(await shieldA.MESSAGE_TIMEOUT()) + 1);
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("failed");
+      expect(result.error).to.equal("RaylsShield: Message expired");
+      await expect(shieldB.retryMessage(...retryArgs(message))).to.be.revertedWith("RaylsShield: Message expired");
+      expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Sent);
+
+      await acknowledge(message);
+      const [report] = await relayer.poll();
+      expect(report.status, report.error).to.equal("delivered");
+      const [restored] = await shieldA.queryFilter(shieldA.filters.NullifierRestored());
+      expect(restored.args.nullifierHash).to.equal(message.nullifierHash);
+      expect(restored.args.messageHash).to.equal(message.messageHash);
+      expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Refunded);
+      expect(await shieldA.isNullifierUsed(message.nullifierHash)).to.be.false;
+
+      await acknowledge(message);
+      const [again] = await relayer.poll();
+      expect(again.status).to.equal("failed");
+      expect(again.error).to.equal("RaylsShield: Message not pending");
+    });
+
+    it("Should not report a delivered message as expired", async function () {
+      const message = await send(5);
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("delivered");
+
+      await increaseTime(Number(await shieldA.MESSAGE_TIMEOUT()) + 1);
+      await expect(acknowledge(message)).to.be.revertedWith("RaylsShield: Nullifier already used");
+      expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Sent);
+    });
+
+    it("Should not refund a message sent to a resourceId", async function () {
+      // The resourceId resolves to another shield on chain B, which processes the message
+      const other = await deployShield(endpointB, verifiers);
+      await other.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+      const resourceId = ethers.id("other-shield");
+      await endpointB.registerResourceId(resourceId, await other.getAddress());
+
+      const message = await send(7, { resourceId });
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("delivered");
+      expect(result.destination).to.equal(await other.getAddress());
+      expect(await other.isNullifierUsed(message.nullifierHash)).to.be.true;
+
+      // The peer never saw the nullifier spent, but its report cannot refund the message
+      await increaseTime(Number(await shieldA.MESSAGE_TIMEOUT()) + 1);
+      await acknowledge(message);
+      const [report] = await relayer.poll();
+      expect(report.status).to.equal("failed");
+      expect(report.error).to.equal("RaylsShield: Message mismatch");
+      expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Sent);
+      expect(await shieldA.isNullifierUsed(message.nullifierHash)).to.be.true;
+    });
+
+    it("Should only refund reports from the destination chain that match the message", async function () {
+      const message = await send(6);
+      await increaseTime(Number(await shieldA.MESSAGE_TIMEOUT()) + 1);
+      await relayer.poll();
+
+      // A shield on a chain that is not a peer of chain A has not seen the nullifier spent
+      const CHAIN_C = 300;
+      const endpointC = await deploy("MockRaylsEndpoint");
+      const rogue = await deployShield(endpointC, verifiers);
+      await rogue.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+      await acknowledge(message, { shield: rogue });
+      const fromChainC = new LocalRelayer(
+        [
+          { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+          { chainId: CHAIN_C, endpoint: await endpointC.getAddress(), executor },
+        ],
+        { maxAttempts: 1, logger: silentLogger }
+      );
+      const fromRogue = (await fromChainC.poll()).find((result) => result.srcChainId === BigInt(CHAIN_C));
+      expect(fromRogue.status).to.equal("failed");
+      expect(fromRogue.error).to.equal("RaylsShield: Unknown shield peer");
+
+      await acknowledge(message, { deadline: message.delivered.deadline - 1n });
+      const [mismatch] = await relayer.poll();
+      expect(mismatch.status).to.equal("failed");
+      expect(mismatch.error).to.equal("RaylsShield: Message mismatch");
+
+      await expect(
+        shieldA.receiveExpiredMessage(message.messageHash, message.nullifierHash, message.delivered.deadline)
+      ).to.be.reverted;
+      expect(await shieldA.getMessageStatus(message.messageHash)).to.equal(Status.Sent);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("MockRaylsEndpoint", function () {
+  const SRC_CHAIN = 100;
+  const DST_CHAIN = 200;
+
+  let endpoint;
+  let registry;
+  let owner;
+  let executor;
+  let user;
+
+  // ViewingKeyRegistry stands in for a destination app: its calls succeed or revert
+  // with a reason depending on the arguments
+  function registerCall(encryptionPublicKey) {
+    return registry.interface.encodeFunctionData("registerViewingKey", [encryptionPublicKey, 1]);
+  }
+
+  async function sentMessage(tx) {
+    const receipt = await tx.wait();
+    return endpoint.interface.parseLog(receipt.logs[0]).args;
+  }
+
+  beforeEach(async function () {
+    [owner, executor, user] = await ethers.getSigners();
+
+    const MockEndpoint = await ethers.getContractFactory("MockRaylsEndpoint");
+    endpoint = await MockEndpoint.deploy();
+    await endpoint.waitForDeployment();
+
+    const ViewingKeyRegistry = await ethers.getContractFactory("ViewingKeyRegistry");
+    registry = await ViewingKeyRegistry.deploy();
+    await registry.waitForDeployment();
+  });
+
+  describe("Sending", function () {
+    it("Should track outbound nonces per destination chain", async function () {
+      const first = await sentMessage(await endpoint.send(DST_CHAIN, user.address, "0x01"));
+      const second = await sentMessage(await endpoint.send(DST_CHAIN, user.address, "0x02"));
+      const other = await sentMessage(await endpoint.send(SRC_CHAIN, user.address, "0x03"));
+
+      expect(first.nonce).to.equal(1);
+      expect(second.nonce).to.equal(2);
+      expect(other.nonce).to.equal(1);
+      expect(await endpoint.getOutboundNonce(DST_CHAIN)).to.equal(2);
+      expect(await endpoint.getOutboundNonce(SRC_CHAIN)).to.equal(1);
+    });
+
+    it("Should assign unique message IDs within one block", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const first = await endpoint.send(DST_CHAIN, user.address, "0x01");
+        const second = await endpoint.sendToResourceId(DST_CHAIN, ethers.ZeroHash, "0x01");
+        await network.provider.send("evm_mine");
+
+        const [a, b] = [await sentMessage(first), await sentMessage(second)];
+        expect((await first.wait()).blockNumber).to.equal((await second.wait()).blockNumber);
+        expect(a.messageId).to.not.equal(b.messageId);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+    });
+
+    it("Should count every message in a batch", async function () {
+      await endpoint.sendBatch([
+        { _dstChainId: DST_CHAIN, _destination: user.address, _payload: "0x01" },
+        { _dstChainId: DST_CHAIN, _destination: user.address, _payload: "0x02" },
+      ]);
+      expect(await endpoint.getOutboundNonce(DST_CHAIN)).to.equal(2);
+    });
+  });
+
+  describe("Fees", function () {
+    beforeEach(async function () {
+      await expect(endpoint.setFee(1000)).to.emit(endpoint, "FeeUpdated").withArgs(0, 1000);
+    });
+
+    it("Should reject sends that underpay", async function () {
+      await expect(
+        endpoint.send(DST_CHAIN, user.address, "0x", { value: 999 })
+      ).to.be.revertedWith("MockRaylsEndpoint: Insufficient fee");
+
+      await expect(
+        endpoint.sendBatchToResourceId(
+          [
+            { _dstChainId: DST_CHAIN, _resourceId: ethers.ZeroHash, _payload: "0x" },
+            { _dstChainId: DST_CHAIN, _resourceId: ethers.ZeroHash, _payload: "0x" },
+          ],
+          { value: 1000 }
+        )
+      ).to.be.revertedWith("MockRaylsEndpoint: Insufficient fee");
+    });
+
+    it("Should collect fees and let the owner withdraw them", async function () {
+      await expect(
+        endpoint.connect(user).send(DST_CHAIN, user.address, "0x", { value: 1000 })
+      ).to.changeEtherBalances([user, endpoint], [-1000, 1000]);
+
+      await expect(
+        endpoint.connect(user).withdrawFees(user.address)
+      ).to.be.revertedWithCustomError(endpoint, "OwnableUnauthorizedAccount");
+
+      await expect(endpoint.withdrawFees(owner.address)).to.changeEtherBalances(
+        [endpoint, owner],
+        [-1000, 1000]
+      );
+    });
+
+    it("Should only let the owner set the fee", async function () {
+      await expect(endpoint.connect(user).setFee(0)).to.be.revertedWithCustomError(
+        endpoint,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Execution", function () {
+    const messageId = ethers.keccak256(ethers.toUtf8Bytes("message"));
+
+    beforeEach(async function () {
+      await expect(endpoint.addTrustedExecutor(executor.address))
+        .to.emit(endpoint, "TrustedExecutorUpdated")
+        .withArgs(executor.address, true);
+    });
+
+    it("Should only let the owner manage trusted executors", async function () {
+      await expect(
+        endpoint.connect(user).addTrustedExecutor(user.address)
+      ).to.be.revertedWithCustomError(endpoint, "OwnableUnauthorizedAccount");
+      await expect(
+        endpoint.connect(user).removeTrustedExecutor(executor.address)
+      ).to.be.revertedWithCustomError(endpoint, "OwnableUnauthorizedAccount");
+
+      await endpoint.removeTrustedExecutor(executor.address);
+      expect(await endpoint.isTrustedExecutor(executor.address)).to.be.false;
+    });
+
+    it("Should reject execution by untrusted callers", async function () {
+      await expect(
+        endpoint.connect(user).execute(SRC_CHAIN, messageId, await registry.getAddress(), "0x")
+      ).to.be.revertedWith("MockRaylsEndpoint: Caller is not a trusted executor");
+    });
+
+    it("Should deliver a message once and bump the inbound nonce", async function () {
+      const destination = await registry.getAddress();
+      const payload = registerCall(ethers.keccak256("0x01"));
+
+      await expect(endpoint.connect(executor).execute(SRC_CHAIN, messageId, destination, payload))
+        .to.emit(endpoint, "MessageExecuted")
+        .withArgs(messageId, SRC_CHAIN, 1, destination);
+
+      // The destination sees the endpoint as the caller
+      expect(await registry.hasViewingKey(await endpoint.getAddress())).to.be.true;
+      expect(await endpoint.executedMessages(messageId)).to.be.true;
+      expect(await endpoint.getInboundNonce(SRC_CHAIN)).to.equal(1);
+
+      await expect(
+        endpoint.connect(executor).execute(SRC_CHAIN, messageId, destination, payload)
+      ).to.be.revertedWith("MockRaylsEndpoint: Message already executed");
+    });
+
+    it("Should append the source chain ID and message ID to the call", async function () {
+      const payload = "0x1234";
+      // The registry has no function for this selector; only the call input matters here
+      const tx = await endpoint
+        .connect(executor)
+        .execute(SRC_CHAIN, messageId, await registry.getAddress(), payload);
+      const trace = await network.provider.send("debug_traceTransaction", [
+        tx.hash,
+        { disableStorage: true, disableStack: true, disableMemory: false },
+      ]);
+      const call = trace.structLogs.find((log) => log.op === "CALL");
+      expect(call).to.not.be.undefined;
+
+      const expected = ethers.solidityPacked(
+        ["bytes", "uint256", "bytes32"],
+        [payload, SRC_CHAIN, messageId]
+      );
+      const memory = "0x" + call.memory.join("");
+      expect(memory).to.include(expected.slice(2));
+    });
+
+    it("Should report failed calls and allow a retry", async function () {
+      const destination = await registry.getAddress();
+      const failing = registerCall(ethers.ZeroHash);
+      const reason = registry.interface.encodeErrorResult("Error", [
+        "ViewingKeyRegistry: Invalid encryption key",
+      ]);
+
+      await expect(endpoint.connect(executor).execute(SRC_CHAIN, messageId, destination, failing))
+        .to.emit(endpoint, "MessageFailed")
+        .withArgs(messageId, SRC_CHAIN, destination, reason);
+      expect(await endpoint.executedMessages(messageId)).to.be.false;
+      expect(await endpoint.getInboundNonce(SRC_CHAIN)).to.equal(0);
+
+      await expect(
+        endpoint.connect(executor).execute(SRC_CHAIN, messageId, destination, registerCall(ethers.keccak256("0x01")))
+      ).to.emit(endpoint, "MessageExecuted");
+    });
+
+    it("Should reject destinations without code", async function () {
+      await expect(
+        endpoint.connect(executor).execute(SRC_CHAIN, messageId, user.address, "0x")
+      ).to.be.revertedWith("MockRaylsEndpoint: Destination is not a contract");
+    });
+  });
+});
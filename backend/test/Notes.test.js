@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const { ethers } = require("hardhat");
+const {
+  NOTE_SEED_MESSAGE,
+  hkdf,
+  randomNote,
+  deriveNoteSeed,
+  deriveNote,
+  serializeNote,
+  parseNote,
+} = require("../scripts/notes");
+const { NoteStore, exportNoteStore, importNoteStore } = require("../scripts/note-store");
+const { SNARK_SCALAR_FIELD } = require("../scripts/generate-proof");
+
+describe("Notes", function () {
+  const CHAIN_ID = 123;
+
+  function expectThrow(fn, message) {
+    let error;
+    try {
+      fn();
+    } catch (err) {
+      error = err;
+    }
+    expect(error, "expected an error").to.not.be.undefined;
+    expect(error.message).to.equal(message);
+  }
+
+  describe("Derivation", function () {
+    it("Should match Node's HKDF-SHA256", function () {
+      const ikm = ethers.randomBytes(32);
+      const salt = ethers.toUtf8Bytes("salt");
+      const info = ethers.toUtf8Bytes("info");
+      const expected = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, 80));
+
+      expect(hkdf(ikm, salt, info, 80)).to.equal(ethers.hexlify(expected));
+    });
+
+    it("Should derive the same notes from the same wallet", async function () {
+      const [alice, bob] = await ethers.getSigners();
+
+      const seed = await deriveNoteSeed(alice);
+      expect(await deriveNoteSeed(alice)).to.equal(seed);
+      expect(await deriveNoteSeed(bob)).to.not.equal(seed);
+
+      const note = deriveNote(seed, 0, 1000);
+      expect(deriveNote(seed, 0, 1000)).to.deep.equal(note);
+      expect(note.amount).to.equal(1000n);
+      expect(note.secret).to.be.lessThan(SNARK_SCALAR_FIELD);
+      expect(note.nullifier).to.be.lessThan(SNARK_SCALAR_FIELD);
+    });
+
+    it("Should separate secrets, nullifiers and indexes", async function () {
+      const [alice] = await ethers.getSigners();
+      const seed = await deriveNoteSeed(alice);
+
+      const first = deriveNote(seed, 0, 1);
+      const second = deriveNote(seed, 1, 1);
+      const values = [first.secret, first.nullifier, second.secret, second.nullifier];
+      expect(new Set(values).size).to.equal(4);
+
+      expectThrow(() => deriveNote(seed, -1, 1), "Notes: Note index must be a non-negative integer");
+    });
+
+    it("Should bind the seed to the signed message", async function () {
+      const [alice] = await ethers.getSigners();
+      const signature = await alice.signMessage(NOTE_SEED_MESSAGE);
+      expect(ethers.verifyMessage(NOTE_SEED_MESSAGE, signature)).to.equal(alice.address);
+    });
+
+    it("Should draw random notes from the CSPRNG", function () {
+      const first = randomNote(5);
+      const second = randomNote(5);
+      expect(first.secret).to.not.equal(second.secret);
+      expect(first.nullifier).to.not.equal(second.nullifier);
+      // Far beyond the ~30 bits of Math.random-based values
+      expect(first.secret > 2n ** 128n || second.secret > 2n ** 128n).to.be.true;
+    });
+  });
+
+  describe("Serialization", function () {
+    it("Should round-trip a note", function () {
+      const note = randomNote(7500);
+      const noteString = serializeNote(note, CHAIN_ID);
+
+      expect(noteString).to.match(/^rayls-note-v1-123-0x[0-9a-f]{200}$/);
+      expect(parseNote(noteString)).to.deep.equal({ version: 1, chainId: 123n, ...note });
+    });
+
+    it("Should reject corrupted and malformed notes", function () {
+      const noteString = serializeNote(randomNote(1), CHAIN_ID);
+
+      const flipped = noteString.slice(0, -1) + (noteString.endsWith("0") ? "1" : "0");
+      expectThrow(() => parseNote(flipped), "Notes: Note checksum mismatch");
+      expectThrow(() => parseNote(noteString.replace("-123-", "-124-")), "Notes: Note checksum mismatch");
+      expectThrow(() => parseNote(noteString.slice(0, -2)), "Notes: Invalid note length");
+      expectThrow(() => parseNote(noteString.replace("-v1-", "-v2-")), "Notes: Unsupported note version 2");
+      expectThrow(() => parseNote("not a note"), "Notes: Invalid note string");
+    });
+
+    it("Should reject values outside the field", function () {
+      expectThrow(
+        () => serializeNote({ secret: SNARK_SCALAR_FIELD, nullifier: 1n, amount: 1n }, CHAIN_ID),
+        "Notes: Note value out of range"
+      );
+    });
+  });
+
+  describe("Encrypted Backups", function () {
+    it("Should export and import a note store", function () {
+      const store = new NoteStore();
+      const note = randomNote(10);
+      store.add(note, { chainId: CHAIN_ID, label: "invoice 42" });
+      store.add(serializeNote(randomNote(20), 456));
+
+      const backup = exportNoteStore(store, "correct horse battery staple");
+      expect(backup).to.not.include(serializeNote(note, CHAIN_ID).slice(-20));
+
+      const restored = importNoteStore(backup, "correct horse battery staple");
+      expect(restored.size).to.equal(2);
+      const [first, second] = restored.list();
+      expect(first.secret).to.equal(note.secret);
+      expect(first.label).to.equal("invoice 42");
+      expect(second.chainId).to.equal(456n);
+    });
+
+    it("Should reject a wrong password or a modified backup", function () {
+      const store = new NoteStore();
+      store.add(randomNote(1), { chainId: CHAIN_ID });
+      const backup = exportNoteStore(store, "password");
+
+      expectThrow(() => importNoteStore(backup, "wrong"), "NoteStore: Wrong password or corrupted backup");
+
+      const tampered = JSON.parse(backup);
+      tampered.ciphertext = (tampered.ciphertext[0] === "0" ? "1" : "0") + tampered.ciphertext.slice(1);
+      expectThrow(
+        () => importNoteStore(JSON.stringify(tampered), "password"),
+        "NoteStore: Wrong password or corrupted backup"
+      );
+
+      expectThrow(
+        () => importNoteStore(JSON.stringify({ ...JSON.parse(backup), version: 9 }), "password"),
+        "NoteStore: Unsupported backup version 9"
+      );
+    });
+
+    it("Should only accept valid notes", function () {
+      const store = new NoteStore();
+      expectThrow(() => store.add("rayls-note-v1-1-0x00"), "Notes: Invalid note length");
+      expectThrow(() => store.add(randomNote(1)), "NoteStore: chainId is required");
+
+      const noteString = store.add(randomNote(1), { chainId: CHAIN_ID });
+      store.add(noteString);
+      expect(store.size).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  ENVELOPE_VERSION,
+  generateViewingKeyPair,
+  getViewingPublicKey,
+  encryptPayload,
+  encryptPayloadWithSalt,
+  parseEnvelope,
+  decryptPayload,
+  deriveRecipientSalt,
+} = require("../scripts/payload-encryption");
+
+describe("Payload Encryption", function () {
+  const message = "Confidential institutional transfer";
+  let bobKeys;
+  let eveKeys;
+
+  function expectThrow(fn, message) {
+    let error;
+    try {
+      fn();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an("error");
+    expect(error.message).to.equal(message);
+  }
+
+  beforeEach(function () {
+    bobKeys = generateViewingKeyPair();
+    eveKeys = generateViewingKeyPair();
+  });
+
+  describe("Viewing Keys", function () {
+    it("Should generate 32-byte key pairs", function () {
+      expect(ethers.dataLength(bobKeys.privateKey)).to.equal(32);
+      expect(ethers.dataLength(bobKeys.publicKey)).to.equal(32);
+      expect(bobKeys.publicKey).to.not.equal(eveKeys.publicKey);
+    });
+
+    it("Should derive the public key from the private key", function () {
+      expect(getViewingPublicKey(bobKeys.privateKey)).to.equal(bobKeys.publicKey);
+    });
+  });
+
+  describe("Envelope", function () {
+    it("Should produce a versioned envelope without plaintext", function () {
+      const envelope = encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+      const parsed = parseEnvelope(envelope);
+
+      expect(parsed.version).to.equal(ENVELOPE_VERSION);
+      expect(ethers.dataLength(parsed.ephemeralPublicKey)).to.equal(32);
+      expect(ethers.dataLength(parsed.nonce)).to.equal(12);
+      expect(ethers.dataLength(parsed.tag)).to.equal(16);
+      expect(ethers.dataLength(parsed.ciphertext)).to.equal(message.length);
+      expect(envelope).to.not.include(ethers.hexlify(ethers.toUtf8Bytes(message)).slice(2));
+    });
+
+    it("Should use a fresh ephemeral key for every message", function () {
+      const first = encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+      const second = encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+
+      expect(first).to.not.equal(second);
+      expect(parseEnvelope(first).ephemeralPublicKey).to.not.equal(
+        parseEnvelope(second).ephemeralPublicKey
+      );
+    });
+
+    it("Should reject unknown versions and truncated envelopes", function () {
+      const envelope = ethers.getBytes(encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey));
+      envelope[0] = 2;
+
+      expectThrow(() => parseEnvelope(envelope), "PayloadEncryption: Unsupported envelope version 2");
+      expectThrow(() => parseEnvelope("0x01"), "PayloadEncryption: Envelope too short");
+    });
+  });
+
+  describe("Decryption", function () {
+    it("Should let the recipient decrypt the payload", function () {
+      const envelope = encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+
+      expect(ethers.toUtf8String(decryptPayload(envelope, bobKeys.privateKey))).to.equal(message);
+    });
+
+    it("Should not decrypt with another viewing key", function () {
+      const envelope = encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+
+      expectThrow(() => decryptPayload(envelope, eveKeys.privateKey), "PayloadEncryption: Decryption failed");
+    });
+
+    it("Should reject a modified ciphertext or header", function () {
+      const envelope = ethers.getBytes(encryptPayload(ethers.toUtf8Bytes(message), bobKeys.publicKey));
+
+      const tamperedBody = Uint8Array.from(envelope);
+      tamperedBody[tamperedBody.length - 20] ^= 1;
+      expectThrow(() => decryptPayload(tamperedBody, bobKeys.privateKey), "PayloadEncryption: Decryption failed");
+
+      const tamperedNonce = Uint8Array.from(envelope);
+      tamperedNonce[40] ^= 1;
+      expectThrow(() => decryptPayload(tamperedNonce, bobKeys.privateKey), "PayloadEncryption: Decryption failed");
+    });
+
+    it("Should round-trip an empty payload", function () {
+      const envelope = encryptPayload("0x", bobKeys.publicKey);
+
+      expect(decryptPayload(envelope, bobKeys.privateKey)).to.have.lengthOf(0);
+    });
+
+    it("Should reject malformed keys", function () {
+      expectThrow(
+        () => encryptPayload(ethers.toUtf8Bytes(message), "0x1234"),
+        "PayloadEncryption: Public key must be 32 bytes"
+      );
+      expectThrow(
+        () => encryptPayload(ethers.toUtf8Bytes(message), ethers.ZeroHash),
+        "PayloadEncryption: Invalid public key"
+      );
+    });
+  });
+
+  describe("Recipient Salt", function () {
+    it("Should give the recipient the sender's salt and nobody else", function () {
+      const { encryptedPayload, recipientSalt } = encryptPayloadWithSalt(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+
+      expect(recipientSalt < 2n ** 248n).to.be.true;
+      expect(deriveRecipientSalt(encryptedPayload, bobKeys.privateKey)).to.equal(recipientSalt);
+      expect(deriveRecipientSalt(encryptedPayload, eveKeys.privateKey)).to.not.equal(recipientSalt);
+      expect(ethers.toUtf8String(decryptPayload(encryptedPayload, bobKeys.privateKey))).to.equal(message);
+    });
+
+    it("Should draw a new salt for every message", function () {
+      const first = encryptPayloadWithSalt(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+      const second = encryptPayloadWithSalt(ethers.toUtf8Bytes(message), bobKeys.publicKey);
+
+      expect(first.recipientSalt).to.not.equal(second.recipientSalt);
+    });
+  });
+});
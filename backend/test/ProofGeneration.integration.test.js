@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateProof,
+  generateComplianceProof,
+  generateTransferProof,
+  computeNoteLeaf,
+  redactInputs,
+} = require("../scripts/generate-proof");
+const { MerkleTree } = require("../scripts/merkle-tree");
+const { randomNote } = require("../scripts/notes");
+
+describe("Proof Generation Logging", function () {
+  const recipient = BigInt(ethers.Wallet.createRandom().address);
+
+  // Everything written to stdout, stderr and console while fn runs
+  async function captureOutput(fn) {
+    const output = [];
+    const methods = ["log", "info", "warn", "error", "debug"];
+    const originals = methods.map((method) => console[method]);
+    const stdoutWrite = process.stdout.write;
+    const stderrWrite = process.stderr.write;
+
+    methods.forEach((method) => {
+      console[method] = (...args) => output.push(args.join(" "));
+    });
+    process.stdout.write = (chunk) => output.push(String(chunk)) > 0;
+    process.stderr.write = (chunk) => output.push(String(chunk)) > 0;
+    try {
+      const result = await fn();
+      return { result, output };
+    } finally {
+      methods.forEach((method, i) => {
+        console[method] = originals[i];
+      });
+      process.stdout.write = stdoutWrite;
+      process.stderr.write = stderrWrite;
+    }
+  }
+
+  function recordingLogger() {
+    const lines = [];
+    const record = (...args) =>
+      lines.push(args.map((arg) => (typeof arg === "string" ? arg : JSON.stringify(arg))).join(" "));
+    return { lines, logger: { log: record, error: record } };
+  }
+
+  it("Should not write anything by default", async function () {
+    const note = randomNote(1000);
+
+    const { result, output } = await captureOutput(() => generateProof({ ...note, recipient }));
+
+    expect(output).to.deep.equal([]);
+    expect(result.publicSignals).to.have.lengthOf(4);
+  });
+
+  it("Should redact private inputs from an injected logger", async function () {
+    const note = randomNote(4321);
+    const { lines, logger } = recordingLogger();
+
+    const { inputs } = await generateProof({ ...note, recipient }, { logger });
+
+    const logged = lines.join("\n");
+    expect(lines).to.not.be.empty;
+    for (const secretValue of [note.secret, note.nullifier, recipient]) {
+      expect(logged).to.not.include(secretValue.toString());
+    }
+    expect(logged).to.include('"amount":"[redacted]"');
+    expect(logged).to.include(inputs.nullifierHash);
+  });
+
+  it("Should redact the Merkle path and output note of transfer proofs", async function () {
+    const note = randomNote(100);
+    const outNote = randomNote(100);
+    const tree = await MerkleTree.build();
+    tree.insert((await computeNoteLeaf(note)).leaf);
+    const { lines, logger } = recordingLogger();
+
+    await generateTransferProof({ note, tree, outNote, extDataHash: BigInt(1) }, { logger });
+
+    const logged = lines.join("\n");
+    for (const secretValue of [note.secret, note.nullifier, outNote.secret, outNote.nullifier]) {
+      expect(logged).to.not.include(secretValue.toString());
+    }
+    expect(logged).to.include('"pathElements":"[redacted]"');
+  });
+
+  it("Should return timing metrics", async function () {
+    const note = randomNote(50);
+
+    const { metrics } = await generateComplianceProof({
+      ...note,
+      recipient,
+      amlThreshold: BigInt(10000),
+    });
+
+    expect(metrics.witnessMs).to.be.at.least(0);
+    expect(metrics.provingMs).to.be.at.least(0);
+    expect(metrics.totalMs).to.equal(metrics.witnessMs + metrics.provingMs);
+  });
+
+  it("Should leave public inputs readable", function () {
+    expect(redactInputs({ commitment: "1", secret: "2", outAmount: "3" })).to.deep.equal({
+      commitment: "1",
+      secret: "[redacted]",
+      outAmount: "[redacted]",
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { ProverPool } = require("../scripts/prover-pool");
+const { verifyProof, computeNoteLeaf, buildPrivacyInputs } = require("../scripts/generate-proof");
+const { MerkleTree } = require("../scripts/merkle-tree");
+const { randomNote } = require("../scripts/notes");
+
+describe("Prover Pool", function () {
+  const recipient = BigInt(ethers.Wallet.createRandom().address);
+
+  let pool;
+
+  async function expectReject(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (err) {
+      error = err;
+    }
+    expect(error, "expected an error").to.not.be.undefined;
+    expect(error.message).to.equal(message);
+  }
+
+  async function privacyInputs() {
+    const { inputs } = await buildPrivacyInputs({ ...randomNote(1), recipient });
+    return inputs;
+  }
+
+  afterEach(async function () {
+    if (pool) {
+      await pool.close();
+      pool = undefined;
+    }
+  });
+
+  it("Should prove a batch across workers", async function () {
+    pool = new ProverPool({ size: 2 });
+    const notes = [randomNote(1), randomNote(2), randomNote(3)];
+
+    const results = await Promise.all(notes.map((note) => pool.prove("privacy", { ...note, recipient })));
+
+    for (const [i, { proof, publicSignals, inputs, metrics }] of results.entries()) {
+      const { commitment } = await computeNoteLeaf(notes[i]);
+      expect(inputs.commitment).to.equal(commitment.toString());
+      expect(await verifyProof(proof, publicSignals)).to.be.true;
+      expect(metrics.queueMs).to.be.at.least(0);
+      expect(metrics.totalMs).to.equal(metrics.witnessMs + metrics.provingMs);
+    }
+    expect(pool.pending).to.equal(0);
+    expect(pool.running).to.equal(0);
+  });
+
+  it("Should prove compliance and transfer circuits", async function () {
+    pool = new ProverPool({ size: 1, preload: [] });
+    const note = randomNote(100);
+    const tree = await MerkleTree.build();
+    tree.insert((await computeNoteLeaf(note)).leaf);
+
+    const compliance = await pool.prove("compliance", { ...note, recipient, amlThreshold: BigInt(1000) });
+    expect(await verifyProof(compliance.proof, compliance.publicSignals, { circuit: "compliance" })).to.be.true;
+
+    const transfer = await pool.prove("transfer", { note, tree, outNote: randomNote(100), extDataHash: BigInt(7) });
+    expect(transfer.publicSignals[0]).to.equal(tree.root().toString());
+    expect(await verifyProof(transfer.proof, transfer.publicSignals, { circuit: "transfer" })).to.be.true;
+
+    await expectReject(pool.prove("disclosure", {}), "ProverPool: Unknown circuit disclosure");
+  });
+
+  it("Should apply back-pressure when the queue is full", async function () {
+    pool = new ProverPool({ size: 1, maxQueue: 1 });
+    const batch = await Promise.all([privacyInputs(), privacyInputs(), privacyInputs(), privacyInputs()]);
+    await pool.proveInputs("privacy", batch[0]);
+
+    const running = pool.proveInputs("privacy", batch[1]);
+    const queued = pool.proveInputs("privacy", batch[2]);
+    expect(pool.running).to.equal(1);
+    expect(pool.pending).to.equal(1);
+    await expectReject(pool.proveInputs("privacy", batch[3]), "ProverPool: Queue is full");
+
+    await pool.whenReady();
+    expect(pool.pending).to.equal(0);
+    const last = pool.proveInputs("privacy", batch[3]);
+
+    await pool.onIdle();
+    expect(pool.running).to.equal(0);
+    await Promise.all([running, queued, last]);
+  });
+
+  it("Should cancel queued and running proofs", async function () {
+    pool = new ProverPool({ size: 1 });
+    const [first, second, third] = await Promise.all([privacyInputs(), privacyInputs(), privacyInputs()]);
+    await pool.proveInputs("privacy", first);
+
+    const runningController = new AbortController();
+    const queuedController = new AbortController();
+    const running = pool.proveInputs("privacy", first, { signal: runningController.signal });
+    const queued = pool.proveInputs("privacy", second, { signal: queuedController.signal });
+    const last = pool.proveInputs("privacy", third);
+    expect(pool.running).to.equal(1);
+
+    const cancelled = Promise.all([
+      expectReject(running, "ProverPool: Proof cancelled"),
+      expectReject(queued, "ProverPool: Proof cancelled"),
+    ]);
+    queuedController.abort();
+    expect(pool.pending).to.equal(1);
+    runningController.abort();
+    await cancelled;
+
+    // The replacement worker carries on with the rest of the queue
+    const { proof, publicSignals } = await last;
+    expect(await verifyProof(proof, publicSignals)).to.be.true;
+  });
+
+  it("Should reject pending proofs on close", async function () {
+    pool = new ProverPool({ size: 1 });
+    const pending = expectReject(pool.proveInputs("privacy", await privacyInputs()), "ProverPool: Pool is closed");
+
+    await pool.close();
+    await pending;
+    await expectReject(pool.prove("privacy", { ...randomNote(1), recipient }), "ProverPool: Pool is closed");
+  });
+
+  it("Should fail fast when workers cannot start", async function () {
+    pool = new ProverPool({ size: 1, manifestPath: path.join(__dirname, "missing-manifest.json") });
+
+    let error;
+    try {
+      await pool.prove("privacy", { ...randomNote(1), recipient });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^ProverPool: Worker failed: ENOENT/);
+  });
+});
@@ -1,6 +1,18 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { generateProof, formatProofForSolidity } = require("../scripts/generate-proof");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+  computeMessageHash,
+} = require("../scripts/generate-proof");
+const { deployPoseidonHasher } = require("../scripts/merkle-tree");
+const {
+  generateViewingKeyPair,
+  encryptPayload,
+  decryptPayload,
+} = require("../scripts/payload-encryption");
+const { decodeShieldPayload } = require("../scripts/relayer");
 
 describe("RaylsShield Integration Tests with ZK Proofs", function () {
   let raylsShield;
@@ -9,9 +21,10 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
   let owner;
   let user1;
   let user2;
+  let attacker;
 
   beforeEach(async function () {
-    [owner, user1, user2] = await ethers.getSigners();
+    [owner, user1, user2, attacker] = await ethers.getSigners();
 
     // Deploy mock endpoint for testing
     const MockEndpoint = await ethers.getContractFactory("MockRaylsEndpoint");
@@ -23,11 +36,24 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
     verifier = await Groth16Verifier.deploy();
     await verifier.waitForDeployment();
 
+    // Deploy shielded pool verifier and Poseidon hasher
+    const TransferVerifier = await ethers.getContractFactory("contracts/TransferVerifier.sol:Groth16Verifier");
+    const transferVerifier = await TransferVerifier.deploy();
+    await transferVerifier.waitForDeployment();
+    const ComplianceVerifier = await ethers.getContractFactory("contracts/ComplianceVerifier.sol:Groth16Verifier");
+    const complianceVerifier = await ComplianceVerifier.deploy();
+    await complianceVerifier.waitForDeployment();
+
+    const hasher = await deployPoseidonHasher(owner);
+
     // Deploy RaylsShield
     const RaylsShield = await ethers.getContractFactory("RaylsShield");
     raylsShield = await RaylsShield.deploy(
       await mockEndpoint.getAddress(),
-      await verifier.getAddress()
+      await verifier.getAddress(),
+      await transferVerifier.getAddress(),
+      await complianceVerifier.getAddress(),
+      await hasher.getAddress()
     );
     await raylsShield.waitForDeployment();
   });
@@ -37,8 +63,10 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       expect(await raylsShield.owner()).to.equal(owner.address);
     });
 
-    it("Should set the correct verifier", async function () {
-      expect(await raylsShield.verifier()).to.equal(await verifier.getAddress());
+    it("Should register the privacy verifier", async function () {
+      const [address, publicSignalCount] = await raylsShield.verifiers(await raylsShield.PRIVACY_CIRCUIT());
+      expect(address).to.equal(await verifier.getAddress());
+      expect(publicSignalCount).to.equal(4);
     });
 
     it("Should have the correct endpoint", async function () {
@@ -63,7 +91,7 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       });
 
       expect(proof).to.not.be.undefined;
-      expect(publicSignals).to.have.lengthOf(3);
+      expect(publicSignals).to.have.lengthOf(4);
     });
 
     it("Should verify a valid proof on-chain", async function () {
@@ -100,18 +128,24 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       const recipient = BigInt("0x" + user2.address.slice(2).padStart(64, "0"));
       const amount = BigInt(1000);
 
+      const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
+      const dstChainId = 456;
+      const destination = user2.address;
+
       const { proof, publicSignals } = await generateProof({
         secret,
         nullifier,
         recipient,
         amount,
+        extDataHash: computeExtDataHash({
+          sender: user1.address,
+          dstChainId,
+          destination,
+          encryptedPayload,
+        }),
       });
 
       const solidityProof = formatProofForSolidity(proof, publicSignals);
-      const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
-
-      const dstChainId = 456;
-      const destination = user2.address;
 
       const tx = await raylsShield.connect(user1).sendPrivateMessage(
         dstChainId,
@@ -145,12 +179,18 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       const dstChainId = 456;
       const destination = user2.address;
 
-      // Invalid proof data
+      // Invalid proof data (bound to the right message, so only the proof is wrong)
+      const extDataHash = computeExtDataHash({
+        sender: user1.address,
+        dstChainId,
+        destination,
+        encryptedPayload,
+      });
       const invalidProof = {
         a: [1, 2],
         b: [[1, 2], [3, 4]],
         c: [5, 6],
-        publicSignals: [7, 8, 9],
+        publicSignals: [7, 8, 9, extDataHash],
       };
 
       await expect(
@@ -174,18 +214,24 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       const recipient = BigInt("0x" + user2.address.slice(2).padStart(64, "0"));
       const amount = BigInt(1000);
 
+      const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
+      const dstChainId = 456;
+      const resourceId = ethers.keccak256(ethers.toUtf8Bytes("myResource"));
+
       const { proof, publicSignals } = await generateProof({
         secret,
         nullifier,
         recipient,
         amount,
+        extDataHash: computeExtDataHash({
+          sender: user1.address,
+          dstChainId,
+          resourceId,
+          encryptedPayload,
+        }),
       });
 
       const solidityProof = formatProofForSolidity(proof, publicSignals);
-      const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
-
-      const dstChainId = 456;
-      const resourceId = ethers.keccak256(ethers.toUtf8Bytes("myResource"));
 
       const tx = await raylsShield.connect(user1).sendPrivateMessageToResource(
         dstChainId,
@@ -215,36 +261,415 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
     });
   });
 
+  describe("Front-running Protection", function () {
+    const dstChainId = 456;
+    const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
+    const resourceId = ethers.keccak256(ethers.toUtf8Bytes("myResource"));
+    let solidityProof;
+
+    async function proveFor(extData) {
+      const { proof, publicSignals } = await generateProof({
+        secret: BigInt(123456789),
+        nullifier: BigInt(987654321),
+        recipient: BigInt("0x" + user2.address.slice(2).padStart(64, "0")),
+        amount: BigInt(1000),
+        extDataHash: computeExtDataHash(extData),
+      });
+      return formatProofForSolidity(proof, publicSignals);
+    }
+
+    beforeEach(async function () {
+      solidityProof = await proveFor({
+        sender: user1.address,
+        dstChainId,
+        destination: user2.address,
+        encryptedPayload,
+      });
+    });
+
+    it("Should match the on-chain external data hash", async function () {
+      const onChain = await raylsShield.computeExtDataHash(
+        user1.address,
+        dstChainId,
+        ethers.zeroPadValue(user2.address, 32),
+        encryptedPayload
+      );
+      expect(onChain.toString()).to.equal(solidityProof.publicSignals[3]);
+    });
+
+    it("Should reject a copied proof submitted by another sender", async function () {
+      await expect(
+        raylsShield.connect(attacker).sendPrivateMessage(
+          dstChainId,
+          user2.address,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+
+    it("Should reject a copied proof redirected to another destination", async function () {
+      await expect(
+        raylsShield.connect(user1).sendPrivateMessage(
+          dstChainId,
+          attacker.address,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+
+    it("Should reject a copied proof with a different chain or payload", async function () {
+      await expect(
+        raylsShield.connect(user1).sendPrivateMessage(
+          dstChainId + 1,
+          user2.address,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+
+      await expect(
+        raylsShield.connect(user1).sendPrivateMessage(
+          dstChainId,
+          user2.address,
+          ethers.toUtf8Bytes("Tampered payload"),
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+
+    it("Should reject a forged external data hash", async function () {
+      // Attacker rewrites the public signal to match their own call; the proof no longer verifies
+      const forgedSignals = [...solidityProof.publicSignals];
+      forgedSignals[3] = computeExtDataHash({
+        sender: attacker.address,
+        dstChainId,
+        destination: attacker.address,
+        encryptedPayload,
+      }).toString();
+
+      await expect(
+        raylsShield.connect(attacker).sendPrivateMessage(
+          dstChainId,
+          attacker.address,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          forgedSignals
+        )
+      ).to.be.revertedWith("RaylsShield: Invalid ZK proof");
+    });
+
+    it("Should reject a copied proof on the resourceId path", async function () {
+      const resourceProof = await proveFor({
+        sender: user1.address,
+        dstChainId,
+        resourceId,
+        encryptedPayload,
+      });
+
+      await expect(
+        raylsShield.connect(attacker).sendPrivateMessageToResource(
+          dstChainId,
+          resourceId,
+          encryptedPayload,
+          resourceProof.a,
+          resourceProof.b,
+          resourceProof.c,
+          resourceProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+  });
+
   describe("Nullifier Management", function () {
+    const dstChainId = 456;
+    const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
+    const resourceId = ethers.keccak256(ethers.toUtf8Bytes("myResource"));
+
+    async function proveWithNullifier(nullifier, extData) {
+      const { proof, publicSignals } = await generateProof({
+        secret: BigInt(123456789),
+        nullifier,
+        recipient: BigInt("0x" + user2.address.slice(2).padStart(64, "0")),
+        amount: BigInt(1000),
+        extDataHash: computeExtDataHash(extData),
+      });
+      return formatProofForSolidity(proof, publicSignals);
+    }
+
+    function toNullifierHash(solidityProof) {
+      return ethers.zeroPadValue(ethers.toBeHex(BigInt(solidityProof.publicSignals[0])), 32);
+    }
+
     it("Should track nullifier usage", async function () {
       const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier1"));
       expect(await raylsShield.isNullifierUsed(nullifier)).to.be.false;
     });
+
+    it("Should spend the proof's nullifier on send", async function () {
+      const solidityProof = await proveWithNullifier(BigInt(1001), {
+        sender: user1.address,
+        dstChainId,
+        destination: user2.address,
+        encryptedPayload,
+      });
+      const nullifierHash = toNullifierHash(solidityProof);
+
+      expect(await raylsShield.isNullifierUsed(nullifierHash)).to.be.false;
+
+      await expect(
+        raylsShield.connect(user1).sendPrivateMessage(
+          dstChainId,
+          user2.address,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.emit(raylsShield, "NullifierSpent");
+
+      expect(await raylsShield.isNullifierUsed(nullifierHash)).to.be.true;
+    });
+
+    it("Should reject a reused nullifier on sendPrivateMessage", async function () {
+      const solidityProof = await proveWithNullifier(BigInt(1002), {
+        sender: user1.address,
+        dstChainId,
+        destination: user2.address,
+        encryptedPayload,
+      });
+      const send = () => raylsShield.connect(user1).sendPrivateMessage(
+        dstChainId,
+        user2.address,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      await send();
+      await expect(send()).to.be.revertedWith("RaylsShield: Nullifier already used");
+    });
+
+    it("Should reject a reused nullifier on sendPrivateMessageToResource", async function () {
+      const solidityProof = await proveWithNullifier(BigInt(1003), {
+        sender: user1.address,
+        dstChainId,
+        resourceId,
+        encryptedPayload,
+      });
+      const send = () => raylsShield.connect(user1).sendPrivateMessageToResource(
+        dstChainId,
+        resourceId,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      await send();
+      await expect(send()).to.be.revertedWith("RaylsShield: Nullifier already used");
+    });
+
+    it("Should reject a nullifier already spent through the other send variant", async function () {
+      const nullifier = BigInt(1004);
+      const addressProof = await proveWithNullifier(nullifier, {
+        sender: user1.address,
+        dstChainId,
+        destination: user2.address,
+        encryptedPayload,
+      });
+      const resourceProof = await proveWithNullifier(nullifier, {
+        sender: user1.address,
+        dstChainId,
+        resourceId,
+        encryptedPayload,
+      });
+
+      await raylsShield.connect(user1).sendPrivateMessage(
+        dstChainId,
+        user2.address,
+        encryptedPayload,
+        addressProof.a,
+        addressProof.b,
+        addressProof.c,
+        addressProof.publicSignals
+      );
+
+      await expect(
+        raylsShield.connect(user1).sendPrivateMessageToResource(
+          dstChainId,
+          resourceId,
+          encryptedPayload,
+          resourceProof.a,
+          resourceProof.b,
+          resourceProof.c,
+          resourceProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: Nullifier already used");
+    });
   });
 
   describe("Verifier Management", function () {
-    it("Should allow owner to update verifier", async function () {
-      const newVerifier = await (await ethers.getContractFactory("contracts/PrivacyVerifier.sol:Groth16Verifier")).deploy();
-      await newVerifier.waitForDeployment();
+    const DELAY = 2 * 24 * 60 * 60;
+    let PRIVACY_CIRCUIT;
+
+    async function deployVerifier(name) {
+      const factory = await ethers.getContractFactory(`contracts/${name}.sol:Groth16Verifier`);
+      const deployed = await factory.deploy();
+      await deployed.waitForDeployment();
+      return deployed.getAddress();
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function sendWithNullifier(nullifier) {
+      const encryptedPayload = ethers.toUtf8Bytes("Encrypted secret message");
+      const { proof, publicSignals } = await generateProof({
+        secret: BigInt(123456789),
+        nullifier,
+        recipient: BigInt(user2.address),
+        amount: BigInt(1000),
+        extDataHash: computeExtDataHash({
+          sender: user1.address,
+          dstChainId: 456,
+          destination: user2.address,
+          encryptedPayload,
+        }),
+      });
+      const solidityProof = formatProofForSolidity(proof, publicSignals);
+      return raylsShield.connect(user1).sendPrivateMessage(
+        456,
+        user2.address,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+    }
+
+    beforeEach(async function () {
+      PRIVACY_CIRCUIT = await raylsShield.PRIVACY_CIRCUIT();
+    });
+
+    it("Should register every circuit with its public signal count", async function () {
+      expect(PRIVACY_CIRCUIT).to.equal(ethers.id("privacy"));
+      expect((await raylsShield.verifiers(ethers.id("transfer"))).publicSignalCount).to.equal(5);
+      expect((await raylsShield.verifiers(ethers.id("compliance"))).publicSignalCount).to.equal(5);
+    });
+
+    it("Should apply a proposed verifier only after the timelock", async function () {
+      const newVerifier = await deployVerifier("PrivacyVerifier");
+
+      const tx = await raylsShield.proposeVerifier(PRIVACY_CIRCUIT, newVerifier, 4);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      await expect(tx)
+        .to.emit(raylsShield, "VerifierUpdatePending")
+        .withArgs(PRIVACY_CIRCUIT, newVerifier, 4, timestamp + DELAY);
+
+      await expect(raylsShield.applyVerifier(PRIVACY_CIRCUIT)).to.be.revertedWith(
+        "VerifierRegistry: Timelock not expired"
+      );
+      expect((await raylsShield.verifiers(PRIVACY_CIRCUIT)).verifier).to.equal(await verifier.getAddress());
 
-      await expect(raylsShield.updateVerifier(await newVerifier.getAddress()))
-        .to.emit(raylsShield, "VerifierUpdated")
-        .withArgs(await verifier.getAddress(), await newVerifier.getAddress());
+      await increaseTime(DELAY);
+      await expect(raylsShield.applyVerifier(PRIVACY_CIRCUIT))
+        .to.emit(raylsShield, "VerifierUpdateApplied")
+        .withArgs(PRIVACY_CIRCUIT, await verifier.getAddress(), newVerifier, 4);
 
-      expect(await raylsShield.verifier()).to.equal(await newVerifier.getAddress());
+      expect((await raylsShield.verifiers(PRIVACY_CIRCUIT)).verifier).to.equal(newVerifier);
+      expect((await raylsShield.pendingVerifiers(PRIVACY_CIRCUIT)).verifier).to.equal(ethers.ZeroAddress);
+      await expect(sendWithNullifier(BigInt(1))).to.emit(raylsShield, "PrivateMessageSent");
     });
 
-    it("Should revert if non-owner tries to update verifier", async function () {
-      const newVerifier = await (await ethers.getContractFactory("contracts/PrivacyVerifier.sol:Groth16Verifier")).deploy();
+    it("Should cancel a pending verifier", async function () {
+      const newVerifier = await deployVerifier("PrivacyVerifier");
+      await raylsShield.proposeVerifier(PRIVACY_CIRCUIT, newVerifier, 4);
+
+      await expect(raylsShield.cancelVerifier(PRIVACY_CIRCUIT))
+        .to.emit(raylsShield, "VerifierUpdateCancelled")
+        .withArgs(PRIVACY_CIRCUIT, newVerifier);
+
+      await increaseTime(DELAY);
+      await expect(raylsShield.applyVerifier(PRIVACY_CIRCUIT)).to.be.revertedWith(
+        "VerifierRegistry: No pending verifier"
+      );
+      expect((await raylsShield.verifiers(PRIVACY_CIRCUIT)).verifier).to.equal(await verifier.getAddress());
+    });
+
+    it("Should check proofs against the registered public signal count", async function () {
+      // A verifier registered with the wrong signal count rejects every proof
+      await raylsShield.proposeVerifier(PRIVACY_CIRCUIT, await deployVerifier("TransferVerifier"), 5);
+      await increaseTime(DELAY);
+      await raylsShield.applyVerifier(PRIVACY_CIRCUIT);
+
+      await expect(sendWithNullifier(BigInt(2))).to.be.revertedWith(
+        "VerifierRegistry: Public signal count mismatch"
+      );
+    });
+
+    it("Should register verifiers for new circuits", async function () {
+      const circuitId = ethers.id("disclosure");
+      const newVerifier = await deployVerifier("TransferVerifier");
+
+      await raylsShield.proposeVerifier(circuitId, newVerifier, 5);
+      await increaseTime(DELAY);
+      await expect(raylsShield.applyVerifier(circuitId))
+        .to.emit(raylsShield, "VerifierUpdateApplied")
+        .withArgs(circuitId, ethers.ZeroAddress, newVerifier, 5);
+    });
+
+    it("Should revert if non-owner tries to change verifiers", async function () {
+      const newVerifier = await deployVerifier("PrivacyVerifier");
+
       await expect(
-        raylsShield.connect(user1).updateVerifier(await newVerifier.getAddress())
+        raylsShield.connect(user1).proposeVerifier(PRIVACY_CIRCUIT, newVerifier, 4)
+      ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
+
+      await raylsShield.proposeVerifier(PRIVACY_CIRCUIT, newVerifier, 4);
+      await increaseTime(DELAY);
+      await expect(
+        raylsShield.connect(user1).applyVerifier(PRIVACY_CIRCUIT)
+      ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
+      await expect(
+        raylsShield.connect(user1).cancelVerifier(PRIVACY_CIRCUIT)
       ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
     });
 
-    it("Should revert if verifier address is zero", async function () {
+    it("Should revert on invalid verifiers", async function () {
+      await expect(
+        raylsShield.proposeVerifier(PRIVACY_CIRCUIT, ethers.ZeroAddress, 4)
+      ).to.be.revertedWith("VerifierRegistry: Invalid verifier address");
+
       await expect(
-        raylsShield.updateVerifier(ethers.ZeroAddress)
-      ).to.be.revertedWith("RaylsShield: Invalid verifier address");
+        raylsShield.proposeVerifier(PRIVACY_CIRCUIT, user2.address, 4)
+      ).to.be.revertedWith("VerifierRegistry: Verifier has no code");
+
+      await expect(
+        raylsShield.proposeVerifier(PRIVACY_CIRCUIT, await verifier.getAddress(), 0)
+      ).to.be.revertedWith("VerifierRegistry: Invalid public signal count");
     });
   });
 
@@ -255,6 +680,14 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
       const nullifier = BigInt(111111111);
       const recipientBigInt = BigInt("0x" + user2.address.slice(2).padStart(64, "0"));
       const amount = BigInt(5000);
+      const bobKeys = generateViewingKeyPair();
+      const attackerKeys = generateViewingKeyPair();
+      const encryptedPayload = encryptPayload(
+        ethers.toUtf8Bytes("Secret institutional transfer"),
+        bobKeys.publicKey
+      );
+      const dstChainId = 789;
+      const destination = user2.address;
 
       console.log("\n=== E2E Privacy Flow ===");
       console.log("1. Generating ZK proof...");
@@ -264,6 +697,12 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
         nullifier,
         recipient: recipientBigInt,
         amount,
+        extDataHash: computeExtDataHash({
+          sender: user1.address,
+          dstChainId,
+          destination,
+          encryptedPayload,
+        }),
       });
 
       const solidityProof = formatProofForSolidity(proof, publicSignals);
@@ -271,9 +710,14 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
 
       // Step 2: Send private message
       console.log("2. Sending private cross-chain message...");
-      const encryptedPayload = ethers.toUtf8Bytes("Secret institutional transfer");
-      const dstChainId = 789;
-      const destination = user2.address;
+
+      // The message ID is known before the send
+      const messageHash = computeMessageHash({
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        shield: await raylsShield.getAddress(),
+        sender: user1.address,
+        nonce: await raylsShield.messageNonces(user1.address),
+      });
 
       const tx = await raylsShield.connect(user1).sendPrivateMessage(
         dstChainId,
@@ -295,20 +739,41 @@ describe("RaylsShield Integration Tests with ZK Proofs", function () {
         32
       );
 
-      // Message hash should be verified
-      const messageHash = ethers.keccak256(
-        ethers.solidityPacked(
-          ["address", "uint256", "address", "bytes", "bytes32", "uint256"],
-          [
-            user1.address,
-            dstChainId,
-            destination,
-            encryptedPayload,
-            nullifierHash,
-            await ethers.provider.getBlock("latest").then(b => b.timestamp)
-          ]
-        )
+      await expect(tx)
+        .to.emit(raylsShield, "PrivateMessageSent")
+        .withArgs(messageHash, dstChainId, user1.address, nullifierHash);
+      expect(await raylsShield.isMessageVerified(messageHash)).to.be.true;
+
+      const record = await raylsShield.sentMessages(messageHash);
+      expect(record.dstChainId).to.equal(dstChainId);
+      expect(record.destination).to.equal(ethers.zeroPadValue(destination, 32));
+      expect(record.toResource).to.be.false;
+      expect(record.nullifierHash).to.equal(nullifierHash);
+      expect(record.payloadHash).to.equal(ethers.keccak256(encryptedPayload));
+      console.log("✅ Message tracked under", messageHash);
+
+      // Step 4: Only the recipient can read the payload carried by the endpoint
+      console.log("4. Decrypting payload...");
+      const receipt = await tx.wait();
+      const sent = receipt.logs
+        .map((log) => {
+          try {
+            return mockEndpoint.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === "MessageSent");
+
+      const delivered = decodeShieldPayload(sent.args.payload);
+      expect(delivered.encryptedPayload).to.equal(encryptedPayload);
+      expect(ethers.toUtf8String(decryptPayload(delivered.encryptedPayload, bobKeys.privateKey))).to.equal(
+        "Secret institutional transfer"
+      );
+      expect(() => decryptPayload(delivered.encryptedPayload, attackerKeys.privateKey)).to.throw(
+        "PayloadEncryption: Decryption failed"
       );
+      console.log("✅ Payload readable by recipient only");
 
       console.log("✅ End-to-end flow completed successfully!");
       console.log("=======================\n");
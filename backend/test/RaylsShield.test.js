@@ -1,14 +1,25 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployPoseidonHasher, MerkleTree, buildTreeFromDeposits } = require("../scripts/merkle-tree");
+const { computeNoteLeaf } = require("../scripts/generate-proof");
 
 describe("RaylsShield", function () {
   let raylsShield;
   let verifier;
+  let transferVerifier;
+  let complianceVerifier;
   let mockEndpoint;
   let owner;
   let user1;
   let user2;
 
+  async function deployVerifier(name) {
+    const factory = await ethers.getContractFactory(`contracts/${name}.sol:Groth16Verifier`);
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
@@ -17,16 +28,22 @@ describe("RaylsShield", function () {
     mockEndpoint = await MockEndpoint.deploy();
     await mockEndpoint.waitForDeployment();
 
-    // Deploy Groth16Verifier
-    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-    verifier = await Groth16Verifier.deploy();
-    await verifier.waitForDeployment();
+    // Deploy the generated verifiers; RaylsShield self-tests each one
+    verifier = await deployVerifier("PrivacyVerifier");
+    transferVerifier = await deployVerifier("TransferVerifier");
+    complianceVerifier = await deployVerifier("ComplianceVerifier");
+
+    // Deploy Poseidon hasher for the commitment tree
+    const hasher = await deployPoseidonHasher(owner);
 
     // Deploy RaylsShield
     const RaylsShield = await ethers.getContractFactory("RaylsShield");
     raylsShield = await RaylsShield.deploy(
       await mockEndpoint.getAddress(),
-      await verifier.getAddress()
+      await verifier.getAddress(),
+      await transferVerifier.getAddress(),
+      await complianceVerifier.getAddress(),
+      await hasher.getAddress()
     );
     await raylsShield.waitForDeployment();
   });
@@ -36,8 +53,14 @@ describe("RaylsShield", function () {
       expect(await raylsShield.owner()).to.equal(owner.address);
     });
 
-    it("Should set the correct verifier", async function () {
-      expect(await raylsShield.verifier()).to.equal(await verifier.getAddress());
+    it("Should register the verifiers", async function () {
+      expect((await raylsShield.verifiers(ethers.id("privacy"))).verifier).to.equal(await verifier.getAddress());
+      expect((await raylsShield.verifiers(ethers.id("transfer"))).verifier).to.equal(
+        await transferVerifier.getAddress()
+      );
+      expect((await raylsShield.verifiers(ethers.id("compliance"))).verifier).to.equal(
+        await complianceVerifier.getAddress()
+      );
     });
 
     it("Should have the correct endpoint", async function () {
@@ -48,28 +71,35 @@ describe("RaylsShield", function () {
   });
 
   describe("Verifier Management", function () {
-    it("Should allow owner to update verifier", async function () {
-      const newVerifier = await (await ethers.getContractFactory("Groth16Verifier")).deploy();
-      await newVerifier.waitForDeployment();
+    const PRIVACY_CIRCUIT = ethers.id("privacy");
+
+    it("Should allow owner to update verifier after the timelock", async function () {
+      const newVerifier = await deployVerifier("PrivacyVerifier");
 
-      await expect(raylsShield.updateVerifier(await newVerifier.getAddress()))
-        .to.emit(raylsShield, "VerifierUpdated")
-        .withArgs(await verifier.getAddress(), await newVerifier.getAddress());
+      await expect(raylsShield.proposeVerifier(PRIVACY_CIRCUIT, await newVerifier.getAddress(), 4))
+        .to.emit(raylsShield, "VerifierUpdatePending");
+      await expect(raylsShield.applyVerifier(PRIVACY_CIRCUIT))
+        .to.be.revertedWith("VerifierRegistry: Timelock not expired");
 
-      expect(await raylsShield.verifier()).to.equal(await newVerifier.getAddress());
+      await ethers.provider.send("evm_increaseTime", [Number(await raylsShield.VERIFIER_UPDATE_DELAY())]);
+      await expect(raylsShield.applyVerifier(PRIVACY_CIRCUIT))
+        .to.emit(raylsShield, "VerifierUpdateApplied")
+        .withArgs(PRIVACY_CIRCUIT, await verifier.getAddress(), await newVerifier.getAddress(), 4);
+
+      expect((await raylsShield.verifiers(PRIVACY_CIRCUIT)).verifier).to.equal(await newVerifier.getAddress());
     });
 
     it("Should revert if non-owner tries to update verifier", async function () {
-      const newVerifier = await (await ethers.getContractFactory("Groth16Verifier")).deploy();
+      const newVerifier = await deployVerifier("PrivacyVerifier");
       await expect(
-        raylsShield.connect(user1).updateVerifier(await newVerifier.getAddress())
+        raylsShield.connect(user1).proposeVerifier(PRIVACY_CIRCUIT, await newVerifier.getAddress(), 4)
       ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
     });
 
     it("Should revert if verifier address is zero", async function () {
       await expect(
-        raylsShield.updateVerifier(ethers.ZeroAddress)
-      ).to.be.revertedWith("RaylsShield: Invalid verifier address");
+        raylsShield.proposeVerifier(PRIVACY_CIRCUIT, ethers.ZeroAddress, 4)
+      ).to.be.revertedWith("VerifierRegistry: Invalid verifier address");
     });
   });
 
@@ -85,6 +115,84 @@ describe("RaylsShield", function () {
     });
   });
 
+  describe("Shielded Pool", function () {
+    const note = { secret: BigInt(123456789), nullifier: BigInt(987654321), amount: BigInt(1000) };
+
+    function toBytes32(value) {
+      return ethers.zeroPadValue(ethers.toBeHex(value), 32);
+    }
+
+    it("Should start with the empty tree root", async function () {
+      const tree = await MerkleTree.build();
+      expect(BigInt(await raylsShield.getLastRoot())).to.equal(tree.root());
+      expect(await raylsShield.isKnownRoot(toBytes32(tree.root()))).to.equal(true);
+    });
+
+    it("Should insert Poseidon(commitment, amount) on deposit", async function () {
+      const { commitment, leaf } = await computeNoteLeaf(note);
+
+      await expect(
+        raylsShield.connect(user1).deposit(toBytes32(commitment), { value: note.amount })
+      ).to.emit(raylsShield, "Deposit");
+
+      const tree = await MerkleTree.build();
+      tree.insert(leaf);
+
+      expect(await raylsShield.commitments(toBytes32(leaf))).to.equal(true);
+      expect(await raylsShield.nextIndex()).to.equal(1);
+      expect(BigInt(await raylsShield.getLastRoot())).to.equal(tree.root());
+    });
+
+    it("Should rebuild the tree from Deposit events", async function () {
+      for (let i = 0; i < 3; i++) {
+        const { commitment } = await computeNoteLeaf({ ...note, nullifier: BigInt(i + 1) });
+        await raylsShield.connect(user1).deposit(toBytes32(commitment), { value: note.amount });
+      }
+
+      const tree = await buildTreeFromDeposits(raylsShield);
+      expect(tree.size).to.equal(3);
+      expect(tree.root()).to.equal(BigInt(await raylsShield.getLastRoot()));
+    });
+
+    it("Should keep older roots in the history", async function () {
+      const { commitment: first } = await computeNoteLeaf({ ...note, nullifier: BigInt(1) });
+      const { commitment: second } = await computeNoteLeaf({ ...note, nullifier: BigInt(2) });
+
+      await raylsShield.connect(user1).deposit(toBytes32(first), { value: note.amount });
+      const oldRoot = await raylsShield.getLastRoot();
+      await raylsShield.connect(user1).deposit(toBytes32(second), { value: note.amount });
+
+      expect(await raylsShield.getLastRoot()).to.not.equal(oldRoot);
+      expect(await raylsShield.isKnownRoot(oldRoot)).to.equal(true);
+      expect(await raylsShield.isKnownRoot(ethers.ZeroHash)).to.equal(false);
+    });
+
+    it("Should reject zero and duplicate deposits", async function () {
+      const { commitment } = await computeNoteLeaf(note);
+
+      await expect(
+        raylsShield.connect(user1).deposit(toBytes32(commitment))
+      ).to.be.revertedWith("RaylsShield: Zero deposit");
+
+      await raylsShield.connect(user1).deposit(toBytes32(commitment), { value: note.amount });
+      await expect(
+        raylsShield.connect(user1).deposit(toBytes32(commitment), { value: note.amount })
+      ).to.be.revertedWith("RaylsShield: Commitment already exists");
+    });
+
+    it("Should allow only the owner to propose a transfer verifier", async function () {
+      const newVerifier = await deployVerifier("TransferVerifier");
+      const TRANSFER_CIRCUIT = await raylsShield.TRANSFER_CIRCUIT();
+
+      await expect(
+        raylsShield.connect(user1).proposeVerifier(TRANSFER_CIRCUIT, await newVerifier.getAddress(), 5)
+      ).to.be.revertedWithCustomError(raylsShield, "OwnableUnauthorizedAccount");
+
+      await expect(raylsShield.proposeVerifier(TRANSFER_CIRCUIT, await newVerifier.getAddress(), 5))
+        .to.emit(raylsShield, "VerifierUpdatePending");
+    });
+  });
+
   // Note: Full integration tests would require:
   // 1. Compiled Circom circuits with actual proofs
   // 2. Mock or actual Rayls endpoint setup
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const http = require("http");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { generateViewingKeyPair } = require("../scripts/payload-encryption");
+const { publishViewingKey } = require("../scripts/key-registry");
+const { LocalRelayer } = require("../scripts/relayer");
+const { SDK_CONTRACTS } = require("../scripts/export-abis");
+const { deriveNoteSeed, deriveNote } = require("../scripts/notes");
+const { ACTION_TYPES } = require("../scripts/actions");
+const { RaylsShieldClient, configFromDeployment, abi } = require("../sdk");
+const { deployShield } = require("./helpers/deploy");
+
+describe("RaylsShieldClient Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const silentLogger = { log() {}, error() {} };
+
+  let owner;
+  let alice;
+  let bob;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let registry;
+  let relayer;
+  let bobKeys;
+  let aliceClient;
+  let bobClient;
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockEndpoint = await ethers.getContractFactory("MockRaylsEndpoint");
+    endpointA = await MockEndpoint.deploy();
+    endpointB = await MockEndpoint.deploy();
+    await endpointA.waitForDeployment();
+    await endpointB.waitForDeployment();
+    await endpointB.addTrustedExecutor(owner.address);
+
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    const ViewingKeyRegistry = await ethers.getContractFactory("ViewingKeyRegistry");
+    registry = await ViewingKeyRegistry.deploy();
+    await registry.waitForDeployment();
+
+    bobKeys = generateViewingKeyPair();
+    await publishViewingKey(registry, bob, bobKeys.privateKey);
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor: owner },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor: owner },
+      ],
+      { logger: silentLogger }
+    );
+
+    aliceClient = new RaylsShieldClient(
+      {
+        network: { chainId: CHAIN_A },
+        addresses: {
+          raylsShield: await shieldA.getAddress(),
+          viewingKeyRegistry: await registry.getAddress(),
+        },
+      },
+      { signer: alice }
+    );
+    bobClient = new RaylsShieldClient(
+      { network: { chainId: CHAIN_B }, addresses: { raylsShield: await shieldB.getAddress() } },
+      { provider: ethers.provider }
+    );
+  });
+
+  describe("ABIs", function () {
+    it("Should ship ABIs matching the compiled contracts", async function () {
+      for (const name of SDK_CONTRACTS) {
+        const artifact = await hre.artifacts.readArtifact(name);
+        expect(abi[name], `${name} ABI is stale, run npm run export:abis`).to.deep.equal(artifact.abi);
+      }
+    });
+  });
+
+  describe("Config", function () {
+    it("Should reject invalid configs", function () {
+      expect(() => new RaylsShieldClient({ network: "nowhere", addresses: {} }, { signer: alice })).to.throw(
+        "RaylsShieldClient: Unknown network nowhere"
+      );
+      expect(
+        () => new RaylsShieldClient({ network: "localhost", addresses: { raylsShield: "0x1234" } }, { signer: alice })
+      ).to.throw("RaylsShieldClient: Invalid raylsShield address 0x1234");
+      expect(() => new RaylsShieldClient({ network: "localhost", addresses: {} }, { signer: alice })).to.throw(
+        "RaylsShieldClient: Missing raylsShield address"
+      );
+    });
+
+    it("Should build a config from a deployment file", function () {
+      const config = configFromDeployment(require("../deployments/raylsDevnet.json"));
+      const client = new RaylsShieldClient(config, { provider: ethers.provider });
+
+      expect(client.network.chainId).to.equal(123123n);
+      expect(client.network.rpcUrl).to.equal("https://devnet-rpc.rayls.com");
+      expect(client.addresses.raylsShield).to.equal("0x71E3a04c9Ecc624656334756f70dAAA1fc4F985D");
+    });
+
+    it("Should refuse artifacts from a base URL that differ from the manifest", async function () {
+      // Serves something other than the pinned circuit files
+      const server = http.createServer((req, res) => res.writeHead(200).end("not a circuit"));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      try {
+        const client = new RaylsShieldClient(
+          {
+            network: "localhost",
+            addresses: { raylsShield: await shieldA.getAddress() },
+            artifactBaseUrl: `http://127.0.0.1:${server.address().port}/circuits/`,
+          },
+          { signer: alice }
+        );
+        const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 1 });
+
+        let error;
+        try {
+          await client.prove(note, { dstChainId: CHAIN_B, destination: bob.address, encryptedPayload: "0x" });
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.equal("ArtifactRegistry: SHA-256 mismatch for privacy@1 vkey");
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("Notes", function () {
+    it("Should prepare distinct notes for a registered recipient", async function () {
+      const first = await aliceClient.prepareNote({ recipient: bob.address, amount: 1000 });
+      const second = await aliceClient.prepareNote({ recipient: bob.address, amount: 1000 });
+
+      expect(first.secret).to.not.equal(second.secret);
+      expect(first.nullifier).to.not.equal(second.nullifier);
+      expect(first.amount).to.equal(1000n);
+      expect(first.recipient.encryptionPublicKey).to.equal(bobKeys.publicKey);
+    });
+
+    it("Should derive recoverable notes from a seed", async function () {
+      const seed = await deriveNoteSeed(alice);
+      const first = await aliceClient.prepareNote({ recipient: bob.address, amount: 5, seed, index: 3 });
+      const again = await aliceClient.prepareNote({ recipient: bob.address, amount: 5, seed, index: 3 });
+
+      expect(again.secret).to.equal(first.secret);
+      expect(again.commitment).to.equal(first.commitment);
+      expect(first.secret).to.equal(deriveNote(seed, 3, 5).secret);
+    });
+
+    it("Should refuse to encrypt for a recipient without a viewing key", async function () {
+      const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 1 });
+      note.recipient = { address: bob.address, recipient: BigInt(bob.address) };
+
+      let error;
+      try {
+        await aliceClient.sendPrivate({
+          note,
+          dstChainId: CHAIN_B,
+          destination: await shieldB.getAddress(),
+          payload: "hello",
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(
+        "RaylsShieldClient: Recipient has no viewing key; pass encryptedPayload instead"
+      );
+    });
+
+    it("Should refuse plaintext payloads and viewing keys without payload encryption", async function () {
+      // What a browser bundle gets for scripts/payload-encryption.js
+      const client = new RaylsShieldClient(
+        { network: { chainId: CHAIN_A }, addresses: { raylsShield: await shieldA.getAddress() } },
+        { signer: alice, encryption: {} }
+      );
+      const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 1 });
+
+      let error;
+      try {
+        await client.sendPrivate({ note, dstChainId: CHAIN_B, destination: await shieldB.getAddress(), payload: "hello" });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal("RaylsShieldClient: No payload encryption available; pass options.encryption");
+      expect(() => client.watchIncoming(() => {}, { viewingKey: bobKeys.privateKey })).to.throw(
+        "RaylsShieldClient: No payload encryption available; pass options.encryption"
+      );
+    });
+  });
+
+  describe("Sending and Watching", function () {
+    it("Should send a private message that the recipient's watcher decrypts", async function () {
+      const received = [];
+      const watcher = bobClient.watchIncoming((message) => received.push(message), {
+        viewingKey: bobKeys.privateKey,
+        fromBlock: 0,
+        pollInterval: 60000,
+      });
+
+      try {
+        const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 7500 });
+        const messageHash = await aliceClient.nextMessageHash();
+        const sent = await aliceClient.sendPrivate({
+          note,
+          dstChainId: CHAIN_B,
+          destination: await shieldB.getAddress(),
+          payload: "hello from the sdk",
+        });
+
+        expect(sent.messageHash).to.equal(messageHash);
+        expect(sent.nullifierHash).to.equal(ethers.toBeHex(note.nullifierHash, 32));
+        expect(await shieldA.isNullifierUsed(sent.nullifierHash)).to.be.true;
+        expect(await aliceClient.getSentMessage(messageHash)).to.deep.include({
+          sender: alice.address,
+          dstChainId: BigInt(CHAIN_B),
+          destination: await shieldB.getAddress(),
+          resourceId: undefined,
+          nullifierHash: sent.nullifierHash,
+          payloadHash: ethers.keccak256(sent.encryptedPayload),
+        });
+        expect(await aliceClient.getMessageStatus(messageHash)).to.equal("sent");
+
+        const [delivery] = await relayer.poll();
+        expect(delivery.status).to.equal("delivered");
+
+        await watcher.poll();
+        expect(received).to.have.lengthOf(1);
+        expect(received[0].messageId).to.equal(delivery.messageId);
+        expect(received[0].srcChainId).to.equal(CHAIN_A);
+        expect(received[0].nullifierHash).to.equal(sent.nullifierHash);
+        expect(received[0].encryptedPayload).to.equal(sent.encryptedPayload);
+        expect(ethers.toUtf8String(received[0].payload)).to.equal("hello from the sdk");
+      } finally {
+        watcher.stop();
+      }
+    });
+
+    it("Should resume at the message onMessage threw on", async function () {
+      let calls = 0;
+      const received = [];
+      const watcher = bobClient.watchIncoming(
+        (message) => {
+          calls += 1;
+          if (calls === 1) {
+            throw new Error("Inbox busy");
+          }
+          received.push(message);
+        },
+        { viewingKey: bobKeys.privateKey, fromBlock: 0, pollInterval: 60000 }
+      );
+
+      try {
+        const destination = await shieldB.getAddress();
+        for (const payload of ["first", "second"]) {
+          const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 10 });
+          await aliceClient.sendPrivate({ note, dstChainId: CHAIN_B, destination, payload });
+        }
+        const deliveries = await relayer.poll();
+        expect(deliveries.map((delivery) => delivery.status)).to.deep.equal(["delivered", "delivered"]);
+
+        let error;
+        try {
+          await watcher.poll();
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.equal("Inbox busy");
+        expect(received).to.have.lengthOf(0);
+
+        await watcher.poll();
+        expect(calls).to.equal(3);
+        expect(received.map((message) => ethers.toUtf8String(message.payload))).to.deep.equal(["first", "second"]);
+      } finally {
+        watcher.stop();
+      }
+    });
+
+    it("Should send to a resourceId and hide messages from other viewing keys", async function () {
+      const resourceId = ethers.keccak256(ethers.toUtf8Bytes("shield-b"));
+      await endpointB.registerResourceId(resourceId, await shieldB.getAddress());
+
+      const eveReceived = [];
+      const allReceived = [];
+      const eveWatcher = bobClient.watchIncoming((message) => eveReceived.push(message), {
+        viewingKey: generateViewingKeyPair().privateKey,
+        fromBlock: 0,
+        pollInterval: 60000,
+      });
+      const openWatcher = bobClient.watchIncoming((message) => allReceived.push(message), {
+        fromBlock: 0,
+        pollInterval: 60000,
+      });
+
+      try {
+        const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 10 });
+        const sent = await aliceClient.sendPrivateToResource({
+          note,
+          dstChainId: CHAIN_B,
+          resourceId,
+          payload: ethers.toUtf8Bytes("to a resource"),
+        });
+
+        const [delivery] = await relayer.poll();
+        expect(delivery.status).to.equal("delivered");
+
+        await eveWatcher.poll();
+        await openWatcher.poll();
+        expect(eveReceived).to.have.lengthOf(0);
+        expect(allReceived).to.have.lengthOf(1);
+        expect(allReceived[0].encryptedPayload).to.equal(sent.encryptedPayload);
+        expect(allReceived[0].payload).to.be.null;
+      } finally {
+        eveWatcher.stop();
+        openWatcher.stop();
+      }
+    });
+
+    it("Should send an action with an encrypted note and report both to the recipient", async function () {
+      const AttestationHandler = await ethers.getContractFactory("AttestationHandler");
+      const dispatcher = await ethers.getContractAt("ActionDispatcher", await shieldB.actionDispatcher());
+      const handler = await AttestationHandler.deploy(dispatcher.target);
+      await handler.waitForDeployment();
+      await dispatcher.setActionHandler(ACTION_TYPES.attestation, await handler.getAddress());
+
+      const received = [];
+      const watcher = bobClient.watchIncoming((message) => received.push(message), {
+        viewingKey: bobKeys.privateKey,
+        fromBlock: 0,
+        pollInterval: 60000,
+      });
+
+      try {
+        const subject = ethers.id("shipment-7");
+        const note = await aliceClient.prepareNote({ recipient: bob.address, amount: 1 });
+        await aliceClient.sendPrivate({
+          note,
+          dstChainId: CHAIN_B,
+          destination: await shieldB.getAddress(),
+          payload: "delivered on time",
+          action: { actionType: "attestation", data: { subject, digest: ethers.id("on-time") } },
+        });
+
+        const [delivery] = await relayer.poll();
+        expect(delivery.status).to.equal("delivered");
+        expect((await handler.attestations(subject, delivery.messageId)).digest).to.equal(ethers.id("on-time"));
+
+        await watcher.poll();
+        expect(received).to.have.lengthOf(1);
+        expect(received[0].action.name).to.equal("attestation");
+        expect(received[0].action.params.subject).to.equal(subject);
+        expect(ethers.toUtf8String(received[0].payload)).to.equal("delivered on time");
+      } finally {
+        watcher.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+  computeRecipientHash,
+} = require("../scripts/generate-proof");
+const { addressToRecipient, computeShieldedAddressHash } = require("../scripts/key-registry");
+const {
+  generateViewingKeyPair,
+  encryptPayload,
+  encryptPayloadWithSalt,
+} = require("../scripts/payload-encryption");
+const { encodeActionEnvelope } = require("../scripts/actions");
+const { LocalRelayer } = require("../scripts/relayer");
+const { RecipientScanner } = require("../scripts/recipient-scanner");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("Recipient Scanner Integration Tests", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let eve;
+  let executor;
+  let shieldA;
+  let shieldB;
+  let relayer;
+  let bobKeys;
+  let eveKeys;
+  let nextNullifier;
+
+  // Send a message from chain A to shield B for `recipient` and deliver it
+  async function sendAndDeliver(recipient, encryptedPayload, recipientSalt) {
+    const destination = await shieldB.getAddress();
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier: BigInt(nextNullifier++),
+      recipient: addressToRecipient(recipient),
+      recipientSalt,
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        destination,
+        encryptedPayload,
+      }),
+    });
+    const { a, b, c, publicSignals: signals } = formatProofForSolidity(proof, publicSignals);
+
+    await shieldA.connect(alice).sendPrivateMessage(CHAIN_B, destination, encryptedPayload, a, b, c, signals);
+    const [result] = await relayer.poll();
+    expect(result.status).to.equal("delivered");
+    return BigInt(publicSignals[2]);
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, eve, executor] = await ethers.getSigners();
+
+    const endpointA = await deploy("MockRaylsEndpoint");
+    const endpointB = await deploy("MockRaylsEndpoint");
+    await endpointB.addTrustedExecutor(executor.address);
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+
+    bobKeys = generateViewingKeyPair();
+    eveKeys = generateViewingKeyPair();
+    nextNullifier = 1;
+  });
+
+  it("Should hide the recipient from anyone hashing known addresses", async function () {
+    const { encryptedPayload, recipientSalt } = encryptPayloadWithSalt(ethers.toUtf8Bytes("for bob"), bobKeys.publicKey);
+    const recipientHash = await sendAndDeliver(bob.address, encryptedPayload, recipientSalt);
+
+    expect(recipientHash).to.equal(await computeRecipientHash(addressToRecipient(bob.address), recipientSalt));
+    for (const signer of [alice, bob, eve]) {
+      expect(recipientHash).to.not.equal(await computeShieldedAddressHash(signer.address));
+      expect(recipientHash).to.not.equal(await computeRecipientHash(addressToRecipient(signer.address), 0n));
+    }
+  });
+
+  it("Should find only the scanning recipient's messages", async function () {
+    const toBob = encryptPayloadWithSalt(ethers.toUtf8Bytes("for bob"), bobKeys.publicKey);
+    await sendAndDeliver(bob.address, toBob.encryptedPayload, toBob.recipientSalt);
+
+    const toEve = encryptPayloadWithSalt(ethers.toUtf8Bytes("for eve"), eveKeys.publicKey);
+    await sendAndDeliver(eve.address, toEve.encryptedPayload, toEve.recipientSalt);
+
+    // Encrypted to Bob, but proven for Eve
+    const misaddressed = encryptPayloadWithSalt(ethers.toUtf8Bytes("mixed up"), bobKeys.publicKey);
+    await sendAndDeliver(eve.address, misaddressed.encryptedPayload, misaddressed.recipientSalt);
+
+    // Encrypted to Bob with a random salt: Bob can decrypt it but not recognise the proof
+    await sendAndDeliver(bob.address, encryptPayload(ethers.toUtf8Bytes("unsalted"), bobKeys.publicKey));
+
+    // An action envelope carries the encrypted payload inside it
+    const inner = encryptPayloadWithSalt(ethers.toUtf8Bytes("attested"), bobKeys.publicKey);
+    const action = encodeActionEnvelope({
+      actionType: "attestation",
+      data: { subject: ethers.id("shipment"), digest: ethers.id("document") },
+      ciphertext: inner.encryptedPayload,
+    });
+    await sendAndDeliver(bob.address, action, inner.recipientSalt);
+
+    const bobScanner = new RecipientScanner({ recipient: bob.address, viewingKey: bobKeys.privateKey });
+    const found = await bobScanner.scan(shieldB);
+    expect(found.map((message) => message.encryptedPayload)).to.deep.equal([toBob.encryptedPayload, action]);
+    expect(found[0].srcChainId).to.equal(CHAIN_A);
+
+    const eveScanner = new RecipientScanner({ recipient: eve.address, viewingKey: eveKeys.privateKey });
+    const eveFound = await eveScanner.scan(shieldB);
+    expect(eveFound.map((message) => message.encryptedPayload)).to.deep.equal([toEve.encryptedPayload]);
+
+    // Bob's key with someone else's address matches nothing
+    const wrongAddress = new RecipientScanner({ recipient: alice.address, viewingKey: bobKeys.privateKey });
+    expect(await wrongAddress.scan(shieldB)).to.have.lengthOf(0);
+  });
+});
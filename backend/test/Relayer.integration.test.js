@@ -0,0 +1,346 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  generateProof,
+  generateComplianceProof,
+  formatProofForSolidity,
+  computeExtDataHash,
+} = require("../scripts/generate-proof");
+const {
+  generateViewingKeyPair,
+  encryptPayload,
+  decryptPayload,
+} = require("../scripts/payload-encryption");
+const { LocalRelayer, decodeShieldPayload } = require("../scripts/relayer");
+const { deployShield } = require("./helpers/deploy");
+
+describe("Local Relayer Integration Tests", function () {
+  // Two endpoints on one node stand in for two chains
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const silentLogger = { log() {}, error() {} };
+
+  let alice;
+  let bob;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let shieldA;
+  let shieldB;
+  let relayer;
+  let bobKeys;
+
+  async function proveFor(nullifier, encryptedPayload, target) {
+    const { proof, publicSignals } = await generateProof({
+      secret: BigInt(123456789),
+      nullifier,
+      recipient: BigInt(bob.address),
+      amount: BigInt(1000),
+      extDataHash: computeExtDataHash({
+        sender: alice.address,
+        dstChainId: CHAIN_B,
+        ...target,
+        encryptedPayload,
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, executor] = await ethers.getSigners();
+
+    const MockEndpoint = await ethers.getContractFactory("MockRaylsEndpoint");
+    endpointA = await MockEndpoint.deploy();
+    endpointB = await MockEndpoint.deploy();
+    await endpointA.waitForDeployment();
+    await endpointB.waitForDeployment();
+    await endpointB.addTrustedExecutor(executor.address);
+
+    shieldA = await deployShield(endpointA);
+    shieldB = await deployShield(endpointB);
+    await shieldA.setShieldPeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setShieldPeer(CHAIN_A, await shieldA.getAddress());
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+
+    bobKeys = generateViewingKeyPair();
+  });
+
+  describe("Delivery", function () {
+    it("Should deliver sendPrivateMessage to receivePrivateMessage", async function () {
+      const destination = await shieldB.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("cross-chain hello"), bobKeys.publicKey);
+      const solidityProof = await proveFor(BigInt(1), encryptedPayload, { destination });
+
+      const sendTx = await shieldA.connect(alice).sendPrivateMessage(
+        CHAIN_B,
+        destination,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+      const [sent] = await endpointA.queryFilter(
+        endpointA.filters.MessageSent(),
+        (await sendTx.wait()).blockNumber
+      );
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("delivered");
+      expect(result.messageId).to.equal(sent.args.messageId);
+
+      const nullifierHash = ethers.toBeHex(solidityProof.publicSignals[0], 32);
+      const receipt = await ethers.provider.getTransactionReceipt(result.txHash);
+      const received = receipt.logs
+        .map((log) => {
+          try {
+            return shieldB.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === "PrivateMessageReceived");
+
+      expect(received.args.messageHash).to.equal(sent.args.messageId);
+      expect(received.args.srcChainId).to.equal(CHAIN_A);
+      expect(received.args.nullifier).to.equal(nullifierHash);
+      expect(await shieldB.isNullifierUsed(nullifierHash)).to.be.true;
+
+      // The ciphertext arrives intact and only Bob can read it
+      const delivered = decodeShieldPayload(sent.args.payload);
+      expect(delivered.method).to.equal("receivePrivateMessage");
+      expect(ethers.toUtf8String(decryptPayload(delivered.encryptedPayload, bobKeys.privateKey))).to.equal(
+        "cross-chain hello"
+      );
+    });
+
+    it("Should resolve resourceIds on the destination endpoint", async function () {
+      const resourceId = ethers.keccak256(ethers.toUtf8Bytes("shield-b"));
+      await endpointB.registerResourceId(resourceId, await shieldB.getAddress());
+
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("to a resource"), bobKeys.publicKey);
+      const solidityProof = await proveFor(BigInt(2), encryptedPayload, { resourceId });
+
+      await shieldA.connect(alice).sendPrivateMessageToResource(
+        CHAIN_B,
+        resourceId,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("delivered");
+      expect(result.destination).to.equal(await shieldB.getAddress());
+      expect(
+        await shieldB.isNullifierUsed(ethers.toBeHex(solidityProof.publicSignals[0], 32))
+      ).to.be.true;
+    });
+
+    it("Should deliver compliant messages to receiveCompliantPrivateMessage", async function () {
+      await shieldA.setAmlThreshold(CHAIN_B, 10000);
+      const destination = await shieldB.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("compliant"), bobKeys.publicKey);
+      const { proof, publicSignals } = await generateComplianceProof({
+        secret: BigInt(5),
+        nullifier: BigInt(6),
+        recipient: BigInt(bob.address),
+        amount: BigInt(500),
+        amlThreshold: BigInt(10000),
+        extDataHash: computeExtDataHash({ sender: alice.address, dstChainId: CHAIN_B, destination, encryptedPayload }),
+      });
+      const solidityProof = formatProofForSolidity(proof, publicSignals);
+
+      const tx = await shieldA.connect(alice).sendCompliantPrivateMessage(
+        CHAIN_B,
+        destination,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+      const [sent] = await endpointA.queryFilter(endpointA.filters.MessageSent(), tx.blockNumber, tx.blockNumber);
+      const delivered = decodeShieldPayload(sent.args.payload);
+      expect(delivered.method).to.equal("receiveCompliantPrivateMessage");
+      expect(delivered.sender).to.equal(alice.address);
+      expect(delivered.dstChainId).to.equal(BigInt(CHAIN_B));
+
+      // The destination checks extDataHash too, so a delivery cannot swap the payload
+      const forged = shieldB.interface.encodeFunctionData("receiveCompliantPrivateMessage", [
+        delivered.deadline,
+        alice.address,
+        CHAIN_B,
+        ethers.toUtf8Bytes("forged"),
+        delivered.proof.a,
+        delivered.proof.b,
+        delivered.proof.c,
+        delivered.publicSignals,
+      ]);
+      await expect(endpointB.connect(executor).execute(CHAIN_A, ethers.id("forged"), destination, forged))
+        .to.emit(endpointB, "MessageFailed")
+        .withArgs(ethers.id("forged"), CHAIN_A, destination, (reason) =>
+          shieldB.interface.parseError(reason).args[0] === "RaylsShield: External data hash mismatch"
+        );
+
+      // Nor can a chain without a peer shield deliver it under a later deadline
+      const late = shieldB.interface.encodeFunctionData("receiveCompliantPrivateMessage", [
+        delivered.deadline + 3600n,
+        alice.address,
+        CHAIN_B,
+        encryptedPayload,
+        delivered.proof.a,
+        delivered.proof.b,
+        delivered.proof.c,
+        delivered.publicSignals,
+      ]);
+      await expect(endpointB.connect(executor).execute(300, ethers.id("late"), destination, late))
+        .to.emit(endpointB, "MessageFailed")
+        .withArgs(ethers.id("late"), 300, destination, (reason) =>
+          shieldB.interface.parseError(reason).args[0] === "RaylsShield: Unknown shield peer"
+        );
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("delivered");
+      expect(
+        await shieldB.isNullifierUsed(ethers.toBeHex(solidityProof.publicSignals[0], 32))
+      ).to.be.true;
+    });
+
+    it("Should deliver each message once", async function () {
+      const destination = await shieldB.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("once"), bobKeys.publicKey);
+      const solidityProof = await proveFor(BigInt(3), encryptedPayload, { destination });
+
+      await shieldA.connect(alice).sendPrivateMessage(
+        CHAIN_B,
+        destination,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      expect(await relayer.poll()).to.have.lengthOf(1);
+      expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should only remember the latest delivered messages", async function () {
+      const destination = await shieldB.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("bounded"), bobKeys.publicKey);
+      relayer.deliveredLimit = 1;
+
+      const ids = [];
+      for (const nullifier of [BigInt(6), BigInt(7)]) {
+        const solidityProof = await proveFor(nullifier, encryptedPayload, { destination });
+        await shieldA.connect(alice).sendPrivateMessage(
+          CHAIN_B,
+          destination,
+          encryptedPayload,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        );
+        const [result] = await relayer.poll();
+        expect(result.status).to.equal("delivered");
+        ids.push(result.messageId);
+      }
+
+      expect([...relayer.delivered]).to.deep.equal([ids[1]]);
+    });
+  });
+
+  describe("Failures", function () {
+    it("Should report a delivery rejected by receiveMethod", async function () {
+      // Deliveries to chain A are made by an executor endpoint A does not trust
+      const destination = await shieldA.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("untrusted"), bobKeys.publicKey);
+      const { proof, publicSignals } = await generateProof({
+        secret: BigInt(123456789),
+        nullifier: BigInt(4),
+        recipient: BigInt(bob.address),
+        amount: BigInt(1000),
+        extDataHash: computeExtDataHash({
+          sender: alice.address,
+          dstChainId: CHAIN_A,
+          destination,
+          encryptedPayload,
+        }),
+      });
+      const solidityProof = formatProofForSolidity(proof, publicSignals);
+
+      await shieldB.connect(alice).sendPrivateMessage(
+        CHAIN_A,
+        destination,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("failed");
+      expect(result.attempts).to.equal(1);
+      expect(await shieldA.isNullifierUsed(ethers.toBeHex(publicSignals[0], 32))).to.be.false;
+
+      // Still pending: delivered on a later poll once the executor is trusted
+      await endpointA.addTrustedExecutor(executor.address);
+      const [retried] = await relayer.poll();
+      expect(retried.messageId).to.equal(result.messageId);
+      expect(retried.status).to.equal("delivered");
+      expect(retried.attempts).to.equal(2);
+      expect(await shieldA.isNullifierUsed(ethers.toBeHex(publicSignals[0], 32))).to.be.true;
+      expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+
+    it("Should skip messages for unknown chains", async function () {
+      const destination = await shieldB.getAddress();
+      const encryptedPayload = encryptPayload(ethers.toUtf8Bytes("nowhere"), bobKeys.publicKey);
+      const { proof, publicSignals } = await generateProof({
+        secret: BigInt(123456789),
+        nullifier: BigInt(5),
+        recipient: BigInt(bob.address),
+        amount: BigInt(1000),
+        extDataHash: computeExtDataHash({
+          sender: alice.address,
+          dstChainId: 999,
+          destination,
+          encryptedPayload,
+        }),
+      });
+      const solidityProof = formatProofForSolidity(proof, publicSignals);
+
+      await shieldA.connect(alice).sendPrivateMessage(
+        999,
+        destination,
+        encryptedPayload,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      relayer.maxAttempts = 2;
+      const [result] = await relayer.poll();
+      expect(result.status).to.equal("skipped");
+      expect(result.abandoned).to.be.undefined;
+
+      const [last] = await relayer.poll();
+      expect(last.status).to.equal("skipped");
+      expect(last.abandoned).to.be.true;
+      expect(await relayer.poll()).to.have.lengthOf(0);
+    });
+  });
+});
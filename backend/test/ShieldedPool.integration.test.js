@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  formatProofForSolidity,
+  computeExtDataHash,
+  computeNoteLeaf,
+  generateProof,
+  generateTransferProof,
+} = require("../scripts/generate-proof");
+const { buildTreeFromDeposits } = require("../scripts/merkle-tree");
+const {
+  generateViewingKeyPair,
+  encryptPayload,
+  decryptPayload,
+} = require("../scripts/payload-encryption");
+const { deploy, deployShield } = require("./helpers/deploy");
+
+describe("RaylsShield Shielded Pool Integration Tests", function () {
+  let raylsShield;
+  let alice;
+  let bob;
+  let attacker;
+  let chainId;
+
+  const aliceNote = {
+    secret: BigInt(123456789),
+    nullifier: BigInt(987654321),
+    amount: ethers.parseEther("1"),
+  };
+
+  function toBytes32(value) {
+    return ethers.zeroPadValue(ethers.toBeHex(value), 32);
+  }
+
+  async function depositNote(signer, note) {
+    const { commitment } = await computeNoteLeaf(note);
+    await raylsShield.connect(signer).deposit(toBytes32(commitment), { value: note.amount });
+  }
+
+  async function proveTransfer(sender, note, outNote, encryptedNote) {
+    const tree = await buildTreeFromDeposits(raylsShield);
+    const { proof, publicSignals } = await generateTransferProof({
+      note,
+      tree,
+      outNote,
+      extDataHash: computeExtDataHash({
+        sender: sender.address,
+        dstChainId: chainId,
+        resourceId: ethers.ZeroHash,
+        encryptedPayload: encryptedNote,
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  async function proveWithdraw(sender, note, outNote, to) {
+    const tree = await buildTreeFromDeposits(raylsShield);
+    const { proof, publicSignals } = await generateTransferProof({
+      note,
+      tree,
+      outNote,
+      publicAmount: note.amount - outNote.amount,
+      extDataHash: computeExtDataHash({
+        sender: sender.address,
+        dstChainId: chainId,
+        destination: to,
+        encryptedPayload: "0x",
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, attacker] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    const mockEndpoint = await deploy("MockRaylsEndpoint");
+    raylsShield = await deployShield(mockEndpoint);
+
+    await depositNote(alice, aliceNote);
+  });
+
+  describe("Deposit", function () {
+    it("Should hold the deposited value in the pool", async function () {
+      expect(await ethers.provider.getBalance(await raylsShield.getAddress())).to.equal(aliceNote.amount);
+    });
+  });
+
+  describe("Private Transfer", function () {
+    it("Should move a note to Bob without releasing value", async function () {
+      const bobNote = { secret: BigInt(555), nullifier: BigInt(666), amount: aliceNote.amount };
+      const bobKeys = generateViewingKeyPair();
+      const noteJson = JSON.stringify(bobNote, (_, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      );
+      const encryptedNote = encryptPayload(ethers.toUtf8Bytes(noteJson), bobKeys.publicKey);
+      const solidityProof = await proveTransfer(alice, aliceNote, bobNote, encryptedNote);
+
+      await expect(
+        raylsShield.connect(alice).privateTransfer(
+          encryptedNote,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.emit(raylsShield, "PrivateTransfer");
+
+      // Bob recovers his note from the event
+      const [transfer] = await raylsShield.queryFilter(raylsShield.filters.PrivateTransfer());
+      const received = JSON.parse(
+        ethers.toUtf8String(decryptPayload(transfer.args.encryptedNote, bobKeys.privateKey))
+      );
+      expect(BigInt(received.amount)).to.equal(bobNote.amount);
+      expect(BigInt(received.nullifier)).to.equal(bobNote.nullifier);
+
+      const { leaf, nullifierHash } = await computeNoteLeaf(aliceNote);
+      const { leaf: bobLeaf } = await computeNoteLeaf(bobNote);
+      expect(await raylsShield.noteNullifiers(toBytes32(nullifierHash))).to.equal(true);
+      expect(await raylsShield.isNullifierUsed(toBytes32(nullifierHash))).to.equal(false);
+      expect(await raylsShield.commitments(toBytes32(bobLeaf))).to.equal(true);
+
+      const tree = await buildTreeFromDeposits(raylsShield);
+      expect(tree.indexOf(leaf)).to.equal(0);
+      expect(tree.indexOf(bobLeaf)).to.equal(1);
+      expect(await ethers.provider.getBalance(await raylsShield.getAddress())).to.equal(aliceNote.amount);
+    });
+
+    it("Should reject a transfer proof that releases value", async function () {
+      const changeNote = { secret: BigInt(1), nullifier: BigInt(2), amount: BigInt(0) };
+      const encryptedNote = ethers.toUtf8Bytes("note");
+      const tree = await buildTreeFromDeposits(raylsShield);
+      const { proof, publicSignals } = await generateTransferProof({
+        note: aliceNote,
+        tree,
+        outNote: changeNote,
+        publicAmount: aliceNote.amount,
+        extDataHash: computeExtDataHash({
+          sender: alice.address,
+          dstChainId: chainId,
+          resourceId: ethers.ZeroHash,
+          encryptedPayload: encryptedNote,
+        }),
+      });
+      const solidityProof = formatProofForSolidity(proof, publicSignals);
+
+      await expect(
+        raylsShield.connect(alice).privateTransfer(
+          encryptedNote,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: Transfer cannot withdraw");
+    });
+  });
+
+  describe("Withdraw", function () {
+    it("Should release value and keep the change in a new note", async function () {
+      const changeNote = { secret: BigInt(777), nullifier: BigInt(888), amount: ethers.parseEther("0.25") };
+      const solidityProof = await proveWithdraw(alice, aliceNote, changeNote, bob.address);
+      const withdrawn = aliceNote.amount - changeNote.amount;
+
+      await expect(
+        raylsShield.connect(alice).withdraw(
+          bob.address,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.changeEtherBalances([raylsShield, bob], [-withdrawn, withdrawn]);
+
+      // The change note can be spent in turn
+      const finalNote = { secret: BigInt(999), nullifier: BigInt(1000), amount: BigInt(0) };
+      const changeProof = await proveWithdraw(alice, changeNote, finalNote, alice.address);
+
+      await expect(
+        raylsShield.connect(alice).withdraw(
+          alice.address,
+          changeProof.a,
+          changeProof.b,
+          changeProof.c,
+          changeProof.publicSignals
+        )
+      ).to.changeEtherBalance(alice, changeNote.amount);
+    });
+
+    it("Should reject a double spend", async function () {
+      const changeNote = { secret: BigInt(1), nullifier: BigInt(2), amount: BigInt(0) };
+      const solidityProof = await proveWithdraw(alice, aliceNote, changeNote, alice.address);
+      const withdraw = () => raylsShield.connect(alice).withdraw(
+        alice.address,
+        solidityProof.a,
+        solidityProof.b,
+        solidityProof.c,
+        solidityProof.publicSignals
+      );
+
+      await withdraw();
+      await expect(withdraw()).to.be.revertedWith("RaylsShield: Nullifier already used");
+    });
+
+    it("Should keep note nullifiers apart from message nullifiers", async function () {
+      const changeNote = { secret: BigInt(1), nullifier: BigInt(2), amount: BigInt(0) };
+      const solidityProof = await proveWithdraw(alice, aliceNote, changeNote, alice.address);
+      const { nullifierHash } = await computeNoteLeaf(aliceNote);
+      await expect(
+        raylsShield.connect(alice).withdraw(
+          alice.address,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      )
+        .to.emit(raylsShield, "NoteNullifierSpent")
+        .withArgs(toBytes32(nullifierHash), ethers.ZeroHash);
+
+      // A message proof with the same nullifier has the same nullifierHash, but a spent note
+      // does not block it
+      const destination = bob.address;
+      const encryptedPayload = "0x1234";
+      const message = await generateProof({
+        secret: BigInt(42),
+        nullifier: aliceNote.nullifier,
+        recipient: BigInt(bob.address),
+        amount: BigInt(1),
+        extDataHash: computeExtDataHash({ sender: alice.address, dstChainId: 2, destination, encryptedPayload }),
+      });
+      const messageProof = formatProofForSolidity(message.proof, message.publicSignals);
+      expect(BigInt(messageProof.publicSignals[0])).to.equal(nullifierHash);
+
+      await expect(
+        raylsShield.connect(alice).sendPrivateMessage(
+          2,
+          destination,
+          encryptedPayload,
+          messageProof.a,
+          messageProof.b,
+          messageProof.c,
+          messageProof.publicSignals
+        )
+      ).to.emit(raylsShield, "NullifierSpent");
+      expect(await raylsShield.isNullifierUsed(toBytes32(nullifierHash))).to.equal(true);
+      expect(await raylsShield.noteNullifiers(toBytes32(nullifierHash))).to.equal(true);
+    });
+
+    it("Should reject a withdrawal proof copied by another sender", async function () {
+      const changeNote = { secret: BigInt(1), nullifier: BigInt(2), amount: BigInt(0) };
+      const solidityProof = await proveWithdraw(alice, aliceNote, changeNote, alice.address);
+
+      await expect(
+        raylsShield.connect(attacker).withdraw(
+          attacker.address,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          solidityProof.publicSignals
+        )
+      ).to.be.revertedWith("RaylsShield: External data hash mismatch");
+    });
+
+    it("Should reject an unknown Merkle root", async function () {
+      const changeNote = { secret: BigInt(1), nullifier: BigInt(2), amount: BigInt(0) };
+      const solidityProof = await proveWithdraw(alice, aliceNote, changeNote, alice.address);
+      const signals = [...solidityProof.publicSignals];
+      signals[0] = "12345";
+
+      await expect(
+        raylsShield.connect(alice).withdraw(
+          alice.address,
+          solidityProof.a,
+          solidityProof.b,
+          solidityProof.c,
+          signals
+        )
+      ).to.be.revertedWith("RaylsShield: Unknown Merkle root");
+    });
+  });
+});
@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  formatProofForSolidity,
+  computeExtDataHash,
+  computeNoteLeaf,
+  generateTransferProof,
+} = require("../scripts/generate-proof");
+const { deployPoseidonHasher, buildTreeFromDeposits } = require("../scripts/merkle-tree");
+const { generateViewingKeyPair, encryptPayload, decryptPayload } = require("../scripts/payload-encryption");
+const { LocalRelayer } = require("../scripts/relayer");
+const { deploy, deployVerifier } = require("./helpers/deploy");
+
+describe("Private ERC-20 Bridge", function () {
+  const CHAIN_A = 100;
+  const CHAIN_B = 200;
+  const LOCK = 0;
+  const MINT = 1;
+  const silentLogger = { log() {}, error() {} };
+
+  let owner;
+  let alice;
+  let bob;
+  let executor;
+  let endpointA;
+  let endpointB;
+  let token;
+  let wrapped;
+  let shieldA;
+  let shieldB;
+  let relayer;
+  let bobKeys;
+
+  const aliceNote = { secret: 11n, nullifier: 12n, amount: 100n };
+  const bobNote = { secret: 21n, nullifier: 22n, amount: 100n };
+
+  async function deployTokenShield(endpoint, tokenAddress, mode) {
+    const transferVerifier = await deployVerifier("TransferVerifier");
+    const hasher = await deployPoseidonHasher(owner);
+    return deploy(
+      "RaylsShieldToken",
+      await endpoint.getAddress(),
+      await transferVerifier.getAddress(),
+      await hasher.getAddress(),
+      tokenAddress,
+      mode
+    );
+  }
+
+  function toBytes32(value) {
+    return ethers.zeroPadValue(ethers.toBeHex(value), 32);
+  }
+
+  function encryptNote(note) {
+    const json = JSON.stringify(note, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+    return encryptPayload(ethers.toUtf8Bytes(json), bobKeys.publicKey);
+  }
+
+  async function depositToken(shield, signer, note) {
+    const { commitment } = await computeNoteLeaf(note);
+    await token.connect(signer).approve(await shield.getAddress(), note.amount);
+    await shield.connect(signer).depositToken(toBytes32(commitment), note.amount);
+  }
+
+  /**
+   * Prove a bridge of note into outNote, committed to the peer of dstChainId
+   * @returns {Promise<Object>} Solidity proof
+   */
+  async function proveBridge(shield, sender, note, outNote, dstChainId, encryptedNote, publicAmount = 0n) {
+    const { proof, publicSignals } = await generateTransferProof({
+      note,
+      tree: await buildTreeFromDeposits(shield),
+      outNote,
+      publicAmount,
+      extDataHash: computeExtDataHash({
+        sender: sender.address,
+        dstChainId,
+        destination: await shield.bridgePeers(dstChainId),
+        encryptedPayload: encryptedNote,
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  async function proveWithdraw(shield, sender, note, outNote, to) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const { proof, publicSignals } = await generateTransferProof({
+      note,
+      tree: await buildTreeFromDeposits(shield),
+      outNote,
+      publicAmount: note.amount - outNote.amount,
+      extDataHash: computeExtDataHash({
+        sender: sender.address,
+        dstChainId: chainId,
+        destination: to,
+        encryptedPayload: "0x",
+      }),
+    });
+    return formatProofForSolidity(proof, publicSignals);
+  }
+
+  function bridge(shield, sender, dstChainId, encryptedNote, p) {
+    return shield.connect(sender).bridgeNote(dstChainId, encryptedNote, p.a, p.b, p.c, p.publicSignals);
+  }
+
+  before(async function () {
+    [owner, alice, bob, executor] = await ethers.getSigners();
+    bobKeys = generateViewingKeyPair();
+  });
+
+  beforeEach(async function () {
+    endpointA = await deploy("MockRaylsEndpoint");
+    endpointB = await deploy("MockRaylsEndpoint");
+    await endpointA.addTrustedExecutor(executor.address);
+    await endpointB.addTrustedExecutor(executor.address);
+
+    // Chain A locks the canonical token, chain B mints a wrapped one
+    token = await deploy("MockERC20", "Test Token", "TST");
+    wrapped = await deploy("ShieldWrappedToken", "Shielded TST", "sTST", 18);
+    shieldA = await deployTokenShield(endpointA, await token.getAddress(), LOCK);
+    shieldB = await deployTokenShield(endpointB, await wrapped.getAddress(), MINT);
+    await wrapped.setMinter(await shieldB.getAddress());
+
+    await shieldA.setBridgePeer(CHAIN_B, await shieldB.getAddress());
+    await shieldB.setBridgePeer(CHAIN_A, await shieldA.getAddress());
+
+    relayer = new LocalRelayer(
+      [
+        { chainId: CHAIN_A, endpoint: await endpointA.getAddress(), executor },
+        { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+      ],
+      { logger: silentLogger }
+    );
+
+    await token.mint(alice.address, 1000n);
+    await depositToken(shieldA, alice, aliceNote);
+  });
+
+  describe("Deposits", function () {
+    it("Should lock deposited tokens and refuse native deposits", async function () {
+      expect(await token.balanceOf(await shieldA.getAddress())).to.equal(aliceNote.amount);
+      expect(await token.balanceOf(alice.address)).to.equal(900n);
+
+      await expect(
+        shieldA.connect(alice).deposit(toBytes32(1n), { value: 1n })
+      ).to.be.revertedWith("RaylsShield: Token pool, use depositToken");
+      await expect(
+        shieldA.connect(alice).depositToken(toBytes32(1n), 0n)
+      ).to.be.revertedWith("RaylsShield: Zero deposit");
+    });
+  });
+
+  describe("Bridging", function () {
+    it("Should bridge a note, mint on withdrawal and bridge the change back", async function () {
+      const encryptedNote = encryptNote(bobNote);
+      const p = await proveBridge(shieldA, alice, aliceNote, bobNote, CHAIN_B, encryptedNote);
+      const tx = await bridge(shieldA, alice, CHAIN_B, encryptedNote, p);
+      await expect(tx)
+        .to.emit(shieldA, "NoteBridged")
+        .withArgs(toBytes32(p.publicSignals[1]), CHAIN_B, toBytes32(p.publicSignals[2]), ethers.hexlify(encryptedNote));
+      const record = await shieldA.bridgedNotes(toBytes32(p.publicSignals[1]));
+      expect(record.dstChainId).to.equal(CHAIN_B);
+      expect(record.outLeaf).to.equal(toBytes32(p.publicSignals[2]));
+
+      // The message carries commitments and the proof; the amount is not in it
+      const [sent] = await endpointA.queryFilter(endpointA.filters.MessageSent(), (await tx.wait()).blockNumber);
+      const call = shieldB.interface.parseTransaction({ data: sent.args.payload });
+      expect(call.name).to.equal("receiveBridgedNote");
+      expect(call.args._publicSignals[3]).to.equal(0n);
+
+      const [delivery] = await relayer.poll();
+      expect(delivery.status, delivery.error).to.equal("delivered");
+      const { leaf } = await computeNoteLeaf(bobNote);
+      expect(await shieldB.commitments(toBytes32(leaf))).to.be.true;
+      expect(await token.balanceOf(await shieldA.getAddress())).to.equal(100n);
+
+      // Bob reads his note from the event and withdraws 60, keeping 40 as change
+      const [received] = await shieldB.queryFilter(shieldB.filters.BridgedNoteReceived());
+      expect(received.args.srcChainId).to.equal(CHAIN_A);
+      const note = JSON.parse(ethers.toUtf8String(decryptPayload(received.args.encryptedNote, bobKeys.privateKey)));
+      expect(BigInt(note.amount)).to.equal(bobNote.amount);
+
+      const changeNote = { secret: 31n, nullifier: 32n, amount: 40n };
+      const w = await proveWithdraw(shieldB, bob, bobNote, changeNote, bob.address);
+      await shieldB.connect(bob).withdraw(bob.address, w.a, w.b, w.c, w.publicSignals);
+      expect(await wrapped.balanceOf(bob.address)).to.equal(60n);
+
+      // The change goes home and is released from the locked tokens
+      const homeNote = { secret: 41n, nullifier: 42n, amount: 40n };
+      const encryptedHome = encryptNote(homeNote);
+      const back = await proveBridge(shieldB, bob, changeNote, homeNote, CHAIN_A, encryptedHome);
+      await bridge(shieldB, bob, CHAIN_A, encryptedHome, back);
+      const [returned] = await relayer.poll();
+      expect(returned.status, returned.error).to.equal("delivered");
+
+      const release = await proveWithdraw(shieldA, bob, homeNote, { secret: 0n, nullifier: 0n, amount: 0n }, bob.address);
+      await shieldA.connect(bob).withdraw(bob.address, release.a, release.b, release.c, release.publicSignals);
+      expect(await token.balanceOf(bob.address)).to.equal(40n);
+      expect(await token.balanceOf(await shieldA.getAddress())).to.equal(60n);
+      expect(await wrapped.totalSupply()).to.equal(60n);
+    });
+
+    it("Should burn wrapped tokens deposited on the minting side", async function () {
+      const encryptedNote = encryptNote(bobNote);
+      const p = await proveBridge(shieldA, alice, aliceNote, bobNote, CHAIN_B, encryptedNote);
+      await bridge(shieldA, alice, CHAIN_B, encryptedNote, p);
+      await relayer.poll();
+      const w = await proveWithdraw(shieldB, bob, bobNote, { secret: 0n, nullifier: 0n, amount: 0n }, bob.address);
+      await shieldB.connect(bob).withdraw(bob.address, w.a, w.b, w.c, w.publicSignals);
+
+      const { commitment } = await computeNoteLeaf({ secret: 51n, nullifier: 52n, amount: 30n });
+      await wrapped.connect(bob).approve(await shieldB.getAddress(), 30n);
+      await shieldB.connect(bob).depositToken(toBytes32(commitment), 30n);
+      expect(await wrapped.totalSupply()).to.equal(70n);
+      expect(await wrapped.balanceOf(await shieldB.getAddress())).to.equal(0n);
+    });
+  });
+
+  describe("Rejections", function () {
+    it("Should only bridge to configured peers without releasing value", async function () {
+      const encryptedNote = encryptNote(bobNote);
+      const p = await proveBridge(shieldA, alice, aliceNote, bobNote, CHAIN_B, encryptedNote);
+
+      await expect(bridge(shieldA, alice, 300, encryptedNote, p)).to.be.revertedWith(
+        "RaylsShield: Unknown bridge peer"
+      );
+      await expect(bridge(shieldA, bob, CHAIN_B, encryptedNote, p)).to.be.revertedWith(
+        "RaylsShield: External data hash mismatch"
+      );
+
+      const partial = await proveBridge(shieldA, alice, aliceNote, { ...bobNote, amount: 90n }, CHAIN_B, encryptedNote, 10n);
+      await expect(bridge(shieldA, alice, CHAIN_B, encryptedNote, partial)).to.be.revertedWith(
+        "RaylsShield: Bridge cannot withdraw"
+      );
+
+      await bridge(shieldA, alice, CHAIN_B, encryptedNote, p);
+      await expect(bridge(shieldA, alice, CHAIN_B, encryptedNote, p)).to.be.revertedWith(
+        "RaylsShield: Nullifier already used"
+      );
+    });
+
+    it("Should refuse notes from chains that are not peers", async function () {
+      const encryptedNote = encryptNote(bobNote);
+      const p = await proveBridge(shieldA, alice, aliceNote, bobNote, CHAIN_B, encryptedNote);
+      await bridge(shieldA, alice, CHAIN_B, encryptedNote, p);
+
+      await shieldB.setBridgePeer(CHAIN_A, ethers.ZeroAddress);
+      const [delivery] = await relayer.poll();
+      expect(delivery.status).to.equal("failed");
+      expect(delivery.error).to.include("RaylsShield: Unknown bridge peer");
+
+      // Receiving is a receive method, so only the endpoint can deliver
+      await expect(
+        shieldB.receiveBridgedNote(encryptedNote, p.a, p.b, p.c, p.publicSignals)
+      ).to.be.reverted;
+    });
+
+    it("Should refuse notes sent through the endpoint of a chain that is not a peer", async function () {
+      // A shield of the same code on chain C, over a tree its deployer controls
+      const CHAIN_C = 300;
+      const endpointC = await deploy("MockRaylsEndpoint");
+      const rogue = await deployTokenShield(endpointC, await token.getAddress(), LOCK);
+      await rogue.setBridgePeer(CHAIN_B, await shieldB.getAddress());
+      const rogueNote = { secret: 61n, nullifier: 62n, amount: 500n };
+      await depositToken(rogue, alice, rogueNote);
+
+      const outNote = { secret: 71n, nullifier: 72n, amount: 500n };
+      const encryptedNote = encryptNote(outNote);
+      const p = await proveBridge(rogue, alice, rogueNote, outNote, CHAIN_B, encryptedNote);
+      await bridge(rogue, alice, CHAIN_B, encryptedNote, p);
+
+      // Nor can anyone send the payload through that endpoint directly
+      const payload = shieldB.interface.encodeFunctionData("receiveBridgedNote", [
+        encryptedNote,
+        p.a,
+        p.b,
+        p.c,
+        p.publicSignals,
+      ]);
+      await endpointC.connect(alice).send(CHAIN_B, await shieldB.getAddress(), payload);
+
+      const withChainC = new LocalRelayer(
+        [
+          { chainId: CHAIN_B, endpoint: await endpointB.getAddress(), executor },
+          { chainId: CHAIN_C, endpoint: await endpointC.getAddress(), executor },
+        ],
+        { logger: silentLogger }
+      );
+      const results = await withChainC.poll();
+      expect(results).to.have.lengthOf(2);
+      for (const result of results) {
+        expect(result.status).to.equal("failed");
+        expect(result.error).to.include("RaylsShield: Unknown bridge peer");
+      }
+      const { leaf } = await computeNoteLeaf(outNote);
+      expect(await shieldB.commitments(toBytes32(leaf))).to.be.false;
+    });
+
+    it("Should keep peers and minting under owner control", async function () {
+      await expect(
+        shieldA.connect(alice).setBridgePeer(CHAIN_B, alice.address)
+      ).to.be.revertedWithCustomError(shieldA, "OwnableUnauthorizedAccount");
+      await expect(wrapped.mint(alice.address, 1n)).to.be.revertedWith("ShieldWrappedToken: Caller is not the minter");
+      await expect(wrapped.setMinter(alice.address)).to.be.revertedWith("ShieldWrappedToken: Minter already set");
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { checkVerifier, assertVerifier, checkDeployment } = require("../scripts/verify-deployment");
+const { deploy, deployVerifier, deployShieldVerifiers, deployShield } = require("./helpers/deploy");
+
+describe("Verifier Guard", function () {
+  let owner;
+  let endpoint;
+  let verifiers;
+  let placeholder;
+
+  // Address of a RaylsShield with some of its verifiers swapped out
+  async function deployShieldWith(overrides = {}) {
+    const { privacy, transfer, compliance } = { ...verifiers, ...overrides };
+    return (await deployShield(endpoint, [privacy, transfer, compliance])).getAddress();
+  }
+
+  before(async function () {
+    [owner] = await ethers.getSigners();
+    endpoint = await deploy("MockRaylsEndpoint");
+    const [privacy, transfer, compliance] = await deployShieldVerifiers();
+    verifiers = { privacy, transfer, compliance };
+    placeholder = await (await deploy("Groth16VerifierPlaceholder")).getAddress();
+  });
+
+  describe("RaylsShield", function () {
+    it("Should refuse a verifier that accepts an invalid proof", async function () {
+      const RaylsShield = await ethers.getContractFactory("RaylsShield");
+      await expect(deployShieldWith({ privacy: placeholder })).to.be.revertedWith(
+        "VerifierRegistry: Verifier accepted an invalid proof"
+      );
+
+      const shield = RaylsShield.attach(await deployShieldWith());
+      await expect(shield.proposeVerifier(ethers.id("privacy"), placeholder, 4)).to.be.revertedWith(
+        "VerifierRegistry: Verifier accepted an invalid proof"
+      );
+    });
+
+    it("Should refuse a verifier for a different number of public signals", async function () {
+      await expect(deployShieldWith({ privacy: verifiers.compliance })).to.be.revertedWith(
+        "VerifierRegistry: Verifier failed self-test"
+      );
+      await expect(deployShieldWith({ compliance: verifiers.privacy })).to.be.revertedWith(
+        "VerifierRegistry: Verifier failed self-test"
+      );
+    });
+  });
+
+  describe("Deployment checks", function () {
+    it("Should pass the generated verifiers", async function () {
+      for (const [circuit, address] of Object.entries(verifiers)) {
+        const result = await checkVerifier(ethers.provider, address, { circuit });
+        expect(result.problems, circuit).to.deep.equal([]);
+        expect(result.ok).to.be.true;
+      }
+    });
+
+    it("Should flag the placeholder verifier", async function () {
+      const result = await checkVerifier(ethers.provider, placeholder, { circuit: "privacy" });
+      expect(result.ok).to.be.false;
+      expect(result.problems).to.deep.equal([
+        "accepts an invalid proof",
+        "does not embed the privacy verification key",
+      ]);
+
+      let error;
+      try {
+        await assertVerifier(ethers.provider, placeholder, { circuit: "privacy", label: "Groth16Verifier" });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(
+        `VerifyDeployment: Groth16Verifier at ${placeholder} accepts an invalid proof, ` +
+          "does not embed the privacy verification key"
+      );
+    });
+
+    it("Should flag a verifier built for another circuit", async function () {
+      // transfer.circom and compliance.circom both have 5 public signals, so only the key differs
+      const result = await checkVerifier(ethers.provider, verifiers.transfer, { circuit: "compliance" });
+      expect(result.problems).to.deep.equal(["does not embed the compliance verification key"]);
+
+      const privacy = await checkVerifier(ethers.provider, verifiers.privacy, { circuit: "compliance" });
+      expect(privacy.problems).to.include("has no verifyProof for 5 public signals");
+
+      const missing = await checkVerifier(ethers.provider, owner.address, { circuit: "privacy" });
+      expect(missing.problems).to.deep.equal(["has no contract code"]);
+    });
+
+    it("Should check a deployment file against RaylsShield's registry", async function () {
+      const RaylsShield = await ethers.getContractFactory("RaylsShield");
+      const shieldAddress = await deployShieldWith();
+      const deployment = {
+        contracts: {
+          Groth16Verifier: verifiers.privacy,
+          TransferVerifier: verifiers.transfer,
+          ComplianceVerifier: verifiers.compliance,
+          RaylsShield: shieldAddress,
+        },
+      };
+
+      const report = await checkDeployment(ethers.provider, deployment);
+      expect(report.ok).to.be.true;
+      expect(report.results.map((result) => result.label)).to.deep.equal([
+        "Groth16Verifier",
+        "TransferVerifier",
+        "ComplianceVerifier",
+      ]);
+
+      // A pending verifier is checked while it waits for the timelock
+      const otherPrivacy = await (await deployVerifier("PrivacyVerifier")).getAddress();
+      await RaylsShield.attach(shieldAddress).proposeVerifier(ethers.id("privacy"), otherPrivacy, 4);
+      const pending = await checkDeployment(ethers.provider, deployment);
+      expect(pending.ok).to.be.true;
+      expect(pending.results.map((result) => result.label)).to.include("RaylsShield pending privacy verifier");
+
+      // The deployment file must list the verifiers RaylsShield actually uses
+      const stale = await checkDeployment(ethers.provider, {
+        contracts: { ...deployment.contracts, Groth16Verifier: otherPrivacy },
+      });
+      expect(stale.ok).to.be.false;
+      const mismatch = stale.results.find((result) => !result.ok);
+      expect(mismatch.label).to.equal("RaylsShield privacy verifier");
+      expect(mismatch.problems[0]).to.equal(`is not the Groth16Verifier listed in the deployment (${otherPrivacy})`);
+    });
+
+    it("Should report a RaylsShield without a verifier registry", async function () {
+      const report = await checkDeployment(ethers.provider, { contracts: { RaylsShield: endpoint } });
+      expect(report.ok).to.be.false;
+      expect(report.results).to.have.lengthOf(1);
+      expect(report.results[0].problems).to.deep.equal([
+        "has no verifier registry (deployed before VerifierRegistry)",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  addressToRecipient,
+  computeShieldedAddressHash,
+  publishViewingKey,
+  resolveRecipient,
+} = require("../scripts/key-registry");
+const {
+  generateViewingKeyPair,
+  encryptPayload,
+  decryptPayload,
+} = require("../scripts/payload-encryption");
+const { generateProof } = require("../scripts/generate-proof");
+
+describe("ViewingKeyRegistry", function () {
+  let registry;
+  let alice;
+  let bob;
+  let bobKeys;
+  let bobHash;
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+
+    const ViewingKeyRegistry = await ethers.getContractFactory("ViewingKeyRegistry");
+    registry = await ViewingKeyRegistry.deploy();
+    await registry.waitForDeployment();
+
+    bobKeys = generateViewingKeyPair();
+    bobHash = await computeShieldedAddressHash(bob.address);
+  });
+
+  describe("Registration", function () {
+    it("Should register a viewing key", async function () {
+      await expect(registry.connect(bob).registerViewingKey(bobKeys.publicKey, bobHash))
+        .to.emit(registry, "ViewingKeyRegistered")
+        .withArgs(bob.address, bobKeys.publicKey, bobHash, 1);
+
+      expect(await registry.hasViewingKey(bob.address)).to.be.true;
+      const [encryptionPublicKey, shieldedAddressHash, version] = await registry.getViewingKey(bob.address);
+      expect(encryptionPublicKey).to.equal(bobKeys.publicKey);
+      expect(shieldedAddressHash).to.equal(bobHash);
+      expect(version).to.equal(1);
+    });
+
+    it("Should reject a second registration", async function () {
+      await registry.connect(bob).registerViewingKey(bobKeys.publicKey, bobHash);
+
+      await expect(
+        registry.connect(bob).registerViewingKey(generateViewingKeyPair().publicKey, bobHash)
+      ).to.be.revertedWith("ViewingKeyRegistry: Key already registered");
+    });
+
+    it("Should reject invalid keys and hashes", async function () {
+      await expect(
+        registry.connect(bob).registerViewingKey(ethers.ZeroHash, bobHash)
+      ).to.be.revertedWith("ViewingKeyRegistry: Invalid encryption key");
+
+      await expect(
+        registry.connect(bob).registerViewingKey(bobKeys.publicKey, 0)
+      ).to.be.revertedWith("ViewingKeyRegistry: Invalid shielded address hash");
+
+      await expect(
+        registry.connect(bob).registerViewingKey(bobKeys.publicKey, await registry.SNARK_SCALAR_FIELD())
+      ).to.be.revertedWith("ViewingKeyRegistry: Invalid shielded address hash");
+    });
+
+    it("Should revert lookups of unregistered addresses", async function () {
+      expect(await registry.hasViewingKey(alice.address)).to.be.false;
+      await expect(registry.getViewingKey(alice.address)).to.be.revertedWith(
+        "ViewingKeyRegistry: No active key"
+      );
+    });
+  });
+
+  describe("Rotation and Revocation", function () {
+    beforeEach(async function () {
+      await registry.connect(bob).registerViewingKey(bobKeys.publicKey, bobHash);
+    });
+
+    it("Should rotate a key and bump its version", async function () {
+      const newKeys = generateViewingKeyPair();
+
+      await expect(registry.connect(bob).rotateViewingKey(newKeys.publicKey, bobHash))
+        .to.emit(registry, "ViewingKeyRotated")
+        .withArgs(bob.address, bobKeys.publicKey, newKeys.publicKey, bobHash, 2);
+
+      const [encryptionPublicKey, , version] = await registry.getViewingKey(bob.address);
+      expect(encryptionPublicKey).to.equal(newKeys.publicKey);
+      expect(version).to.equal(2);
+    });
+
+    it("Should revoke a key and allow registering a new one", async function () {
+      await expect(registry.connect(bob).revokeViewingKey())
+        .to.emit(registry, "ViewingKeyRevoked")
+        .withArgs(bob.address, bobKeys.publicKey, 2);
+
+      expect(await registry.hasViewingKey(bob.address)).to.be.false;
+      await expect(
+        registry.connect(bob).rotateViewingKey(bobKeys.publicKey, bobHash)
+      ).to.be.revertedWith("ViewingKeyRegistry: No active key");
+      await expect(registry.connect(bob).revokeViewingKey()).to.be.revertedWith(
+        "ViewingKeyRegistry: No active key"
+      );
+
+      await expect(registry.connect(bob).registerViewingKey(bobKeys.publicKey, bobHash))
+        .to.emit(registry, "ViewingKeyRegistered")
+        .withArgs(bob.address, bobKeys.publicKey, bobHash, 3);
+    });
+  });
+
+  describe("Resolver", function () {
+    it("Should publish and resolve a recipient", async function () {
+      await publishViewingKey(registry, bob, bobKeys.privateKey);
+
+      const resolved = await resolveRecipient(registry, bob.address.toLowerCase());
+      expect(resolved.address).to.equal(bob.address);
+      expect(resolved.recipient).to.equal(addressToRecipient(bob.address));
+      expect(resolved.shieldedAddressHash).to.equal(bobHash);
+      expect(resolved.encryptionPublicKey).to.equal(bobKeys.publicKey);
+
+      // The resolved recipient can be handed straight to encryptPayload
+      const envelope = encryptPayload(ethers.toUtf8Bytes("hi bob"), resolved);
+      expect(ethers.toUtf8String(decryptPayload(envelope, bobKeys.privateKey))).to.equal("hi bob");
+    });
+
+    it("Should rotate through publishViewingKey when a key exists", async function () {
+      await publishViewingKey(registry, bob, bobKeys.privateKey);
+      const newKeys = generateViewingKeyPair();
+      await publishViewingKey(registry, bob, newKeys.privateKey);
+
+      const resolved = await resolveRecipient(registry, bob.address);
+      expect(resolved.encryptionPublicKey).to.equal(newKeys.publicKey);
+      expect(resolved.version).to.equal(2);
+    });
+
+    it("Should reject unregistered and mismatched recipients", async function () {
+      let error;
+      try {
+        await resolveRecipient(registry, alice.address);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(`KeyRegistry: No viewing key registered for ${alice.address}`);
+
+      // Bob publishes Alice's hash: senders must not trust it
+      await registry.connect(bob).registerViewingKey(
+        bobKeys.publicKey,
+        await computeShieldedAddressHash(alice.address)
+      );
+      error = undefined;
+      try {
+        await resolveRecipient(registry, bob.address);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(`KeyRegistry: Shielded address hash does not match ${bob.address}`);
+    });
+
+    it("Should refuse to prove for a recipient whose hash does not line up", async function () {
+      await publishViewingKey(registry, bob, bobKeys.privateKey);
+      const resolved = await resolveRecipient(registry, bob.address);
+
+      let error;
+      try {
+        await generateProof({
+          secret: BigInt(1),
+          nullifier: BigInt(2),
+          recipient: { ...resolved, recipient: addressToRecipient(alice.address) },
+          amount: BigInt(3),
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal("Recipient hash does not match the registered shielded address");
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { ethers } = require("hardhat");
+const { deployPoseidonHasher } = require("../../scripts/merkle-tree");
+
+// Verifiers generated by `npm run circom`, in RaylsShield constructor order
+const SHIELD_VERIFIERS = ["PrivacyVerifier", "TransferVerifier", "ComplianceVerifier"];
+
+/**
+ * Deploy a contract and wait for it to be mined
+ * @param {string} name - Contract name, or fully qualified name
+ * @param {...*} args - Constructor arguments
+ * @returns {Promise<Object>} ethers Contract
+ */
+async function deploy(name, ...args) {
+  const factory = await ethers.getContractFactory(name);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Deploy a generated Groth16 verifier
+ * @param {string} name - Verifier contract file, e.g. "PrivacyVerifier"
+ * @returns {Promise<Object>} ethers Contract
+ */
+function deployVerifier(name) {
+  return deploy(`contracts/${name}.sol:Groth16Verifier`);
+}
+
+/**
+ * Deploy the privacy, transfer and compliance verifiers
+ * @returns {Promise<Array<string>>} Their addresses, in RaylsShield constructor order
+ */
+async function deployShieldVerifiers() {
+  const verifiers = [];
+  for (const name of SHIELD_VERIFIERS) {
+    verifiers.push(await (await deployVerifier(name)).getAddress());
+  }
+  return verifiers;
+}
+
+/**
+ * Deploy a RaylsShield with its own Poseidon hasher
+ * @param {Object|string} endpoint - Rayls endpoint contract or address
+ * @param {Array<string>} [verifiers] - Privacy, transfer and compliance verifier addresses
+ *   (default: freshly deployed ones)
+ * @returns {Promise<Object>} RaylsShield contract
+ */
+async function deployShield(endpoint, verifiers) {
+  const [deployer] = await ethers.getSigners();
+  const addresses = verifiers || (await deployShieldVerifiers());
+  const hasher = await deployPoseidonHasher(deployer);
+  return deploy("RaylsShield", await ethers.resolveAddress(endpoint), ...addresses, await hasher.getAddress());
+}
+
+module.exports = {
+  deploy,
+  deployVerifier,
+  deployShieldVerifiers,
+  deployShield,
+};